@@ -1,4 +1,8 @@
 import { validateCNPJ, checkSINTEGRA } from '../integrations/govApis.js';
+import { InvalidTaxIdError } from '../validators/documentos.js';
+import { sumMoney } from '../taxes/money.js';
+import { documentRevenue } from '../taxes/simplesNacional.js';
+import { loadUserDocuments } from '../taxes/apuracoes.js';
 
 /**
  * Monitora obrigações acessórias e prazos
@@ -8,12 +12,10 @@ export async function monitorComplianceObligations(user, db) {
   const month = now.getMonth() + 1;
   const year = now.getFullYear();
 
-  // Verifica documentos do mês
-  const docs = await getMonthlyTaxData(user.id, month, year, db);
   const warnings = [];
 
   // Verifica limite do Simples Nacional
-  const yearlyRevenue = await calculateYearlyRevenue(user.id, year, db);
+  const yearlyRevenue = await calculateYearlyRevenue(user, year, db);
   if (yearlyRevenue > 3600000) {
     warnings.push({
       type: 'SIMPLES_NACIONAL',
@@ -36,18 +38,15 @@ export async function monitorComplianceObligations(user, db) {
 }
 
 /**
- * Calcula receita anual
+ * Calcula receita anual: saídas atribuídas ao ano pela data de emissão, na mesma base do RBT12
+ * (itens menos descontos); compras e documentos sem classificação não são faturamento.
+ * Documentos gravados sem direção são classificados pelo CNPJ, como no relatório
  */
-async function calculateYearlyRevenue(userId, year, db) {
-  const query = `
-    SELECT SUM(totalValue) as total
-    FROM documents
-    WHERE userId = ?
-    AND strftime('%Y', createdAt) = ?
-  `;
-  
-  const result = await db.get(query, [userId, year.toString()]);
-  return result?.total || 0;
+async function calculateYearlyRevenue(user, year, db) {
+  const docs = await loadUserDocuments(db, user);
+  return sumMoney(docs
+    .filter(doc => doc.direcao === 'saida' && Math.floor(doc.monthIndex / 12) === year)
+    .map(doc => documentRevenue(doc.documentData)));
 }
 
 /**
@@ -103,50 +102,40 @@ async function saveComplianceWarnings(userId, warnings, db) {
   }
 }
 
-/**
- * Busca documentos do mês
- */
-async function getMonthlyTaxData(userId, month, year, db) {
-  const startDate = `${year}-${String(month).padStart(2, '0')}-01`;
-  const endDate = `${year}-${String(month).padStart(2, '0')}-31`;
-
-  const query = `
-    SELECT * FROM documents
-    WHERE userId = ?
-    AND createdAt >= ?
-    AND createdAt <= ?
-    ORDER BY createdAt ASC
-  `;
-
-  return await db.all(query, [userId, startDate, endDate]);
-}
-
 /**
  * Verifica status de compliance do usuário
  */
 export async function checkUserCompliance(user) {
   const checks = [];
 
-  // Verifica CNPJ
-  try {
-    const cnpjStatus = await validateCNPJ(user.cnpj);
-    checks.push({
-      type: 'CNPJ',
-      status: 'ok',
-      message: 'CNPJ válido e ativo'
-    });
-  } catch (error) {
+  // Verifica CNPJ (dígitos conferidos localmente antes da consulta à Receita)
+  if (!user.cnpj) {
     checks.push({
       type: 'CNPJ',
       status: 'error',
-      message: 'CNPJ com irregularidades'
+      message: 'CNPJ não cadastrado. Use !onboarding'
     });
+  } else {
+    try {
+      const cnpjStatus = await validateCNPJ(user.cnpj);
+      checks.push({
+        type: 'CNPJ',
+        status: 'ok',
+        message: 'CNPJ válido e ativo'
+      });
+    } catch (error) {
+      checks.push({
+        type: 'CNPJ',
+        status: 'error',
+        message: error instanceof InvalidTaxIdError ? error.message : 'CNPJ com irregularidades'
+      });
+    }
   }
 
   // Verifica Inscrição Estadual
   if (user.inscricaoEstadual) {
     try {
-      const ieStatus = await checkSINTEGRA(user.inscricaoEstadual);
+      const ieStatus = await checkSINTEGRA(user.inscricaoEstadual, user.uf);
       checks.push({
         type: 'IE',
         status: 'ok',
@@ -156,10 +145,10 @@ export async function checkUserCompliance(user) {
       checks.push({
         type: 'IE',
         status: 'error',
-        message: 'Inscrição Estadual com pendências'
+        message: error instanceof InvalidTaxIdError ? error.message : 'Inscrição Estadual com pendências'
       });
     }
   }
 
   return checks;
-} 
\ No newline at end of file
+}
\ No newline at end of file
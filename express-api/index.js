@@ -34,7 +34,6 @@ import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
 import OpenAI from 'openai';
 import pkg from 'whatsapp-web.js';
 import AWS from 'aws-sdk';
-import { PDFDocument } from 'pdf-lib';
 import qrcode from 'qrcode-terminal';
 import dotenv from 'dotenv';
 import * as cheerio from 'cheerio';
@@ -42,10 +41,32 @@ import winston from 'winston';
 import sqlite3 from 'sqlite3';
 import { open as openDb } from 'sqlite'; // sqlite wrapper for promises
 import fs from 'fs';
+import crypto from 'crypto';
 import { parseNFeXML, parseNFCeXML, validateNFeStructure } from './parsers/nfeParser.js';
+import { parseCTeXML } from './parsers/cteParser.js';
+import { parseNFSeXML } from './parsers/nfseParser.js';
+import { detectFiscalXML, UnsupportedDocumentError } from './parsers/xmlDetector.js';
+import { validateChaveAcesso } from './validators/chaveAcesso.js';
+import { verifyXMLSignature } from './validators/xmlSignature.js';
+import { getICMSRates, getInterstateICMSRate, isImportedOrigin, classifyProduct, listStates } from './taxes/icmsRates.js';
+import { isDIFALOperation, calculateDIFAL } from './taxes/difal.js';
+import { calculateICMSST, checkICMSST } from './taxes/icmsST.js';
+import { calculateDAS, calculateRBT12, splitRevenueByAnexo, documentRevenue } from './taxes/simplesNacional.js';
+import { REGIMES, ATIVIDADES, getPisCofinsRates, splitRevenueByActivity, estimateRegimeTaxes } from './taxes/regimes.js';
+import { calculatePisCofinsCredits, calculatePisCofinsDebitBase } from './taxes/pisCofins.js';
+import { ANO_INICIAL, ANO_FINAL, simulateReform, compareWithReform } from './taxes/reformaTributaria.js';
+import { CST_SEM_DEBITO, reconcileDeclaredTaxes } from './taxes/conciliacao.js';
+import { calculateISS, checkISS, loadISSTables } from './taxes/iss.js';
+import { calculateFederalWithholdings } from './taxes/retencoes.js';
+import { TRIBUTOS_APURACAO, TIPOS_AJUSTE } from './taxes/apuracaoICMSIPI.js';
+import { getDocumentDirection, loadUserDocuments, buildPisCofinsApuracao, buildICMSIPIApuracao, buildEFDICMSIPI, buildEFDContribuicoes } from './taxes/apuracoes.js';
+import { money, sumMoney, subtractMoney, applyRate, roundingFor } from './taxes/money.js';
+import { parseReportPeriod, periodMonths, periodDateRange, emissionDate, monthIndexOf } from './reports/periodo.js';
+import { renderReportPDF, documentLabel } from './reports/pdf.js';
 import { monitorDiarioOficial, checkForTaxUpdates } from './monitor/diarioOficialScraper.js';
 import { monitorComplianceObligations, checkUserCompliance } from './compliance/monitor.js';
-import { validateCNPJ, validateNFeWithSEFAZ, consultNFSe } from './integrations/govApis.js';
+import { validateCNPJ, validateNFeWithSEFAZ, consultNFSe, checkSINTEGRA } from './integrations/govApis.js';
+import { InvalidTaxIdError, normalizeTaxId } from './validators/documentos.js';
 import cron from 'node-cron';
 
 const { Client, LocalAuth, MessageMedia } = pkg;
@@ -53,6 +74,11 @@ const { Client, LocalAuth, MessageMedia } = pkg;
 // Load environment variables
 dotenv.config();
 
+// Municipal ISS rate tables beyond the bundled ones (one JSON file per municipality)
+if (process.env.ISS_TABLES_DIR) {
+    loadISSTables(process.env.ISS_TABLES_DIR);
+}
+
 /***************************************************************************/
 /**  2. AWS, OPENAI, APP, AND DB INITIALIZATION                            **/
 /***************************************************************************/
@@ -99,6 +125,15 @@ async function initDb() {
         );
     `);
 
+    // Columns added after the first release (older databases need an ALTER)
+    await addColumnIfMissing('users', 'apiKeyHash', 'TEXT');
+    await addColumnIfMissing('users', 'uf', 'TEXT');
+    await addColumnIfMissing('users', 'inscricaoEstadual', 'TEXT');
+    await addColumnIfMissing('users', 'regimeTributario', 'TEXT');
+    await addColumnIfMissing('users', 'anexoServicos', 'TEXT');
+    await addColumnIfMissing('users', 'folhaSalarios12', 'REAL');
+    await addColumnIfMissing('users', 'atividadePrincipal', 'TEXT');
+
     await db.exec(`
         CREATE TABLE IF NOT EXISTS documents (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -112,6 +147,8 @@ async function initDb() {
             FOREIGN KEY (userId) REFERENCES users (id)
         );
     `);
+    // 'entrada' or 'saida' relative to the user's CNPJ (null when it could not be told)
+    await addColumnIfMissing('documents', 'direcao', 'TEXT');
 
     await db.exec(`
         CREATE TABLE IF NOT EXISTS monthly_reports (
@@ -124,6 +161,101 @@ async function initDb() {
             FOREIGN KEY (userId) REFERENCES users (id)
         );
     `);
+    // One report per period ('2025-03', '2025-T1', '2025'), regenerated on each request;
+    // month/year hold the last month of the period. Older databases kept one row per request
+    await addColumnIfMissing('monthly_reports', 'periodo', 'TEXT');
+    await addColumnIfMissing('monthly_reports', 'updatedAt', 'DATETIME');
+    await db.exec(`
+        UPDATE monthly_reports SET periodo = printf('%04d-%02d', year, month) WHERE periodo IS NULL;
+        DELETE FROM monthly_reports
+        WHERE id NOT IN (SELECT MAX(id) FROM monthly_reports GROUP BY userId, periodo);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_monthly_reports_periodo ON monthly_reports (userId, periodo);
+    `);
+
+    // Non-cumulative PIS/COFINS per period; the credit balance carries into the next month
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS pis_cofins_apuracao (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            userId INTEGER,
+            month INTEGER,
+            year INTEGER,
+            debitoPIS REAL,
+            debitoCOFINS REAL,
+            creditoPIS REAL,
+            creditoCOFINS REAL,
+            saldoAnteriorPIS REAL,
+            saldoAnteriorCOFINS REAL,
+            pisAPagar REAL,
+            cofinsAPagar REAL,
+            saldoCredorPIS REAL,
+            saldoCredorCOFINS REAL,
+            apuracaoData TEXT,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (userId, year, month),
+            FOREIGN KEY (userId) REFERENCES users (id)
+        );
+    `);
+
+    // ICMS/IPI apuração per period (livro de apuração); the credit balance carries into the next month
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS icms_ipi_apuracao (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            userId INTEGER,
+            month INTEGER,
+            year INTEGER,
+            debitoICMS REAL,
+            creditoICMS REAL,
+            ajustesDebitoICMS REAL,
+            ajustesCreditoICMS REAL,
+            saldoAnteriorICMS REAL,
+            icmsARecolher REAL,
+            saldoCredorICMS REAL,
+            debitoIPI REAL,
+            creditoIPI REAL,
+            ajustesDebitoIPI REAL,
+            ajustesCreditoIPI REAL,
+            saldoAnteriorIPI REAL,
+            ipiARecolher REAL,
+            saldoCredorIPI REAL,
+            apuracaoData TEXT,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (userId, year, month),
+            FOREIGN KEY (userId) REFERENCES users (id)
+        );
+    `);
+
+    // Manual adjustments of the ICMS/IPI apuração (estornos, presumed credits...) sent with !ajuste
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS apuracao_ajustes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            userId INTEGER,
+            month INTEGER,
+            year INTEGER,
+            tributo TEXT,
+            tipo TEXT,
+            valor REAL,
+            descricao TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (userId) REFERENCES users (id)
+        );
+    `);
+
+    // Declared-vs-calculated reconciliation of each processed document
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS tax_reconciliations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            documentId INTEGER UNIQUE,
+            userId INTEGER,
+            documentType TEXT,
+            status TEXT,
+            divergencias INTEGER,
+            diferencaTotal REAL,
+            reconciliationData TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (documentId) REFERENCES documents (id),
+            FOREIGN KEY (userId) REFERENCES users (id)
+        );
+    `);
 
     await db.exec(`
         CREATE TABLE IF NOT EXISTS compliance_warnings (
@@ -140,6 +272,17 @@ async function initDb() {
     // Logging
     logger.info('Database initialized');
 }
+
+/**
+ * addColumnIfMissing:
+ * - SQLite has no "ADD COLUMN IF NOT EXISTS", so we check PRAGMA table_info first
+ */
+async function addColumnIfMissing(table, column, definition) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(col => col.name === column)) {
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
 initDb().catch((err) => {
     logger.error('Database initialization error', { error: err });
 });
@@ -165,9 +308,10 @@ const logger = winston.createLogger({
 /**
  * searchTaxRules:
  * - Uses BraveSearch to find relevant legislation or official documents
+ * - Optionally scrapes the top result pages for their full text
  * - Then uses an in-memory vector store to find semantically similar matches
  */
-async function searchTaxRules(query, documentType = 'NFE', state = null, sector = null) {
+async function searchTaxRules(query, documentType = 'NFE', state = null, sector = null, searchOptions = {}) {
     const loader = new BraveSearch({ apiKey: process.env.BRAVE_API_KEY });
     let searchQuery = `${query} legislação tributária brasil ${documentType}`;
 
@@ -176,8 +320,9 @@ async function searchTaxRules(query, documentType = 'NFE', state = null, sector
     searchQuery += ` site:.gov.br OR site:legisweb.com.br OR site:confaz.fazenda.gov.br`;
 
     try {
-        const docs = await loader.call(searchQuery);
-        const results = await processTaxRuleSearch(docs, query);
+        const rawResults = await loader.call(searchQuery);
+        const docs = await buildSearchDocuments(rawResults, searchOptions.numberOfPagesToScan || 0);
+        const results = await processTaxRuleSearch(docs, query, searchOptions);
         logger.info('Tax rule search completed', { query, state, sector, resultsCount: results.length });
         return results;
     } catch (error) {
@@ -186,34 +331,192 @@ async function searchTaxRules(query, documentType = 'NFE', state = null, sector
     }
 }
 
+/**
+ * buildSearchDocuments:
+ * - BraveSearch returns a JSON string of { title, link, snippet }
+ * - Turns each result into a { pageContent, metadata } document
+ * - The first `numberOfPagesToScan` results get their full page text instead of the snippet
+ */
+async function buildSearchDocuments(rawResults, numberOfPagesToScan = 0) {
+    let results;
+    try {
+        results = JSON.parse(rawResults);
+    } catch (jsonError) {
+        logger.error('Failed to parse BraveSearch results', { error: jsonError });
+        results = [];
+    }
+
+    return Promise.all(results.map(async (result, index) => {
+        let pageContent = result.snippet || '';
+        if (index < numberOfPagesToScan) {
+            pageContent = (await fetchPageContent(result.link)) || pageContent;
+        }
+        return {
+            pageContent,
+            metadata: { source: result.link, title: result.title }
+        };
+    }));
+}
+
+// Pages larger than this are cut before parsing; the search only needs their opening text
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+/**
+ * fetchPageContent:
+ * - Downloads a page and extracts its readable text with cheerio
+ * - Only text/html responses are read, and at most MAX_PAGE_BYTES of them
+ * - Returns null on any failure so the caller can fall back to the snippet
+ */
+async function fetchPageContent(link) {
+    try {
+        const response = await fetch(link, { signal: AbortSignal.timeout(8000) });
+        if (!response.ok) return null;
+
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.includes('text/html')) {
+            await response.body?.cancel();
+            return null;
+        }
+
+        const $ = cheerio.load(await readLimitedText(response, MAX_PAGE_BYTES));
+        $('script, style, nav, header, footer, noscript').remove();
+        return $('body').text().replace(/\s+/g, ' ').trim();
+    } catch (error) {
+        logger.info('Could not fetch page content', { link, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * readLimitedText:
+ * - Reads the response body up to maxBytes and cancels the rest of the download
+ */
+async function readLimitedText(response, maxBytes) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let total = 0;
+    while (total < maxBytes) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        total += value.length;
+    }
+    await reader.cancel();
+    return Buffer.concat(chunks).subarray(0, maxBytes).toString('utf-8');
+}
+
 /**
  * processTaxRuleSearch:
- * - Takes raw results from BraveSearch
+ * - Takes documents built from the BraveSearch results
  * - Splits them into chunks
  * - Stores them in an in-memory vector store
  * - Performs a similarity search to rank the best matches
  */
-async function processTaxRuleSearch(docs, query) {
+async function processTaxRuleSearch(docs, query, searchOptions = {}) {
+    const {
+        textChunkSize = 1000,
+        textChunkOverlap = 200,
+        numberOfSimilarityResults = 5
+    } = searchOptions;
+
+    const usableDocs = docs.filter(doc => doc.pageContent);
+    if (usableDocs.length === 0) {
+        return [];
+    }
+
     const splitter = new RecursiveCharacterTextSplitter({
-        chunkSize: 1000,
-        chunkOverlap: 200
+        chunkSize: textChunkSize,
+        chunkOverlap: textChunkOverlap
     });
 
-    // Split text from each doc
-    const docTexts = [];
-    docs.forEach(doc => {
-        docTexts.push(doc.pageContent);
-    });
+    // Split text from each doc, keeping its source on every chunk
+    const chunks = await splitter.createDocuments(
+        usableDocs.map(doc => doc.pageContent),
+        usableDocs.map(doc => doc.metadata)
+    );
 
     // Build vector store
-    const vectorStore = await MemoryVectorStore.fromTexts(
-        docTexts,
-        docs.map(doc => ({ source: doc.metadata.source })),
-        embeddings
-    );
+    const vectorStore = await MemoryVectorStore.fromDocuments(chunks, embeddings);
+
+    // Return the most relevant chunks
+    return await vectorStore.similaritySearch(query, numberOfSimilarityResults);
+}
+
+/**
+ * collectSources:
+ * - Deduplicates the sources of the ranked chunks and numbers them from 1
+ */
+function collectSources(chunks) {
+    const sources = [];
+    for (const chunk of chunks) {
+        const link = chunk.metadata?.source;
+        if (link && !sources.some(source => source.link === link)) {
+            sources.push({ number: sources.length + 1, title: chunk.metadata.title || link, link });
+        }
+    }
+    return sources;
+}
+
+/**
+ * buildAnswerMessages:
+ * - Builds the GPT prompt for an answer grounded on the numbered sources
+ */
+function buildAnswerMessages(query, chunks, sources, embedSourcesInLLMResponse = false) {
+    const context = chunks.map(chunk => {
+        const source = sources.find(s => s.link === chunk.metadata?.source);
+        return `[${source ? source.number : '?'}] ${chunk.pageContent}`;
+    }).join('\n\n');
+
+    const citationStyle = embedSourcesInLLMResponse
+        ? 'Cite sources inline as markdown links, e.g. [1](https://...), using the URLs listed below.'
+        : 'Cite sources inline by their number in square brackets, e.g. [1].';
+
+    return [
+        {
+            role: "system",
+            content: `You are TaxiBot, a Brazilian tax assistant. Answer in Portuguese using ONLY the numbered sources below.
+            ${citationStyle} If the sources do not answer the question, say so.
+
+            Sources:
+            ${sources.map(s => `[${s.number}] ${s.title} - ${s.link}`).join('\n')}
+
+            Content:
+            ${context}`
+        },
+        {
+            role: "user",
+            content: query
+        }
+    ];
+}
+
+/**
+ * generateFollowUpQuestions:
+ * - Asks GPT for short follow-up questions based on the query and answer
+ */
+async function generateFollowUpQuestions(query, answer) {
+    const completion = await openai.chat.completions.create({
+        model: "gpt-4",
+        messages: [
+            {
+                role: "system",
+                content: `Suggest 3 short follow-up questions, in Portuguese, that a Brazilian business owner
+                might ask next. Return only a JSON array of strings.`
+            },
+            {
+                role: "user",
+                content: `Question: ${query}\n\nAnswer: ${answer}`
+            }
+        ]
+    });
 
-    // Return top 5 relevant chunks
-    return await vectorStore.similaritySearch(query, 5);
+    try {
+        const questions = JSON.parse(completion.choices[0].message.content);
+        return Array.isArray(questions) ? questions : [];
+    } catch (jsonError) {
+        logger.error('Failed to parse GPT follow-up questions', { error: jsonError });
+        return [];
+    }
 }
 
 /***************************************************************************/
@@ -226,7 +529,9 @@ async function processTaxRuleSearch(docs, query) {
  * - Summarize & structure data with GPT
  * - Search for relevant tax rules
  * - Calculate taxes with the found rules
+ * - Reconcile the taxes declared in the document with the calculation (stored per document)
  * - Validate compliance with GPT
+ * - Store the document only once the whole pipeline succeeded
  */
 async function processDocument(buffer, mimeType, messageContext = {}) {
     logger.info('Starting document processing', { mimeType });
@@ -237,14 +542,7 @@ async function processDocument(buffer, mimeType, messageContext = {}) {
         // Se for XML, usa parser específico
         if (mimeType === 'application/xml' || mimeType.includes('xml')) {
             const xmlData = buffer.toString('utf-8');
-            
-            // Tenta identificar se é NFe ou NFCe pelo conteúdo
-            if (xmlData.includes('<NFe>')) {
-                documentData = await parseNFeXML(xmlData);
-                await validateNFeStructure(documentData);
-            } else if (xmlData.includes('<NFCe>')) {
-                documentData = await parseNFCeXML(xmlData);
-            }
+            documentData = await parseFiscalXML(xmlData);
         } else {
             // Usa Textract para outros tipos de documento
             const textractResponse = await textract.detectDocumentText({
@@ -254,9 +552,16 @@ async function processDocument(buffer, mimeType, messageContext = {}) {
             documentData = await extractDocumentData(textractResponse);
         }
 
-        // Se temos contexto do usuário, armazena doc no DB
-        if (messageContext.userId) {
-            await storeDocumentInDb(messageContext.userId, documentData);
+        // ICMS-ST engine: flags missing or wrong substitution on NF-e (stored with the document)
+        const direction = getDocumentDirection(documentData, messageContext.cnpj);
+        if (documentData.documentType === 'NFE' && documentData.items?.length) {
+            documentData.substituicaoTributaria = checkICMSST(documentData, { direcao: direction });
+        }
+
+        // ISS rules (rate limits, place of incidence, withholding) on parsed NFS-e
+        if (documentData.documentType === 'NFSE' && documentData.valores) {
+            documentData.conferenciaISS = checkISS(documentData);
+            documentData.conferenciaRetencoes = calculateFederalWithholdings(documentData, { iss: documentData.conferenciaISS });
         }
 
         // Busca regras tributárias relevantes
@@ -265,15 +570,33 @@ async function processDocument(buffer, mimeType, messageContext = {}) {
             documentData.documentType
         );
 
-        // Calcula impostos
-        const taxCalculation = await calculateTaxesWithRules(documentData, taxRules);
+        // Calcula impostos (com o regime da empresa, quando conhecido)
+        const regimeContext = await buildRegimeContext(messageContext.userId, documentData.dataEmissao);
+        const taxCalculation = await calculateTaxesWithRules(documentData, taxRules, regimeContext, {
+            reformYear: messageContext.reformYear || REFORM_COMPARISON_YEAR
+        });
+
+        // Confere os tributos declarados no documento com o cálculo
+        const reconciliation = reconcileDeclaredTaxes(documentData, taxCalculation);
 
         // Valida compliance
-        const complianceCheck = await validateCompliance(documentData, taxRules);
+        const complianceCheck = await validateCompliance(documentData, taxRules, reconciliation);
+
+        // Só armazena o documento depois que todo o processamento deu certo
+        let documentId = null;
+        if (messageContext.userId) {
+            documentId = await storeDocumentInDb(messageContext.userId, documentData, direction);
+            if (reconciliation) {
+                await storeReconciliation(documentId, messageContext.userId, reconciliation);
+            }
+        }
 
         return {
+            documentId,
             documentData,
+            direction,
             taxCalculation,
+            reconciliation,
             complianceCheck,
             applicableRules: taxRules
         };
@@ -283,6 +606,60 @@ async function processDocument(buffer, mimeType, messageContext = {}) {
     }
 }
 
+/**
+ * parseFiscalXML:
+ * - Detects the XML layout from its root element/namespace (not from substrings)
+ * - Dispatches the parsed tree to the matching parser (the XML is read once)
+ * - Verifies the XMLDSig of NF-e/NFC-e/CT-e against the embedded certificate
+ * - Throws UnsupportedDocumentError with a user-facing message for anything else
+ */
+async function parseFiscalXML(xmlData) {
+    const xmlType = await detectFiscalXML(xmlData);
+    logger.info('Fiscal XML detected', {
+        documentType: xmlType.documentType,
+        layout: xmlType.layout,
+        modelo: xmlType.modelo
+    });
+
+    switch (xmlType.documentType) {
+        case 'NFE': {
+            const documentData = await parseNFeXML(xmlType.parsed);
+            const structure = await validateNFeStructure(documentData);
+            documentData.validacaoChave = structure.chaveAcesso;
+            documentData.assinatura = verifyXMLSignature(xmlData, documentData);
+            return documentData;
+        }
+
+        case 'NFCE': {
+            const documentData = await parseNFCeXML(xmlType.parsed);
+            documentData.validacaoChave = validateChaveAcesso(documentData);
+            documentData.assinatura = verifyXMLSignature(xmlData, documentData);
+            return documentData;
+        }
+
+        case 'CTE': {
+            const documentData = await parseCTeXML(xmlType.parsed);
+            documentData.validacaoChave = validateChaveAcesso(documentData);
+            documentData.assinatura = verifyXMLSignature(xmlData, documentData);
+            return documentData;
+        }
+
+        case 'NFSE':
+            return await parseNFSeXML(xmlType.parsed, xmlType.layout);
+
+        case 'EVENTO':
+            throw new UnsupportedDocumentError(
+                `O XML enviado é um evento${xmlType.evento?.descricao ? ` (${xmlType.evento.descricao})` : ''} ` +
+                `da chave ${xmlType.evento?.chave || 'desconhecida'}, não um documento fiscal. Envie o XML da nota.`
+            );
+
+        default:
+            throw new UnsupportedDocumentError(
+                `XML de ${xmlType.documentType} (layout ${xmlType.layout}) reconhecido, mas ainda não suportado.`
+            );
+    }
+}
+
 /**
  * extractDocumentData:
  * - Uses GPT to parse the AWS Textract JSON
@@ -313,6 +690,8 @@ async function extractDocumentData(textractResponse) {
     let parsedData;
     try {
         parsedData = JSON.parse(completion.choices[0].message.content);
+        // GPT may answer the amount as text; keep it in whole centavos like the XML parsers
+        parsedData.totalValue = money(Number(parsedData.totalValue) || 0);
     } catch (jsonError) {
         // If GPT returns non-JSON or incomplete data, handle gracefully
         logger.error('Failed to parse GPT response for documentData', { error: jsonError });
@@ -337,8 +716,10 @@ async function extractDocumentData(textractResponse) {
  * calculateTaxesWithRules:
  * - Determines the correct calculator based on document type
  * - Applies any special regimes or rules from the GPT search results
+ * - regimeContext (from buildRegimeContext) carries the company's regime and Simples data
+ * - options.reformYear adds a "current vs reform year N" comparison (CBS/IBS/IS)
  */
-async function calculateTaxesWithRules(documentData, taxRules) {
+async function calculateTaxesWithRules(documentData, taxRules, regimeContext = {}, options = {}) {
     const taxCalculations = {
         NFE: calculateNFETaxes,
         NFSE: calculateNFSETaxes,
@@ -350,101 +731,252 @@ async function calculateTaxesWithRules(documentData, taxRules) {
     const baseCalculation = await calculator(documentData, taxRules);
 
     // Additional logic: apply special regimes, exemptions, or updated rates from taxRules
-    const finalCalculation = await applySpecialRegimes(baseCalculation, documentData, taxRules);
+    const finalCalculation = await applySpecialRegimes(baseCalculation, documentData, taxRules, regimeContext);
 
+    if (options.reformYear) {
+        finalCalculation.reforma = compareDocumentWithReform(documentData, finalCalculation, options.reformYear);
+    }
     return finalCalculation;
 }
 
+/**
+ * compareDocumentWithReform:
+ * - Simulates the document in a transition year of the tax reform (2026-2033)
+ *   and compares it with the current calculation
+ * - Items carry NCM (goods) or NBS/LC 116 item (services) for the differentiated regimes
+ */
+function compareDocumentWithReform(documentData, calculation, reformYear) {
+    const itens = documentData.items?.length
+        ? documentData.items.map(item => ({
+            numeroItem: item.numeroItem,
+            descricao: item.descricao,
+            ncm: item.ncm,
+            valor: (item.valorTotal || 0) - (item.valorDesconto || 0) + (item.valorFrete || 0)
+                + (item.valorSeguro || 0) + (item.outrasDespesas || 0)
+        }))
+        : [{
+            descricao: documentData.servico?.discriminacao,
+            nbs: documentData.servico?.nbs,
+            itemListaServico: documentData.servico?.itemListaServico || documentData.taxInfo?.serviceCode,
+            valor: calculation.baseValue
+        }];
+
+    return compareWithReform(calculation.taxes, simulateReform({
+        ano: reformYear,
+        itens,
+        tributosAtuais: calculation.taxes
+    }));
+}
+
 /**
  * calculateNFETaxes:
- * - Basic calculation for NFE (ICMS, IPI, PIS, COFINS)
+ * - Basic calculation for NFE (ICMS, FCP, IPI); PIS/COFINS depend on the company's
+ *   regime and are added by applySpecialRegimes
+ * - ICMS/FCP come from the versioned rate tables, item by item
+ * - Interstate sales to non-contributors also owe DIFAL and the destination FCP,
+ *   reported as separate taxes
+ * - ICMS-ST (MVA/CEST tables) is added only for items the note itself withholds
+ *   (CST 10/30/70, CSOSN 201-203); ST retained upstream (CST 60) is not charged again
  */
 async function calculateNFETaxes(documentData, taxRules) {
     const baseValue = documentData.totalValue || 0;
-    const state = documentData.state || 'SP';
-    const operation = documentData.operationType || 'VENDA';
 
-    // Suppose we retrieve state-specific ICMS rate
-    const icmsRates = await getICMSRates(state, operation);
+    const icms = calculateICMSByItem(documentData);
+    const difal = isDIFALOperation(documentData) ? calculateDIFALByItem(documentData, icms.details) : null;
+    const icmsST = calculateICMSST(documentData);
+    const ipi = calculateIPI(documentData);
 
-    const ICMS = baseValue * (icmsRates.standard / 100);
-    const IPI = calculateIPI(documentData);
-    const PIS = baseValue * 0.0165;   // Example fixed rate
-    const COFINS = baseValue * 0.076; // Example fixed rate
+    const taxes = {
+        ICMS: icms.ICMS,
+        IPI: ipi.IPI
+    };
+    if (icms.FCP > 0) taxes.FCP = icms.FCP;
+    if (difal) {
+        taxes.DIFAL = difal.DIFAL;
+        if (difal.FCP > 0) taxes.FCP_DESTINO = difal.FCP;
+    }
+    if (icmsST.retidoNaNota.icmsST > 0) {
+        taxes.ICMS_ST = icmsST.retidoNaNota.icmsST;
+        if (icmsST.retidoNaNota.fcpST > 0) taxes.FCP_ST = icmsST.retidoNaNota.fcpST;
+    }
 
     return {
         baseValue,
-        taxes: {
-            ICMS,
-            IPI,
-            PIS,
-            COFINS
+        taxes,
+        details: {
+            icms: icms.details,
+            ipi: ipi.details,
+            difal: difal?.details,
+            icmsST: icmsST.aplicavel ? icmsST : undefined
+        }
+    };
+}
+
+/**
+ * calculateDIFALByItem:
+ * - DIFAL and destination FCP for every item that carries ICMS on the interstate sale
+ * - Keeps the values declared in ICMSUFDest next to the calculated ones
+ */
+function calculateDIFALByItem(documentData, icmsDetails) {
+    const data = documentData.dataEmissao || new Date();
+    const items = documentData.items || [];
+
+    const itens = icmsDetails.itens
+        .map((itemICMS, index) => ({ itemICMS, declarado: items[index]?.icmsUFDest }))
+        .filter(({ itemICMS }) => itemICMS.aliquota > 0)
+        .map(({ itemICMS, declarado }) => {
+            const calculo = calculateDIFAL({
+                baseCalculo: itemICMS.baseCalculo,
+                aliquotaInterestadual: itemICMS.aliquota,
+                ufDestino: icmsDetails.ufDestino,
+                classe: itemICMS.classe,
+                data
+            });
+
+            return {
+                numeroItem: itemICMS.numeroItem,
+                ...calculo,
+                difalDeclarado: declarado?.vICMSUFDest || 0,
+                fcpDeclarado: declarado?.vFCPUFDest || 0
+            };
+        });
+
+    return {
+        DIFAL: sumMoney(itens.map(item => item.difal)),
+        FCP: sumMoney(itens.map(item => item.fcp)),
+        details: {
+            ufDestino: icmsDetails.ufDestino,
+            metodo: itens[0]?.metodo,
+            difalDeclarado: documentData.totais?.vICMSUFDest || 0,
+            fcpDeclarado: documentData.totais?.vFCPUFDest || 0,
+            itens
         }
     };
 }
 
 /**
  * calculateNFSETaxes:
- * - Basic calculation for NFSE (ISS, PIS, COFINS)
+ * - Basic calculation for NFSE (ISS); PIS/COFINS come from the company's regime
+ * - ISS from the municipal rate tables (LC 116 item, 2%-5%), due where the
+ *   place-of-incidence rules say, with the taker withholding when required
+ * - The declared rate is only used for Simples providers and municipalities without a table
+ * - Federal withholdings (IRRF, PIS/COFINS/CSLL, INSS) and the net receivable in details
  */
 async function calculateNFSETaxes(documentData, taxRules) {
-    const baseValue = documentData.totalValue || 0;
-    const municipality = documentData.municipality || 'São Paulo';
-    const serviceCode = documentData.taxInfo?.serviceCode || '1001';
-
-    // Suppose we fetch municipality-specific ISS rates
-    const issRate = await getISSRate(municipality, serviceCode);
+    const valores = documentData.valores;
+    const iss = calculateISS(documentData);
+    const retencoes = calculateFederalWithholdings(documentData, { iss });
+    const baseValue = iss.baseCalculo;
 
     return {
         baseValue,
         taxes: {
-            ISS: baseValue * (issRate / 100),
-            PIS: baseValue * 0.0165,
-            COFINS: baseValue * 0.076
+            ISS: iss.valorISS
+        },
+        details: {
+            aliquotaISS: iss.aliquota,
+            fonteAliquotaISS: iss.fonteAliquota,
+            itemListaServico: iss.itemListaServico,
+            servico: iss.servico,
+            municipioIncidencia: iss.municipioIncidencia,
+            observacaoISS: iss.observacao,
+            issRetido: iss.retencao.devida,
+            retencaoISS: iss.retencao,
+            issDeclarado: valores?.valorISS || 0,
+            retencoesDeclaradas: valores?.retencoes || {},
+            retencoesFederais: retencoes,
+            valorLiquido: retencoes.valorLiquido,
+            valorLiquidoDeclarado: valores?.valorLiquido || 0
         }
     };
 }
 
 /**
  * calculateNFCETaxes:
- * - Basic calculation for NFCe (ICMS, PIS, COFINS)
+ * - Basic calculation for NFCe (ICMS); PIS/COFINS come from the company's regime
  * - Typically used for consumer-facing sales
  */
 async function calculateNFCETaxes(documentData, taxRules) {
     const baseValue = documentData.totalValue || 0;
-    const state = documentData.state || 'SP';
-    const operation = documentData.operationType || 'VENDA';
 
-    const icmsRates = await getICMSRates(state, operation);
+    // NFC-e is always an in-person sale inside the emitter's state
+    const icms = calculateICMSByItem(documentData, { internalOnly: true });
 
-    const ICMS = baseValue * (icmsRates.reduced / 100);
-    const PIS = baseValue * 0.0165;
-    const COFINS = baseValue * 0.076;
+    const taxes = {
+        ICMS: icms.ICMS
+    };
+    if (icms.FCP > 0) taxes.FCP = icms.FCP;
 
     return {
         baseValue,
-        taxes: {
-            ICMS,
-            PIS,
-            COFINS
-        }
+        taxes,
+        details: { icms: icms.details }
     };
 }
 
 /**
  * calculateCTETaxes:
- * - Basic calculation for CTe (transportation documents)
- * - Example placeholder
+ * - ICMS on the transport service (vTPrest), due to the state where the service starts
+ * - Uses the CST declared in the CT-e and, for interstate services,
+ *   the interstate rate between the origin and destination states
  */
 async function calculateCTETaxes(documentData, taxRules) {
     const baseValue = documentData.totalValue || 0;
-    // Let's assume a standard formula for demonstration
-    const ICMS = baseValue * 0.12;
+    const icms = documentData.icms || {};
+    const origin = resolveUF(documentData.origem?.UF || documentData.state);
+    const destination = resolveUF(documentData.destino?.UF, origin);
+    const interstate = origin !== destination;
+    const data = documentData.dataEmissao || new Date();
+
+    const rate = interstate
+        ? getInterstateICMSRate(origin, destination, { data, transporteAereo: documentData.modal === '02' })
+        : getICMSRates(origin, { data, classe: 'TRANSPORTE' }).aliquota;
+
+    const details = {
+        cst: icms.cst,
+        origem: origin,
+        destino: destination,
+        interestadual: interstate,
+        aliquota: rate,
+        baseCalculo: 0,
+        icmsDeclarado: icms.vICMS || 0
+    };
+
+    // Simples Nacional: ICMS is paid through the DAS, not on the CT-e
+    if (icms.simplesNacional) {
+        return { baseValue, taxes: { ICMS: 0 }, details: { ...details, observacao: 'Emitente do Simples Nacional' } };
+    }
+
+    let ICMS = 0;
+    switch (icms.cst) {
+        case '40': // isenta
+        case '41': // não tributada
+        case '51': // diferida
+            details.observacao = 'Prestação sem destaque de ICMS';
+            break;
+
+        case '60': // cobrado anteriormente por substituição tributária
+            details.observacao = 'ICMS retido pelo tomador (substituição tributária)';
+            details.icmsSTRetido = icms.vICMSSTRet || 0;
+            break;
+
+        case '20': // com redução de base
+        case '90': // outros (inclui ICMSOutraUF)
+        case '00': // tributação normal
+        default: {
+            const reduction = icms.pRedBC || 0;
+            details.baseCalculo = applyRate(baseValue, 100 - reduction, roundingFor('ICMS'));
+            ICMS = applyRate(details.baseCalculo, rate, roundingFor('ICMS'));
+            break;
+        }
+    }
+
     return {
         baseValue,
         taxes: {
             ICMS
-        }
+        },
+        details
     };
 }
 
@@ -452,100 +984,412 @@ async function calculateCTETaxes(documentData, taxRules) {
 /**  6. TAX RATE HELPERS & SPECIAL REGIME HANDLING                         **/
 /***************************************************************************/
 
+// CSTs with no ICMS of its own on the operation (exempt, not taxed, suspended, deferred, ST already paid)
+const ICMS_NO_DEBIT_CSTS = CST_SEM_DEBITO.ICMS;
+
 /**
- * getICMSRates:
- * - Returns an object with ICMS rates depending on state & operation type
- * - In real scenario, you'd query a DB or read from official sources
+ * resolveUF:
+ * - Normalizes a state abbreviation; anything without a rate table falls back
+ *   (GPT-extracted documents sometimes bring the state name instead of the UF)
  */
-async function getICMSRates(state, operation) {
-    // Demo: simplified logic
-    // Some states have a standard ~18% rate
-    if (state === 'SP' && operation === 'VENDA') {
-        return { standard: 18, reduced: 12 };
-    } else if (state === 'RJ') {
-        return { standard: 20, reduced: 13 };
+function resolveUF(value, fallback = 'SP') {
+    const uf = String(value || '').trim().toUpperCase();
+    if (listStates().includes(uf)) {
+        return uf;
+    }
+    if (value) {
+        logger.warn('Unknown state, using fallback for ICMS rates', { value, fallback });
     }
-    return { standard: 18, reduced: 12 };
+    return fallback;
 }
 
 /**
- * getISSRate:
- * - Returns ISS rate for a given municipality and service code
+ * calculateICMSByItem:
+ * - ICMS and FCP per item using the rate tables in force on the emission date
+ * - Internal operations use the emitter state's rate for the product class (from the NCM)
+ * - Interstate operations (idDest 2) use 4/7/12%; FCP is then due to the destination, not here
+ * - IPI joins the base on sales to final consumers (CF art. 155, §2º, XI)
+ * - Documents without items (GPT-extracted) are treated as a single standard item
  */
-async function getISSRate(municipality, serviceCode) {
-    // Demo: simplified logic
-    if (municipality.toLowerCase() === 'são paulo') {
-        return 5; // 5%
-    }
-    return 3; // fallback
+function calculateICMSByItem(documentData, options = {}) {
+    const originUF = resolveUF(documentData.emitente?.endereco?.UF || documentData.state);
+    const destinationUF = options.internalOnly
+        ? originUF
+        : resolveUF(documentData.destinatario?.endereco?.UF, originUF);
+    const idDest = options.internalOnly
+        ? '1'
+        : documentData.ide?.idDest || (originUF === destinationUF ? '1' : '2');
+    const data = documentData.dataEmissao || new Date();
+    const finalConsumer = documentData.ide?.indFinal === '1';
+
+    const items = documentData.items?.length
+        ? documentData.items
+        : [{ valorTotal: documentData.totalValue || 0, ncm: documentData.taxInfo?.ncm, icms: {} }];
+
+    const rounding = roundingFor('ICMS');
+    const itens = items.map(item => {
+        const classe = classifyProduct(item.ncm);
+        const cst = item.icms?.cst;
+        const baseBruta = subtractMoney(
+            sumMoney(item.valorTotal, item.valorFrete, item.valorSeguro, item.outrasDespesas, finalConsumer ? item.ipi?.vIPI : 0),
+            item.valorDesconto
+        );
+        const baseCalculo = applyRate(baseBruta, 100 - (item.icms?.pRedBC || 0), rounding);
+
+        let aliquota;
+        let fcp = 0;
+        let observacao;
+        if (idDest === '3') {
+            aliquota = 0;
+            observacao = 'Exportação (imune)';
+        } else if (idDest === '2') {
+            aliquota = getInterstateICMSRate(originUF, destinationUF, {
+                data,
+                importado: isImportedOrigin(item.icms?.origem)
+            });
+        } else {
+            const rates = getICMSRates(originUF, { data, classe });
+            aliquota = rates.aliquota;
+            fcp = rates.fcp;
+        }
+
+        if (classe === 'COMBUSTIVEL') {
+            aliquota = 0;
+            fcp = 0;
+            observacao = 'Combustível com ICMS monofásico (ad rem)';
+        } else if (ICMS_NO_DEBIT_CSTS.includes(cst)) {
+            aliquota = 0;
+            fcp = 0;
+            observacao = `CST ${cst} sem débito próprio de ICMS`;
+        }
+
+        const valorICMS = applyRate(baseCalculo, aliquota, rounding);
+        const valorFCP = applyRate(baseCalculo, fcp, roundingFor('FCP'));
+
+        return { numeroItem: item.numeroItem, ncm: item.ncm, classe, cst, baseCalculo, aliquota, fcp, valorICMS, valorFCP, observacao };
+    });
+
+    return {
+        ICMS: sumMoney(itens.map(item => item.valorICMS)),
+        FCP: sumMoney(itens.map(item => item.valorFCP)),
+        details: {
+            ufOrigem: originUF,
+            ufDestino: destinationUF,
+            interestadual: idDest === '2',
+            vigencia: getICMSRates(originUF, { data }).vigencia,
+            itens
+        }
+    };
 }
 
 /**
  * calculateIPI:
- * - Stub for calculating IPI based on product type
+ * - Parsed NF-e: per item, on the item value (freight, insurance and other expenses in,
+ *   unconditional discount out) at the declared rate, as there is no TIPI table here
+ * - Exempt, immune, suspended and zero-rate CSTs owe nothing
+ * - Documents without items (GPT-extracted) keep the category example
  */
 function calculateIPI(documentData) {
-    // Example: 4% IPI for certain categories
-    if (documentData.taxInfo?.ipiCategory === 'basic') {
-        return (documentData.totalValue || 0) * 0.04;
+    if (!documentData.items?.length) {
+        // Example: 4% IPI for certain categories
+        const IPI = documentData.taxInfo?.ipiCategory === 'basic'
+            ? applyRate(documentData.totalValue, 4, roundingFor('IPI'))
+            : 0;
+        return { IPI, details: null };
     }
-    return 0;
+
+    const itens = documentData.items.filter(item => item.ipi).map(item => {
+        const baseCalculo = subtractMoney(
+            sumMoney(item.valorTotal, item.valorFrete, item.valorSeguro, item.outrasDespesas),
+            item.valorDesconto
+        );
+        const aliquota = CST_SEM_DEBITO.IPI.includes(item.ipi.cst) ? 0 : item.ipi.pIPI || 0;
+        return {
+            numeroItem: item.numeroItem,
+            cst: item.ipi.cst,
+            baseCalculo,
+            aliquota,
+            valorIPI: applyRate(baseCalculo, aliquota, roundingFor('IPI'))
+        };
+    });
+
+    return { IPI: sumMoney(itens.map(item => item.valorIPI)), details: { itens } };
+}
+
+// Taxes a Simples Nacional company still pays outside the DAS
+const OUTSIDE_DAS_TAXES = ['ICMS_ST', 'FCP_ST', 'DIFAL', 'FCP_DESTINO'];
+
+// Reform year used for the comparison on processed documents and monthly reports
+const REFORM_COMPARISON_YEAR = ANO_FINAL;
+
+/**
+ * isSimplesNacionalIssuer:
+ * - CRT 1/2/4 on NF-e, ICMSSN on CT-e, "optante" flag on NFS-e, or GPT-extracted regime
+ */
+function isSimplesNacionalIssuer(documentData) {
+    return ['1', '2', '4'].includes(documentData.emitente?.crt)
+        || Boolean(documentData.icms?.simplesNacional)
+        || Boolean(documentData.prestador?.optanteSimplesNacional)
+        || documentData.taxInfo?.regime === 'Simples Nacional';
 }
 
 /**
  * applySpecialRegimes:
- * - Adjust base tax calculation based on special regimes or exemptions from taxRules
+ * - Simples Nacional: the company's own sales pay the DAS (effective rate from RBT12,
+ *   split by tax) instead of ICMS/PIS/COFINS/IPI/ISS; ST and DIFAL stay outside the DAS
+ * - Documents issued by other Simples companies carry no separate ICMS/PIS/COFINS
+ * - Lucro Presumido/Real: PIS/COFINS at the regime's rates (cumulative or not)
+ * - Lucro Real purchases: no PIS/COFINS debit, per-item non-cumulative credits instead
  */
-async function applySpecialRegimes(baseCalculation, documentData, taxRules) {
-    // If the doc mentions 'Simples Nacional', we might override some rates
-    if (documentData.taxInfo?.regime === 'Simples Nacional') {
-        // Example override
-        const newCalc = { ...baseCalculation };
-        if (newCalc.taxes.ICMS !== undefined) {
-            newCalc.taxes.ICMS *= 0.5; // hypothetical 50% reduction under certain SN bracket
+async function applySpecialRegimes(baseCalculation, documentData, taxRules, regimeContext = {}) {
+    const direction = regimeContext.cnpj ? getDocumentDirection(documentData, regimeContext.cnpj) : null;
+    const simplesSale = direction === 'saida' && regimeContext.simples;
+    if (regimeContext.regime === 'REAL' && direction === 'entrada') {
+        return applyPisCofinsCredits(baseCalculation, documentData, regimeContext);
+    }
+    if (!simplesSale && !isSimplesNacionalIssuer(documentData)) {
+        return applyPisCofinsRegime(baseCalculation, regimeContext.regime, documentData, direction);
+    }
+
+    const taxes = {};
+    for (const tax of OUTSIDE_DAS_TAXES) {
+        if (baseCalculation.taxes[tax] !== undefined) taxes[tax] = baseCalculation.taxes[tax];
+    }
+
+    if (simplesSale) {
+        const { rbt12, folhaSalarios12, anexoServicos } = regimeContext.simples;
+        let das;
+        try {
+            das = calculateDAS({
+                receitas: splitRevenueByAnexo(documentData, anexoServicos),
+                rbt12,
+                folhaSalarios12,
+                anexoServicos
+            });
+        } catch (error) {
+            // RBT12 above the Simples limit: keep the regular calculation and say why
+            logger.warn('DAS calculation failed', { error: error.message });
+            return { ...baseCalculation, details: { ...baseCalculation.details, simplesNacional: { erro: error.message } } };
         }
-        return newCalc;
+        return {
+            ...baseCalculation,
+            taxes: { DAS: das.total, ...taxes },
+            details: { ...baseCalculation.details, simplesNacional: das }
+        };
     }
-    return baseCalculation;
+
+    return {
+        ...baseCalculation,
+        taxes,
+        details: {
+            ...baseCalculation.details,
+            simplesNacional: { observacao: 'Emitente optante pelo Simples Nacional: tributos recolhidos no DAS do emitente' }
+        }
+    };
 }
 
-/***************************************************************************/
-/**  7. COMPLIANCE VALIDATION                                              **/
-/***************************************************************************/
+/**
+ * applyPisCofinsRegime:
+ * - PIS/COFINS only on the company's own sales under Lucro Presumido/Real, at the
+ *   regime's rates (cumulative or not)
+ * - Both regimes exclude IPI, ICMS-ST and the ICMS itself from the base (revenue, STF Tema 69)
+ * - Anything else carries no PIS/COFINS; details.pisCofins.observacao says why
+ */
+function applyPisCofinsRegime(baseCalculation, regime, documentData, direction) {
+    const rates = getPisCofinsRates(regime);
+    let observacao = null;
+    if (!rates) {
+        observacao = 'PIS/COFINS não calculados: informe o regime tributário da empresa (!regime)';
+    } else if (direction === 'entrada') {
+        observacao = `PIS/COFINS não calculados: compras no ${REGIMES[regime]} não geram débito`;
+    } else if (direction !== 'saida') {
+        observacao = 'PIS/COFINS não calculados: o CNPJ da empresa não é o emitente do documento';
+    }
+    if (observacao) {
+        return { ...baseCalculation, details: { ...baseCalculation.details, pisCofins: { observacao } } };
+    }
+
+    const base = calculatePisCofinsDebitBase(documentData);
+    return {
+        ...baseCalculation,
+        taxes: {
+            ...baseCalculation.taxes,
+            PIS: applyRate(base, rates.PIS, roundingFor('PIS')),
+            COFINS: applyRate(base, rates.COFINS, roundingFor('COFINS'))
+        },
+        details: {
+            ...baseCalculation.details,
+            pisCofins: { regime: REGIMES[regime], cumulativo: rates.cumulativo, aliquotaPIS: rates.PIS, aliquotaCOFINS: rates.COFINS }
+        }
+    };
+}
 
 /**
- * validateCompliance:
- * - Uses GPT to check if the structured document data meets requirements
- * - Returns a JSON structure with status, issues, recommended fixes
+ * applyPisCofinsCredits:
+ * - Purchases of a Lucro Real company owe no PIS/COFINS; NF-e items may generate
+ *   credits (by CST and credit basis), reported per item in details.creditosPisCofins
  */
-async function validateCompliance(documentData, taxRules) {
-    const completion = await openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-            {
-                role: "system",
-                content: `Validate compliance of this tax document against current rules. Check:
-                - Required fields and formats
-                - Tax calculation accuracy
-                - Filing deadlines
-                - Special requirements
-                - Simples Nacional limits
-                - ICMS ST requirements
-                - PIS/COFINS regime compatibility
-                Flag any issues or risks. Return JSON with { status, issues: [], suggestions: [] }`
-            },
-            {
-                role: "user",
-                content: JSON.stringify({
-                    document: documentData,
-                    rules: taxRules
-                })
-            }
-        ]
-    });
+function applyPisCofinsCredits(baseCalculation, documentData, regimeContext) {
+    const creditos = documentData.items?.length
+        ? calculatePisCofinsCredits(documentData, { atividade: regimeContext.atividade })
+        : null;
 
-    let validationResult;
-    try {
+    return {
+        ...baseCalculation,
+        details: { ...baseCalculation.details, creditosPisCofins: creditos }
+    };
+}
+
+/**
+ * buildRegimeContext:
+ * - Loads the user's tax regime; for Simples Nacional companies also the RBT12 and
+ *   revenue by annex for the period of the reference date
+ * - documents: the user's documents already loaded by loadUserDocuments (loaded here when omitted)
+ */
+async function buildRegimeContext(userId, referenceDate = new Date(), documents = null) {
+    if (!userId) return {};
+
+    const user = await db.get('SELECT * FROM users WHERE id = ?', [userId]);
+    if (!user) return {};
+
+    const context = { cnpj: user.cnpj, regime: user.regimeTributario, atividade: user.atividadePrincipal };
+    if (user.regimeTributario === 'SIMPLES') {
+        context.simples = await getSimplesContext(user, referenceDate, documents);
+    }
+    return context;
+}
+
+/**
+ * getSimplesContext:
+ * - RBT12 = the company's own revenue in the 12 months before the period (by emission date),
+ *   annualized when there is less than a year of history; same base as the period's revenue
+ *   (items minus discounts, see documentRevenue)
+ * - Revenue of the period split by annex
+ * - A string reference (dhEmi, 'YYYY-MM-DD') picks its own month, regardless of the server timezone
+ */
+async function getSimplesContext(user, referenceDate = new Date(), documents = null) {
+    const issued = typeof referenceDate === 'string' ? emissionDate({ dataEmissao: referenceDate }) : null;
+    const reference = new Date(referenceDate);
+    const period = Number.isNaN(reference.getTime()) ? new Date() : reference;
+    const periodIndex = issued ? monthIndexOf(issued) : period.getFullYear() * 12 + period.getMonth();
+    const anexoServicos = user.anexoServicos || 'III';
+
+    const monthlyRevenue = new Array(12).fill(0);
+    const receitas = {};
+    let firstRevenueIndex = null;
+
+    for (const { documentData, direcao, monthIndex } of documents || await loadUserDocuments(db, user)) {
+        if (direcao !== 'saida') continue;
+        if (monthIndex === periodIndex) {
+            for (const [anexo, value] of Object.entries(splitRevenueByAnexo(documentData, anexoServicos))) {
+                receitas[anexo] = sumMoney(receitas[anexo], value);
+            }
+        } else if (monthIndex < periodIndex && monthIndex >= periodIndex - 12) {
+            monthlyRevenue[periodIndex - monthIndex - 1] = sumMoney(monthlyRevenue[periodIndex - monthIndex - 1], documentRevenue(documentData));
+        }
+        if (monthIndex < periodIndex && (firstRevenueIndex === null || monthIndex < firstRevenueIndex)) {
+            firstRevenueIndex = monthIndex;
+        }
+    }
+
+    const monthsWithHistory = firstRevenueIndex === null ? 0 : Math.min(periodIndex - firstRevenueIndex, 12);
+    const { rbt12, proporcional } = calculateRBT12(monthlyRevenue, { mesesComHistorico: monthsWithHistory });
+
+    return {
+        periodo: { mes: (periodIndex % 12) + 1, ano: Math.floor(periodIndex / 12) },
+        rbt12,
+        rbt12Proporcional: proporcional,
+        receitas,
+        folhaSalarios12: user.folhaSalarios12 || 0,
+        anexoServicos
+    };
+}
+
+/**
+ * getRegimeEstimate:
+ * - Lucro Presumido: IRPJ (+ additional) and CSLL of the quarter containing the month
+ * - Lucro Real: monthly IRPJ/CSLL estimate; both with PIS/COFINS of the month, on the
+ *   same base as each sale (calculatePisCofinsDebitBase)
+ * - Built from the company's own sales, by emission date
+ */
+async function getRegimeEstimate(user, month, year, documents = null) {
+    const monthIndex = year * 12 + (month - 1);
+    const firstMonth = user.regimeTributario === 'PRESUMIDO' ? monthIndex - ((month - 1) % 3) : monthIndex;
+    const lastMonth = user.regimeTributario === 'PRESUMIDO' ? firstMonth + 2 : monthIndex;
+    const atividadeServicos = user.atividadePrincipal || 'SERVICOS';
+
+    const receitasPeriodoIRPJ = {};
+    let receitaMes = 0;
+    for (const { documentData, direcao, monthIndex: issuedIndex } of documents || await loadUserDocuments(db, user)) {
+        if (direcao !== 'saida' || issuedIndex < firstMonth || issuedIndex > lastMonth) continue;
+        for (const [atividade, value] of Object.entries(splitRevenueByActivity(documentData, atividadeServicos))) {
+            receitasPeriodoIRPJ[atividade] = sumMoney(receitasPeriodoIRPJ[atividade], value);
+        }
+        if (issuedIndex === monthIndex) receitaMes = sumMoney(receitaMes, calculatePisCofinsDebitBase(documentData));
+    }
+
+    const estimate = estimateRegimeTaxes(user.regimeTributario, { receitasPeriodoIRPJ, receitaMes });
+    estimate.periodoIRPJ = user.regimeTributario === 'PRESUMIDO'
+        ? `${Math.floor((month - 1) / 3) + 1}º trimestre/${year}`
+        : `${String(month).padStart(2, '0')}/${year}`;
+    return estimate;
+}
+
+/**
+ * spedRequirement:
+ * - Why the user cannot generate a SPED file ('icms' or 'contribuicoes'), or null
+ */
+function spedRequirement(user, tipo) {
+    if (!user.cnpj) {
+        return 'Cadastre o CNPJ da empresa (!onboarding) antes de gerar a EFD.';
+    }
+    if (tipo === 'icms' && user.regimeTributario === 'SIMPLES') {
+        return 'Empresas do Simples Nacional são dispensadas da EFD ICMS/IPI.';
+    }
+    if (tipo === 'contribuicoes' && !getPisCofinsRates(user.regimeTributario)) {
+        return 'A EFD-Contribuições é gerada para o Lucro Presumido ou Real: informe o regime com !regime.';
+    }
+    return null;
+}
+
+/***************************************************************************/
+/**  7. COMPLIANCE VALIDATION                                              **/
+/***************************************************************************/
+
+/**
+ * validateCompliance:
+ * - Uses GPT to check if the structured document data meets requirements
+ * - Declared-vs-calculated divergences (reconcileDeclaredTaxes) raise the status to warning
+ * - Returns a JSON structure with status, issues, recommended fixes
+ */
+async function validateCompliance(documentData, taxRules, reconciliation = null) {
+    const completion = await openai.chat.completions.create({
+        model: "gpt-4",
+        messages: [
+            {
+                role: "system",
+                content: `Validate compliance of this tax document against current rules. Check:
+                - Required fields and formats
+                - Tax calculation accuracy
+                - Filing deadlines
+                - Special requirements
+                - Simples Nacional limits
+                - ICMS ST requirements
+                - PIS/COFINS regime compatibility
+                Flag any issues or risks. Return JSON with { status, issues: [], suggestions: [] }`
+            },
+            {
+                role: "user",
+                content: JSON.stringify({
+                    document: documentData,
+                    rules: taxRules
+                })
+            }
+        ]
+    });
+
+    let validationResult;
+    try {
         validationResult = JSON.parse(completion.choices[0].message.content);
         
         // Adiciona verificação de limite do Simples Nacional
@@ -563,6 +1407,43 @@ async function validateCompliance(documentData, taxRules) {
             suggestions: []
         };
     }
+
+    // Offline access-key and signature checks are facts, not GPT opinions: they always win
+    const offlineIssues = [
+        ...(documentData.validacaoChave?.issues || []),
+        ...(documentData.assinatura?.issues || [])
+    ];
+    if (offlineIssues.length > 0) {
+        validationResult.issues = [...offlineIssues, ...(validationResult.issues || [])];
+        validationResult.status = 'error';
+    }
+
+    // ICMS-ST divergences are computed from our tables: a warning unless something worse was found
+    const stIssues = documentData.substituicaoTributaria?.issues || [];
+    if (stIssues.length > 0) {
+        validationResult.issues = [...(validationResult.issues || []), ...stIssues];
+        if (validationResult.status !== 'error') validationResult.status = 'warning';
+    }
+
+    // ISS rules checked against the municipal tables and LC 116
+    const issIssues = documentData.conferenciaISS?.issues || [];
+    if (issIssues.length > 0) {
+        validationResult.issues = [...(validationResult.issues || []), ...issIssues];
+        if (validationResult.status !== 'error') validationResult.status = 'warning';
+    }
+
+    // Federal withholdings (IRRF, PIS/COFINS/CSLL, INSS) different from what the NFS-e declares
+    const withholdingIssues = documentData.conferenciaRetencoes?.divergencias || [];
+    if (withholdingIssues.length > 0) {
+        validationResult.issues = [...(validationResult.issues || []), ...withholdingIssues];
+        if (validationResult.status !== 'error') validationResult.status = 'warning';
+    }
+
+    // Reconciliation divergences are listed on their own in the reply; here they only set the status
+    if (reconciliation?.divergencias.length > 0 && validationResult.status !== 'error') {
+        validationResult.status = 'warning';
+    }
+
     return validationResult;
 }
 
@@ -573,24 +1454,59 @@ async function validateCompliance(documentData, taxRules) {
 /**
  * storeDocumentInDb:
  * - Saves structured doc data into DB for future reference
+ * - With its direction ('entrada'/'saida') for the user, when known
  */
-async function storeDocumentInDb(userId, documentData) {
+async function storeDocumentInDb(userId, documentData, direction = null) {
     try {
         const statement = `
-            INSERT INTO documents (userId, documentType, totalValue, state, municipality, rawData)
-            VALUES (?, ?, ?, ?, ?, ?)
+            INSERT INTO documents (userId, documentType, totalValue, state, municipality, direcao, rawData)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
         `;
-        await db.run(statement, [
+        const result = await db.run(statement, [
             userId,
             documentData.documentType,
             documentData.totalValue || 0,
             documentData.state || '',
             documentData.municipality || '',
+            direction,
             JSON.stringify(documentData)
         ]);
-        logger.info('Document stored successfully', { userId });
+        logger.info('Document stored successfully', { userId, documentId: result.lastID, direction });
+        return result.lastID;
     } catch (error) {
         logger.error('Error storing document in DB', { error, userId });
+        return null;
+    }
+}
+
+/**
+ * storeReconciliation:
+ * - Saves the declared-vs-calculated reconciliation of a stored document
+ *   (reprocessing the same document replaces it)
+ */
+async function storeReconciliation(documentId, userId, reconciliation) {
+    try {
+        await db.run(`
+            INSERT INTO tax_reconciliations
+                (documentId, userId, documentType, status, divergencias, diferencaTotal, reconciliationData)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (documentId) DO UPDATE SET
+                status = excluded.status,
+                divergencias = excluded.divergencias,
+                diferencaTotal = excluded.diferencaTotal,
+                reconciliationData = excluded.reconciliationData,
+                createdAt = CURRENT_TIMESTAMP
+        `, [
+            documentId,
+            userId,
+            reconciliation.documentType,
+            reconciliation.status,
+            reconciliation.divergencias.length,
+            reconciliation.diferencaTotal,
+            JSON.stringify(reconciliation)
+        ]);
+    } catch (error) {
+        logger.error('Error storing tax reconciliation', { error, documentId });
     }
 }
 
@@ -624,6 +1540,40 @@ async function createUser(whatsappId, cnpj = null, companyName = null) {
     }
 }
 
+/**
+ * hashApiKey:
+ * - API keys are only stored as SHA-256 hashes
+ */
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * createApiKeyForUser:
+ * - Generates a new API key for the user, replacing any previous one
+ * - Returns the plain key (it cannot be recovered later)
+ */
+async function createApiKeyForUser(userId) {
+    const apiKey = `txb_${crypto.randomBytes(24).toString('hex')}`;
+    await db.run('UPDATE users SET apiKeyHash = ? WHERE id = ?', [hashApiKey(apiKey), userId]);
+    logger.info('API key generated', { userId });
+    return apiKey;
+}
+
+/**
+ * getUserByApiKey:
+ * - Retrieves a user record by the plain API key sent in a request
+ */
+async function getUserByApiKey(apiKey) {
+    try {
+        const row = await db.get('SELECT * FROM users WHERE apiKeyHash = ?', [hashApiKey(apiKey)]);
+        return row || null;
+    } catch (error) {
+        logger.error('Error fetching user by API key', { error });
+        return null;
+    }
+}
+
 /***************************************************************************/
 /**  9. WHATSAPP CLIENT & MESSAGE HANDLERS                                 **/
 /***************************************************************************/
@@ -668,6 +1618,10 @@ client.on('message', async (message) => {
         else if (message.body.startsWith('!')) {
             await handleCommand(message, user);
         }
+        // Answers to an onboarding step in progress (CNPJ, company name, IE)
+        else if (conversationState[user.id]) {
+            await startOnboardingFlow(message, user);
+        }
         // Otherwise, treat as natural language query
         else {
             await handleQuery(message, user);
@@ -701,10 +1655,14 @@ async function handleDocumentMessage(message, user) {
         // Convert base64 to buffer
         const buffer = Buffer.from(media.data, 'base64');
 
-        const result = await processDocument(buffer, media.mimetype, { userId: user.id });
+        const result = await processDocument(buffer, media.mimetype, { userId: user.id, cnpj: user.cnpj });
         await sendStructuredResponse(message, result);
     } catch (error) {
         logger.error('handleDocumentMessage error', { error, userId: user.id });
+        if (error instanceof UnsupportedDocumentError) {
+            await message.reply(`❌ ${error.message}`);
+            return;
+        }
         await message.reply('❌ Erro ao processar o documento. Tente novamente.');
     }
 }
@@ -741,7 +1699,7 @@ async function handleCommand(message, user) {
             break;
 
         case 'relatorio':
-            await generateTaxReport(message, user);
+            await generateTaxReport(message, args, user);
             break;
 
         case 'alerta':
@@ -766,6 +1724,26 @@ async function handleCommand(message, user) {
             await startOnboardingFlow(message, user);
             break;
 
+        case 'apikey':
+            await sendApiKey(message, user);
+            break;
+
+        case 'simples':
+            await configureSimples(message, args, user);
+            break;
+
+        case 'regime':
+            await configureRegime(message, args, user);
+            break;
+
+        case 'ajuste':
+            await configureAdjustment(message, args, user);
+            break;
+
+        case 'sped':
+            await sendSpedFile(message, args, user);
+            break;
+
         default:
             await message.reply('Comando não reconhecido. Use !ajuda para ver os comandos disponíveis.');
     }
@@ -778,56 +1756,184 @@ async function handleCommand(message, user) {
 /**
  * handleCalculationRequest:
  * - Possibly parse the user input to figure out the document type & value
- * - Return a dummy or real calculation
+ * - Simulates a sale issued by the user, under the user's regime like a processed document
+ *   (PIS/COFINS at the regime's rates, or the DAS for Simples Nacional)
  */
 async function handleCalculationRequest(input, user) {
-    // For demonstration, let’s parse a value
-    const valueMatch = input.match(/(\d+(\.\d+)?)/);
-    const baseValue = valueMatch ? parseFloat(valueMatch[0]) : 1000;
+    // Input: <valor> [UF origem] [UF destino] [NCM] [ano=AAAA], e.g. "1000 SP BA 22030000 ano=2029"
+    const allTokens = input.trim().split(/\s+/).filter(Boolean);
+    if (['simples', 'das'].includes(allTokens[0]?.toLowerCase())) {
+        return handleSimplesCalculation(allTokens.slice(1), user);
+    }
+
+    // Reform target year flag: ano=2029, ano:2029 or --ano=2029
+    const yearToken = allTokens.find(token => /^(--)?ano[=:]\d{4}$/i.test(token));
+    const reformYear = yearToken ? parseInt(yearToken.replace(/\D/g, ''), 10) : null;
+    const tokens = allTokens.filter(token => token !== yearToken);
+
+    const states = tokens.filter(token => listStates().includes(token.toUpperCase())).map(token => token.toUpperCase());
+    const ncm = tokens.find(token => /^\d{8}$/.test(token.replace(/\./g, '')));
+    const valueToken = tokens.find(token => token !== ncm && /^\d+(\.\d+)?$/.test(token));
+    const baseValue = valueToken ? money(valueToken) : 1000;
+
+    const originUF = states[0] || resolveUF(user.uf);
+    const destinationUF = states[1] || originUF;
 
-    // Example: Perform a default NFE calculation
     const nfeData = {
         documentType: 'NFE',
         totalValue: baseValue,
-        state: 'SP',
+        state: originUF,
         operationType: 'VENDA',
+        dataEmissao: new Date().toISOString(),
+        ide: { idDest: originUF === destinationUF ? '1' : '2' },
+        emitente: { cnpj: user.cnpj || null, endereco: { UF: originUF } },
+        destinatario: { endereco: { UF: destinationUF } },
+        items: [{ ncm: ncm?.replace(/\./g, ''), valorTotal: baseValue, icms: {} }],
         taxInfo: {}
     };
 
     const taxRules = []; // skipping search for brevity
-    const result = await calculateNFETaxes(nfeData, taxRules);
+    const regimeContext = await buildRegimeContext(user.id);
+    const result = await calculateTaxesWithRules(nfeData, taxRules, regimeContext);
+    const icmsItem = result.details.icms.itens[0];
+    const totalTax = sumMoney(Object.values(result.taxes));
+
+    const rates = [];
+    const das = result.details.simplesNacional;
+    if (das?.anexos) {
+        for (const anexo of das.anexos) {
+            rates.push({ name: `DAS (Simples Nacional, Anexo ${anexo.anexo})`, value: Number(anexo.aliquotaEfetiva.toFixed(2)) });
+        }
+    } else {
+        rates.push({ name: `ICMS ${originUF}${destinationUF !== originUF ? ` → ${destinationUF}` : ''}`, value: icmsItem.aliquota });
+        if (icmsItem.fcp > 0) rates.push({ name: 'FCP', value: icmsItem.fcp });
+        const pisCofins = result.details.pisCofins;
+        if (pisCofins?.aliquotaPIS !== undefined) {
+            rates.push({ name: 'PIS', value: pisCofins.aliquotaPIS }, { name: 'COFINS', value: pisCofins.aliquotaCOFINS });
+        }
+    }
 
     // Format a more complete structure
     const response = {
         baseValue,
-        rates: [
-            { name: 'ICMS', value: 18 },
-            { name: 'PIS', value: 1.65 },
-            { name: 'COFINS', value: 7.6 }
-        ],
-        totalTax: (result.taxes.ICMS + result.taxes.PIS + result.taxes.COFINS).toFixed(2),
-        netValue: (baseValue - (result.taxes.ICMS + result.taxes.PIS + result.taxes.COFINS)).toFixed(2)
+        rates,
+        totalTax,
+        netValue: subtractMoney(baseValue, totalTax),
+        observacao: result.details.pisCofins?.observacao
     };
 
+    if (reformYear) {
+        try {
+            response.reforma = compareDocumentWithReform(nfeData, result, reformYear);
+        } catch (error) {
+            response.reforma = { erro: error.message };
+        }
+    }
+
     return response;
 }
 
+/**
+ * handleSimplesCalculation:
+ * - DAS of the current month: RBT12 from stored documents, revenue from the
+ *   stored sales or from the value typed by the user (optionally with the annex)
+ */
+async function handleSimplesCalculation(tokens, user) {
+    const simples = await getSimplesContext(user, new Date());
+    const valueToken = tokens.find(token => /^\d+(\.\d+)?$/.test(token));
+    const anexo = tokens.find(token => /^(I|II|III|IV|V)$/i.test(token))?.toUpperCase() || 'I';
+
+    const receitas = valueToken ? { [anexo]: money(valueToken) } : simples.receitas;
+    let das;
+    try {
+        das = calculateDAS({
+            receitas,
+            rbt12: simples.rbt12,
+            folhaSalarios12: simples.folhaSalarios12,
+            anexoServicos: simples.anexoServicos
+        });
+    } catch (error) {
+        return { simplesNacional: { erro: error.message } };
+    }
+
+    return { simplesNacional: { ...das, rbt12Proporcional: simples.rbt12Proporcional, periodo: simples.periodo } };
+}
+
+/**
+ * formatSimplesCalculation:
+ * - DAS estimate with annex, bracket, effective rate and the split by tax
+ */
+function formatSimplesCalculation(das) {
+    if (das.erro) {
+        return `❌ ${das.erro}`;
+    }
+
+    const anexos = das.anexos.map(a =>
+        `- Anexo ${a.anexo}${a.anexoInformado !== a.anexo ? ` (Fator R, informado ${a.anexoInformado})` : ''}: ` +
+        `receita R$ ${a.receita.toFixed(2)}, faixa ${a.faixa}, alíquota efetiva ${a.aliquotaEfetiva.toFixed(2)}% = R$ ${a.valor.toFixed(2)}`
+    ).join('\n');
+    const partilha = Object.entries(das.partilha)
+        .map(([tax, value]) => `- ${tax}: R$ ${value.toFixed(2)}`)
+        .join('\n');
+
+    return (
+        `🧾 *Simples Nacional - DAS ${String(das.periodo.mes).padStart(2, '0')}/${das.periodo.ano}*\n\n` +
+        `RBT12: R$ ${das.rbt12.toFixed(2)}${das.rbt12Proporcional ? ' (proporcionalizada, menos de 12 meses de histórico)' : ''}\n` +
+        (das.fatorR !== null ? `Fator R: ${(das.fatorR * 100).toFixed(2)}%\n` : '') +
+        `\n${anexos || 'Nenhuma receita no período.'}\n\n` +
+        `*Total do DAS:* R$ ${das.total.toFixed(2)}\n` +
+        (partilha ? `\n*Partilha:*\n${partilha}\n` : '') +
+        (das.foraDoDAS.length ? `\n⚠️ RBT12 acima do sublimite: ${das.foraDoDAS.join(' e ')} fora do DAS\n` : '')
+    );
+}
+
 /**
  * formatCalculation:
  * - Takes the result of a tax calculation & outputs a readable message
  */
 function formatCalculation(calculation) {
+    if (calculation.simplesNacional) {
+        return formatSimplesCalculation(calculation.simplesNacional);
+    }
+
     return (
         `💰 *Cálculo de Impostos*\n\n` +
-        `Base de Cálculo: R$ ${calculation.baseValue}\n` +
+        `Base de Cálculo: R$ ${calculation.baseValue.toFixed(2)}\n` +
         `Alíquotas Aplicadas:\n` +
         calculation.rates.map(r => `- ${r.name}: ${r.value}%`).join('\n') + `\n\n` +
-        `Total de Impostos: R$ ${calculation.totalTax}\n` +
-        `Valor Líquido: R$ ${calculation.netValue}\n\n` +
+        `Total de Impostos: R$ ${calculation.totalTax.toFixed(2)}\n` +
+        `Valor Líquido: R$ ${calculation.netValue.toFixed(2)}\n\n` +
+        (calculation.observacao ? `_${calculation.observacao}_\n\n` : '') +
+        (calculation.reforma ? formatReformCalculation(calculation.reforma) + `\n` : '') +
         `_Baseado nas regras vigentes em ${new Date().toLocaleDateString('pt-BR')}_`
     );
 }
 
+/**
+ * formatReformCalculation:
+ * - CBS/IBS/IS simulation for the chosen year next to today's total
+ */
+function formatReformCalculation(reforma) {
+    if (reforma.erro) {
+        return `❌ ${reforma.erro}\n`;
+    }
+
+    const { simulacao } = reforma;
+    const item = simulacao.itens[0];
+    const taxes = Object.entries(simulacao.taxes)
+        .map(([tax, value]) => `- ${tax}: R$ ${value.toFixed(2)}`)
+        .join('\n');
+
+    return (
+        `🔄 *Reforma Tributária - ${reforma.ano}* (${reforma.fase})\n` +
+        `CBS ${simulacao.aliquotas.CBS.toFixed(2)}% | IBS ${simulacao.aliquotas.IBS.toFixed(2)}%` +
+        (item && item.regime !== 'PADRAO' ? ` - ${item.descricao} (redução de ${item.reducao}%)` : '') + `\n` +
+        `${taxes}\n` +
+        `Total: R$ ${reforma.reforma.toFixed(2)} (hoje R$ ${reforma.atual.toFixed(2)}, diferença R$ ${reforma.diferenca.toFixed(2)})\n` +
+        simulacao.observacoes.map(obs => `_${obs}_\n`).join('')
+    );
+}
+
 /**
  * checkDeadlines:
  * - Stub for checking upcoming deadlines
@@ -891,6 +1997,201 @@ async function configureAlerts(message, args, user) {
     }
 }
 
+/**
+ * configureSimples:
+ * - Marks the company as Simples Nacional and stores the data the DAS needs:
+ *   payroll of the last 12 months (Fator R) and the annex of its services
+ */
+async function configureSimples(message, args, user) {
+    const updates = { regimeTributario: 'SIMPLES' };
+
+    for (let i = 0; i < args.length; i += 2) {
+        const option = args[i].toLowerCase();
+        const value = args[i + 1];
+        if (option === 'folha' && /^\d+(\.\d+)?$/.test(value || '')) {
+            updates.folhaSalarios12 = money(value);
+        } else if (option === 'anexo' && /^(III|IV|V)$/i.test(value || '')) {
+            updates.anexoServicos = value.toUpperCase();
+        } else {
+            await message.reply('Use: !simples folha <valor da folha em 12 meses> anexo <III|IV|V>');
+            return;
+        }
+    }
+
+    const columns = Object.keys(updates);
+    await db.run(
+        `UPDATE users SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...Object.values(updates), user.id]
+    );
+
+    const updated = { ...user, ...updates };
+    await message.reply(
+        `✅ Simples Nacional configurado.\n` +
+        `Folha (12 meses): R$ ${(updated.folhaSalarios12 || 0).toFixed(2)}\n` +
+        `Anexo dos serviços: ${updated.anexoServicos || 'III'}\n\n` +
+        `Use !calculo simples para estimar o DAS do mês.`
+    );
+}
+
+/**
+ * configureRegime:
+ * - Shows or sets the company's tax regime and, for Presumido/Real, the activity
+ *   used to presume the profit of its services
+ */
+async function configureRegime(message, args, user) {
+    const activityOptions = Object.keys(ATIVIDADES).map(a => a.toLowerCase()).join(', ');
+    if (args.length === 0) {
+        await message.reply(
+            `Regime atual: ${REGIMES[user.regimeTributario] || 'não informado'}` +
+            (user.atividadePrincipal ? ` (atividade: ${ATIVIDADES[user.atividadePrincipal]?.descricao})` : '') + `\n\n` +
+            `Use: !regime <simples|presumido|real> [atividade]\nAtividades: ${activityOptions}`
+        );
+        return;
+    }
+
+    const regime = args[0].toUpperCase();
+    const atividade = args[1]?.toUpperCase().replace(/-/g, '_');
+    if (!REGIMES[regime] || (atividade && !ATIVIDADES[atividade])) {
+        await message.reply(`Use: !regime <simples|presumido|real> [atividade]\nAtividades: ${activityOptions}`);
+        return;
+    }
+
+    await db.run(
+        'UPDATE users SET regimeTributario = ?, atividadePrincipal = COALESCE(?, atividadePrincipal) WHERE id = ?',
+        [regime, atividade || null, user.id]
+    );
+    await message.reply(
+        `✅ Regime definido: ${REGIMES[regime]}` +
+        (atividade ? ` - ${ATIVIDADES[atividade].descricao}` : '') +
+        (regime === 'SIMPLES' ? `\nUse !simples para informar folha e anexo.` : '')
+    );
+}
+
+/**
+ * configureAdjustment:
+ * - Lists or adds manual adjustments (estornos, presumed credits...) to the ICMS/IPI
+ *   apuração of a period (current month by default)
+ */
+async function configureAdjustment(message, args, user) {
+    const usage = 'Use: !ajuste [MM/AAAA] <icms|ipi> <debito|credito> <valor> <descrição>';
+    const now = new Date();
+    let month = now.getMonth() + 1;
+    let year = now.getFullYear();
+    if (/^\d{2}\/\d{4}$/.test(args[0] || '')) {
+        [month, year] = args.shift().split('/').map(Number);
+        if (month < 1 || month > 12) {
+            await message.reply(usage);
+            return;
+        }
+    }
+    const period = `${String(month).padStart(2, '0')}/${year}`;
+
+    if (args.length === 0) {
+        const ajustes = await db.all(
+            'SELECT tributo, tipo, valor, descricao FROM apuracao_ajustes WHERE userId = ? AND year = ? AND month = ? ORDER BY id',
+            [user.id, year, month]
+        );
+        await message.reply(
+            ajustes.length
+                ? `*Ajustes da apuração ${period}:*\n` + ajustes.map(ajuste =>
+                    `${ajuste.tributo} a ${ajuste.tipo === 'DEBITO' ? 'débito' : 'crédito'}: R$ ${ajuste.valor.toFixed(2)} - ${ajuste.descricao}`
+                ).join('\n')
+                : `Nenhum ajuste na apuração ${period}.\n${usage}`
+        );
+        return;
+    }
+
+    const tributo = args[0].toUpperCase();
+    const tipo = (args[1] || '').toUpperCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const valor = args[2] || '';
+    const descricao = args.slice(3).join(' ').trim();
+    if (!TRIBUTOS_APURACAO.includes(tributo) || !TIPOS_AJUSTE.includes(tipo) || !/^\d+([.,]\d{1,2})?$/.test(valor) || !descricao) {
+        await message.reply(usage);
+        return;
+    }
+
+    const amount = money(valor.replace(',', '.'));
+    await db.run(
+        'INSERT INTO apuracao_ajustes (userId, month, year, tributo, tipo, valor, descricao) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [user.id, month, year, tributo, tipo, amount, descricao]
+    );
+    await message.reply(
+        `✅ Ajuste de ${tributo} a ${tipo === 'DEBITO' ? 'débito' : 'crédito'} de R$ ${amount.toFixed(2)} registrado na apuração ${period}.`
+    );
+}
+
+/**
+ * sendSpedFile:
+ * - Generates the EFD ICMS/IPI (default) or the EFD-Contribuições of a period (previous
+ *   month by default) and sends the .txt with the record counts and validation; a file
+ *   with structural errors is not sent
+ */
+async function sendSpedFile(message, args, user) {
+    const usage = 'Use: !sped [icms|contribuicoes] [MM/AAAA]';
+    const tipo = ['icms', 'contribuicoes'].includes((args[0] || '').toLowerCase()) ? args.shift().toLowerCase() : 'icms';
+    const previous = new Date();
+    previous.setDate(1);
+    previous.setMonth(previous.getMonth() - 1);
+    let month = previous.getMonth() + 1;
+    let year = previous.getFullYear();
+    if (args[0]) {
+        if (!/^\d{2}\/\d{4}$/.test(args[0])) {
+            await message.reply(usage);
+            return;
+        }
+        [month, year] = args[0].split('/').map(Number);
+        if (month < 1 || month > 12) {
+            await message.reply(usage);
+            return;
+        }
+    }
+    const requirement = spedRequirement(user, tipo);
+    if (requirement) {
+        await message.reply(requirement);
+        return;
+    }
+
+    const titulo = tipo === 'icms' ? 'EFD ICMS/IPI' : 'EFD-Contribuições';
+    try {
+        const efd = tipo === 'icms' ? await buildEFDICMSIPI(db, user, month, year) : await buildEFDContribuicoes(db, user, month, year);
+        const { erros, avisos } = efd.validacao;
+        // In file order (the counts object lists numeric record types like 1001 first)
+        const counts = [...new Set(efd.linhas.map(linha => linha.split('|')[1]))]
+            .map(registro => `${registro}: ${efd.registros[registro]}`).join(', ');
+        let reply = `📄 *${titulo} ${String(month).padStart(2, '0')}/${year}*\n\n`;
+        if (tipo === 'icms') {
+            reply += `Documentos (C100): ${efd.resumo.documentos}\n` +
+                `Participantes: ${efd.resumo.participantes} | Itens: ${efd.resumo.itens}\n` +
+                `ICMS a recolher: R$ ${efd.resumo.apuracao.ICMS.aRecolher.toFixed(2)} | ` +
+                `Saldo credor: R$ ${efd.resumo.apuracao.ICMS.saldoCredor.toFixed(2)}\n`;
+        } else {
+            const { PIS, COFINS } = efd.resumo.apuracao;
+            reply += `Regime: ${REGIMES[efd.resumo.regime]}\n` +
+                `NFS-e (A100): ${efd.resumo.documentos.servicos} | Notas (C100): ${efd.resumo.documentos.notas}\n` +
+                `Receita bruta: R$ ${efd.resumo.receitaBruta.toFixed(2)} | Base: R$ ${efd.resumo.baseCalculo.toFixed(2)}\n` +
+                `PIS a recolher: R$ ${PIS.aRecolher.toFixed(2)} | COFINS a recolher: R$ ${COFINS.aRecolher.toFixed(2)}\n` +
+                (PIS.retencao > 0 || COFINS.retencao > 0
+                    ? `Retenções deduzidas: PIS R$ ${PIS.retencao.toFixed(2)} | COFINS R$ ${COFINS.retencao.toFixed(2)}\n`
+                    : '');
+        }
+        reply += `Linhas: ${efd.linhas.length}\nRegistros: ${counts}\n`;
+        if (erros.length > 0) {
+            reply += `\n❌ *Erros de estrutura (arquivo não enviado):*\n${erros.map(erro => `- ${erro}`).join('\n')}\n`;
+        }
+        if (avisos.length > 0) {
+            reply += `\n⚠️ *Avisos:*\n${avisos.map(aviso => `- ${aviso}`).join('\n')}\n`;
+        }
+        await message.reply(reply);
+
+        if (erros.length === 0) {
+            await message.reply(new MessageMedia('text/plain', efd.buffer.toString('base64'), efd.nomeArquivo));
+        }
+    } catch (error) {
+        logger.error('Error generating SPED file', { error, userId: user.id, tipo });
+        await message.reply(`❌ Erro ao gerar a ${titulo}. Por favor, tente novamente.`);
+    }
+}
+
 /**
  * sendHelpMessage:
  * - Lists available commands
@@ -899,15 +2200,34 @@ async function sendHelpMessage(message) {
     await message.reply(
         `🆘 *Ajuda - Comandos Disponíveis*\n\n` +
         `!regras <termo> - Pesquisar regras tributárias\n` +
-        `!calculo <valor> - Simular cálculo de impostos\n` +
+        `!calculo <valor> [UF origem] [UF destino] [NCM] [ano=${ANO_INICIAL}..${ANO_FINAL}] - Simular cálculo de impostos (com a reforma tributária no ano)\n` +
+        `!calculo simples [valor] [anexo] - Estimar o DAS do mês\n` +
         `!prazo <estado> - Ver prazos de pagamento\n` +
         `!consulta <pergunta> - Consultoria tributária\n` +
-        `!relatorio - Gerar relatório mensal\n` +
+        `!relatorio [MM/AAAA | T1..T4 AAAA | AAAA] - Gerar relatório do mês (padrão: atual), trimestre ou ano\n` +
         `!alerta on/off - Ativar/desativar alertas\n` +
+        `!apikey - Gerar chave de acesso à API REST\n` +
+        `!regime [simples|presumido|real] [atividade] - Regime tributário da empresa\n` +
+        `!simples [folha <valor>] [anexo III|IV|V] - Configurar o Simples Nacional\n` +
+        `!ajuste [MM/AAAA] <icms|ipi> <debito|credito> <valor> <descrição> - Ajuste na apuração de ICMS/IPI\n` +
+        `!sped [icms|contribuicoes] [MM/AAAA] - Gerar o arquivo da EFD ICMS/IPI ou da EFD-Contribuições do mês\n` +
         `!ajuda - Mostrar este menu\n`
     );
 }
 
+/**
+ * sendApiKey:
+ * - Generates a REST API key and sends it to the user (shown only once)
+ */
+async function sendApiKey(message, user) {
+    const apiKey = await createApiKeyForUser(user.id);
+    await message.reply(
+        `🔑 *Chave da API TaxiBot*\n\n${apiKey}\n\n` +
+        `Envie no cabeçalho "Authorization: Bearer <chave>".\n` +
+        `Guarde-a em local seguro: ela não será exibida novamente e qualquer chave anterior foi revogada.`
+    );
+}
+
 /**
  * Envia status de compliance
  */
@@ -936,32 +2256,44 @@ async function startOnboardingFlow(message, user) {
         const { step } = conversationState[user.id];
         
         if (step === 0) {
-            // Usuário enviou CNPJ
-            const cnpj = message.body;
+            // Usuário enviou CNPJ (dígitos conferidos localmente antes da consulta à Receita)
+            const cnpj = normalizeTaxId(message.body);
             try {
-                await validateCNPJ(cnpj);
-                await db.run('UPDATE users SET cnpj = ? WHERE id = ?', [cnpj, user.id]);
+                const cnpjData = await validateCNPJ(cnpj);
+                const regime = cnpjData?.simples?.optante ? 'SIMPLES' : null;
+                await db.run(
+                    'UPDATE users SET cnpj = ?, uf = ?, regimeTributario = COALESCE(?, regimeTributario) WHERE id = ?',
+                    [cnpj, cnpjData?.uf || null, regime, user.id]
+                );
                 conversationState[user.id].step = 1;
                 await message.reply('CNPJ validado! Agora, qual o nome da sua empresa?');
             } catch (error) {
-                await message.reply('❌ CNPJ inválido. Por favor, tente novamente:');
+                const reason = error instanceof InvalidTaxIdError
+                    ? error.message
+                    : 'CNPJ inválido ou não encontrado na Receita Federal';
+                await message.reply(`❌ ${reason}. Por favor, tente novamente:`);
             }
         } else if (step === 1) {
             // Usuário enviou nome da empresa
             const companyName = message.body;
             await db.run('UPDATE users SET companyName = ? WHERE id = ?', [companyName, user.id]);
             conversationState[user.id].step = 2;
-            await message.reply('Empresa cadastrada! Agora, qual sua Inscrição Estadual? (ou digite "N/A" se não tiver)');
+            await message.reply('Empresa cadastrada! Agora, qual sua Inscrição Estadual e UF? (ex.: 110.042.490.114 SP, ou digite "N/A" se não tiver)');
         } else if (step === 2) {
-            // Usuário enviou IE
-            const ie = message.body;
-            if (ie.toLowerCase() !== 'n/a') {
+            // Usuário enviou IE, opcionalmente seguida da UF
+            const [ieInput, ufInput] = message.body.trim().split(/\s+/);
+            if (ieInput.toLowerCase() !== 'n/a') {
+                const uf = (ufInput || user.uf || '').toUpperCase() || null;
                 try {
-                    await checkSINTEGRA(ie);
-                    await db.run('UPDATE users SET inscricaoEstadual = ? WHERE id = ?', [ie, user.id]);
+                    await checkSINTEGRA(ieInput, uf);
                 } catch (error) {
+                    if (error instanceof InvalidTaxIdError) {
+                        await message.reply(`❌ ${error.message}. Por favor, tente novamente:`);
+                        return;
+                    }
                     await message.reply('⚠️ Inscrição Estadual com pendências, mas vamos prosseguir.');
                 }
+                await db.run('UPDATE users SET inscricaoEstadual = ?, uf = COALESCE(?, uf) WHERE id = ?', [normalizeTaxId(ieInput), uf, user.id]);
             }
             delete conversationState[user.id];
             await message.reply('✅ Cadastro concluído! Digite !menu para ver todas as opções disponíveis.');
@@ -994,9 +2326,14 @@ async function sendStructuredResponse(message, result) {
         await message.reply(
             `📊 *Análise Fiscal*\n\n` +
             `Tipo: ${result.documentData.documentType}\n` +
-            `Valor Total: R$ ${result.documentData.totalValue}\n\n` +
-            `*Impostos Calculados:*\n${taxesStr}\n\n` +
-            `*Compliance Status:* ${statusMsg}\n` +
+            (result.direction ? `Operação: ${result.direction === 'saida' ? 'Saída' : 'Entrada'}\n` : '') +
+            `Valor Total: R$ ${result.documentData.totalValue}\n` +
+            formatSignatureStatus(result.documentData.assinatura) +
+            `\n` +
+            formatReconciliation(result.reconciliation) +
+            `*Impostos Calculados:*\n${taxesStr}\n` +
+            formatReformComparison(taxCalc.reforma) +
+            `\n*Compliance Status:* ${statusMsg}\n` +
             (compliance.issues?.length
                 ? `\n⚠️ *Issues:* ${compliance.issues.join(', ')}\n`
                 : '') +
@@ -1011,9 +2348,69 @@ async function sendStructuredResponse(message, result) {
     }
 }
 
+/**
+ * formatReconciliation:
+ * - Declared-vs-calculated divergences first, each with its reasons (rate, base, CST, reduction)
+ * - Empty for documents without declared taxes (GPT-extracted)
+ */
+function formatReconciliation(reconciliation, maxDivergences = 5) {
+    if (!reconciliation) return '';
+    if (reconciliation.divergencias.length === 0) {
+        return `✅ *Impostos declarados conferem com o cálculo*\n` +
+            reconciliation.observacoes.map(obs => `ℹ️ ${obs}\n`).join('') +
+            `\n`;
+    }
+
+    let msg = `❗ *Divergências declarado x calculado (${reconciliation.divergencias.length}):*\n`;
+    for (const divergencia of reconciliation.divergencias.slice(0, maxDivergences)) {
+        const label = divergencia.numeroItem ? `Item ${divergencia.numeroItem} ${divergencia.tributo}` : divergencia.tributo;
+        msg += `• ${label}: declarado R$ ${divergencia.declarado.valor.toFixed(2)} x calculado R$ ${divergencia.calculado.valor.toFixed(2)}\n`;
+        for (const motivo of divergencia.motivos) {
+            msg += `   - ${motivo.descricao}\n`;
+        }
+    }
+    if (reconciliation.divergencias.length > maxDivergences) {
+        msg += `… e mais ${reconciliation.divergencias.length - maxDivergences} divergência(s)\n`;
+    }
+    msg += reconciliation.observacoes.map(obs => `ℹ️ ${obs}\n`).join('');
+    return `${msg}\n`;
+}
+
+/**
+ * formatReformComparison:
+ * - One line comparing today's taxes with the simulated reform year
+ */
+function formatReformComparison(reforma) {
+    if (!reforma) return '';
+    const variation = reforma.diferencaPercentual === null
+        ? ''
+        : ` (${reforma.diferencaPercentual >= 0 ? '+' : ''}${reforma.diferencaPercentual.toFixed(1)}%)`;
+    return `Reforma tributária em ${reforma.ano}: R$ ${reforma.reforma.toFixed(2)} x hoje R$ ${reforma.atual.toFixed(2)}${variation}\n`;
+}
+
+/**
+ * formatSignatureStatus:
+ * - One line about the XMLDSig check (empty for documents without one, e.g. NFS-e)
+ * - The ICP-Brasil chain is not checked, so a passing signature is shown as intact, not trusted
+ */
+function formatSignatureStatus(assinatura) {
+    if (!assinatura) return '';
+    if (assinatura.valida) {
+        const chain = assinatura.cadeiaVerificada ? '' : ', cadeia ICP-Brasil não verificada';
+        return `Assinatura digital: ✅ íntegra (${assinatura.certificado.titular}${chain})\n`;
+    }
+    if (!assinatura.presente) {
+        return `Assinatura digital: ❌ ausente\n`;
+    }
+    return `Assinatura digital: ❌ ${assinatura.issues[0]}\n`;
+}
+
 /**
  * formatTaxBreakdown:
  * - Converts the taxCalculation object into a neat message
+ * - Says why PIS/COFINS were not calculated; lists the per-item PIS/COFINS credits
+ *   of Lucro Real purchases
+ * - NFS-e: federal withholdings and the net receivable
  */
 function formatTaxBreakdown(taxCalculation) {
     if (!taxCalculation || !taxCalculation.taxes) {
@@ -1024,9 +2421,59 @@ function formatTaxBreakdown(taxCalculation) {
     for (const [tax, value] of Object.entries(taxCalculation.taxes)) {
         msg += `${tax}: R$ ${value.toFixed(2)}\n`;
     }
+
+    if (taxCalculation.details?.pisCofins?.observacao) {
+        msg += `${taxCalculation.details.pisCofins.observacao}\n`;
+    }
+
+    const creditos = taxCalculation.details?.creditosPisCofins;
+    if (creditos) {
+        msg += `\n*Créditos PIS/COFINS:* PIS R$ ${creditos.PIS.toFixed(2)} | COFINS R$ ${creditos.COFINS.toFixed(2)}\n`;
+        for (const item of creditos.itens) {
+            msg += item.temCredito
+                ? `  Item ${item.numeroItem} (CST ${item.cstEntrada}, base ${item.baseCredito}): R$ ${item.baseCalculo.toFixed(2)}\n`
+                : `  Item ${item.numeroItem} (CST ${item.cstEntrada}): sem crédito - ${item.motivo}\n`;
+        }
+    }
+
+    const retencoes = taxCalculation.details?.retencoesFederais;
+    if (retencoes) {
+        msg += formatWithholdings(retencoes);
+    }
     return msg;
 }
 
+/**
+ * formatWithholdings:
+ * - Withholdings due on the NFS-e (with the declared value when different)
+ * - Net receivable after federal withholdings and withheld ISS
+ */
+function formatWithholdings(retencoes) {
+    let msg = `\n*Retenções na fonte:*\n`;
+    if (retencoes.motivo) {
+        msg += `${retencoes.motivo}\n`;
+    }
+    for (const tax of ['IRRF', 'PIS', 'COFINS', 'CSLL', 'INSS']) {
+        const { aliquota, valor, motivo } = retencoes[tax];
+        const declarado = retencoes.declarado[tax];
+        if (!valor && !declarado && !motivo) continue;
+
+        msg += valor > 0
+            ? `${tax} (${aliquota}%): R$ ${valor.toFixed(2)}`
+            : `${tax}: sem retenção`;
+        if (Math.abs(subtractMoney(declarado, valor)) > 0.01) msg += ` (NFS-e: R$ ${declarado.toFixed(2)})`;
+        msg += motivo ? ` - ${motivo}\n` : '\n';
+    }
+    if (retencoes.issRetido > 0) {
+        msg += `ISS retido: R$ ${retencoes.issRetido.toFixed(2)}\n`;
+    }
+    msg += `*Líquido a receber:* R$ ${retencoes.valorLiquido.toFixed(2)}`;
+    if (retencoes.valorLiquidoDeclarado && Math.abs(subtractMoney(retencoes.valorLiquidoDeclarado, retencoes.valorLiquido)) > 0.01) {
+        msg += ` (NFS-e: R$ ${retencoes.valorLiquidoDeclarado.toFixed(2)})`;
+    }
+    return `${msg}\n`;
+}
+
 /**
  * sendTaxRules:
  * - Sends a short summary of found rules
@@ -1050,97 +2497,312 @@ async function sendTaxRules(message, rules) {
 
 /**
  * generateTaxReport:
- * - Aggregates data for the current month
- * - Creates a PDF summary
- * - Sends the PDF back via WhatsApp
+ * - Aggregates the documents issued in the period: a month (MM/AAAA, current month by
+ *   default), a quarter (T1 AAAA) or a year (AAAA)
+ * - Monthly apurações (ICMS/IPI, DAS, regime estimates, PIS/COFINS) for each month of the period
+ * - totalValue and the tax totals cover sales only; purchases are reported apart (documentos.entrada)
+ *   and documents that could not be classified are only flagged, never added to either
+ * - Stores the report of the period (replacing the previous one) and sends it as PDF via WhatsApp
  */
-async function generateTaxReport(message, user) {
-    try {
-        const now = new Date();
-        const month = now.getMonth() + 1;
-        const year = now.getFullYear();
+async function generateTaxReport(message, args, user) {
+    const period = parseReportPeriod(args.join(' '));
+    if (!period) {
+        await message.reply('Use: !relatorio [MM/AAAA | T1..T4 AAAA | AAAA]\nEx.: !relatorio 03/2025, !relatorio T1 2025, !relatorio 2025');
+        return;
+    }
 
-        // 1. Fetch monthly documents
-        const docs = await getMonthlyTaxData(user.id, month, year);
+    try {
+        // 1. Fetch the documents issued in the period (all documents are read once and shared
+        //    with the apurações, RBT12 and history below)
+        const documents = await loadUserDocuments(db, user);
+        const firstIndex = period.ano * 12 + (period.mesInicial - 1);
+        const lastIndex = period.ano * 12 + (period.mesFinal - 1);
+        const docs = documents.filter(doc => doc.monthIndex >= firstIndex && doc.monthIndex <= lastIndex);
+        const months = periodMonths(period);
+        const regimeContexts = new Map();
+        for (const { mes, ano } of months) {
+            regimeContexts.set(ano * 12 + (mes - 1), await buildRegimeContext(user.id, `${ano}-${String(mes).padStart(2, '0')}-01`, documents));
+        }
 
         // 2. Summarize calculations
-        let totalValue = 0;
-        let taxSum = { ICMS: 0, ISS: 0, PIS: 0, COFINS: 0, IPI: 0 };
+        let taxSum = { ICMS: 0, DIFAL: 0, ISS: 0, PIS: 0, COFINS: 0, IPI: 0 };
+        const reform = { ano: REFORM_COMPARISON_YEAR, atual: 0, reforma: 0, taxes: {} };
+        const withholdings = { sofridas: emptyWithholdings(), aRecolher: emptyWithholdings() };
+        const byDirection = {
+            saida: { documentos: 0, valor: 0 },
+            entrada: { documentos: 0, valor: 0 },
+            naoClassificado: { documentos: 0, valor: 0 }
+        };
+        const listing = [];
 
         for (const doc of docs) {
-            const docData = JSON.parse(doc.rawData);
-            const docCalculation = await calculateTaxesWithRules(docData, []);
+            const docData = doc.documentData;
+            const direction = doc.direcao;
+            const group = byDirection[direction || 'naoClassificado'];
+            group.documentos += 1;
+            group.valor = sumMoney(group.valor, docData.totalValue);
+
+            // Simples Nacional rates depend on the RBT12 of the document's own month
+            const regimeContext = regimeContexts.get(doc.monthIndex);
+            const docCalculation = await calculateTaxesWithRules(docData, [], regimeContext, { reformYear: REFORM_COMPARISON_YEAR });
+
+            // Withholdings suffered on services provided, or owed on services taken (the user withholds and pays them)
+            const docWithholdings = docCalculation.details?.retencoesFederais;
+            if (docWithholdings && direction) {
+                addWithholdings(withholdings[direction === 'saida' ? 'sofridas' : 'aRecolher'], docWithholdings);
+            }
+
+            listing.push({
+                id: doc.id,
+                numero: docData.numero || null,
+                dataEmissao: doc.dataEmissao,
+                tipo: docData.documentType || doc.documentType,
+                direcao: direction,
+                contraparte: documentCounterparty(docData, direction),
+                valor: docData.totalValue || 0,
+                impostos: direction === 'saida' ? sumMoney(Object.values(docCalculation.taxes || {})) : null
+            });
+
+            // Purchases generate credits (ICMS/IPI apuração below), not tax owed; unclassified
+            // documents are flagged in the warnings instead of being guessed as sales
+            if (direction !== 'saida') continue;
+
             for (const [tax, val] of Object.entries(docCalculation.taxes || {})) {
-                if (!taxSum[tax]) taxSum[tax] = 0;
-                taxSum[tax] += val;
+                taxSum[tax] = sumMoney(taxSum[tax], val);
+            }
+            reform.atual = sumMoney(reform.atual, docCalculation.reforma.atual);
+            reform.reforma = sumMoney(reform.reforma, docCalculation.reforma.reforma);
+            for (const [tax, val] of Object.entries(docCalculation.reforma.simulacao.taxes)) {
+                reform.taxes[tax] = sumMoney(reform.taxes[tax], val);
             }
-            totalValue += docData.totalValue || 0;
         }
+        reform.diferenca = subtractMoney(reform.reforma, reform.atual);
 
-        // 3. Construct a report object
+        // 3. Construct a report object (month/year = last month of the period)
         const report = {
             userId: user.id,
             companyName: user.companyName,
-            month,
-            year,
+            cnpj: user.cnpj,
+            periodo: period,
+            month: period.mesFinal,
+            year: period.ano,
             totalDocuments: docs.length,
-            totalValue,
-            taxes: taxSum
+            totalValue: byDirection.saida.valor,
+            documentos: byDirection,
+            taxes: taxSum,
+            reforma: reform,
+            retencoes: withholdings,
+            listaDocumentos: listing
         };
 
+        // Apurações are monthly: a month report carries them at the top level, a quarter or
+        // year report one entry per month (in order, so carried balances chain correctly)
+        if (period.tipo === 'MENSAL') {
+            Object.assign(report, await buildMonthlyApuracoes(user, period.mesFinal, period.ano, regimeContexts.get(lastIndex), documents));
+        } else {
+            report.meses = [];
+            for (const { mes, ano } of months) {
+                const apuracoes = await buildMonthlyApuracoes(user, mes, ano, regimeContexts.get(ano * 12 + (mes - 1)), documents);
+                report.meses.push({ month: mes, year: ano, ...apuracoes });
+            }
+        }
+
+        report.historico = buildMonthlyHistory(period, documents);
+        report.alertas = await buildReportWarnings(user, period, report);
+
         // 4. Save report in DB
-        await storeMonthlyReport(user.id, month, year, report);
+        await storeMonthlyReport(user.id, period, report);
 
         // 5. Generate a PDF
         const pdfBuffer = await generatePDFReport(report);
 
         // 6. Send PDF via WhatsApp
-        const media = new MessageMedia('application/pdf', pdfBuffer.toString('base64'), `relatorio_${month}_${year}.pdf`);
+        const media = new MessageMedia('application/pdf', pdfBuffer.toString('base64'), `relatorio_${period.chave}.pdf`);
         await message.reply(media);
 
     } catch (error) {
-        logger.error('Error generating tax report', { error, userId: user.id });
+        logger.error('Error generating tax report', { error, userId: user.id, periodo: period.chave });
         await message.reply('❌ Erro ao gerar relatório. Por favor, tente novamente.');
     }
 }
 
 /**
- * getMonthlyTaxData:
- * - Retrieves documents for a specific user, month, and year
+ * buildMonthlyApuracoes:
+ * - ICMS/IPI ledger, Simples Nacional DAS, Presumido/Real estimates and the non-cumulative
+ *   PIS/COFINS of one month, as applicable to the user's regime
+ * - documents: the user's documents from loadUserDocuments, shared by every month of the report
  */
-async function getMonthlyTaxData(userId, month, year) {
-    const startDate = `${year}-${String(month).padStart(2, '0')}-01`;
-    const endDate = `${year}-${String(month).padStart(2, '0')}-31`;
+async function buildMonthlyApuracoes(user, month, year, regimeContext, documents) {
+    const apuracoes = {};
+
+    // ICMS/IPI ledger (Simples pays them in the DAS); needs the CNPJ to tell purchases from sales
+    if (user.cnpj && user.regimeTributario !== 'SIMPLES') {
+        apuracoes.apuracaoICMSIPI = await buildICMSIPIApuracao(db, user, month, year, documents);
+    }
+
+    // Simples Nacional: DAS of the period with the split by tax
+    if (regimeContext.simples) {
+        try {
+            apuracoes.simplesNacional = {
+                ...calculateDAS({
+                    receitas: regimeContext.simples.receitas,
+                    rbt12: regimeContext.simples.rbt12,
+                    folhaSalarios12: regimeContext.simples.folhaSalarios12,
+                    anexoServicos: regimeContext.simples.anexoServicos
+                }),
+                rbt12Proporcional: regimeContext.simples.rbt12Proporcional
+            };
+        } catch (error) {
+            apuracoes.simplesNacional = { erro: error.message };
+        }
+    }
+
+    // Lucro Presumido/Real: IRPJ/CSLL and PIS/COFINS estimates
+    if (getPisCofinsRates(user.regimeTributario)) {
+        apuracoes.regimeEstimate = await getRegimeEstimate(user, month, year, documents);
+    }
+
+    // Lucro Real: non-cumulative PIS/COFINS (debits - credits, balance carried forward)
+    if (user.regimeTributario === 'REAL') {
+        apuracoes.pisCofinsApuracao = await buildPisCofinsApuracao(db, user, month, year, documents);
+    }
+    return apuracoes;
+}
+
+/**
+ * documentCounterparty:
+ * - Name (or tax id) of the other party: the issuer of a purchase, the buyer or
+ *   service taker of a sale
+ */
+function documentCounterparty(documentData, direction) {
+    const party = direction === 'entrada'
+        ? documentData.emitente || documentData.prestador
+        : documentData.tomador || documentData.destinatario;
+    return party?.nome || party?.cnpj || party?.cpf || null;
+}
+
+/**
+ * buildMonthlyHistory:
+ * - Sales and purchases by month (emission date) for the report's comparison bars:
+ *   the six months up to a month report, or each month of a quarter/year
+ */
+function buildMonthlyHistory(period, documents) {
+    const lastIndex = period.ano * 12 + (period.mesFinal - 1);
+    const firstIndex = period.tipo === 'MENSAL' ? lastIndex - 5 : period.ano * 12 + (period.mesInicial - 1);
+    const history = [];
+    for (let index = firstIndex; index <= lastIndex; index++) {
+        history.push({ month: (index % 12) + 1, year: Math.floor(index / 12), saidas: 0, entradas: 0 });
+    }
+
+    for (const { documentData, direcao, monthIndex } of documents) {
+        const entry = history[monthIndex - firstIndex];
+        const key = { saida: 'saidas', entrada: 'entradas' }[direcao];
+        if (entry && key) entry[key] = sumMoney(entry[key], documentData.totalValue);
+    }
+    return history;
+}
 
-    const query = `
-        SELECT * FROM documents
-        WHERE userId = ?
-        AND createdAt >= ?
-        AND createdAt <= ?
+/**
+ * buildReportWarnings:
+ * - Compliance warnings for the report: declared-vs-calculated divergences of the period's
+ *   documents, unclassified documents, DAS errors and the monitor's warnings raised in the period
+ * - Same shape as monitorComplianceObligations ({ type, message, severity })
+ */
+async function buildReportWarnings(user, period, report) {
+    const warnings = [];
+
+    const documents = new Map(report.listaDocumentos.map(doc => [doc.id, doc]));
+    const divergent = await db.all(
+        "SELECT documentId, divergencias, diferencaTotal FROM tax_reconciliations WHERE userId = ? AND status = 'DIVERGENTE'",
+        [user.id]
+    );
+    for (const row of divergent) {
+        const doc = documents.get(row.documentId);
+        if (!doc) continue;
+        warnings.push({
+            type: 'CONCILIACAO',
+            message: `${documentLabel(doc.tipo)} ${doc.numero || `#${doc.id}`}: ${row.divergencias} divergência(s) entre os impostos ` +
+                `declarados e os calculados (diferença de R$ ${Number(row.diferencaTotal || 0).toFixed(2)})`,
+            severity: 'medium'
+        });
+    }
+
+    const unclassified = report.documentos.naoClassificado.documentos;
+    if (unclassified > 0) {
+        warnings.push({
+            type: 'CLASSIFICACAO',
+            message: user.cnpj
+                ? `${unclassified} documento(s) sem o CNPJ da empresa como emitente ou destinatário, fora dos totais e dos impostos`
+                : `${unclassified} documento(s) sem classificação de entrada/saída: cadastre o CNPJ com !onboarding`,
+            severity: 'medium'
+        });
+    }
+
+    for (const entry of report.meses || [report]) {
+        if (entry.simplesNacional?.erro) {
+            warnings.push({
+                type: 'SIMPLES_NACIONAL',
+                message: `DAS ${String(entry.month).padStart(2, '0')}/${entry.year}: ${entry.simplesNacional.erro}`,
+                severity: 'high'
+            });
+        }
+    }
+
+    const { inicio, fim } = periodDateRange(period);
+    const monitored = await db.all(`
+        SELECT type, message, severity, MAX(createdAt) AS createdAt
+        FROM compliance_warnings
+        WHERE userId = ? AND createdAt >= ? AND createdAt < ?
+        GROUP BY type, message
         ORDER BY createdAt ASC
-    `;
+    `, [user.id, inicio, fim]);
+    warnings.push(...monitored.map(({ type, message, severity }) => ({ type, message, severity })));
 
-    const rows = await db.all(query, [userId, startDate, endDate]);
-    return rows;
+    return warnings;
+}
+
+/**
+ * emptyWithholdings / addWithholdings:
+ * - Monthly totals of withheld IRRF, PIS, COFINS, CSLL, INSS and ISS
+ */
+function emptyWithholdings() {
+    return { documentos: 0, IRRF: 0, PIS: 0, COFINS: 0, CSLL: 0, INSS: 0, ISS: 0, total: 0 };
+}
+
+function addWithholdings(totals, retencoes) {
+    if (retencoes.total === 0 && retencoes.issRetido === 0) return;
+
+    totals.documentos += 1;
+    for (const tax of ['IRRF', 'PIS', 'COFINS', 'CSLL', 'INSS']) {
+        totals[tax] = sumMoney(totals[tax], retencoes[tax].valor);
+    }
+    totals.ISS = sumMoney(totals.ISS, retencoes.issRetido);
+    totals.total = sumMoney(totals.total, retencoes.total, retencoes.issRetido);
 }
 
 /**
  * storeMonthlyReport:
- * - Saves the generated report data in monthly_reports table
+ * - Saves the report of the period in monthly_reports, replacing the one generated before
  */
-async function storeMonthlyReport(userId, month, year, report) {
+async function storeMonthlyReport(userId, period, report) {
     const stmt = `
-        INSERT INTO monthly_reports (userId, month, year, reportData)
-        VALUES (?, ?, ?, ?)
+        INSERT INTO monthly_reports (userId, month, year, periodo, reportData, updatedAt)
+        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT (userId, periodo) DO UPDATE SET
+            month = excluded.month,
+            year = excluded.year,
+            reportData = excluded.reportData,
+            updatedAt = CURRENT_TIMESTAMP
     `;
 
     await db.run(stmt, [
         userId,
-        month,
-        year,
+        period.mesFinal,
+        period.ano,
+        period.chave,
         JSON.stringify(report)
     ]);
-    logger.info('Monthly report stored', { userId, month, year });
+    logger.info('Monthly report stored', { userId, periodo: period.chave });
 }
 
 /***************************************************************************/
@@ -1148,69 +2810,156 @@ async function storeMonthlyReport(userId, month, year, report) {
 /***************************************************************************/
 
 /**
- * generatePDFReport:
- * - Uses pdf-lib to create a simple PDF summarizing the monthly tax data
+ * formatRegimeReportLines:
+ * - Text lines for the Simples Nacional DAS or the Presumido/Real estimates
+ * - Lucro Real: PIS/COFINS apuração with credits and carried balance
  */
-async function generatePDFReport(report) {
-    // Create a new PDFDocument
-    const pdfDoc = await PDFDocument.create();
-
-    // Add a blank page
-    const page = pdfDoc.addPage([600, 700]);
-
-    // Title
-    const title = 'Relatório Mensal de Impostos';
-    page.drawText(title, {
-        x: 50,
-        y: 650,
-        size: 18,
-        font: await pdfDoc.embedFont('Helvetica-Bold')
-    });
+function formatRegimeReportLines(report) {
+    const lines = [];
+    const das = report.simplesNacional;
+    if (das && !das.erro) {
+        lines.push('', `Simples Nacional - RBT12: R$ ${das.rbt12.toFixed(2)} - DAS: R$ ${das.total.toFixed(2)}`);
+        for (const anexo of das.anexos) {
+            lines.push(`  Anexo ${anexo.anexo}, faixa ${anexo.faixa}: alíquota efetiva ${anexo.aliquotaEfetiva.toFixed(2)}%`);
+        }
+        lines.push(`  Partilha: ${Object.entries(das.partilha).map(([tax, value]) => `${tax} ${value.toFixed(2)}`).join(' | ')}`);
+    } else if (das?.erro) {
+        lines.push('', `Simples Nacional: ${das.erro}`);
+    }
 
-    // Company info
-    page.drawText(`Empresa: ${report.companyName || 'Não cadastrado'}`, {
-        x: 50,
-        y: 620,
-        size: 12
-    });
+    const estimate = report.regimeEstimate;
+    if (estimate) {
+        const { irpjCsll, pisCofins } = estimate;
+        lines.push(
+            '',
+            `${estimate.descricao} - IRPJ/CSLL ${estimate.periodicidadeIRPJ} (${estimate.periodoIRPJ})`,
+            `  Receita bruta: R$ ${irpjCsll.receitaBruta.toFixed(2)}`,
+            `  IRPJ: R$ ${irpjCsll.IRPJ.toFixed(2)} + adicional R$ ${irpjCsll.adicionalIRPJ.toFixed(2)}`,
+            `  CSLL: R$ ${irpjCsll.CSLL.toFixed(2)}`
+        );
+        if (!report.pisCofinsApuracao) {
+            lines.push(`  PIS ${pisCofins.cumulativo ? 'cumulativo' : 'não cumulativo'}: R$ ${pisCofins.PIS.toFixed(2)} | COFINS: R$ ${pisCofins.COFINS.toFixed(2)}`);
+        }
+    }
 
-    page.drawText(`Mês/Ano: ${report.month}/${report.year}`, {
-        x: 50,
-        y: 600,
-        size: 12
-    });
+    const apuracao = report.pisCofinsApuracao;
+    if (apuracao) {
+        lines.push('', 'PIS/COFINS não cumulativos');
+        for (const tax of ['PIS', 'COFINS']) {
+            const { debito, credito, saldoAnterior, aPagar, saldoCredor } = apuracao[tax];
+            lines.push(
+                `  ${tax}: débitos R$ ${debito.toFixed(2)} - créditos R$ ${credito.toFixed(2)} - saldo anterior R$ ${saldoAnterior.toFixed(2)}` +
+                ` = a pagar R$ ${aPagar.toFixed(2)} (saldo credor R$ ${saldoCredor.toFixed(2)})`
+            );
+        }
+        lines.push(`  Créditos de ${apuracao.documentos.length} NF-e de entrada`);
+    }
+    return lines;
+}
 
-    page.drawText(`Total de Documentos: ${report.totalDocuments}`, {
-        x: 50,
-        y: 580,
-        size: 12
-    });
+/**
+ * formatMonthlyReportLines:
+ * - Quarter/year reports: the monthly apurações, one block per month
+ */
+function formatMonthlyReportLines(report) {
+    const lines = [];
+    for (const entry of report.meses || []) {
+        const monthLines = [...formatApuracaoReportLines(entry), ...formatRegimeReportLines(entry)];
+        if (monthLines.length === 0) continue;
+        lines.push('', `--- ${String(entry.month).padStart(2, '0')}/${entry.year} ---`, ...monthLines);
+    }
+    return lines;
+}
 
-    page.drawText(`Valor Total: R$ ${report.totalValue.toFixed(2)}`, {
-        x: 50,
-        y: 560,
-        size: 12
-    });
+/**
+ * formatReformReportLines:
+ * - Period's taxes today vs. the simulated reform year, by tax
+ */
+function formatReformReportLines(report) {
+    const reforma = report.reforma;
+    if (!reforma || !report.totalDocuments) return [];
 
-    // Tax summary
-    let currentY = 540;
-    for (const [tax, value] of Object.entries(report.taxes)) {
-        page.drawText(`${tax}: R$ ${value.toFixed(2)}`, {
-            x: 50,
-            y: currentY,
-            size: 12
-        });
-        currentY -= 20;
+    return [
+        '',
+        `Reforma tributária (simulação ${reforma.ano}): R$ ${reforma.reforma.toFixed(2)} x hoje R$ ${reforma.atual.toFixed(2)}` +
+            ` (diferença R$ ${reforma.diferenca.toFixed(2)})`,
+        `  ${Object.entries(reforma.taxes).map(([tax, value]) => `${tax} ${value.toFixed(2)}`).join(' | ')}`
+    ];
+}
+
+/**
+ * formatApuracaoReportLines:
+ * - Outgoing/incoming split and the ICMS/IPI ledger of the month
+ */
+function formatApuracaoReportLines(report) {
+    const lines = [];
+    const { saida, entrada, naoClassificado } = report.documentos || {};
+    if (saida || entrada) {
+        lines.push('', `Saídas: ${saida.documentos} (R$ ${saida.valor.toFixed(2)}) | Entradas: ${entrada.documentos} (R$ ${entrada.valor.toFixed(2)})`);
+        if (naoClassificado.documentos > 0) {
+            lines.push(`  ${naoClassificado.documentos} documento(s) sem o CNPJ da empresa como emitente ou destinatário (R$ ${naoClassificado.valor.toFixed(2)}), fora dos totais e dos impostos`);
+        }
     }
 
-    page.drawText(`Gerado em: ${new Date().toLocaleString('pt-BR')}`, {
-        x: 50,
-        y: currentY - 20,
-        size: 10
-    });
+    const apuracao = report.apuracaoICMSIPI;
+    if (!apuracao) return lines;
+
+    lines.push('', 'Apuração de ICMS e IPI');
+    for (const tributo of TRIBUTOS_APURACAO) {
+        const { debito, ajustesDebito, credito, ajustesCredito, saldoAnterior, aRecolher, saldoCredor } = apuracao[tributo];
+        lines.push(
+            `  ${tributo}: débitos R$ ${debito.toFixed(2)} + ajustes R$ ${ajustesDebito.toFixed(2)}` +
+            ` - créditos R$ ${credito.toFixed(2)} - ajustes R$ ${ajustesCredito.toFixed(2)} - saldo anterior R$ ${saldoAnterior.toFixed(2)}`,
+            `    = a recolher R$ ${aRecolher.toFixed(2)} (saldo credor a transportar R$ ${saldoCredor.toFixed(2)})`
+        );
+    }
+    for (const ajuste of apuracao.ajustes) {
+        lines.push(`  Ajuste ${ajuste.tributo} a ${ajuste.tipo === 'DEBITO' ? 'débito' : 'crédito'}: R$ ${ajuste.valor.toFixed(2)} - ${ajuste.descricao}`);
+    }
+    if (apuracao.semCredito.length > 0) {
+        const total = sumMoney(apuracao.semCredito.map(item => item.ICMS));
+        lines.push(`  ${apuracao.semCredito.length} item(ns) de entrada sem crédito de ICMS (R$ ${total.toFixed(2)}): uso e consumo, imobilizado ou ST`);
+    }
+    return lines;
+}
+
+/**
+ * formatWithholdingReportLines:
+ * - Withholdings suffered on services provided (to offset) and owed on services taken (to pay)
+ */
+function formatWithholdingReportLines(report) {
+    const lines = [];
+    const groups = [
+        ['sofridas', 'Retenções sofridas (compensáveis)'],
+        ['aRecolher', 'Retenções a recolher (como tomador)']
+    ];
+    for (const [key, label] of groups) {
+        const totals = report.retencoes?.[key];
+        if (!totals?.documentos) continue;
+        lines.push(
+            '',
+            `${label}: R$ ${totals.total.toFixed(2)} em ${totals.documentos} NFS-e`,
+            `  ${['IRRF', 'PIS', 'COFINS', 'CSLL', 'INSS', 'ISS'].map(tax => `${tax} ${totals[tax].toFixed(2)}`).join(' | ')}`
+        );
+    }
+    return lines;
+}
 
-    // Serialize PDF
-    const pdfBytes = await pdfDoc.save();
+/**
+ * generatePDFReport:
+ * - Multi-page A4 PDF of the report (reports/pdf.js), with the apurações and estimates
+ *   of the period as detail text
+ */
+async function generatePDFReport(report) {
+    // The outgoing/incoming split is already in the PDF summary
+    const details = [
+        ...formatApuracaoReportLines({ ...report, documentos: null }),
+        ...formatRegimeReportLines(report),
+        ...formatMonthlyReportLines(report),
+        ...formatWithholdingReportLines(report),
+        ...formatReformReportLines(report)
+    ];
+    const pdfBytes = await renderReportPDF(report, { detalhes: details });
     return Buffer.from(pdfBytes);
 }
 
@@ -1242,7 +2991,320 @@ async function handleQuery(message, user) {
 }
 
 /***************************************************************************/
-/**  17. SERVER STARTUP & ERROR HANDLERS                                   **/
+/**  17. REST API                                                          **/
+/***************************************************************************/
+
+// MIME types accepted as raw upload bodies on POST /api/documents
+const UPLOAD_MIME_TYPES = ['application/xml', 'text/xml', 'application/pdf', 'image/*'];
+
+/**
+ * authenticateApiKey:
+ * - Express middleware that resolves the user from "Authorization: Bearer <key>"
+ *   (or the "x-api-key" header) and stores it in req.user
+ */
+async function authenticateApiKey(req, res, next) {
+    const authHeader = req.get('authorization') || '';
+    const apiKey = authHeader.startsWith('Bearer ')
+        ? authHeader.slice(7).trim()
+        : req.get('x-api-key');
+
+    if (!apiKey) {
+        return res.status(401).json({ error: 'Chave de API ausente' });
+    }
+
+    const user = await getUserByApiKey(apiKey);
+    if (!user) {
+        return res.status(401).json({ error: 'Chave de API inválida' });
+    }
+
+    req.user = user;
+    next();
+}
+
+/**
+ * parsePagination:
+ * - Reads limit/offset query params with sane bounds
+ */
+function parsePagination(query) {
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+    return { limit, offset };
+}
+
+/**
+ * formatDocumentRow / formatReportRow:
+ * - Expand the JSON columns stored in SQLite before returning them
+ */
+function formatDocumentRow(row) {
+    const { rawData, ...rest } = row;
+    return { ...rest, documentData: JSON.parse(rawData || '{}') };
+}
+
+function formatReportRow(row) {
+    const { reportData, ...rest } = row;
+    return { ...rest, report: JSON.parse(reportData || '{}') };
+}
+
+const apiRouter = express.Router();
+apiRouter.use(authenticateApiKey);
+
+/**
+ * POST /api/documents
+ * - Body is the raw file (XML, PDF or image); Content-Type is used as the mime type
+ * - Runs the same pipeline as a WhatsApp upload and stores the document
+ * - ?anoReforma=2026..2033 picks the tax reform year of the comparison
+ * - Failures answer 422 with a generic message and an errorId that is in the logs
+ */
+apiRouter.post(
+    '/documents',
+    bodyParser.raw({ type: UPLOAD_MIME_TYPES, limit: '20mb' }),
+    async (req, res) => {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({
+                error: `Envie o arquivo no corpo da requisição com Content-Type ${UPLOAD_MIME_TYPES.join(', ')}`
+            });
+        }
+
+        const reformYear = req.query.anoReforma ? parseInt(req.query.anoReforma, 10) : undefined;
+        if (reformYear !== undefined && !(reformYear >= ANO_INICIAL && reformYear <= ANO_FINAL)) {
+            return res.status(400).json({ error: `anoReforma deve estar entre ${ANO_INICIAL} e ${ANO_FINAL}` });
+        }
+
+        try {
+            const result = await processDocument(req.body, req.get('content-type'), {
+                userId: req.user.id,
+                cnpj: req.user.cnpj,
+                reformYear
+            });
+            res.status(201).json(result);
+        } catch (error) {
+            const errorId = crypto.randomUUID();
+            logger.error('API document processing error', { error, errorId, userId: req.user.id });
+            const message = error instanceof UnsupportedDocumentError
+                ? error.message
+                : 'Não foi possível processar o documento';
+            res.status(422).json({ error: message, errorId });
+        }
+    }
+);
+
+/**
+ * GET /api/documents
+ * - Lists the user's stored documents, newest first
+ */
+apiRouter.get('/documents', async (req, res) => {
+    try {
+        const { limit, offset } = parsePagination(req.query);
+        const rows = await db.all(
+            'SELECT * FROM documents WHERE userId = ? ORDER BY createdAt DESC, id DESC LIMIT ? OFFSET ?',
+            [req.user.id, limit, offset]
+        );
+        res.json({ documents: rows.map(formatDocumentRow), limit, offset });
+    } catch (error) {
+        logger.error('API error listing documents', { error, userId: req.user.id });
+        res.status(500).json({ error: 'Erro ao listar documentos' });
+    }
+});
+
+/**
+ * GET /api/documents/:id
+ */
+apiRouter.get('/documents/:id', async (req, res) => {
+    try {
+        const row = await db.get(
+            'SELECT * FROM documents WHERE id = ? AND userId = ?',
+            [req.params.id, req.user.id]
+        );
+        if (!row) {
+            return res.status(404).json({ error: 'Documento não encontrado' });
+        }
+        const reconciliation = await db.get(
+            'SELECT reconciliationData FROM tax_reconciliations WHERE documentId = ?',
+            [row.id]
+        );
+        res.json({
+            ...formatDocumentRow(row),
+            reconciliation: reconciliation ? JSON.parse(reconciliation.reconciliationData) : null
+        });
+    } catch (error) {
+        logger.error('API error fetching document', { error, userId: req.user.id });
+        res.status(500).json({ error: 'Erro ao buscar documento' });
+    }
+});
+
+/**
+ * GET /api/reports
+ * - Lists the user's stored monthly reports, newest period first
+ */
+apiRouter.get('/reports', async (req, res) => {
+    try {
+        const { limit, offset } = parsePagination(req.query);
+        const rows = await db.all(
+            'SELECT * FROM monthly_reports WHERE userId = ? ORDER BY year DESC, month DESC, id DESC LIMIT ? OFFSET ?',
+            [req.user.id, limit, offset]
+        );
+        res.json({ reports: rows.map(formatReportRow), limit, offset });
+    } catch (error) {
+        logger.error('API error listing reports', { error, userId: req.user.id });
+        res.status(500).json({ error: 'Erro ao listar relatórios' });
+    }
+});
+
+/**
+ * GET /api/reports/:id
+ */
+apiRouter.get('/reports/:id', async (req, res) => {
+    try {
+        const row = await db.get(
+            'SELECT * FROM monthly_reports WHERE id = ? AND userId = ?',
+            [req.params.id, req.user.id]
+        );
+        if (!row) {
+            return res.status(404).json({ error: 'Relatório não encontrado' });
+        }
+        res.json(formatReportRow(row));
+    } catch (error) {
+        logger.error('API error fetching report', { error, userId: req.user.id });
+        res.status(500).json({ error: 'Erro ao buscar relatório' });
+    }
+});
+
+/**
+ * GET /api/sped/icms-ipi?periodo=AAAA-MM
+ * GET /api/sped/contribuicoes?periodo=AAAA-MM
+ * - Downloads the SPED file of the period; 422 with the validation when the file has
+ *   structural errors
+ */
+apiRouter.get('/sped/:tipo(icms-ipi|contribuicoes)', async (req, res) => {
+    const tipo = req.params.tipo === 'icms-ipi' ? 'icms' : 'contribuicoes';
+    const match = /^(\d{4})-(\d{2})$/.exec(String(req.query.periodo || ''));
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+        return res.status(400).json({ error: 'Informe periodo=AAAA-MM' });
+    }
+    const requirement = spedRequirement(req.user, tipo);
+    if (requirement) {
+        return res.status(422).json({ error: requirement });
+    }
+
+    try {
+        const [month, year] = [Number(match[2]), Number(match[1])];
+        const efd = tipo === 'icms' ? await buildEFDICMSIPI(db, req.user, month, year) : await buildEFDContribuicoes(db, req.user, month, year);
+        if (!efd.validacao.valido) {
+            return res.status(422).json({ error: 'Arquivo com erros de estrutura', registros: efd.registros, validacao: efd.validacao });
+        }
+        res.set('Content-Type', 'text/plain; charset=ISO-8859-1');
+        res.attachment(efd.nomeArquivo);
+        res.send(efd.buffer);
+    } catch (error) {
+        logger.error('API error generating SPED file', { error, userId: req.user.id, tipo });
+        res.status(500).json({ error: 'Erro ao gerar o arquivo SPED' });
+    }
+});
+
+/**
+ * parseAnswerOptions:
+ * - Reads the answer-engine options from the request body with sane bounds
+ */
+function parseAnswerOptions(body) {
+    const clamp = (value, min, max, fallback) => {
+        const number = parseInt(value, 10);
+        return Number.isNaN(number) ? fallback : Math.min(Math.max(number, min), max);
+    };
+
+    return {
+        returnSources: body.returnSources !== false,
+        returnFollowUpQuestions: body.returnFollowUpQuestions !== false,
+        embedSourcesInLLMResponse: body.embedSourcesInLLMResponse === true,
+        stream: body.stream === true,
+        searchOptions: {
+            textChunkSize: clamp(body.textChunkSize, 100, 4000, 800),
+            textChunkOverlap: clamp(body.textChunkOverlap, 0, 1000, 200),
+            numberOfSimilarityResults: clamp(body.numberOfSimilarityResults, 1, 10, 4),
+            numberOfPagesToScan: clamp(body.numberOfPagesToScan, 0, 10, 4)
+        }
+    };
+}
+
+/**
+ * sendEvent:
+ * - Writes one server-sent event
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * POST /api/answer
+ * - Answer engine: searches tax rules, answers grounded on numbered sources
+ *   and suggests follow-up questions
+ * - With "stream": true the response is server-sent events:
+ *   sources, answer (one per text chunk), followUpQuestions, done (or error)
+ */
+apiRouter.post('/answer', async (req, res) => {
+    const body = req.body || {};
+    if (typeof body.message !== 'string' || !body.message.trim()) {
+        return res.status(400).json({ error: 'Campo "message" é obrigatório' });
+    }
+
+    const query = body.message.trim();
+    const options = parseAnswerOptions(body);
+
+    if (options.stream) {
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        res.flushHeaders();
+    }
+
+    try {
+        const chunks = await searchTaxRules(query, body.documentType || '', body.state || null, null, options.searchOptions);
+        const sources = collectSources(chunks);
+        const messages = buildAnswerMessages(query, chunks, sources, options.embedSourcesInLLMResponse);
+
+        if (!options.stream) {
+            const completion = await openai.chat.completions.create({ model: "gpt-4", messages });
+            const answer = completion.choices[0].message.content;
+
+            return res.json({
+                answer,
+                sources: options.returnSources ? sources : undefined,
+                followUpQuestions: options.returnFollowUpQuestions
+                    ? await generateFollowUpQuestions(query, answer)
+                    : undefined
+            });
+        }
+
+        if (options.returnSources) {
+            sendEvent(res, 'sources', sources);
+        }
+
+        let answer = '';
+        const completionStream = await openai.chat.completions.create({ model: "gpt-4", messages, stream: true });
+        for await (const part of completionStream) {
+            const text = part.choices[0]?.delta?.content || '';
+            if (text) {
+                answer += text;
+                sendEvent(res, 'answer', text);
+            }
+        }
+
+        if (options.returnFollowUpQuestions) {
+            sendEvent(res, 'followUpQuestions', await generateFollowUpQuestions(query, answer));
+        }
+        sendEvent(res, 'done', {});
+        res.end();
+    } catch (error) {
+        logger.error('API answer engine error', { error, userId: req.user.id });
+        if (options.stream) {
+            sendEvent(res, 'error', { error: 'Erro ao gerar resposta' });
+            return res.end();
+        }
+        res.status(500).json({ error: 'Erro ao gerar resposta' });
+    }
+});
+
+app.use('/api', apiRouter);
+
+/***************************************************************************/
+/**  18. SERVER STARTUP & ERROR HANDLERS                                   **/
 /***************************************************************************/
 
 // Initialize WhatsApp client
@@ -1,11 +1,15 @@
 import axios from 'axios';
+import { validateCNPJOffline, validateInscricaoEstadual } from '../validators/documentos.js';
 
 /**
  * Valida CNPJ via Receita Federal
+ * (dígitos verificadores são conferidos localmente antes da consulta)
  */
 export async function validateCNPJ(cnpj) {
+  const normalized = validateCNPJOffline(cnpj);
+
   // Exemplo fictício de chamada a uma API
-  const url = `https://www.receitaws.com.br/v1/cnpj/${cnpj}`;
+  const url = `https://www.receitaws.com.br/v1/cnpj/${normalized}`;
   const response = await axios.get(url);
   if (response.data?.status === 'ERROR') {
     throw new Error('CNPJ inválido ou não encontrado na Receita Federal');
@@ -39,9 +43,11 @@ export async function consultNFSe(chaveNFSe) {
 
 /**
  * Exemplo de consulta ao SINTEGRA
+ * (com a UF informada, o algoritmo da IE é conferido localmente antes da consulta)
  */
-export async function checkSINTEGRA(inscricaoEstadual) {
-  const url = `https://api.sintegra.gov.br/check?ie=${inscricaoEstadual}`;
+export async function checkSINTEGRA(inscricaoEstadual, uf = null) {
+  const ie = uf ? validateInscricaoEstadual(inscricaoEstadual, uf) : inscricaoEstadual;
+  const url = `https://api.sintegra.gov.br/check?ie=${ie}${uf ? `&uf=${uf}` : ''}`;
   const { data } = await axios.get(url);
   return data;
 }
@@ -0,0 +1,172 @@
+import { xmlTree, asArray, toNumber, toMoney, firstChild } from './xmlUtils.js';
+
+// toma3/toma03: papel do tomador do serviço
+const TOMADOR_PAPEIS = {
+  '0': 'remetente',
+  '1': 'expedidor',
+  '2': 'recebedor',
+  '3': 'destinatario',
+  '4': 'outros'
+};
+
+/**
+ * Parse CTe XML data (cteProc, CTe sem protocolo e CT-e OS), do texto ou da árvore já lida
+ */
+export async function parseCTeXML(xml) {
+  const result = await xmlTree(xml);
+
+  const cteNode = result?.cteProc?.CTe || result?.CTe || result?.cteOSProc?.CTeOS || result?.CTeOS;
+  const cte = cteNode?.infCte || {};
+  const protocolo = (result?.cteProc || result?.cteOSProc)?.protCTe?.infProt;
+  const ide = cte.ide || {};
+
+  const participantes = {
+    remetente: parseParticipante(cte.rem, cte.rem?.enderReme),
+    expedidor: parseParticipante(cte.exped, cte.exped?.enderExped),
+    recebedor: parseParticipante(cte.receb, cte.receb?.enderReceb),
+    destinatario: parseParticipante(cte.dest, cte.dest?.enderDest)
+  };
+
+  const origem = { UF: ide.UFIni, municipio: ide.xMunIni, codigoMunicipio: ide.cMunIni };
+  const destino = { UF: ide.UFFim, municipio: ide.xMunFim, codigoMunicipio: ide.cMunFim };
+  const valorPrestacao = toMoney(cte.vPrest?.vTPrest);
+  const icms = parseICMS(cte.imp?.ICMS);
+
+  return {
+    documentType: 'CTE',
+    chaveAcesso: protocolo?.chCTe || cte.$?.Id?.replace(/^CTe/, '') || undefined,
+    chaveInfId: cte.$?.Id?.replace(/^CTe/, ''),
+    versao: cte.$?.versao,
+    numero: ide.nCT,
+    serie: ide.serie,
+    modelo: ide.mod,
+    dataEmissao: ide.dhEmi,
+    operationType: ide.natOp,
+    cfop: ide.CFOP,
+    modal: ide.modal,        // 01 rodoviário, 02 aéreo, 03 aquaviário, 04 ferroviário, 05 dutoviário, 06 multimodal
+    tipoServico: ide.tpServ,
+    totalValue: valorPrestacao,
+    // O ICMS do transporte é devido à UF onde a prestação se inicia
+    state: origem.UF,
+    municipality: origem.municipio,
+    origem,
+    destino,
+    ide: {
+      cUF: ide.cUF,
+      cCT: ide.cCT,
+      CFOP: ide.CFOP,
+      natOp: ide.natOp,
+      mod: ide.mod,
+      serie: ide.serie,
+      nCT: ide.nCT,
+      dhEmi: ide.dhEmi,
+      tpCTe: ide.tpCTe,
+      tpEmis: ide.tpEmis,
+      tpAmb: ide.tpAmb,
+      modal: ide.modal,
+      tpServ: ide.tpServ,
+      UFEnv: ide.UFEnv,
+      indIEToma: ide.indIEToma
+    },
+    emitente: parseParticipante(cte.emit, cte.emit?.enderEmit),
+    ...participantes,
+    tomador: parseTomador(ide, participantes, cte.toma),
+    prestacao: {
+      valorTotal: valorPrestacao,
+      valorReceber: toMoney(cte.vPrest?.vRec),
+      componentes: asArray(cte.vPrest?.Comp).map(comp => ({
+        nome: comp.xNome,
+        valor: toMoney(comp.vComp)
+      }))
+    },
+    valorCarga: toMoney(cte.infCTeNorm?.infCarga?.vCarga),
+    icms,
+    protocolo: protocolo
+      ? { numero: protocolo.nProt, dataRecebimento: protocolo.dhRecbto, status: protocolo.cStat, motivo: protocolo.xMotivo }
+      : null,
+    impostos: {
+      icms: icms.vICMS
+    }
+  };
+}
+
+/**
+ * Parse do grupo ICMS do CT-e (ICMS00, ICMS20, ICMS45, ICMS60, ICMS90, ICMSOutraUF, ICMSSN)
+ */
+function parseICMS(icmsGroup) {
+  const [grupo, icms = {}] = firstChild(icmsGroup);
+
+  // ICMSOutraUF usa tags com sufixo próprio
+  if (grupo === 'ICMSOutraUF') {
+    return {
+      grupo,
+      cst: icms.CST,
+      vBC: toMoney(icms.vBCOutraUF),
+      pRedBC: toNumber(icms.pRedBCOutraUF),
+      pICMS: toNumber(icms.pICMSOutraUF),
+      vICMS: toMoney(icms.vICMSOutraUF)
+    };
+  }
+
+  return {
+    grupo,
+    cst: icms.CST,
+    vBC: toMoney(icms.vBC),
+    pRedBC: toNumber(icms.pRedBC),
+    pICMS: toNumber(icms.pICMS),
+    vICMS: toMoney(icms.vICMS),
+    vBCSTRet: toMoney(icms.vBCSTRet),
+    pICMSSTRet: toNumber(icms.pICMSSTRet),
+    vICMSSTRet: toMoney(icms.vICMSSTRet),
+    vCred: toMoney(icms.vCred),
+    simplesNacional: grupo === 'ICMSSN' || icms.indSN === '1'
+  };
+}
+
+/**
+ * Resolve o tomador: toma3 aponta para um dos participantes, toma4 traz os dados próprios
+ */
+function parseTomador(ide, participantes, tomaOS) {
+  // CT-e OS informa o tomador diretamente em infCte/toma
+  if (tomaOS) {
+    return { papel: 'outros', ...parseParticipante(tomaOS, tomaOS.enderToma) };
+  }
+
+  const toma3 = ide.toma3 || ide.toma03;
+  if (toma3) {
+    const papel = TOMADOR_PAPEIS[toma3.toma];
+    return { papel, ...(participantes[papel] || {}) };
+  }
+
+  if (ide.toma4) {
+    return { papel: 'outros', ...parseParticipante(ide.toma4, ide.toma4.enderToma) };
+  }
+
+  return { papel: undefined };
+}
+
+/**
+ * Parse de emitente/remetente/expedidor/recebedor/destinatário/tomador
+ */
+function parseParticipante(participante, endereco) {
+  if (!participante) return null;
+
+  return {
+    cnpj: participante.CNPJ,
+    cpf: participante.CPF,
+    nome: participante.xNome,
+    fantasia: participante.xFant,
+    ie: participante.IE,
+    endereco: endereco
+      ? {
+          logradouro: endereco.xLgr,
+          numero: endereco.nro,
+          bairro: endereco.xBairro,
+          codigoMunicipio: endereco.cMun,
+          municipio: endereco.xMun,
+          UF: endereco.UF,
+          cep: endereco.CEP
+        }
+      : null
+  };
+}
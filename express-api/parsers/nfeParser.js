@@ -1,107 +1,388 @@
-import xml2js from 'xml2js';
 import { validateNFeWithSEFAZ } from '../integrations/govApis.js';
+import { validateChaveAcesso } from '../validators/chaveAcesso.js';
+import { xmlTree, asArray, toNumber, toMoney, firstChild } from './xmlUtils.js';
 
 /**
- * Parse NFe XML data
+ * Estrutura retornada pelos parsers de NF-e/NFC-e (layout 4.00).
+ * Códigos (CST, CFOP, NCM, mod...) ficam como string para preservar zeros
+ * à esquerda; valores, bases e alíquotas são convertidos para número.
+ *
+ * @typedef {Object} NFeItem
+ * @property {string} numeroItem
+ * @property {string} codigo
+ * @property {string} ean
+ * @property {string} descricao
+ * @property {string} ncm
+ * @property {string} cest
+ * @property {string} cfop
+ * @property {string} unidade
+ * @property {number} quantidade
+ * @property {number} valorUnitario
+ * @property {number} valorTotal
+ * @property {number} valorFrete
+ * @property {number} valorSeguro
+ * @property {number} valorDesconto
+ * @property {number} outrasDespesas
+ * @property {number} valorTotalTributos
+ * @property {NFeICMS} icms
+ * @property {NFeIPI|null} ipi
+ * @property {NFePisCofins|null} pis
+ * @property {NFePisCofins|null} cofins
+ * @property {Object|null} icmsUFDest - grupo ICMSUFDest (partilha/DIFAL)
+ *
+ * @typedef {Object} NFeICMS
+ * @property {string} grupo - ex.: ICMS00, ICMS10, ICMSSN102
+ * @property {string} origem
+ * @property {string} cst - CST (regime normal) ou CSOSN (Simples Nacional)
+ * @property {string} csosn
+ * @property {string} modBC - modalidade da base de cálculo
+ * @property {number} vBC
+ * @property {number} pRedBC
+ * @property {number} pICMS
+ * @property {number} vICMS
+ * @property {string} modBCST - modalidade da base de cálculo do ST
+ * @property {number} pMVAST
+ * @property {number} pRedBCST
+ * @property {number} vBCST
+ * @property {number} pICMSST
+ * @property {number} vICMSST
+ * @property {number} vBCFCP
+ * @property {number} pFCP
+ * @property {number} vFCP
+ * @property {number} vBCFCPST
+ * @property {number} pFCPST
+ * @property {number} vFCPST
+ * @property {number} vICMSDeson
+ * @property {string} motDesICMS - motivo da desoneração
+ * @property {number} pCredSN
+ * @property {number} vCredICMSSN
+ *
+ * @typedef {Object} NFeIPI
+ * @property {string} cEnq
+ * @property {string} cst
+ * @property {number} vBC
+ * @property {number} pIPI
+ * @property {number} vIPI
+ *
+ * @typedef {Object} NFePisCofins
+ * @property {string} grupo - ex.: PISAliq, COFINSNT
+ * @property {string} cst
+ * @property {number} vBC
+ * @property {number} aliquota - percentual (grupos Aliq e Outr)
+ * @property {number} quantidade - quantidade vendida (grupo Qtde)
+ * @property {number} aliquotaReais - alíquota em reais por unidade (grupo Qtde)
+ * @property {number} valor
  */
-export async function parseNFeXML(xmlString) {
-  const parser = new xml2js.Parser({ explicitArray: false });
-  const result = await parser.parseStringPromise(xmlString);
 
-  // Extraia dados relevantes
-  const nfe = result?.nfeProc?.NFe?.infNFe || {};
-  const chaveAcesso = result?.nfeProc?.protNFe?.infProt?.chNFe;
+/**
+ * Parse NFe XML data (texto do XML ou a árvore já lida por detectFiscalXML)
+ */
+export async function parseNFeXML(xml) {
+  const result = await xmlTree(xml);
+
+  // Extraia dados relevantes (nfeProc autorizado ou NFe sem protocolo)
+  const nfe = (result?.nfeProc?.NFe || result?.NFe)?.infNFe || {};
+  const protocolo = result?.nfeProc?.protNFe?.infProt;
 
   return {
-    documentType: 'NFE',
-    chaveAcesso,
-    totalValue: parseFloat(nfe?.total?.ICMSTot?.vNF || 0),
+    ...buildNFeData(nfe, protocolo, 'NFE'),
     state: nfe?.dest?.enderDest?.UF,
-    emitente: {
-      cnpj: nfe?.emit?.CNPJ,
-      nome: nfe?.emit?.xNome,
-      ie: nfe?.emit?.IE
-    },
-    destinatario: {
-      cnpj: nfe?.dest?.CNPJ,
-      nome: nfe?.dest?.xNome,
-      ie: nfe?.dest?.IE
+    municipality: nfe?.dest?.enderDest?.xMun
+  };
+}
+
+/**
+ * Parse NFCe XML data (similar to NFe but with some differences)
+ */
+export async function parseNFCeXML(xml) {
+  const result = await xmlTree(xml);
+
+  const nfce = (result?.nfeProc?.NFe || result?.NFe)?.infNFe || {};
+  const protocolo = result?.nfeProc?.protNFe?.infProt;
+
+  // NFC-e é emitida na UF do estabelecimento e normalmente sem destinatário
+  return {
+    ...buildNFeData(nfce, protocolo, 'NFCE'),
+    state: nfce?.emit?.enderEmit?.UF,
+    municipality: nfce?.emit?.enderEmit?.xMun
+  };
+}
+
+/**
+ * Monta a estrutura comum a NF-e e NFC-e a partir de infNFe
+ */
+function buildNFeData(infNFe, protocolo, documentType) {
+  const ide = parseIde(infNFe?.ide);
+  const totais = parseTotais(infNFe?.total?.ICMSTot);
+
+  // Sem protocolo (XML não autorizado ou NFe "solta"), a chave vem do atributo Id
+  const chaveAcesso = protocolo?.chNFe || infNFe?.$?.Id?.replace(/^NFe/, '') || undefined;
+
+  return {
+    documentType,
+    chaveAcesso,
+    chaveInfId: infNFe?.$?.Id?.replace(/^NFe/, ''),
+    versao: infNFe?.$?.versao,
+    numero: ide.nNF,
+    serie: ide.serie,
+    modelo: ide.mod,
+    dataEmissao: ide.dhEmi,
+    operationType: ide.natOp,
+    totalValue: totais.vNF,
+    ide,
+    emitente: parseParticipante(infNFe?.emit, infNFe?.emit?.enderEmit),
+    destinatario: parseParticipante(infNFe?.dest, infNFe?.dest?.enderDest),
+    items: parseNFeItems(infNFe?.det),
+    totais,
+    transporte: {
+      modFrete: infNFe?.transp?.modFrete,
+      transportadora: infNFe?.transp?.transporta
+        ? { cnpj: infNFe.transp.transporta.CNPJ, nome: infNFe.transp.transporta.xNome, UF: infNFe.transp.transporta.UF }
+        : null
     },
-    items: parseNFeItems(nfe?.det),
+    pagamentos: asArray(infNFe?.pag?.detPag).map(pag => ({
+      forma: pag.tPag,
+      valor: toMoney(pag.vPag)
+    })),
+    protocolo: protocolo
+      ? { numero: protocolo.nProt, dataRecebimento: protocolo.dhRecbto, status: protocolo.cStat, motivo: protocolo.xMotivo }
+      : null,
+    informacoesComplementares: infNFe?.infAdic?.infCpl,
     impostos: {
-      icms: parseFloat(nfe?.total?.ICMSTot?.vICMS || 0),
-      ipi: parseFloat(nfe?.total?.ICMSTot?.vIPI || 0),
-      pis: parseFloat(nfe?.total?.ICMSTot?.vPIS || 0),
-      cofins: parseFloat(nfe?.total?.ICMSTot?.vCOFINS || 0)
+      icms: totais.vICMS,
+      icmsST: totais.vST,
+      fcp: totais.vFCP,
+      ipi: totais.vIPI,
+      pis: totais.vPIS,
+      cofins: totais.vCOFINS
     }
   };
 }
 
+/**
+ * Parse do grupo ide (identificação da NF-e)
+ */
+function parseIde(ide = {}) {
+  return {
+    cUF: ide.cUF,
+    cNF: ide.cNF,
+    natOp: ide.natOp,
+    mod: ide.mod,
+    serie: ide.serie,
+    nNF: ide.nNF,
+    dhEmi: ide.dhEmi,
+    dhSaiEnt: ide.dhSaiEnt,
+    tpNF: ide.tpNF,         // 0 = entrada, 1 = saída
+    idDest: ide.idDest,     // 1 = interna, 2 = interestadual, 3 = exterior
+    cMunFG: ide.cMunFG,
+    tpImp: ide.tpImp,
+    tpEmis: ide.tpEmis,
+    cDV: ide.cDV,
+    tpAmb: ide.tpAmb,
+    finNFe: ide.finNFe,     // 1 = normal, 2 = complementar, 3 = ajuste, 4 = devolução
+    indFinal: ide.indFinal, // 1 = consumidor final
+    indPres: ide.indPres
+  };
+}
+
+/**
+ * Parse de emitente/destinatário
+ */
+function parseParticipante(participante, endereco) {
+  if (!participante) return {};
+
+  return {
+    cnpj: participante.CNPJ,
+    cpf: participante.CPF,
+    idEstrangeiro: participante.idEstrangeiro,
+    nome: participante.xNome,
+    fantasia: participante.xFant,
+    ie: participante.IE,
+    iest: participante.IEST,
+    im: participante.IM,
+    crt: participante.CRT,             // só no emitente: 1 = Simples Nacional, 3 = regime normal
+    indIEDest: participante.indIEDest, // só no destinatário: 1 = contribuinte, 9 = não contribuinte
+    email: participante.email,
+    endereco: endereco
+      ? {
+          logradouro: endereco.xLgr,
+          numero: endereco.nro,
+          bairro: endereco.xBairro,
+          codigoMunicipio: endereco.cMun,
+          municipio: endereco.xMun,
+          UF: endereco.UF,
+          cep: endereco.CEP
+        }
+      : null
+  };
+}
+
 /**
  * Parse items from NFe
  */
 function parseNFeItems(det) {
-  if (!det) return [];
-  
-  // Se det não for array, converte para array
-  const items = Array.isArray(det) ? det : [det];
-  
-  return items.map(item => ({
-    codigo: item.prod.cProd,
-    descricao: item.prod.xProd,
-    quantidade: parseFloat(item.prod.qCom),
-    valorUnitario: parseFloat(item.prod.vUnCom),
-    valorTotal: parseFloat(item.prod.vProd),
-    ncm: item.prod.NCM
-  }));
+  return asArray(det).map(item => {
+    const prod = item.prod || {};
+    const imposto = item.imposto || {};
+
+    return {
+      numeroItem: item.$?.nItem,
+      codigo: prod.cProd,
+      ean: prod.cEAN,
+      descricao: prod.xProd,
+      ncm: prod.NCM,
+      cest: prod.CEST,
+      cfop: prod.CFOP,
+      unidade: prod.uCom,
+      quantidade: toNumber(prod.qCom),
+      valorUnitario: toNumber(prod.vUnCom),
+      valorTotal: toMoney(prod.vProd),
+      valorFrete: toMoney(prod.vFrete),
+      valorSeguro: toMoney(prod.vSeg),
+      valorDesconto: toMoney(prod.vDesc),
+      outrasDespesas: toMoney(prod.vOutro),
+      valorTotalTributos: toMoney(imposto.vTotTrib),
+      icms: parseICMS(imposto.ICMS),
+      ipi: parseIPI(imposto.IPI),
+      pis: parsePisCofins(imposto.PIS, 'PIS'),
+      cofins: parsePisCofins(imposto.COFINS, 'COFINS'),
+      icmsUFDest: parseICMSUFDest(imposto.ICMSUFDest)
+    };
+  });
+}
+
+/**
+ * Parse do grupo ICMS (ICMS00...ICMS90, ICMSPart, ICMSST, ICMSSN101...ICMSSN900)
+ */
+function parseICMS(icmsGroup) {
+  const [grupo, icms = {}] = firstChild(icmsGroup);
+
+  return {
+    grupo,
+    origem: icms.orig,
+    cst: icms.CST || icms.CSOSN,
+    csosn: icms.CSOSN,
+    modBC: icms.modBC,
+    vBC: toMoney(icms.vBC),
+    pRedBC: toNumber(icms.pRedBC),
+    pICMS: toNumber(icms.pICMS),
+    vICMS: toMoney(icms.vICMS),
+    modBCST: icms.modBCST,
+    pMVAST: toNumber(icms.pMVAST),
+    pRedBCST: toNumber(icms.pRedBCST),
+    vBCST: toMoney(icms.vBCST),
+    pICMSST: toNumber(icms.pICMSST),
+    vICMSST: toMoney(icms.vICMSST),
+    vBCFCP: toMoney(icms.vBCFCP),
+    pFCP: toNumber(icms.pFCP),
+    vFCP: toMoney(icms.vFCP),
+    vBCFCPST: toMoney(icms.vBCFCPST),
+    pFCPST: toNumber(icms.pFCPST),
+    vFCPST: toMoney(icms.vFCPST),
+    vICMSDeson: toMoney(icms.vICMSDeson),
+    motDesICMS: icms.motDesICMS,
+    pCredSN: toNumber(icms.pCredSN),
+    vCredICMSSN: toMoney(icms.vCredICMSSN)
+  };
 }
 
 /**
- * Validate NFe structure and with SEFAZ
+ * Parse do grupo IPI (IPITrib ou IPINT)
+ */
+function parseIPI(ipiGroup) {
+  if (!ipiGroup) return null;
+
+  const ipi = ipiGroup.IPITrib || ipiGroup.IPINT || {};
+  return {
+    cEnq: ipiGroup.cEnq,
+    cst: ipi.CST,
+    vBC: toMoney(ipi.vBC),
+    pIPI: toNumber(ipi.pIPI),
+    vIPI: toMoney(ipi.vIPI)
+  };
+}
+
+/**
+ * Parse dos grupos PIS e COFINS (Aliq, Qtde, NT, Outr)
+ */
+function parsePisCofins(group, tax) {
+  if (!group) return null;
+
+  const [grupo, values = {}] = firstChild(group);
+  return {
+    grupo,
+    cst: values.CST,
+    vBC: toMoney(values.vBC),
+    aliquota: toNumber(values[`p${tax}`]),
+    quantidade: toNumber(values.qBCProd),
+    aliquotaReais: toNumber(values.vAliqProd),
+    valor: toMoney(values[`v${tax}`])
+  };
+}
+
+/**
+ * Parse do grupo ICMSUFDest (venda interestadual a consumidor final)
+ */
+function parseICMSUFDest(group) {
+  if (!group) return null;
+
+  return {
+    vBCUFDest: toMoney(group.vBCUFDest),
+    vBCFCPUFDest: toMoney(group.vBCFCPUFDest),
+    pFCPUFDest: toNumber(group.pFCPUFDest),
+    pICMSUFDest: toNumber(group.pICMSUFDest),
+    pICMSInter: toNumber(group.pICMSInter),
+    vFCPUFDest: toMoney(group.vFCPUFDest),
+    vICMSUFDest: toMoney(group.vICMSUFDest),
+    vICMSUFRemet: toMoney(group.vICMSUFRemet)
+  };
+}
+
+/**
+ * Parse dos totais (ICMSTot)
+ */
+function parseTotais(icmsTot = {}) {
+  const fields = [
+    'vBC', 'vICMS', 'vICMSDeson', 'vFCPUFDest', 'vICMSUFDest', 'vICMSUFRemet', 'vFCP',
+    'vBCST', 'vST', 'vFCPST', 'vFCPSTRet', 'vProd', 'vFrete', 'vSeg', 'vDesc', 'vII',
+    'vIPI', 'vIPIDevol', 'vPIS', 'vCOFINS', 'vOutro', 'vNF', 'vTotTrib'
+  ];
+
+  return Object.fromEntries(fields.map(field => [field, toMoney(icmsTot[field])]));
+}
+
+/**
+ * Validate NFe structure, access key (offline) and with SEFAZ
+ *
+ * Retorna { chaveAcesso, sefaz }: divergências da chave viram issues de
+ * compliance; a consulta à SEFAZ só reprova a nota se a SEFAZ responder
+ * que ela é inválida (falha de rede não impede o processamento).
  */
 export async function validateNFeStructure(nfeData) {
   // Validação básica de estrutura
   if (!nfeData.chaveAcesso) {
     throw new Error('NFe sem chave de acesso válida');
   }
-  
-  if (!nfeData.emitente?.cnpj) {
+
+  if (!nfeData.emitente?.cnpj && !nfeData.emitente?.cpf) {
     throw new Error('NFe sem CNPJ do emitente');
   }
-  
+
   if (!nfeData.totalValue || nfeData.totalValue <= 0) {
     throw new Error('NFe com valor total inválido');
   }
 
-  // Validação com SEFAZ
-  const sefazResult = await validateNFeWithSEFAZ(nfeData.chaveAcesso);
-  return sefazResult;
-}
-
-/**
- * Parse NFCe XML data (similar to NFe but with some differences)
- */
-export async function parseNFCeXML(xmlString) {
-  const parser = new xml2js.Parser({ explicitArray: false });
-  const result = await parser.parseStringPromise(xmlString);
+  // Validação local da chave (dígito verificador e campos codificados)
+  const chaveAcesso = validateChaveAcesso(nfeData);
 
-  const nfce = result?.nfeProc?.NFe?.infNFe || {};
-  const chaveAcesso = result?.nfeProc?.protNFe?.infProt?.chNFe;
+  // Validação com SEFAZ
+  let sefaz = null;
+  try {
+    sefaz = await validateNFeWithSEFAZ(nfeData.chaveAcesso);
+  } catch (error) {
+    if (!error.isAxiosError) throw error;
+    sefaz = { consultada: false, erro: error.message };
+  }
 
-  return {
-    documentType: 'NFCE',
-    chaveAcesso,
-    totalValue: parseFloat(nfce?.total?.ICMSTot?.vNF || 0),
-    state: nfce?.emit?.enderEmit?.UF,
-    emitente: {
-      cnpj: nfce?.emit?.CNPJ,
-      nome: nfce?.emit?.xNome
-    },
-    items: parseNFeItems(nfce?.det),
-    impostos: {
-      icms: parseFloat(nfce?.total?.ICMSTot?.vICMS || 0),
-      pis: parseFloat(nfce?.total?.ICMSTot?.vPIS || 0),
-      cofins: parseFloat(nfce?.total?.ICMSTot?.vCOFINS || 0)
-    }
-  };
-} 
\ No newline at end of file
+  return { chaveAcesso, sefaz };
+}
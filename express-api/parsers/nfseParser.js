@@ -0,0 +1,237 @@
+import { xmlTree, toNumber, toMoney, findNode, normalizeServiceItem } from './xmlUtils.js';
+import { subtractMoney } from '../taxes/money.js';
+
+/**
+ * Parse NFSe XML data (texto do XML ou a árvore já lida por detectFiscalXML).
+ * layout: 'ABRASF' (modelo ABRASF 2.x usado pela maioria das prefeituras)
+ *         ou 'NACIONAL' (NFS-e Padrão Nacional / DPS)
+ */
+export async function parseNFSeXML(xml, layout = 'ABRASF') {
+  const result = await xmlTree(xml);
+  return layout === 'NACIONAL' ? parseNacional(result) : parseABRASF(result);
+}
+
+/**
+ * Layout ABRASF 2.x (CompNfse > Nfse > InfNfse > DeclaracaoPrestacaoServico)
+ * Mantém fallback para o layout 1.0, em que Servico e Valores ficam direto em InfNfse
+ */
+function parseABRASF(result) {
+  const infNfse = findNode(result, 'InfNfse') || {};
+  const declaracao = findNode(infNfse, 'InfDeclaracaoPrestacaoServico') || infNfse;
+  const servico = declaracao.Servico || {};
+  const valores = servico.Valores || {};
+  const valoresNfse = infNfse.ValoresNfse || valores;
+
+  const prestador = infNfse.PrestadorServico || {};
+  const tomador = declaracao.TomadorServico || declaracao.Tomador || {};
+  const identificacaoPrestador = prestador.IdentificacaoPrestador || declaracao.Prestador || {};
+
+  const valorServicos = toMoney(valores.ValorServicos);
+  const deducoes = toMoney(valores.ValorDeducoes);
+  const descontoIncondicionado = toMoney(valores.DescontoIncondicionado);
+  // IssRetido: 1 = sim, 2 = não (no 2.x fica em Servico, no 1.0 em Valores)
+  const issRetido = (servico.IssRetido ?? valores.IssRetido) === '1';
+  const codigoIncidencia = servico.MunicipioIncidencia || servico.CodigoMunicipio || infNfse.OrgaoGerador?.CodigoMunicipio;
+
+  return buildNFSeData({
+    layout: 'ABRASF',
+    numero: infNfse.Numero,
+    codigoVerificacao: infNfse.CodigoVerificacao,
+    chaveAcesso: undefined,
+    dataEmissao: infNfse.DataEmissao,
+    competencia: declaracao.Competencia || infNfse.Competencia,
+    rps: declaracao.Rps?.IdentificacaoRps
+      ? { numero: declaracao.Rps.IdentificacaoRps.Numero, serie: declaracao.Rps.IdentificacaoRps.Serie }
+      : null,
+    prestador: {
+      cnpj: identificacaoPrestador.CpfCnpj?.Cnpj || identificacaoPrestador.Cnpj,
+      cpf: identificacaoPrestador.CpfCnpj?.Cpf,
+      inscricaoMunicipal: identificacaoPrestador.InscricaoMunicipal,
+      nome: prestador.RazaoSocial,
+      fantasia: prestador.NomeFantasia,
+      endereco: parseEnderecoABRASF(prestador.Endereco),
+      optanteSimplesNacional: (declaracao.OptanteSimplesNacional || infNfse.OptanteSimplesNacional) === '1'
+    },
+    tomador: {
+      cnpj: tomador.IdentificacaoTomador?.CpfCnpj?.Cnpj,
+      cpf: tomador.IdentificacaoTomador?.CpfCnpj?.Cpf,
+      inscricaoMunicipal: tomador.IdentificacaoTomador?.InscricaoMunicipal,
+      nome: tomador.RazaoSocial,
+      endereco: parseEnderecoABRASF(tomador.Endereco)
+    },
+    servico: {
+      itemListaServico: normalizeServiceItem(servico.ItemListaServico),
+      codigoTributacaoMunicipio: servico.CodigoTributacaoMunicipio,
+      codigoTributacaoNacional: undefined,
+      cnae: servico.CodigoCnae,
+      nbs: servico.CodigoNbs,
+      discriminacao: servico.Discriminacao,
+      codigoMunicipioPrestacao: servico.CodigoMunicipio,
+      exigibilidadeISS: servico.ExigibilidadeISS
+    },
+    // O ABRASF só traz o código IBGE do município, sem o nome
+    municipioIncidencia: { codigo: codigoIncidencia, nome: undefined },
+    valores: {
+      valorServicos,
+      deducoes,
+      descontoIncondicionado,
+      descontoCondicionado: toMoney(valores.DescontoCondicionado),
+      baseCalculo: toMoney(valoresNfse.BaseCalculo) || subtractMoney(valorServicos, deducoes, descontoIncondicionado),
+      aliquotaISS: normalizeAliquota(valoresNfse.Aliquota || valores.Aliquota),
+      valorISS: toMoney(valoresNfse.ValorIss || valores.ValorIss),
+      issRetido,
+      responsavelRetencao: servico.ResponsavelRetencao,
+      retencoes: {
+        pis: toMoney(valores.ValorPis),
+        cofins: toMoney(valores.ValorCofins),
+        inss: toMoney(valores.ValorInss),
+        irrf: toMoney(valores.ValorIr),
+        csll: toMoney(valores.ValorCsll),
+        outras: toMoney(valores.OutrasRetencoes)
+      },
+      valorLiquido: toMoney(valoresNfse.ValorLiquidoNfse)
+    }
+  });
+}
+
+/**
+ * Layout da NFS-e Padrão Nacional (NFSe > infNFSe > DPS > infDPS)
+ * Também aceita uma DPS isolada (ainda sem número de NFS-e)
+ */
+function parseNacional(result) {
+  const infNFSe = findNode(result, 'infNFSe') || {};
+  const infDPS = findNode(result, 'infDPS') || {};
+  const prest = infDPS.prest || {};
+  const toma = infDPS.toma || {};
+  const serv = infDPS.serv || {};
+  const valoresDPS = infDPS.valores || {};
+  const valoresNFSe = infNFSe.valores || {};
+  const tribMun = valoresDPS.trib?.tribMun || {};
+  const tribFed = valoresDPS.trib?.tribFed || {};
+  const emit = infNFSe.emit || {};
+
+  const valorServicos = toMoney(valoresDPS.vServPrest?.vServ);
+  const descontoIncondicionado = toMoney(valoresDPS.vDescCondIncond?.vDescIncond);
+  const deducoes = toMoney(valoresDPS.vDedRed?.vDR);
+  // tpRetISSQN: 1 = não retido, 2 = retido pelo tomador, 3 = retido pelo intermediário
+  const issRetido = ['2', '3'].includes(tribMun.tpRetISSQN);
+
+  return buildNFSeData({
+    layout: 'NACIONAL',
+    numero: infNFSe.nNFSe,
+    codigoVerificacao: undefined,
+    chaveAcesso: infNFSe.$?.Id?.replace(/^NFS/, '') || undefined,
+    dataEmissao: infDPS.dhEmi,
+    competencia: infDPS.dCompet,
+    rps: infDPS.nDPS ? { numero: infDPS.nDPS, serie: infDPS.serie } : null,
+    prestador: {
+      cnpj: prest.CNPJ || emit.CNPJ,
+      cpf: prest.CPF || emit.CPF,
+      inscricaoMunicipal: prest.IM || emit.IM,
+      nome: emit.xNome || prest.xNome,
+      fantasia: emit.xFant,
+      endereco: parseEnderecoNacional(emit.enderNac || prest.end),
+      // opSimpNac: 1 = não optante, 2 = MEI, 3 = ME/EPP
+      optanteSimplesNacional: ['2', '3'].includes(prest.regTrib?.opSimpNac)
+    },
+    tomador: {
+      cnpj: toma.CNPJ,
+      cpf: toma.CPF,
+      inscricaoMunicipal: toma.IM,
+      nome: toma.xNome,
+      endereco: parseEnderecoNacional(toma.end)
+    },
+    servico: {
+      itemListaServico: normalizeServiceItem(serv.cServ?.cTribNac?.slice(0, 4)),
+      codigoTributacaoMunicipio: serv.cServ?.cTribMun,
+      codigoTributacaoNacional: serv.cServ?.cTribNac,
+      cnae: undefined,
+      nbs: serv.cServ?.cNBS,
+      discriminacao: serv.cServ?.xDescServ,
+      codigoMunicipioPrestacao: serv.locPrest?.cLocPrestacao,
+      exigibilidadeISS: tribMun.tribISSQN
+    },
+    municipioIncidencia: { codigo: infNFSe.cLocIncid, nome: infNFSe.xLocIncid },
+    valores: {
+      valorServicos,
+      deducoes,
+      descontoIncondicionado,
+      descontoCondicionado: toMoney(valoresDPS.vDescCondIncond?.vDescCond),
+      baseCalculo: toMoney(valoresNFSe.vBC) || subtractMoney(valorServicos, deducoes, descontoIncondicionado),
+      aliquotaISS: normalizeAliquota(valoresNFSe.pAliqAplic || tribMun.pAliq),
+      valorISS: toMoney(valoresNFSe.vISSQN),
+      issRetido,
+      responsavelRetencao: tribMun.tpRetISSQN,
+      retencoes: {
+        // tpRetPisCofins: 1 = retido, 2 = não retido
+        pis: tribFed.piscofins?.tpRetPisCofins === '1' ? toMoney(tribFed.piscofins?.vPis) : 0,
+        cofins: tribFed.piscofins?.tpRetPisCofins === '1' ? toMoney(tribFed.piscofins?.vCofins) : 0,
+        inss: toMoney(tribFed.vRetCP),
+        irrf: toMoney(tribFed.vRetIRRF),
+        csll: toMoney(tribFed.vRetCSLL),
+        outras: 0
+      },
+      valorLiquido: toMoney(valoresNFSe.vLiq)
+    }
+  });
+}
+
+/**
+ * Monta a estrutura comum aos dois layouts, com os campos usados pelo restante do pipeline.
+ * `municipality` é o nome do município de incidência quando o layout o informa (Nacional)
+ * e, sem ele, o código IBGE
+ */
+function buildNFSeData(nfse) {
+  const { valores } = nfse;
+
+  return {
+    documentType: 'NFSE',
+    ...nfse,
+    totalValue: valores.valorServicos,
+    state: nfse.prestador.endereco?.UF,
+    municipality: nfse.municipioIncidencia.nome || nfse.municipioIncidencia.codigo || nfse.prestador.endereco?.codigoMunicipio || '',
+    operationType: 'PRESTACAO_SERVICO',
+    taxInfo: {
+      serviceCode: nfse.servico.itemListaServico,
+      issRate: valores.aliquotaISS,
+      issWithheld: valores.issRetido,
+      regime: nfse.prestador.optanteSimplesNacional ? 'Simples Nacional' : undefined
+    },
+    impostos: {
+      iss: valores.valorISS,
+      ...valores.retencoes
+    }
+  };
+}
+
+function parseEnderecoABRASF(endereco) {
+  if (!endereco) return null;
+  return {
+    logradouro: endereco.Endereco,
+    numero: endereco.Numero,
+    bairro: endereco.Bairro,
+    codigoMunicipio: endereco.CodigoMunicipio,
+    UF: endereco.Uf,
+    cep: endereco.Cep
+  };
+}
+
+function parseEnderecoNacional(endereco) {
+  if (!endereco) return null;
+  return {
+    logradouro: endereco.xLgr,
+    numero: endereco.nro,
+    bairro: endereco.xBairro,
+    codigoMunicipio: endereco.cMun || endereco.endNac?.cMun,
+    UF: endereco.UF,
+    cep: endereco.CEP || endereco.endNac?.CEP
+  };
+}
+
+// Algumas prefeituras informam a alíquota como fração (0.05) e outras como percentual (5.00).
+// Como o ISS mínimo é 2%, qualquer valor abaixo de 1 só pode ser fração.
+function normalizeAliquota(value) {
+  const aliquota = toNumber(value);
+  // toFixed evita 0.05 * 100 = 5.000000000000001
+  return aliquota > 0 && aliquota < 1 ? Number((aliquota * 100).toFixed(4)) : aliquota;
+}
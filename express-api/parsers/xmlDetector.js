@@ -0,0 +1,159 @@
+import { parseXML } from './xmlUtils.js';
+
+const ABRASF_NAMESPACE = 'http://www.abrasf.org.br/nfse.xsd';
+
+// Modelos de documento fiscal (campo mod)
+const MODELOS = {
+  '55': 'NFE',
+  '65': 'NFCE',
+  '57': 'CTE',
+  '67': 'CTE' // CT-e OS
+};
+
+// Raízes de eventos e de XMLs que não são documentos fiscais
+const EVENT_ROOTS = ['procEventoNFe', 'evento', 'envEvento', 'retEnvEvento', 'procEventoCTe', 'eventoCTe', 'retEventoCTe'];
+const NON_DOCUMENT_ROOTS = ['procInutNFe', 'inutNFe', 'retInutNFe', 'resNFe', 'resEvento', 'retConsSitNFe'];
+
+// Raízes usadas pelos layouts de NFS-e (ABRASF 2.x e Padrão Nacional)
+const NFSE_ABRASF_ROOTS = ['CompNfse', 'Nfse', 'ListaNfse', 'ConsultarNfseResposta', 'ConsultarNfseRpsResposta', 'ConsultarNfseFaixaResposta', 'ConsultarNfseServicoPrestadoResposta', 'GerarNfseResposta'];
+const NFSE_NACIONAL_ROOTS = ['NFSe', 'DPS'];
+
+/**
+ * Erro para XMLs que não conseguimos (ou não devemos) processar.
+ * A mensagem é voltada ao usuário e pode ser exibida diretamente.
+ */
+export class UnsupportedDocumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedDocumentError';
+  }
+}
+
+/**
+ * Identifica o tipo de XML fiscal a partir do elemento raiz e do namespace.
+ *
+ * Retorna { documentType, layout, modelo, namespace, rootElement, autorizado, evento, parsed }
+ * - documentType: NFE, NFCE, CTE, NFSE ou EVENTO
+ * - layout: nfeProc, NFe, cteProc, CTe, ABRASF, NACIONAL ou a raiz do evento
+ * - parsed: a árvore do XML (parseXML), que segue para o parser do tipo
+ */
+export async function detectFiscalXML(xmlString) {
+  let parsed;
+  try {
+    parsed = await parseXML(xmlString);
+  } catch (error) {
+    throw new UnsupportedDocumentError(`Arquivo XML malformado: ${error.message.split('\n')[0]}`);
+  }
+
+  const rootElement = parsed && Object.keys(parsed)[0];
+  if (!rootElement) {
+    throw new UnsupportedDocumentError('Arquivo XML vazio');
+  }
+
+  const root = parsed[rootElement] || {};
+  const namespace = findNamespace(root);
+  const base = { rootElement, namespace, parsed };
+
+  if (EVENT_ROOTS.includes(rootElement)) {
+    return { ...base, ...describeEvent(rootElement, root) };
+  }
+
+  if (NON_DOCUMENT_ROOTS.includes(rootElement)) {
+    throw new UnsupportedDocumentError(
+      `O XML enviado (${rootElement}) não é um documento fiscal. Envie o XML autorizado da nota (nfeProc).`
+    );
+  }
+
+  // NF-e / NFC-e: o modelo (55 ou 65) vem de ide/mod, não de uma tag própria
+  if (rootElement === 'nfeProc' || rootElement === 'NFe') {
+    const infNFe = rootElement === 'nfeProc' ? root.NFe?.infNFe : root.infNFe;
+    return {
+      ...base,
+      ...describeModel(infNFe?.ide?.mod, 'NFE'),
+      layout: rootElement,
+      autorizado: Boolean(root.protNFe?.infProt)
+    };
+  }
+
+  if (rootElement === 'cteProc' || rootElement === 'CTe' || rootElement === 'CTeOS' || rootElement === 'cteOSProc') {
+    const infCte = (rootElement === 'cteProc' ? root.CTe : rootElement === 'cteOSProc' ? root.CTeOS : root)?.infCte;
+    return {
+      ...base,
+      ...describeModel(infCte?.ide?.mod, 'CTE'),
+      layout: rootElement,
+      autorizado: Boolean(root.protCTe?.infProt)
+    };
+  }
+
+  if (NFSE_NACIONAL_ROOTS.includes(rootElement) && namespace !== ABRASF_NAMESPACE) {
+    return {
+      ...base,
+      documentType: 'NFSE',
+      layout: 'NACIONAL',
+      modelo: null,
+      autorizado: rootElement === 'NFSe'
+    };
+  }
+
+  if (NFSE_ABRASF_ROOTS.includes(rootElement) || namespace === ABRASF_NAMESPACE) {
+    return {
+      ...base,
+      documentType: 'NFSE',
+      layout: 'ABRASF',
+      modelo: null,
+      autorizado: true
+    };
+  }
+
+  throw new UnsupportedDocumentError(
+    `Formato de XML não reconhecido (raiz <${rootElement}>${namespace ? `, namespace ${namespace}` : ''}). ` +
+    'Os formatos aceitos são NF-e, NFC-e, CT-e e NFS-e.'
+  );
+}
+
+/**
+ * Resolve o documentType a partir do modelo, com fallback para o tipo da raiz
+ */
+function describeModel(mod, fallbackType) {
+  if (mod && !MODELOS[mod]) {
+    throw new UnsupportedDocumentError(`Modelo de documento fiscal não suportado: ${mod}`);
+  }
+  return {
+    documentType: MODELOS[mod] || fallbackType,
+    modelo: mod || null
+  };
+}
+
+/**
+ * Extrai tipo, descrição e chave de um XML de evento (cancelamento, CC-e, manifestação...)
+ */
+function describeEvent(rootElement, root) {
+  const evento = root.evento || root;
+  const infEvento = evento.infEvento || {};
+  const isCTe = rootElement.includes('CTe');
+
+  return {
+    documentType: 'EVENTO',
+    layout: rootElement,
+    modelo: null,
+    autorizado: Boolean(root.retEvento || root.retEventoCTe),
+    evento: {
+      documento: isCTe ? 'CTE' : 'NFE',
+      tipo: infEvento.tpEvento,
+      descricao: infEvento.detEvento?.descEvento,
+      chave: infEvento.chNFe || infEvento.chCTe,
+      dataEvento: infEvento.dhEvento
+    }
+  };
+}
+
+/**
+ * Procura o namespace na raiz ou no primeiro filho (ex.: nfeProc sem xmlns, NFe com xmlns)
+ */
+function findNamespace(root) {
+  if (root.$?.xmlns) return root.$.xmlns;
+  for (const [key, child] of Object.entries(root)) {
+    if (key !== '$' && child?.$?.xmlns) return child.$.xmlns;
+  }
+  return null;
+}
@@ -0,0 +1,69 @@
+import xml2js from 'xml2js';
+import { money } from '../taxes/money.js';
+
+/**
+ * Helpers compartilhados pelos parsers de XML fiscal
+ */
+
+/**
+ * Faz o parse do XML sem arrays implícitos e sem prefixos de namespace (nfe:, ns2:...)
+ */
+export async function parseXML(xmlString) {
+  const parser = new xml2js.Parser({
+    explicitArray: false,
+    tagNameProcessors: [xml2js.processors.stripPrefix]
+  });
+  return parser.parseStringPromise(xmlString);
+}
+
+/**
+ * Árvore do XML a partir do texto ou da árvore já lida por parseXML (a de detectFiscalXML),
+ * para o arquivo não ser lido duas vezes
+ */
+export async function xmlTree(xml) {
+  return typeof xml === 'string' ? parseXML(xml) : xml;
+}
+
+export function asArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+export function toNumber(value) {
+  return parseFloat(value || 0);
+}
+
+// Valores monetários (vProd, vICMS...): lidos do texto do XML direto em centavos, sem passar por parseFloat
+export function toMoney(value) {
+  const texto = String(value ?? '').trim();
+  return /^-?\d+(\.\d+)?$/.test(texto) ? money(texto) : money(toNumber(value) || 0);
+}
+
+// Retorna [nomeDoGrupo, conteúdo] do único filho de um grupo como <ICMS><ICMS00>...</ICMS00></ICMS>
+export function firstChild(group) {
+  if (!group || typeof group !== 'object') return [undefined, undefined];
+  const key = Object.keys(group).find(k => k !== '$');
+  return key ? [key, group[key]] : [undefined, undefined];
+}
+
+// Busca em profundidade o primeiro nó com o nome informado (útil para envelopes como ListaNfse/CompNfse)
+export function findNode(node, name) {
+  if (!node || typeof node !== 'object') return undefined;
+  if (node[name] !== undefined) return node[name];
+
+  for (const [key, child] of Object.entries(node)) {
+    if (key === '$') continue;
+    const found = findNode(Array.isArray(child) ? child[0] : child, name);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+// Item da lista da LC 116 no formato "1.05" (aceita "105", "0105", "01.05"); compartilhado pelo parser de NFS-e e pelo cálculo do ISS
+export function normalizeServiceItem(value) {
+  if (!value) return undefined;
+  const digits = String(value).replace(/\D/g, '');
+  if (digits.length < 3) return String(value);
+  const padded = digits.padStart(4, '0').slice(0, 4);
+  return `${parseInt(padded.slice(0, 2), 10)}.${padded.slice(2)}`;
+}
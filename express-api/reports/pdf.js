@@ -0,0 +1,523 @@
+import fs from 'fs';
+import { createRequire } from 'module';
+import { PDFDocument, rgb } from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+import { sumMoney } from '../taxes/money.js';
+
+/**
+ * PDF do relatório de impostos (pdf-lib), em páginas A4:
+ * - Cabeçalho em todas as páginas: empresa, CNPJ e período
+ * - Resumo, tabela por tributo, alertas, comparativo mensal em barras, apurações e a
+ *   listagem dos documentos (o cabeçalho da tabela se repete a cada página)
+ * - Rodapé com a data de geração e "Página X de N"
+ *
+ * As fontes padrão do PDF não são incorporadas e dependem do leitor para os acentos;
+ * por isso a DejaVu Sans (pacote dejavu-fonts-ttf) vai incorporada, só com os glifos usados.
+ */
+
+const require = createRequire(import.meta.url);
+
+const FONTES = {
+  regular: 'dejavu-fonts-ttf/ttf/DejaVuSans.ttf',
+  negrito: 'dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf'
+};
+
+const PAGINA = [595.28, 841.89];
+const MARGEM = 40;
+const LARGURA_UTIL = PAGINA[0] - 2 * MARGEM;
+const TOPO_CONTEUDO = PAGINA[1] - 92;
+const BASE_CONTEUDO = 56;
+
+const CORES = {
+  texto: rgb(0.13, 0.13, 0.13),
+  suave: rgb(0.42, 0.42, 0.42),
+  linha: rgb(0.8, 0.8, 0.8),
+  fundoCabecalho: rgb(0.88, 0.91, 0.95),
+  fundoAlternado: rgb(0.96, 0.96, 0.96),
+  saidas: rgb(0.16, 0.38, 0.62),
+  entradas: rgb(0.62, 0.66, 0.7)
+};
+
+// Marcador dos alertas pela severidade (a mesma do monitor de compliance)
+const CORES_SEVERIDADE = {
+  high: rgb(0.75, 0.15, 0.15),
+  medium: rgb(0.88, 0.55, 0.1),
+  low: rgb(0.45, 0.45, 0.45)
+};
+
+const ROTULOS_DOCUMENTO = { NFE: 'NF-e', NFCE: 'NFC-e', CTE: 'CT-e', NFSE: 'NFS-e' };
+
+// Ordem dos tributos conhecidos na tabela-resumo; outros tributos do relatório vêm depois
+const TRIBUTOS_RESUMO = [
+  'ICMS', 'FCP', 'ICMS_ST', 'FCP_ST', 'DIFAL', 'FCP_DESTINO', 'IPI', 'ISS', 'PIS', 'COFINS', 'IRRF', 'CSLL', 'INSS'
+];
+
+const ROTULOS_TRIBUTO = { ICMS_ST: 'ICMS-ST', FCP_ST: 'FCP-ST', FCP_DESTINO: 'FCP destino' };
+
+// Campos dos totais de retenções que não são tributos
+const CAMPOS_RETENCOES = ['documentos', 'total'];
+
+let bytesFontes = null;
+
+/**
+ * Rótulo do tipo de documento (NF-e, NFS-e...) para exibição
+ */
+export function documentLabel(tipo) {
+  return ROTULOS_DOCUMENTO[tipo] || tipo || 'Documento';
+}
+
+/**
+ * PDF do relatório. `detalhes` são as linhas de texto das apurações e estimativas
+ * (linhas iniciadas por espaço são itens do bloco anterior; linha vazia separa blocos)
+ */
+export async function renderReportPDF(report, { detalhes = [], geradoEm = new Date() } = {}) {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.registerFontkit(fontkit);
+  const bytes = loadFontBytes();
+  const fontes = {
+    regular: await pdfDoc.embedFont(bytes.regular, { subset: true }),
+    negrito: await pdfDoc.embedFont(bytes.negrito, { subset: true })
+  };
+
+  const descricao = report.periodo?.descricao || `${String(report.month).padStart(2, '0')}/${report.year}`;
+  pdfDoc.setTitle(`Relatório de Impostos - ${descricao}`);
+  pdfDoc.setSubject(report.companyName || '');
+  pdfDoc.setCreator('TaxiBot');
+  pdfDoc.setLanguage('pt-BR');
+
+  const ctx = { pdfDoc, fontes, report, descricao, page: null, y: 0 };
+  newPage(ctx);
+  drawSummary(ctx);
+  drawTaxTable(ctx);
+  drawWarnings(ctx);
+  drawHistoryChart(ctx);
+  drawDetails(ctx, detalhes);
+  drawDocumentList(ctx);
+  drawFooters(ctx, geradoEm);
+
+  return pdfDoc.save();
+}
+
+function loadFontBytes() {
+  if (!bytesFontes) {
+    bytesFontes = Object.fromEntries(
+      Object.entries(FONTES).map(([estilo, modulo]) => [estilo, fs.readFileSync(require.resolve(modulo))])
+    );
+  }
+  return bytesFontes;
+}
+
+function newPage(ctx) {
+  ctx.page = ctx.pdfDoc.addPage(PAGINA);
+  drawHeader(ctx);
+  ctx.y = TOPO_CONTEUDO;
+}
+
+/**
+ * Abre uma nova página quando não cabem `altura` pontos; devolve true se abriu
+ */
+function ensureSpace(ctx, altura) {
+  if (ctx.y - altura >= BASE_CONTEUDO) return false;
+  newPage(ctx);
+  return true;
+}
+
+function drawText(ctx, texto, { x = MARGEM, y, tamanho = 9, fonte = 'regular', cor = CORES.texto } = {}) {
+  ctx.page.drawText(String(texto), { x, y, size: tamanho, font: ctx.fontes[fonte], color: cor });
+}
+
+function drawRightText(ctx, texto, xDireita, opcoes = {}) {
+  const largura = ctx.fontes[opcoes.fonte || 'regular'].widthOfTextAtSize(String(texto), opcoes.tamanho || 9);
+  drawText(ctx, texto, { ...opcoes, x: xDireita - largura });
+}
+
+function drawCenteredText(ctx, texto, xCentro, opcoes = {}) {
+  const largura = ctx.fontes[opcoes.fonte || 'regular'].widthOfTextAtSize(String(texto), opcoes.tamanho || 9);
+  drawText(ctx, texto, { ...opcoes, x: xCentro - largura / 2 });
+}
+
+/**
+ * Escreve um parágrafo com quebra de linha na largura disponível
+ */
+function writeParagraph(ctx, texto, { recuo = 0, tamanho = 9, fonte = 'regular', cor } = {}) {
+  const entrelinha = tamanho * 1.45;
+  for (const linha of wrapText(texto, ctx.fontes[fonte], tamanho, LARGURA_UTIL - recuo)) {
+    ensureSpace(ctx, entrelinha);
+    drawText(ctx, linha, { x: MARGEM + recuo, y: ctx.y - tamanho, tamanho, fonte, cor });
+    ctx.y -= entrelinha;
+  }
+}
+
+function wrapText(texto, fonte, tamanho, largura) {
+  const linhas = [];
+  let atual = '';
+  for (const palavra of String(texto).split(/\s+/).filter(Boolean)) {
+    const candidata = atual ? `${atual} ${palavra}` : palavra;
+    if (atual && fonte.widthOfTextAtSize(candidata, tamanho) > largura) {
+      linhas.push(atual);
+      atual = palavra;
+    } else {
+      atual = candidata;
+    }
+  }
+  if (atual) linhas.push(atual);
+  return linhas;
+}
+
+/**
+ * Corta o texto com reticências para caber na largura
+ */
+function fitText(texto, fonte, tamanho, largura) {
+  const valor = String(texto ?? '');
+  if (fonte.widthOfTextAtSize(valor, tamanho) <= largura) return valor;
+  let fim = valor.length;
+  while (fim > 0 && fonte.widthOfTextAtSize(`${valor.slice(0, fim)}…`, tamanho) > largura) fim--;
+  return `${valor.slice(0, fim).trimEnd()}…`;
+}
+
+/**
+ * Título de seção; não fica sozinho no pé da página (exige espaço para o conteúdo)
+ */
+function drawSectionTitle(ctx, titulo, espacoConteudo = 40) {
+  ensureSpace(ctx, 34 + espacoConteudo);
+  ctx.y -= 14;
+  drawText(ctx, titulo, { y: ctx.y - 11, tamanho: 11, fonte: 'negrito' });
+  ctx.y -= 16;
+  ctx.page.drawLine({
+    start: { x: MARGEM, y: ctx.y },
+    end: { x: PAGINA[0] - MARGEM, y: ctx.y },
+    thickness: 0.5,
+    color: CORES.linha
+  });
+  ctx.y -= 6;
+}
+
+function drawHeader(ctx) {
+  const { report } = ctx;
+  const topo = PAGINA[1] - MARGEM;
+  const larguraNome = LARGURA_UTIL - 170;
+
+  drawText(ctx, fitText(report.companyName || 'Empresa não cadastrada', ctx.fontes.negrito, 13, larguraNome), {
+    y: topo - 13,
+    tamanho: 13,
+    fonte: 'negrito'
+  });
+  drawText(ctx, report.cnpj ? `CNPJ ${formatCNPJ(report.cnpj)}` : 'CNPJ não cadastrado (use !onboarding)', {
+    y: topo - 29,
+    cor: CORES.suave
+  });
+  drawRightText(ctx, 'Relatório de Impostos', PAGINA[0] - MARGEM, { y: topo - 13, tamanho: 11, fonte: 'negrito' });
+  drawRightText(ctx, `Período: ${ctx.descricao}`, PAGINA[0] - MARGEM, { y: topo - 29, cor: CORES.suave });
+
+  ctx.page.drawLine({
+    start: { x: MARGEM, y: topo - 38 },
+    end: { x: PAGINA[0] - MARGEM, y: topo - 38 },
+    thickness: 1,
+    color: CORES.saidas
+  });
+}
+
+function drawFooters(ctx, geradoEm) {
+  const paginas = ctx.pdfDoc.getPages();
+  paginas.forEach((pagina, indice) => {
+    ctx.page = pagina;
+    pagina.drawLine({
+      start: { x: MARGEM, y: 40 },
+      end: { x: PAGINA[0] - MARGEM, y: 40 },
+      thickness: 0.5,
+      color: CORES.linha
+    });
+    drawText(ctx, `Gerado em ${geradoEm.toLocaleString('pt-BR')} pelo TaxiBot. Valores estimados, confira com sua contabilidade.`, {
+      y: 28,
+      tamanho: 7,
+      cor: CORES.suave
+    });
+    drawRightText(ctx, `Página ${indice + 1} de ${paginas.length}`, PAGINA[0] - MARGEM, { y: 28, tamanho: 7, cor: CORES.suave });
+  });
+}
+
+/**
+ * Resumo: documentos, valores por direção e o imposto a recolher das apurações do período
+ */
+function drawSummary(ctx) {
+  const { report } = ctx;
+  const { saida, entrada, naoClassificado } = report.documentos || {};
+  const meses = report.meses || [report];
+  // Vendas e compras em linhas separadas: o "valor total" de um período não soma as duas
+  const itens = [['Documentos no período', String(report.totalDocuments)]];
+  if (saida && entrada) {
+    itens.push([`Vendas - saídas (${saida.documentos})`, formatCurrency(saida.valor)]);
+    itens.push([`Compras - entradas (${entrada.documentos})`, formatCurrency(entrada.valor)]);
+    if (naoClassificado.documentos > 0) {
+      itens.push([`Sem classificação (${naoClassificado.documentos})`, formatCurrency(naoClassificado.valor)]);
+    }
+  }
+
+  const das = meses.filter(mes => mes.simplesNacional && !mes.simplesNacional.erro);
+  if (das.length > 0) {
+    itens.push(['DAS (Simples Nacional)', formatCurrency(sumMoney(das.map(mes => mes.simplesNacional.total)))]);
+  }
+  for (const tributo of ['ICMS', 'IPI']) {
+    const apuracoes = meses.filter(mes => mes.apuracaoICMSIPI);
+    if (apuracoes.length > 0) {
+      itens.push([`${tributo} a recolher (apuração)`, formatCurrency(sumMoney(apuracoes.map(mes => mes.apuracaoICMSIPI[tributo].aRecolher)))]);
+    }
+  }
+  for (const tributo of ['PIS', 'COFINS']) {
+    const valores = meses.map(mes => mes.pisCofinsApuracao?.[tributo].aPagar ?? mes.regimeEstimate?.pisCofins[tributo]);
+    if (valores.some(valor => valor !== undefined)) {
+      itens.push([`${tributo} a recolher`, formatCurrency(sumMoney(valores))]);
+    }
+  }
+
+  drawSectionTitle(ctx, 'Resumo');
+  // Duas colunas de pares rótulo/valor
+  const linhas = Math.ceil(itens.length / 2);
+  const larguraColuna = LARGURA_UTIL / 2;
+  for (let linha = 0; linha < linhas; linha++) {
+    ensureSpace(ctx, 15);
+    for (const coluna of [0, 1]) {
+      const item = itens[linha + coluna * linhas];
+      if (!item) continue;
+      const x = MARGEM + coluna * larguraColuna;
+      drawText(ctx, item[0], { x, y: ctx.y - 10, cor: CORES.suave });
+      drawRightText(ctx, item[1], x + larguraColuna - 16, { y: ctx.y - 10, fonte: 'negrito' });
+    }
+    ctx.y -= 15;
+  }
+}
+
+/**
+ * Tabela por tributo: calculado nas saídas do período e retenções (sofridas e a recolher)
+ */
+function drawTaxTable(ctx) {
+  const { report } = ctx;
+  const sofridas = report.retencoes?.sofridas || {};
+  const aRecolher = report.retencoes?.aRecolher || {};
+  // Linhas a partir dos tributos presentes no relatório (nada calculado fica fora da tabela)
+  const presentes = new Set([
+    ...Object.keys(report.taxes || {}),
+    ...[sofridas, aRecolher].flatMap(totais => Object.keys(totais).filter(campo => !CAMPOS_RETENCOES.includes(campo)))
+  ]);
+  const tributos = [
+    ...TRIBUTOS_RESUMO.filter(tributo => presentes.has(tributo)),
+    ...[...presentes].filter(tributo => !TRIBUTOS_RESUMO.includes(tributo))
+  ];
+  const linhas = tributos
+    .map(tributo => [tributo, report.taxes?.[tributo] || 0, sofridas[tributo] || 0, aRecolher[tributo] || 0])
+    .filter(([tributo, ...valores]) => tributo in (report.taxes || {}) || valores.some(valor => valor !== 0));
+
+  drawSectionTitle(ctx, 'Impostos por tributo', 60);
+  const totais = ['Total', ...[1, 2, 3].map(coluna => sumMoney(linhas.map(linha => linha[coluna])))];
+  drawTable(
+    ctx,
+    [
+      { titulo: 'Tributo', largura: 106 },
+      { titulo: 'Nas saídas (R$)', largura: 136, alinhamento: 'direita' },
+      { titulo: 'Retenções sofridas (R$)', largura: 136, alinhamento: 'direita' },
+      { titulo: 'Retenções a recolher (R$)', largura: 137, alinhamento: 'direita' }
+    ],
+    [...linhas, totais].map(([tributo, ...valores]) => [ROTULOS_TRIBUTO[tributo] || tributo, ...valores.map(formatNumber)]),
+    { destacarUltima: true }
+  );
+}
+
+function drawWarnings(ctx) {
+  const alertas = ctx.report.alertas || [];
+  drawSectionTitle(ctx, 'Alertas de compliance', 20);
+  if (alertas.length === 0) {
+    writeParagraph(ctx, 'Nenhum alerta no período.', { cor: CORES.suave });
+    return;
+  }
+  for (const alerta of alertas) {
+    ensureSpace(ctx, 14);
+    ctx.page.drawCircle({ x: MARGEM + 3, y: ctx.y - 6.5, size: 2.5, color: CORES_SEVERIDADE[alerta.severity] || CORES_SEVERIDADE.low });
+    writeParagraph(ctx, alerta.message, { recuo: 12 });
+  }
+}
+
+/**
+ * Barras de saídas e entradas por mês (mês a mês no trimestre/ano; seis meses no relatório mensal)
+ */
+function drawHistoryChart(ctx) {
+  const historico = ctx.report.historico || [];
+  if (historico.length === 0) return;
+
+  const alturaGrafico = 130;
+  drawSectionTitle(ctx, 'Comparativo mensal', alturaGrafico + 40);
+  const maximo = Math.max(...historico.flatMap(mes => [mes.saidas, mes.entradas]));
+  if (maximo <= 0) {
+    writeParagraph(ctx, 'Sem movimento nos meses do comparativo.', { cor: CORES.suave });
+    return;
+  }
+
+  // Legenda
+  for (const [indice, [rotulo, cor]] of [['Saídas', CORES.saidas], ['Entradas', CORES.entradas]].entries()) {
+    const x = MARGEM + indice * 70;
+    ctx.page.drawRectangle({ x, y: ctx.y - 9, width: 8, height: 8, color: cor });
+    drawText(ctx, rotulo, { x: x + 12, y: ctx.y - 8.5, tamanho: 8 });
+  }
+  ctx.y -= 18;
+
+  const base = ctx.y - alturaGrafico;
+  const larguraGrupo = LARGURA_UTIL / historico.length;
+  const larguraBarra = Math.min(larguraGrupo * 0.35, 28);
+  const alturaUtil = alturaGrafico - 12;
+  ctx.page.drawLine({ start: { x: MARGEM, y: base }, end: { x: PAGINA[0] - MARGEM, y: base }, thickness: 0.75, color: CORES.suave });
+
+  historico.forEach((mes, indice) => {
+    const centro = MARGEM + larguraGrupo * (indice + 0.5);
+    const barras = [[mes.saidas, CORES.saidas, centro - larguraBarra - 1], [mes.entradas, CORES.entradas, centro + 1]];
+    for (const [valor, cor, x] of barras) {
+      const altura = (valor / maximo) * alturaUtil;
+      if (altura > 0) ctx.page.drawRectangle({ x, y: base, width: larguraBarra, height: altura, color: cor });
+      if (valor > 0) drawCenteredText(ctx, formatCompact(valor), x + larguraBarra / 2, { y: base + altura + 2, tamanho: 6, cor: CORES.suave });
+    }
+    drawCenteredText(ctx, `${String(mes.month).padStart(2, '0')}/${String(mes.year).slice(-2)}`, centro, { y: base - 10, tamanho: 7 });
+  });
+  ctx.y = base - 18;
+
+  const [anterior, atual] = historico.slice(-2);
+  if (anterior && anterior.saidas > 0) {
+    const variacao = ((atual.saidas - anterior.saidas) / anterior.saidas) * 100;
+    writeParagraph(
+      ctx,
+      `Saídas de ${String(atual.month).padStart(2, '0')}/${atual.year}: ${variacao >= 0 ? '+' : ''}` +
+        `${variacao.toLocaleString('pt-BR', { maximumFractionDigits: 1 })}% sobre o mês anterior.`,
+      { tamanho: 8, cor: CORES.suave }
+    );
+  }
+}
+
+function drawDetails(ctx, detalhes) {
+  if (!detalhes.some(Boolean)) return;
+  drawSectionTitle(ctx, 'Apurações e estimativas');
+  for (const linha of detalhes) {
+    const mes = /^--- (.+) ---$/.exec(linha);
+    if (!linha) {
+      ctx.y -= 4;
+    } else if (mes) {
+      // Separador dos meses no relatório trimestral/anual
+      ensureSpace(ctx, 60);
+      ctx.y -= 4;
+      ctx.page.drawRectangle({ x: MARGEM, y: ctx.y - 15, width: LARGURA_UTIL, height: 15, color: CORES.fundoCabecalho });
+      drawText(ctx, mes[1], { x: MARGEM + 4, y: ctx.y - 11, tamanho: 9.5, fonte: 'negrito' });
+      ctx.y -= 19;
+    } else if (/^\s/.test(linha)) {
+      const nivel = (linha.length - linha.trimStart().length) / 2;
+      writeParagraph(ctx, linha.trim(), { recuo: nivel * 10, tamanho: 8 });
+    } else {
+      writeParagraph(ctx, linha, { fonte: 'negrito' });
+    }
+  }
+}
+
+/**
+ * Documentos do período em ordem de emissão; impostos calculados apenas nas saídas
+ */
+function drawDocumentList(ctx) {
+  const documentos = ctx.report.listaDocumentos || [];
+  drawSectionTitle(ctx, `Documentos do período (${documentos.length})`, 50);
+  if (documentos.length === 0) {
+    writeParagraph(ctx, 'Nenhum documento emitido no período.', { cor: CORES.suave });
+    return;
+  }
+
+  const direcoes = { saida: 'S', entrada: 'E' };
+  drawTable(
+    ctx,
+    [
+      { titulo: 'Número', largura: 52 },
+      { titulo: 'Emissão', largura: 54 },
+      { titulo: 'Tipo', largura: 38 },
+      { titulo: 'E/S', largura: 24 },
+      { titulo: 'Contraparte', largura: 183 },
+      { titulo: 'Valor (R$)', largura: 82, alinhamento: 'direita' },
+      { titulo: 'Impostos (R$)', largura: 82, alinhamento: 'direita' }
+    ],
+    documentos.map(documento => [
+      documento.numero || '-',
+      formatDate(documento.dataEmissao),
+      documentLabel(documento.tipo),
+      direcoes[documento.direcao] || '?',
+      documento.contraparte || '-',
+      formatNumber(documento.valor || 0),
+      documento.impostos === null || documento.impostos === undefined ? '-' : formatNumber(documento.impostos)
+    ]),
+    { tamanho: 7.5 }
+  );
+  writeParagraph(ctx, 'E = entrada, S = saída, ? = sem o CNPJ da empresa como emitente ou destinatário.', { tamanho: 7, cor: CORES.suave });
+}
+
+/**
+ * Tabela com cabeçalho sombreado, repetido quando a tabela continua na página seguinte
+ */
+function drawTable(ctx, colunas, linhas, { tamanho = 8.5, destacarUltima = false } = {}) {
+  const alturaLinha = tamanho + 7;
+  const larguraTotal = colunas.reduce((total, coluna) => total + coluna.largura, 0);
+
+  const drawRow = (celulas, { fonte = 'regular', fundo = null } = {}) => {
+    if (fundo) {
+      ctx.page.drawRectangle({ x: MARGEM, y: ctx.y - alturaLinha, width: larguraTotal, height: alturaLinha, color: fundo });
+    }
+    let x = MARGEM;
+    colunas.forEach((coluna, indice) => {
+      const texto = fitText(celulas[indice], ctx.fontes[fonte], tamanho, coluna.largura - 8);
+      const y = ctx.y - tamanho - 3;
+      if (coluna.alinhamento === 'direita') {
+        drawRightText(ctx, texto, x + coluna.largura - 4, { y, tamanho, fonte });
+      } else {
+        drawText(ctx, texto, { x: x + 4, y, tamanho, fonte });
+      }
+      x += coluna.largura;
+    });
+    ctx.y -= alturaLinha;
+  };
+  const drawHeaderRow = () => drawRow(colunas.map(coluna => coluna.titulo), { fonte: 'negrito', fundo: CORES.fundoCabecalho });
+
+  ensureSpace(ctx, alturaLinha * 2);
+  drawHeaderRow();
+  linhas.forEach((celulas, indice) => {
+    if (ensureSpace(ctx, alturaLinha)) drawHeaderRow();
+    const ultima = destacarUltima && indice === linhas.length - 1;
+    drawRow(celulas, {
+      fonte: ultima ? 'negrito' : 'regular',
+      fundo: ultima ? CORES.fundoCabecalho : indice % 2 === 1 ? CORES.fundoAlternado : null
+    });
+  });
+}
+
+function formatNumber(valor) {
+  return Number(valor || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatCurrency(valor) {
+  return `R$ ${formatNumber(valor)}`;
+}
+
+/**
+ * Rótulo curto das barras: 950, 12,5 mil, 1,2 mi
+ */
+function formatCompact(valor) {
+  if (valor >= 1e6) return `${(valor / 1e6).toLocaleString('pt-BR', { maximumFractionDigits: 1 })} mi`;
+  if (valor >= 1e3) return `${(valor / 1e3).toLocaleString('pt-BR', { maximumFractionDigits: 1 })} mil`;
+  return Math.round(valor).toLocaleString('pt-BR');
+}
+
+/**
+ * Data de emissão (meia-noite UTC do dia, como em reports/periodo.js) em DD/MM/AAAA
+ */
+function formatDate(valor) {
+  const data = new Date(valor);
+  if (!valor || Number.isNaN(data.getTime())) return '-';
+  return `${String(data.getUTCDate()).padStart(2, '0')}/${String(data.getUTCMonth() + 1).padStart(2, '0')}/${data.getUTCFullYear()}`;
+}
+
+/**
+ * CNPJ (numérico ou alfanumérico) com máscara; outros valores como vieram
+ */
+function formatCNPJ(valor) {
+  const cnpj = String(valor).replace(/[^0-9A-Za-z]/g, '').toUpperCase();
+  if (cnpj.length !== 14) return String(valor);
+  return `${cnpj.slice(0, 2)}.${cnpj.slice(2, 5)}.${cnpj.slice(5, 8)}/${cnpj.slice(8, 12)}-${cnpj.slice(12)}`;
+}
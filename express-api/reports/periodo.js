@@ -0,0 +1,110 @@
+/**
+ * Períodos de relatório (mês, trimestre ou ano) e atribuição dos documentos ao período
+ * pela data de emissão (não pela data de envio):
+ * - Índice do mês = ano * 12 + (mês - 1), o mesmo das apurações mensais
+ * - Sem data de emissão, vale a competência (NFS-e); sem nenhuma das duas, o envio (createdAt)
+ * - O dia vem do próprio texto da data (dhEmi traz o fuso do emitente), sem passar pelo fuso
+ *   do servidor; as datas devolvidas são a meia-noite UTC desse dia
+ */
+
+/**
+ * Período a partir do texto do usuário:
+ * - vazio: mês de `referencia`
+ * - "03/2025" (ou "3/2025"): mês
+ * - "T1 2025" (ou "T1/2025"): trimestre
+ * - "2025": ano
+ * Devolve null quando o texto não é um período válido
+ */
+export function parseReportPeriod(texto, referencia = new Date()) {
+  const valor = String(texto || '').trim().toUpperCase();
+  if (!valor) {
+    return buildPeriod('MENSAL', referencia.getFullYear(), referencia.getMonth() + 1);
+  }
+
+  let match = /^(\d{1,2})\/(\d{4})$/.exec(valor);
+  if (match) {
+    const mes = Number(match[1]);
+    return mes >= 1 && mes <= 12 ? buildPeriod('MENSAL', Number(match[2]), mes) : null;
+  }
+  match = /^T([1-4])[\s/]*(\d{4})$/.exec(valor);
+  if (match) {
+    return buildPeriod('TRIMESTRAL', Number(match[2]), Number(match[1]));
+  }
+  match = /^(\d{4})$/.exec(valor);
+  if (match) {
+    return buildPeriod('ANUAL', Number(match[1]));
+  }
+  return null;
+}
+
+/**
+ * Período pelo tipo: `numero` é o mês (MENSAL) ou o trimestre (TRIMESTRAL)
+ * - chave: identificador único do período ("2025-03", "2025-T1", "2025")
+ */
+export function buildPeriod(tipo, ano, numero) {
+  switch (tipo) {
+    case 'MENSAL': {
+      const mm = String(numero).padStart(2, '0');
+      return { tipo, ano, mesInicial: numero, mesFinal: numero, chave: `${ano}-${mm}`, descricao: `${mm}/${ano}` };
+    }
+    case 'TRIMESTRAL':
+      return {
+        tipo,
+        ano,
+        mesInicial: (numero - 1) * 3 + 1,
+        mesFinal: numero * 3,
+        chave: `${ano}-T${numero}`,
+        descricao: `${numero}º trimestre/${ano}`
+      };
+    case 'ANUAL':
+      return { tipo, ano, mesInicial: 1, mesFinal: 12, chave: String(ano), descricao: `Ano ${ano}` };
+    default:
+      throw new Error(`Tipo de período inválido: ${tipo}`);
+  }
+}
+
+/**
+ * Meses do período, em ordem: [{ mes, ano }]
+ */
+export function periodMonths(periodo) {
+  const meses = [];
+  for (let mes = periodo.mesInicial; mes <= periodo.mesFinal; mes++) {
+    meses.push({ mes, ano: periodo.ano });
+  }
+  return meses;
+}
+
+/**
+ * Limites do período em ISO para filtrar datas gravadas pelo SQLite: `inicio` inclusivo e
+ * `fim` (1º dia após o período) exclusivo, sem depender do último dia do mês
+ */
+export function periodDateRange(periodo) {
+  const fim = periodo.mesFinal === 12
+    ? `${periodo.ano + 1}-01-01`
+    : `${periodo.ano}-${String(periodo.mesFinal + 1).padStart(2, '0')}-01`;
+  return { inicio: `${periodo.ano}-${String(periodo.mesInicial).padStart(2, '0')}-01`, fim };
+}
+
+/**
+ * Data que atribui o documento a um período; null quando nenhuma data é válida.
+ * createdAt vem do CURRENT_TIMESTAMP do SQLite ("AAAA-MM-DD HH:MM:SS", em UTC)
+ */
+export function emissionDate(documentData, createdAt) {
+  for (const valor of [documentData?.dataEmissao, documentData?.competencia]) {
+    const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?/.exec(String(valor || '').trim());
+    if (match) {
+      return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3] || 1)));
+    }
+  }
+
+  if (!createdAt) return null;
+  const envio = typeof createdAt === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(createdAt)
+    ? new Date(`${createdAt.replace(' ', 'T')}Z`)
+    : new Date(createdAt);
+  if (Number.isNaN(envio.getTime())) return null;
+  return new Date(Date.UTC(envio.getUTCFullYear(), envio.getUTCMonth(), envio.getUTCDate()));
+}
+
+export function monthIndexOf(data) {
+  return data.getUTCFullYear() * 12 + data.getUTCMonth();
+}
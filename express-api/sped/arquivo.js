@@ -0,0 +1,331 @@
+import { sumMoney } from '../taxes/money.js';
+
+/**
+ * Montagem e validação estrutural de arquivos SPED (EFD ICMS/IPI, EFD-Contribuições).
+ *
+ * - Registros delimitados por "|" (início e fim de linha), um por linha, com CRLF
+ * - Datas DDMMAAAA, decimais com vírgula, sem separador de milhar
+ * - Cada bloco abre com X001 e fecha com X990 (QTD_LIN_X inclui os dois)
+ * - Bloco 9: um 9900 por tipo de registro (inclusive 9900, 9990 e 9999) e o total de linhas
+ * - Arquivo em ISO-8859-1 (Latin-1), como exige o PVA
+ */
+
+/**
+ * Linha de um registro: |REG|campo|campo|...|
+ * Campos nulos viram vazio; "|" e quebras de linha dentro do conteúdo são removidos
+ */
+export function formatRecord(registro, campos = []) {
+  const valores = [registro, ...campos].map(campo =>
+    campo === null || campo === undefined ? '' : String(campo).replace(/[|\r\n]+/g, ' ').trim()
+  );
+  return `|${valores.join('|')}|`;
+}
+
+/**
+ * Data ISO (ou Date) -> DDMMAAAA; vazio quando não há data
+ */
+export function formatDate(value) {
+  if (!value) return '';
+  const texto = value instanceof Date ? value.toISOString() : String(value);
+  const match = texto.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? `${match[3]}${match[2]}${match[1]}` : '';
+}
+
+/**
+ * Número -> decimal com vírgula e `casas` casas (0 vira "0,00"); vazio quando nulo
+ */
+export function formatDecimal(value, casas = 2) {
+  if (value === null || value === undefined || value === '') return '';
+  return Number(value).toFixed(casas).replace('.', ',');
+}
+
+/**
+ * Decimal do arquivo ("1234,56") -> Number
+ */
+export function parseDecimal(value) {
+  return value ? Number(String(value).replace(',', '.')) : 0;
+}
+
+export function onlyDigits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+/**
+ * CNPJ (numérico ou alfanumérico), CPF ou IE sem pontuação
+ */
+export function formatTaxId(value) {
+  return String(value || '').replace(/[^0-9A-Za-z]/g, '').toUpperCase();
+}
+
+/**
+ * Primeiro e último dia do mês, em ISO
+ */
+export function periodBounds(month, year) {
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const mm = String(month).padStart(2, '0');
+  return { inicio: `${year}-${mm}-01`, fim: `${year}-${mm}-${String(lastDay).padStart(2, '0')}` };
+}
+
+// Tipo do item (0200) pelo CFOP de entrada, sem o 1º dígito: 01 matéria-prima, 07 uso e
+// consumo, 08 ativo imobilizado; demais compras como mercadoria para revenda (00)
+export const TIPO_ITEM = { '101': '01', '401': '01', '556': '07', '407': '07', '551': '08', '406': '08' };
+
+/**
+ * Participante (0150) codificado pelo CNPJ/CPF; devolve o COD_PART
+ */
+export function registerParticipant(participantes, participante) {
+  const codigo = formatTaxId(participante.cnpj || participante.cpf);
+  if (!participantes.has(codigo)) {
+    const endereco = participante.endereco || {};
+    participantes.set(codigo, [
+      codigo, participante.nome, '01058', formatTaxId(participante.cnpj), onlyDigits(participante.cpf),
+      formatTaxId(participante.ie), endereco.codigoMunicipio, '', endereco.logradouro, endereco.numero, '', endereco.bairro
+    ]);
+  }
+  return codigo;
+}
+
+/**
+ * Unidade de medida (0190/C170): até 6 caracteres, em maiúsculas
+ */
+export function unitCode(unidade) {
+  return String(unidade || 'UN').trim().toUpperCase().slice(0, 6);
+}
+
+/**
+ * Item (0200) e unidade (0190). Nas entradas o código leva o fornecedor como `prefixo`
+ * (o código dele pode repetir entre fornecedores); `cest` inclui a coluna CEST, que só
+ * existe no 0200 da EFD ICMS/IPI
+ */
+export function registerItem(itens, unidades, item, { prefixo = '', tipo, cest = false }) {
+  const codigo = (prefixo ? `${prefixo}-${item.codigo || item.numeroItem}` : String(item.codigo || item.numeroItem)).slice(0, 60);
+  const unidade = unitCode(item.unidade);
+  if (!unidades.has(unidade)) unidades.set(unidade, String(item.unidade || unidade).trim());
+  if (!itens.has(codigo)) {
+    const campos = [
+      codigo, item.descricao, item.ean && item.ean !== 'SEM GTIN' ? item.ean : '', '', unidade, tipo || '00',
+      item.ncm, '', item.ncm ? String(item.ncm).slice(0, 2) : '', '', ''
+    ];
+    itens.set(codigo, cest ? [...campos, item.cest] : campos);
+  }
+  return codigo;
+}
+
+/**
+ * IND_PGTO: 0 à vista, 1 a prazo (boleto, crédito loja) ou `semPagamento` quando a nota
+ * não tem pagamento (2 na EFD ICMS/IPI, 9 na EFD-Contribuições)
+ */
+export function paymentIndicator(documentData, semPagamento) {
+  const formas = (documentData.pagamentos || []).map(pagamento => pagamento.forma);
+  if (formas.length === 0 || formas.every(forma => forma === '90')) return semPagamento;
+  return formas.some(forma => ['05', '15'].includes(forma)) ? '1' : '0';
+}
+
+/**
+ * C100 da NF-e/NFC-e, comum aos dois leiautes. Cada escrituração informa os seus
+ * `valores` (ICMS, ST, IPI, PIS e COFINS) e o IND_PGTO sem pagamento
+ */
+export function buildC100(documentData, { direcao, emissaoPropria, codPart, semPagamento, valores }) {
+  const totais = documentData.totais || {};
+  return ['C100', [
+    direcao === 'entrada' ? '0' : '1',
+    emissaoPropria ? '0' : '1',
+    codPart,
+    documentData.documentType === 'NFCE' ? '65' : '55',
+    '00',
+    documentData.serie,
+    documentData.numero,
+    documentData.chaveAcesso,
+    formatDate(documentData.dataEmissao),
+    formatDate(documentData.ide?.dhSaiEnt || documentData.dataEmissao),
+    formatDecimal(totais.vNF ?? documentData.totalValue),
+    paymentIndicator(documentData, semPagamento),
+    formatDecimal(totais.vDesc || 0),
+    formatDecimal(0),
+    formatDecimal(totais.vProd || 0),
+    documentData.transporte?.modFrete ?? '9',
+    formatDecimal(totais.vFrete || 0),
+    formatDecimal(totais.vSeg || 0),
+    formatDecimal(totais.vOutro || 0),
+    formatDecimal(valores.baseICMS),
+    formatDecimal(valores.icms),
+    formatDecimal(valores.baseST),
+    formatDecimal(valores.icmsST),
+    formatDecimal(valores.ipi),
+    formatDecimal(valores.pis),
+    formatDecimal(valores.cofins),
+    formatDecimal(0),
+    formatDecimal(0)
+  ]];
+}
+
+/**
+ * Fecha um bloco: abertura X001, registros e X990 com a quantidade de linhas.
+ * `registros` são pares [REG, campos]; o 0000 (que antecede o 0001) vai na frente
+ */
+export function buildBlock(bloco, indicadorMovimento, registros) {
+  const abertura = registros.filter(([registro]) => registro === '0000');
+  const linhas = [
+    ...abertura.map(([registro, campos]) => formatRecord(registro, campos)),
+    formatRecord(`${bloco}001`, [indicadorMovimento]),
+    ...registros.filter(([registro]) => registro !== '0000').map(([registro, campos]) => formatRecord(registro, campos))
+  ];
+  linhas.push(formatRecord(`${bloco}990`, [linhas.length + 1]));
+  return linhas;
+}
+
+/**
+ * Bloco 9 (controle e encerramento) para as linhas dos demais blocos
+ */
+export function buildBlock9(linhas) {
+  const contagem = countRecords(linhas);
+  // Na ordem em que aparecem no arquivo; 9001, os 9900, 9990 e 9999 também são contados
+  const tipos = [...new Set(linhas.map(linha => linha.split('|')[1])), '9001', '9900', '9990', '9999'];
+  contagem['9001'] = 1;
+  contagem['9990'] = 1;
+  contagem['9999'] = 1;
+  contagem['9900'] = tipos.length;
+
+  const registros9900 = tipos.map(tipo => formatRecord('9900', [tipo, contagem[tipo]]));
+  const bloco9 = [formatRecord('9001', ['0']), ...registros9900];
+  bloco9.push(formatRecord('9990', [bloco9.length + 2]));
+  bloco9.push(formatRecord('9999', [linhas.length + bloco9.length + 1]));
+  return bloco9;
+}
+
+/**
+ * Quantidade de linhas por tipo de registro
+ */
+export function countRecords(linhas) {
+  const contagem = {};
+  for (const linha of linhas) {
+    const registro = linha.split('|')[1];
+    contagem[registro] = (contagem[registro] || 0) + 1;
+  }
+  return contagem;
+}
+
+/**
+ * Conteúdo final do arquivo (CRLF, com quebra na última linha) em Latin-1
+ */
+export function toFileBuffer(linhas) {
+  return Buffer.from(`${linhas.join('\r\n')}\r\n`, 'latin1');
+}
+
+/**
+ * Validação estrutural comum aos leiautes SPED:
+ * - `layout`: REG -> lista de campos (sem o REG), para conferir a quantidade de campos
+ * - `obrigatorios`: REG -> campos que não podem ficar vazios
+ * - `hierarquia`: REG -> registros pai aceitos (o pai mais recente de nível acima)
+ * - `ordemBlocos`: blocos na ordem do leiaute
+ * Confere também os totalizadores X990, 9900, 9990 e 9999
+ */
+export function validateStructure(linhas, { layout, obrigatorios = {}, hierarquia = {}, ordemBlocos }) {
+  const erros = [];
+  const ultimoRegistro = {};
+  const linhasPorBloco = {};
+  let blocoAtual = null;
+  let indiceBloco = -1;
+
+  linhas.forEach((linha, indice) => {
+    const numero = indice + 1;
+    if (!linha.startsWith('|') || !linha.endsWith('|')) {
+      erros.push(`Linha ${numero}: registro deve começar e terminar com "|"`);
+      return;
+    }
+    const [registro, ...campos] = linha.slice(1, -1).split('|');
+    const campoNomes = layout[registro];
+    if (!campoNomes) {
+      erros.push(`Linha ${numero}: registro ${registro} desconhecido no leiaute`);
+      return;
+    }
+    if (campos.length !== campoNomes.length) {
+      erros.push(`Linha ${numero}: registro ${registro} com ${campos.length} campos, esperado ${campoNomes.length}`);
+    }
+    for (const obrigatorio of obrigatorios[registro] || []) {
+      if (!campos[campoNomes.indexOf(obrigatorio)]) {
+        erros.push(`Linha ${numero}: ${registro}.${obrigatorio} é obrigatório`);
+      }
+    }
+
+    const bloco = registro[0];
+    if (bloco !== blocoAtual) {
+      const posicao = ordemBlocos.indexOf(bloco);
+      if (posicao <= indiceBloco) {
+        erros.push(`Linha ${numero}: bloco ${bloco} fora da ordem do leiaute`);
+      }
+      if (!registro.endsWith('001') && registro !== '0000') {
+        erros.push(`Linha ${numero}: bloco ${bloco} deve abrir com o registro ${bloco}001`);
+      }
+      blocoAtual = bloco;
+      indiceBloco = Math.max(indiceBloco, posicao);
+    }
+    linhasPorBloco[bloco] = (linhasPorBloco[bloco] || 0) + 1;
+
+    const pais = hierarquia[registro];
+    if (pais && !pais.some(pai => ultimoRegistro[pai] !== undefined && ultimoRegistro[pai] >= (ultimoRegistro[`${bloco}001`] ?? 0))) {
+      erros.push(`Linha ${numero}: registro ${registro} sem o registro pai (${pais.join(' ou ')})`);
+    }
+    ultimoRegistro[registro] = indice;
+
+    if (registro.endsWith('990') && registro !== '9990') {
+      const esperado = linhasPorBloco[bloco];
+      if (Number(campos[0]) !== esperado) {
+        erros.push(`Linha ${numero}: ${registro} informa ${campos[0]} linhas, o bloco tem ${esperado}`);
+      }
+    }
+  });
+
+  for (const bloco of ordemBlocos) {
+    if (!linhasPorBloco[bloco]) erros.push(`Bloco ${bloco} ausente`);
+  }
+  erros.push(...validateBlock9(linhas));
+  return erros;
+}
+
+/**
+ * Confere os 9900 com a contagem real e os totais 9990/9999
+ */
+function validateBlock9(linhas) {
+  const erros = [];
+  const contagem = countRecords(linhas);
+  const declarados = {};
+  for (const linha of linhas.filter(l => l.startsWith('|9900|'))) {
+    const [, , registro, quantidade] = linha.split('|');
+    declarados[registro] = Number(quantidade);
+  }
+
+  for (const [registro, quantidade] of Object.entries(contagem)) {
+    if (declarados[registro] !== quantidade) {
+      erros.push(`9900 do registro ${registro}: informado ${declarados[registro] ?? 0}, o arquivo tem ${quantidade}`);
+    }
+  }
+  for (const registro of Object.keys(declarados)) {
+    if (!contagem[registro]) erros.push(`9900 do registro ${registro} sem linhas no arquivo`);
+  }
+
+  const total = linhas.find(l => l.startsWith('|9999|'));
+  if (!total || Number(total.split('|')[2]) !== linhas.length) {
+    erros.push(`9999 deve informar o total de ${linhas.length} linhas`);
+  }
+  const bloco9 = linhas.filter(l => l.startsWith('|9')).length;
+  const total9 = linhas.find(l => l.startsWith('|9990|'));
+  if (!total9 || Number(total9.split('|')[2]) !== bloco9) {
+    erros.push(`9990 deve informar as ${bloco9} linhas do bloco 9`);
+  }
+  return erros;
+}
+
+/**
+ * Soma um campo decimal das linhas de um registro que passam no filtro
+ */
+export function sumField(linhas, registro, layout, campo, filtro = () => true) {
+  const indice = layout[registro].indexOf(campo) + 2;
+  return sumMoney(
+    linhas
+      .filter(linha => linha.startsWith(`|${registro}|`))
+      .map(linha => linha.split('|'))
+      .filter(filtro)
+      .map(campos => parseDecimal(campos[indice]))
+  );
+}
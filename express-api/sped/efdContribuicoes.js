@@ -0,0 +1,578 @@
+import { sumMoney, subtractMoney, applyRate, roundingFor } from '../taxes/money.js';
+import { getPisCofinsRates } from '../taxes/regimes.js';
+import { classifyPisCofinsCredit } from '../taxes/pisCofins.js';
+import { toEntryCfop } from '../taxes/cfop.js';
+import {
+  formatDate, formatDecimal, formatTaxId, periodBounds, buildBlock, buildBlock9, countRecords, validateStructure,
+  sumField, registerParticipant, registerItem, unitCode, buildC100, TIPO_ITEM
+} from './arquivo.js';
+
+/**
+ * EFD-Contribuições (Guia Prático da EFD-Contribuições) gerada dos documentos do período:
+ *
+ * - Bloco 0: abertura, regime de apuração (0110), estabelecimento (0140), participantes,
+ *   unidades e itens
+ * - Bloco A: NFS-e prestadas (A100/A170), com PIS/COFINS retidos e ISS
+ * - Bloco C: NF-e por documento (C100/C170) e NFC-e consolidada por CFOP/CST (C175);
+ *   as entradas só no regime não cumulativo, que gera crédito
+ * - Bloco M: créditos (M100/M105, M500/M505) e contribuição (M200/M205/M210, M600/M605/M610)
+ * - Blocos D, F, I, P e 1 sem movimento e bloco 9
+ *
+ * A base das receitas exclui o ICMS destacado (STF, Tema 69), como no cálculo dos débitos.
+ * Contabilista (0100), saldos de créditos de períodos anteriores (1100/1500) e receitas
+ * não tributadas (M400/M800) precisam ser completados no PVA.
+ */
+
+// Versão do leiaute (COD_VER do 0000)
+const VERSAO_LEIAUTE = '006';
+
+export const LAYOUT = {
+  '0000': ['COD_VER', 'TIPO_ESCRIT', 'IND_SIT_ESP', 'NUM_REC_ANTERIOR', 'DT_INI', 'DT_FIN', 'NOME', 'CNPJ', 'UF', 'COD_MUN',
+    'SUFRAMA', 'IND_NAT_PJ', 'IND_ATIV'],
+  '0001': ['IND_MOV'],
+  '0110': ['COD_INC_TRIB', 'IND_APRO_CRED', 'COD_TIPO_CONT', 'IND_REG_CUM'],
+  '0140': ['COD_EST', 'NOME', 'CNPJ', 'UF', 'IE', 'COD_MUN', 'IM', 'SUFRAMA'],
+  '0150': ['COD_PART', 'NOME', 'COD_PAIS', 'CNPJ', 'CPF', 'IE', 'COD_MUN', 'SUFRAMA', 'END', 'NUM', 'COMPL', 'BAIRRO'],
+  '0190': ['UNID', 'DESCR'],
+  '0200': ['COD_ITEM', 'DESCR_ITEM', 'COD_BARRA', 'COD_ANT_ITEM', 'UNID_INV', 'TIPO_ITEM', 'COD_NCM', 'EX_IPI', 'COD_GEN', 'COD_LST', 'ALIQ_ICMS'],
+  '0990': ['QTD_LIN_0'],
+  'A001': ['IND_MOV'],
+  'A010': ['CNPJ'],
+  'A100': ['IND_OPER', 'IND_EMIT', 'COD_PART', 'COD_SIT', 'SER', 'SUB', 'NUM_DOC', 'CHV_NFSE', 'DT_DOC', 'DT_EXE_SERV', 'VL_DOC',
+    'IND_PGTO', 'VL_DESC', 'VL_BC_PIS', 'VL_PIS', 'VL_BC_COFINS', 'VL_COFINS', 'VL_PIS_RET', 'VL_COFINS_RET', 'VL_ISS'],
+  'A170': ['NUM_ITEM', 'COD_ITEM', 'DESCR_COMPL', 'VL_ITEM', 'VL_DESC', 'NAT_BC_CRED', 'IND_ORIG_CRED', 'CST_PIS', 'VL_BC_PIS',
+    'ALIQ_PIS', 'VL_PIS', 'CST_COFINS', 'VL_BC_COFINS', 'ALIQ_COFINS', 'VL_COFINS', 'COD_CTA', 'COD_CCUS'],
+  'A990': ['QTD_LIN_A'],
+  'C001': ['IND_MOV'],
+  'C010': ['CNPJ', 'IND_ESCRI'],
+  'C100': ['IND_OPER', 'IND_EMIT', 'COD_PART', 'COD_MOD', 'COD_SIT', 'SER', 'NUM_DOC', 'CHV_NFE', 'DT_DOC', 'DT_E_S', 'VL_DOC',
+    'IND_PGTO', 'VL_DESC', 'VL_ABAT_NT', 'VL_MERC', 'IND_FRT', 'VL_FRT', 'VL_SEG', 'VL_OUT_DA', 'VL_BC_ICMS', 'VL_ICMS',
+    'VL_BC_ICMS_ST', 'VL_ICMS_ST', 'VL_IPI', 'VL_PIS', 'VL_COFINS', 'VL_PIS_ST', 'VL_COFINS_ST'],
+  'C170': ['NUM_ITEM', 'COD_ITEM', 'DESCR_COMPL', 'QTD', 'UNID', 'VL_ITEM', 'VL_DESC', 'IND_MOV', 'CST_ICMS', 'CFOP', 'COD_NAT',
+    'VL_BC_ICMS', 'ALIQ_ICMS', 'VL_ICMS', 'VL_BC_ICMS_ST', 'ALIQ_ST', 'VL_ICMS_ST', 'IND_APUR', 'CST_IPI', 'COD_ENQ', 'VL_BC_IPI',
+    'ALIQ_IPI', 'VL_IPI', 'CST_PIS', 'VL_BC_PIS', 'ALIQ_PIS', 'QUANT_BC_PIS', 'ALIQ_PIS_QUANT', 'VL_PIS', 'CST_COFINS',
+    'VL_BC_COFINS', 'ALIQ_COFINS', 'QUANT_BC_COFINS', 'ALIQ_COFINS_QUANT', 'VL_COFINS', 'COD_CTA'],
+  'C175': ['CFOP', 'VL_OPR', 'VL_DESC', 'CST_PIS', 'VL_BC_PIS', 'ALIQ_PIS', 'QUANT_BC_PIS', 'ALIQ_PIS_QUANT', 'VL_PIS',
+    'CST_COFINS', 'VL_BC_COFINS', 'ALIQ_COFINS', 'QUANT_BC_COFINS', 'ALIQ_COFINS_QUANT', 'VL_COFINS', 'COD_CTA', 'INFO_COMPL'],
+  'C990': ['QTD_LIN_C'],
+  'D001': ['IND_MOV'],
+  'D990': ['QTD_LIN_D'],
+  'F001': ['IND_MOV'],
+  'F990': ['QTD_LIN_F'],
+  'I001': ['IND_MOV'],
+  'I990': ['QTD_LIN_I'],
+  'M001': ['IND_MOV'],
+  'M100': ['COD_CRED', 'IND_CRED_ORI', 'VL_BC_PIS', 'ALIQ_PIS', 'QUANT_BC_PIS', 'ALIQ_PIS_QUANT', 'VL_CRED', 'VL_AJUS_ACRES',
+    'VL_AJUS_REDUC', 'VL_CRED_DIF', 'VL_CRED_DISP', 'IND_DESC_CRED', 'VL_CRED_DESC', 'SLD_CRED'],
+  'M105': ['NAT_BC_CRED', 'CST_PIS', 'VL_BC_PIS_TOT', 'VL_BC_PIS_CUM', 'VL_BC_PIS_NC', 'VL_BC_PIS', 'QUANT_BC_PIS_TOT',
+    'QUANT_BC_PIS', 'DESC_CRED'],
+  'M200': ['VL_TOT_CONT_NC_PER', 'VL_TOT_CRED_DESC', 'VL_TOT_CRED_DESC_ANT', 'VL_TOT_CONT_NC_DEV', 'VL_RET_NC', 'VL_OUT_DED_NC',
+    'VL_CONT_NC_REC', 'VL_TOT_CONT_CUM_PER', 'VL_RET_CUM', 'VL_OUT_DED_CUM', 'VL_CONT_CUM_REC', 'VL_TOT_CONT_REC'],
+  'M205': ['NUM_CAMPO', 'COD_REC', 'VL_DEBITO'],
+  'M210': ['COD_CONT', 'VL_REC_BRT', 'VL_BC_CONT', 'VL_AJUS_ACRES_BC_PIS', 'VL_AJUS_REDUC_BC_PIS', 'VL_BC_CONT_AJUS', 'ALIQ_PIS',
+    'QUANT_BC_PIS', 'ALIQ_PIS_QUANT', 'VL_CONT_APUR', 'VL_AJUS_ACRES', 'VL_AJUS_REDUC', 'VL_CONT_DIFER', 'VL_CONT_DIFER_ANT',
+    'VL_CONT_PER'],
+  'M500': ['COD_CRED', 'IND_CRED_ORI', 'VL_BC_COFINS', 'ALIQ_COFINS', 'QUANT_BC_COFINS', 'ALIQ_COFINS_QUANT', 'VL_CRED',
+    'VL_AJUS_ACRES', 'VL_AJUS_REDUC', 'VL_CRED_DIFER', 'VL_CRED_DISP', 'IND_DESC_CRED', 'VL_CRED_DESC', 'SLD_CRED'],
+  'M505': ['NAT_BC_CRED', 'CST_COFINS', 'VL_BC_COFINS_TOT', 'VL_BC_COFINS_CUM', 'VL_BC_COFINS_NC', 'VL_BC_COFINS',
+    'QUANT_BC_COFINS_TOT', 'QUANT_BC_COFINS', 'DESC_CRED'],
+  'M600': ['VL_TOT_CONT_NC_PER', 'VL_TOT_CRED_DESC', 'VL_TOT_CRED_DESC_ANT', 'VL_TOT_CONT_NC_DEV', 'VL_RET_NC', 'VL_OUT_DED_NC',
+    'VL_CONT_NC_REC', 'VL_TOT_CONT_CUM_PER', 'VL_RET_CUM', 'VL_OUT_DED_CUM', 'VL_CONT_CUM_REC', 'VL_TOT_CONT_REC'],
+  'M605': ['NUM_CAMPO', 'COD_REC', 'VL_DEBITO'],
+  'M610': ['COD_CONT', 'VL_REC_BRT', 'VL_BC_CONT', 'VL_AJUS_ACRES_BC_COFINS', 'VL_AJUS_REDUC_BC_COFINS', 'VL_BC_CONT_AJUS',
+    'ALIQ_COFINS', 'QUANT_BC_COFINS', 'ALIQ_COFINS_QUANT', 'VL_CONT_APUR', 'VL_AJUS_ACRES', 'VL_AJUS_REDUC', 'VL_CONT_DIFER',
+    'VL_CONT_DIFER_ANT', 'VL_CONT_PER'],
+  'M990': ['QTD_LIN_M'],
+  'P001': ['IND_MOV'],
+  'P990': ['QTD_LIN_P'],
+  '1001': ['IND_MOV'],
+  '1990': ['QTD_LIN_1'],
+  '9001': ['IND_MOV'],
+  '9900': ['REG_BLC', 'QTD_REG_BLC'],
+  '9990': ['QTD_LIN_9'],
+  '9999': ['QTD_LIN']
+};
+
+const OBRIGATORIOS = {
+  '0000': ['COD_VER', 'TIPO_ESCRIT', 'DT_INI', 'DT_FIN', 'NOME', 'CNPJ', 'UF', 'COD_MUN', 'IND_NAT_PJ', 'IND_ATIV'],
+  '0110': ['COD_INC_TRIB', 'COD_TIPO_CONT'],
+  '0140': ['NOME', 'CNPJ', 'UF', 'COD_MUN'],
+  '0150': ['COD_PART', 'NOME', 'COD_PAIS'],
+  '0190': ['UNID', 'DESCR'],
+  '0200': ['COD_ITEM', 'DESCR_ITEM', 'TIPO_ITEM'],
+  'A010': ['CNPJ'],
+  'A100': ['IND_OPER', 'IND_EMIT', 'COD_SIT', 'NUM_DOC', 'DT_DOC', 'VL_DOC'],
+  'A170': ['NUM_ITEM', 'COD_ITEM', 'VL_ITEM', 'CST_PIS', 'CST_COFINS'],
+  'C010': ['CNPJ', 'IND_ESCRI'],
+  'C100': ['IND_OPER', 'IND_EMIT', 'COD_MOD', 'COD_SIT', 'NUM_DOC', 'CHV_NFE', 'DT_DOC', 'VL_DOC'],
+  'C170': ['NUM_ITEM', 'COD_ITEM', 'VL_ITEM', 'CFOP', 'CST_PIS', 'CST_COFINS'],
+  'C175': ['CFOP', 'VL_OPR', 'CST_PIS', 'CST_COFINS'],
+  'M100': ['COD_CRED', 'IND_CRED_ORI', 'VL_CRED', 'VL_CRED_DISP', 'IND_DESC_CRED'],
+  'M105': ['NAT_BC_CRED', 'CST_PIS', 'VL_BC_PIS'],
+  'M205': ['NUM_CAMPO', 'COD_REC', 'VL_DEBITO'],
+  'M210': ['COD_CONT', 'VL_REC_BRT', 'VL_BC_CONT', 'VL_CONT_PER'],
+  'M500': ['COD_CRED', 'IND_CRED_ORI', 'VL_CRED', 'VL_CRED_DISP', 'IND_DESC_CRED'],
+  'M505': ['NAT_BC_CRED', 'CST_COFINS', 'VL_BC_COFINS'],
+  'M605': ['NUM_CAMPO', 'COD_REC', 'VL_DEBITO'],
+  'M610': ['COD_CONT', 'VL_REC_BRT', 'VL_BC_CONT', 'VL_CONT_PER']
+};
+
+const HIERARQUIA = {
+  '0110': ['0001'],
+  '0140': ['0001'],
+  '0150': ['0140'],
+  '0190': ['0140'],
+  '0200': ['0140'],
+  'A010': ['A001'],
+  'A100': ['A010'],
+  'A170': ['A100'],
+  'C010': ['C001'],
+  'C100': ['C010'],
+  'C170': ['C100'],
+  'C175': ['C100'],
+  'M105': ['M100'],
+  'M205': ['M200'],
+  'M210': ['M200'],
+  'M505': ['M500'],
+  'M605': ['M600'],
+  'M610': ['M600']
+};
+
+const ORDEM_BLOCOS = ['0', 'A', 'C', 'D', 'F', 'I', 'M', 'P', '1', '9'];
+
+// IND_ATIV do 0000: 0 industrial, 1 prestador de serviços, 2 comércio, 9 outros
+const INDICADOR_ATIVIDADE = {
+  INDUSTRIA: '0', SERVICOS: '1', HOSPITALAR: '1', TRANSPORTE_CARGAS: '1', TRANSPORTE_PASSAGEIROS: '1',
+  COMERCIO: '2', COMBUSTIVEIS: '2'
+};
+
+// CST de saída sem contribuição: monofásica, ST, alíquota zero, isenção, sem incidência, suspensão, outras
+const CST_SEM_CONTRIBUICAO = ['04', '05', '06', '07', '08', '09', '49'];
+
+// Códigos de receita do DARF (M205/M605) e da contribuição (M210/M610) por regime
+const CODIGOS = {
+  REAL: { campo: '08', contribuicao: '01', PIS: '691201', COFINS: '585601' },
+  PRESUMIDO: { campo: '12', contribuicao: '51', PIS: '810902', COFINS: '217201' }
+};
+
+/**
+ * Gera a EFD-Contribuições do período.
+ * - `empresa`: { cnpj, nome, uf, ie, atividade, regime } (regime PRESUMIDO ou REAL)
+ * - `documentos`: [{ documentData, direcao }] emitidos no período
+ * - `apuracao`: apuração não cumulativa do período (saldo credor anterior), no Lucro Real
+ * Retorna { linhas, registros, nomeArquivo, validacao: { valido, erros, avisos }, resumo }
+ */
+export function generateEFDContribuicoes({ empresa, mes, ano, documentos, apuracao = {} }) {
+  const aliquotas = getPisCofinsRates(empresa.regime);
+  if (!aliquotas) {
+    throw new Error(`Regime sem EFD-Contribuições: ${empresa.regime || 'não informado'}`);
+  }
+  const naoCumulativo = !aliquotas.cumulativo;
+  const { inicio, fim } = periodBounds(mes, ano);
+  const cnpj = formatTaxId(empresa.cnpj);
+  const avisos = [];
+
+  const participantes = new Map();
+  const unidades = new Map();
+  const itens = new Map();
+  const registrosA = [];
+  const registrosC = [];
+  // Bases por CST (receitas) e por natureza da base de crédito (créditos)
+  const receitas = { tributada: 0, base: 0, semContribuicao: 0 };
+  const creditos = new Map();
+  const retido = { PIS: 0, COFINS: 0 };
+  const ignorados = { entradas: 0, servicosTomados: 0, outros: 0 };
+  // Cadastro da empresa: o do documento que ela emitiu ou, sem saídas, o de destinatária
+  let proprio = null;
+  let proprioDestinatario = null;
+
+  const ordenados = [...documentos].sort((a, b) =>
+    String(a.documentData.dataEmissao).localeCompare(String(b.documentData.dataEmissao)));
+
+  for (const { documentData, direcao } of ordenados) {
+    const tipo = documentData.documentType;
+    const destinatario = tipo === 'NFSE' ? documentData.tomador : documentData.destinatario;
+    if (formatTaxId(destinatario?.cnpj) === cnpj) proprioDestinatario = proprioDestinatario || destinatario;
+
+    if (tipo === 'NFSE') {
+      const prestador = formatTaxId(documentData.prestador?.cnpj) === cnpj;
+      if (!prestador || direcao !== 'saida') {
+        ignorados.servicosTomados += 1;
+        continue;
+      }
+      proprio = proprio || documentData.prestador;
+      const servico = serviceValues(documentData, aliquotas);
+      addRevenue(receitas, servico);
+      retido.PIS = sumMoney(retido.PIS, documentData.valores?.retencoes?.pis);
+      retido.COFINS = sumMoney(retido.COFINS, documentData.valores?.retencoes?.cofins);
+
+      const tomador = documentData.tomador || {};
+      const codPart = tomador.cnpj || tomador.cpf ? registerParticipant(participantes, tomador) : '';
+      const codItem = registerService(itens, unidades, documentData.servico?.itemListaServico);
+      registrosA.push(buildA100(documentData, { codPart, servico }));
+      registrosA.push(['A170', [
+        '1', codItem, documentData.servico?.discriminacao?.slice(0, 255), formatDecimal(servico.valorItem),
+        formatDecimal(servico.desconto), '', '', servico.cst, formatDecimal(servico.base), formatDecimal(servico.aliquotaPIS, 4),
+        formatDecimal(servico.PIS), servico.cst, formatDecimal(servico.base), formatDecimal(servico.aliquotaCOFINS, 4),
+        formatDecimal(servico.COFINS), '', ''
+      ]]);
+      continue;
+    }
+
+    if (!['NFE', 'NFCE'].includes(tipo) || !documentData.chaveAcesso || !documentData.items?.length) {
+      ignorados.outros += 1;
+      continue;
+    }
+    const emissaoPropria = formatTaxId(documentData.emitente?.cnpj) === cnpj;
+    if (direcao === 'entrada' && !naoCumulativo) {
+      ignorados.entradas += 1;
+      continue;
+    }
+    if (!direcao || (direcao === 'saida' && !emissaoPropria)) {
+      ignorados.outros += 1;
+      continue;
+    }
+    if (emissaoPropria) proprio = proprio || documentData.emitente;
+
+    const participante = emissaoPropria ? documentData.destinatario : documentData.emitente;
+    const codPart = tipo === 'NFE' && participante && (participante.cnpj || participante.cpf)
+      ? registerParticipant(participantes, participante)
+      : '';
+
+    const linhasItens = [];
+    const consolidados = new Map();
+    const totais = { PIS: 0, COFINS: 0 };
+    for (const item of documentData.items) {
+      const valores = direcao === 'entrada'
+        ? creditValues(item, documentData, { atividade: empresa.atividade, aliquotas })
+        : saleValues(item, aliquotas);
+      totais.PIS = sumMoney(totais.PIS, valores.PIS);
+      totais.COFINS = sumMoney(totais.COFINS, valores.COFINS);
+      if (direcao === 'entrada') {
+        addCredit(creditos, valores);
+      } else {
+        addRevenue(receitas, valores);
+      }
+
+      // NFC-e é escriturada de forma consolidada (C175), sem itens
+      if (tipo === 'NFCE') {
+        const chave = `${valores.cfop}|${valores.cst}`;
+        const consolidado = consolidados.get(chave) || { cfop: valores.cfop, cst: valores.cst, operacao: 0, desconto: 0, base: 0, PIS: 0, COFINS: 0 };
+        consolidado.operacao = sumMoney(consolidado.operacao, valores.valorItem);
+        consolidado.desconto = sumMoney(consolidado.desconto, item.valorDesconto);
+        consolidado.base = sumMoney(consolidado.base, valores.base);
+        consolidado.PIS = sumMoney(consolidado.PIS, valores.PIS);
+        consolidado.COFINS = sumMoney(consolidado.COFINS, valores.COFINS);
+        consolidados.set(chave, consolidado);
+        continue;
+      }
+
+      const codItem = registerItem(itens, unidades, item, {
+        prefixo: emissaoPropria ? '' : codPart,
+        tipo: emissaoPropria && direcao === 'saida' ? (empresa.atividade === 'INDUSTRIA' ? '04' : '00') : TIPO_ITEM[valores.cfop.slice(1)]
+      });
+      const icms = item.icms || {};
+      linhasItens.push(['C170', [
+        item.numeroItem, codItem, '', formatDecimal(item.quantidade, 5), unitCode(item.unidade), formatDecimal(item.valorTotal),
+        formatDecimal(item.valorDesconto), '0', `${icms.origem ?? '0'}${icms.csosn ? '90' : (icms.cst || '90')}`, valores.cfop, '',
+        formatDecimal(icms.vBC || 0), formatDecimal(icms.pICMS || 0), formatDecimal(icms.vICMS || 0), formatDecimal(icms.vBCST || 0),
+        formatDecimal(icms.pICMSST || 0), formatDecimal(icms.vICMSST || 0), '', item.ipi?.cst || '', '',
+        formatDecimal(item.ipi?.vBC || 0), formatDecimal(item.ipi?.pIPI || 0), formatDecimal(item.ipi?.vIPI || 0),
+        valores.cst, formatDecimal(valores.base), formatDecimal(valores.aliquotaPIS, 4), '', '', formatDecimal(valores.PIS),
+        valores.cst, formatDecimal(valores.base), formatDecimal(valores.aliquotaCOFINS, 4), '', '', formatDecimal(valores.COFINS), ''
+      ]]);
+    }
+
+    const notaTotais = documentData.totais || {};
+    registrosC.push(buildC100(documentData, {
+      direcao,
+      emissaoPropria,
+      codPart,
+      semPagamento: '9',
+      valores: {
+        baseICMS: notaTotais.vBC || 0,
+        icms: notaTotais.vICMS || 0,
+        baseST: notaTotais.vBCST || 0,
+        icmsST: notaTotais.vST || 0,
+        ipi: notaTotais.vIPI || 0,
+        pis: totais.PIS,
+        cofins: totais.COFINS
+      }
+    }));
+    registrosC.push(...linhasItens);
+    registrosC.push(...[...consolidados.values()].map(c => ['C175', [
+      c.cfop, formatDecimal(c.operacao), formatDecimal(c.desconto), c.cst, formatDecimal(c.base),
+      formatDecimal(c.base > 0 ? aliquotas.PIS : 0, 4), '', '', formatDecimal(c.PIS), c.cst, formatDecimal(c.base),
+      formatDecimal(c.base > 0 ? aliquotas.COFINS : 0, 4), '', '', formatDecimal(c.COFINS), '', ''
+    ]]));
+  }
+
+  // Bloco M: contribuição sobre a base do período, créditos do período e do saldo anterior, retenções
+  const codigos = CODIGOS[empresa.regime];
+  const registrosM = [];
+  const resumoApuracao = {};
+  for (const [contribuicao, blocoCredito, blocoContribuicao] of [['PIS', 'M1', 'M2'], ['COFINS', 'M5', 'M6']]) {
+    const aliquota = aliquotas[contribuicao];
+    const contribuicaoPeriodo = applyRate(receitas.base, aliquota, roundingFor(contribuicao));
+    const baseCredito = sumMoney([...creditos.values()].map(credito => credito.base));
+    const credito = applyRate(baseCredito, aliquota, roundingFor(contribuicao));
+    const creditoDescontado = Math.min(credito, contribuicaoPeriodo);
+    const saldoAnterior = apuracao[contribuicao]?.saldoAnterior || 0;
+    const anteriorDescontado = Math.min(saldoAnterior, subtractMoney(contribuicaoPeriodo, creditoDescontado));
+    const devida = subtractMoney(contribuicaoPeriodo, creditoDescontado, anteriorDescontado);
+    const retencao = Math.min(retido[contribuicao], devida);
+    const aRecolher = subtractMoney(devida, retencao);
+
+    if (naoCumulativo && credito > 0) {
+      registrosM.push([`${blocoCredito}00`, [
+        '101', '0', formatDecimal(baseCredito), formatDecimal(aliquota, 4), '', '', formatDecimal(credito), formatDecimal(0),
+        formatDecimal(0), formatDecimal(0), formatDecimal(credito), creditoDescontado < credito ? '1' : '0',
+        formatDecimal(creditoDescontado), formatDecimal(subtractMoney(credito, creditoDescontado))
+      ]]);
+      registrosM.push(...[...creditos.values()].map(c => [`${blocoCredito}05`, [
+        c.natureza, '50', formatDecimal(c.base), '', '', formatDecimal(c.base), '', '', ''
+      ]]));
+    }
+
+    registrosM.push([`${blocoContribuicao}00`, naoCumulativo
+      ? [
+          formatDecimal(contribuicaoPeriodo), formatDecimal(creditoDescontado), formatDecimal(anteriorDescontado), formatDecimal(devida),
+          formatDecimal(retencao), formatDecimal(0), formatDecimal(aRecolher), formatDecimal(0), formatDecimal(0), formatDecimal(0),
+          formatDecimal(0), formatDecimal(aRecolher)
+        ]
+      : [
+          formatDecimal(0), formatDecimal(0), formatDecimal(0), formatDecimal(0), formatDecimal(0), formatDecimal(0), formatDecimal(0),
+          formatDecimal(contribuicaoPeriodo), formatDecimal(retencao), formatDecimal(0), formatDecimal(aRecolher), formatDecimal(aRecolher)
+        ]
+    ]);
+    if (aRecolher > 0) {
+      registrosM.push([`${blocoContribuicao}05`, [codigos.campo, codigos[contribuicao], formatDecimal(aRecolher)]]);
+    }
+    if (receitas.base > 0) {
+      registrosM.push([`${blocoContribuicao}10`, [
+        codigos.contribuicao, formatDecimal(receitas.tributada), formatDecimal(receitas.base), formatDecimal(0), formatDecimal(0),
+        formatDecimal(receitas.base), formatDecimal(aliquota, 4), '', '', formatDecimal(contribuicaoPeriodo), formatDecimal(0),
+        formatDecimal(0), formatDecimal(0), formatDecimal(0), formatDecimal(contribuicaoPeriodo)
+      ]]);
+    }
+
+    resumoApuracao[contribuicao] = {
+      contribuicao: contribuicaoPeriodo,
+      credito,
+      creditoAnteriorDescontado: anteriorDescontado,
+      retencao,
+      aRecolher,
+      saldoCredor: sumMoney(subtractMoney(credito, creditoDescontado), subtractMoney(saldoAnterior, anteriorDescontado))
+    };
+    if (apuracao[contribuicao] && apuracao[contribuicao].debito !== contribuicaoPeriodo) {
+      avisos.push(`${contribuicao}: contribuição do arquivo (R$ ${contribuicaoPeriodo.toFixed(2)}) difere da apuração do relatório (R$ ${apuracao[contribuicao].debito.toFixed(2)}), que não separa descontos das NFS-e nem itens sem contribuição`);
+    }
+    if (retido[contribuicao] > retencao) {
+      avisos.push(`${contribuicao} retido na fonte acima do devido: informe o saldo de retenções (registro 1300/1700) no PVA`);
+    }
+  }
+
+  proprio = proprio || proprioDestinatario;
+  if (!proprio) {
+    avisos.push('Sem documento da empresa no período: UF e município do estabelecimento (0000/0140) incompletos');
+  }
+  avisos.push('0100 (contabilista) não gerado: preencha no PVA antes de transmitir');
+  if (Object.values(resumoApuracao).some(resumo => resumo.creditoAnteriorDescontado > 0)) {
+    avisos.push('Crédito de período anterior descontado: detalhe a origem nos registros 1100/1500 no PVA');
+  }
+  if (receitas.semContribuicao > 0) {
+    avisos.push(`Receitas sem contribuição (CST 04 a 09, R$ ${receitas.semContribuicao.toFixed(2)}): informe a natureza nos registros M400/M800 no PVA`);
+  }
+  if (ignorados.entradas > 0) {
+    avisos.push(`${ignorados.entradas} nota(s) de entrada fora do arquivo: o regime cumulativo não tem créditos`);
+  }
+  if (ignorados.servicosTomados > 0) {
+    avisos.push(`${ignorados.servicosTomados} NFS-e tomada(s) fora do arquivo: créditos sobre serviços (bloco A/F) não calculados`);
+  }
+  if (ignorados.outros > 0) {
+    avisos.push(`${ignorados.outros} documento(s) fora do arquivo (CT-e, notas sem chave ou itens, notas de entrada emitidas por clientes)`);
+  }
+
+  const endereco = proprio?.endereco || {};
+  const bloco0 = buildBlock('0', '0', [
+    ['0000', [
+      VERSAO_LEIAUTE, '0', '', '', formatDate(inicio), formatDate(fim), empresa.nome || proprio?.nome, cnpj,
+      empresa.uf || endereco.UF, endereco.codigoMunicipio, '', '00', INDICADOR_ATIVIDADE[empresa.atividade] || '9'
+    ]],
+    // Não cumulativo com apropriação direta dos créditos; cumulativo pelo regime de competência
+    ['0110', naoCumulativo ? ['1', '1', '1', ''] : ['2', '', '1', '9']],
+    ['0140', [
+      '', empresa.nome || proprio?.nome, cnpj, empresa.uf || endereco.UF, formatTaxId(empresa.ie || proprio?.ie),
+      endereco.codigoMunicipio, proprio?.im || proprio?.inscricaoMunicipal, ''
+    ]],
+    ...[...participantes.values()].map(p => ['0150', p]),
+    ...[...unidades.entries()].map(([unidade, descricao]) => ['0190', [unidade, descricao]]),
+    ...[...itens.values()].map(i => ['0200', i])
+  ]);
+
+  const linhas = [
+    ...bloco0,
+    ...buildBlock('A', registrosA.length ? '0' : '1', registrosA.length ? [['A010', [cnpj]], ...registrosA] : []),
+    ...buildBlock('C', registrosC.length ? '0' : '1', registrosC.length ? [['C010', [cnpj, '2']], ...registrosC] : []),
+    ...buildBlock('D', '1', []),
+    ...buildBlock('F', '1', []),
+    ...buildBlock('I', '1', []),
+    ...buildBlock('M', '0', registrosM),
+    ...buildBlock('P', '1', []),
+    ...buildBlock('1', '1', [])
+  ];
+  linhas.push(...buildBlock9(linhas));
+
+  const erros = validateEFDContribuicoes(linhas);
+  return {
+    linhas,
+    registros: countRecords(linhas),
+    nomeArquivo: `EFD_CONTRIBUICOES_${cnpj}_${ano}${String(mes).padStart(2, '0')}.txt`,
+    validacao: { valido: erros.length === 0, erros, avisos },
+    resumo: {
+      regime: empresa.regime,
+      documentos: {
+        servicos: registrosA.filter(([registro]) => registro === 'A100').length,
+        notas: registrosC.filter(([registro]) => registro === 'C100').length
+      },
+      participantes: participantes.size,
+      itens: itens.size,
+      receitaBruta: sumMoney(receitas.tributada, receitas.semContribuicao),
+      baseCalculo: receitas.base,
+      apuracao: resumoApuracao
+    }
+  };
+}
+
+/**
+ * Validação estrutural (leiaute, hierarquia, totalizadores) e de consistência entre as
+ * bases dos documentos (A170/C170/C175) e as do bloco M
+ */
+export function validateEFDContribuicoes(linhas) {
+  const erros = validateStructure(linhas, { layout: LAYOUT, obrigatorios: OBRIGATORIOS, hierarquia: HIERARQUIA, ordemBlocos: ORDEM_BLOCOS });
+
+  const tributada = registro => campos => campos[LAYOUT[registro].indexOf('CST_PIS') + 2] === '01';
+  const baseDocumentos = sumMoney(
+    sumField(linhas, 'A170', LAYOUT, 'VL_BC_PIS', tributada('A170')),
+    sumField(linhas, 'C170', LAYOUT, 'VL_BC_PIS', tributada('C170')),
+    sumField(linhas, 'C175', LAYOUT, 'VL_BC_PIS', tributada('C175'))
+  );
+  for (const registro of ['M210', 'M610']) {
+    const baseApurada = sumField(linhas, registro, LAYOUT, 'VL_BC_CONT');
+    if (baseApurada !== baseDocumentos) {
+      erros.push(`${registro}.VL_BC_CONT (${formatDecimal(baseApurada)}) difere da base dos documentos com CST 01 (${formatDecimal(baseDocumentos)})`);
+    }
+  }
+
+  const baseCreditos = sumField(linhas, 'C170', LAYOUT, 'VL_BC_PIS', campos => campos[LAYOUT.C170.indexOf('CST_PIS') + 2] === '50');
+  for (const registro of ['M105', 'M505']) {
+    const baseApurada = sumField(linhas, registro, LAYOUT, LAYOUT[registro][5]);
+    if (baseApurada !== baseCreditos) {
+      erros.push(`${registro}: base dos créditos (${formatDecimal(baseApurada)}) difere da dos itens com CST 50 (${formatDecimal(baseCreditos)})`);
+    }
+  }
+  return erros;
+}
+
+/**
+ * Base e contribuições de um item vendido: receita sem o ICMS destacado; CST de
+ * alíquota zero, isenção, suspensão e afins (informada na NF-e) sem contribuição
+ */
+function saleValues(item, aliquotas) {
+  const valorItem = subtractMoney(sumMoney(item.valorTotal, item.valorFrete, item.valorSeguro, item.outrasDespesas), item.valorDesconto);
+  const cstNota = item.pis?.cst || item.cofins?.cst;
+  const valores = { cfop: String(item.cfop || ''), valorItem, cst: '01', base: 0, aliquotaPIS: 0, aliquotaCOFINS: 0, PIS: 0, COFINS: 0 };
+
+  if (CST_SEM_CONTRIBUICAO.includes(cstNota)) {
+    return { ...valores, cst: cstNota };
+  }
+  const base = Math.max(subtractMoney(valorItem, item.icms?.vICMS), 0);
+  return {
+    ...valores,
+    base,
+    aliquotaPIS: aliquotas.PIS,
+    aliquotaCOFINS: aliquotas.COFINS,
+    PIS: applyRate(base, aliquotas.PIS, roundingFor('PIS')),
+    COFINS: applyRate(base, aliquotas.COFINS, roundingFor('COFINS'))
+  };
+}
+
+/**
+ * Crédito de um item de entrada, com a classificação da apuração não cumulativa
+ */
+function creditValues(item, documentData, { atividade, aliquotas }) {
+  const credito = classifyPisCofinsCredit(item, { dataEmissao: documentData.dataEmissao, atividade });
+  return {
+    cfop: toEntryCfop(item.cfop, { atividade }),
+    valorItem: subtractMoney(sumMoney(item.valorTotal, item.valorFrete, item.valorSeguro, item.outrasDespesas), item.valorDesconto),
+    cst: credito.cstEntrada,
+    natureza: credito.baseCredito,
+    base: credito.baseCalculo,
+    aliquotaPIS: credito.temCredito ? aliquotas.PIS : 0,
+    aliquotaCOFINS: credito.temCredito ? aliquotas.COFINS : 0,
+    PIS: credito.PIS,
+    COFINS: credito.COFINS
+  };
+}
+
+/**
+ * Valores da NFS-e prestada (A100/A170): serviço menos o desconto incondicionado
+ */
+function serviceValues(documentData, aliquotas) {
+  const valores = documentData.valores || {};
+  const valorItem = valores.valorServicos ?? documentData.totalValue ?? 0;
+  const desconto = valores.descontoIncondicionado || 0;
+  const base = Math.max(subtractMoney(valorItem, desconto), 0);
+  return {
+    valorItem,
+    desconto,
+    cst: '01',
+    base,
+    aliquotaPIS: aliquotas.PIS,
+    aliquotaCOFINS: aliquotas.COFINS,
+    PIS: applyRate(base, aliquotas.PIS, roundingFor('PIS')),
+    COFINS: applyRate(base, aliquotas.COFINS, roundingFor('COFINS'))
+  };
+}
+
+function addRevenue(receitas, valores) {
+  if (valores.cst === '01') {
+    receitas.tributada = sumMoney(receitas.tributada, valores.valorItem);
+    receitas.base = sumMoney(receitas.base, valores.base);
+  } else {
+    receitas.semContribuicao = sumMoney(receitas.semContribuicao, valores.valorItem);
+  }
+}
+
+function addCredit(creditos, valores) {
+  if (valores.cst !== '50' || !valores.natureza) return;
+  const credito = creditos.get(valores.natureza) || { natureza: valores.natureza, base: 0 };
+  credito.base = sumMoney(credito.base, valores.base);
+  creditos.set(valores.natureza, credito);
+}
+
+function buildA100(documentData, { codPart, servico }) {
+  const valores = documentData.valores || {};
+  return ['A100', [
+    '1', '0', codPart, '00', documentData.rps?.serie, '', documentData.numero,
+    documentData.chaveAcesso || documentData.codigoVerificacao, formatDate(documentData.dataEmissao),
+    formatDate(documentData.competencia || documentData.dataEmissao), formatDecimal(servico.valorItem),
+    // NFS-e não informa a forma de pagamento: faturada (a prazo)
+    '1', formatDecimal(servico.desconto), formatDecimal(servico.base), formatDecimal(servico.PIS), formatDecimal(servico.base),
+    formatDecimal(servico.COFINS), formatDecimal(valores.retencoes?.pis || 0), formatDecimal(valores.retencoes?.cofins || 0),
+    formatDecimal(valores.valorISS || 0)
+  ]];
+}
+
+/**
+ * Serviço (0200 tipo 09) pelo subitem da LC 116
+ */
+function registerService(itens, unidades, itemListaServico) {
+  const subitem = itemListaServico || '00.00';
+  const codigo = `SERV-${subitem}`;
+  if (!unidades.has('UN')) unidades.set('UN', 'UN');
+  if (!itens.has(codigo)) {
+    itens.set(codigo, [codigo, `Serviço do subitem ${subitem} da LC 116`, '', '', 'UN', '09', '', '', '', itemListaServico || '', '']);
+  }
+  return codigo;
+}
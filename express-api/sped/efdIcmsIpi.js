@@ -0,0 +1,379 @@
+import { sumMoney, subtractMoney } from '../taxes/money.js';
+import { classifyItemCredit, calculateICMSIPIApuracao } from '../taxes/apuracaoICMSIPI.js';
+import {
+  formatDate, formatDecimal, parseDecimal, formatTaxId, onlyDigits, periodBounds, buildBlock, buildBlock9, countRecords,
+  validateStructure, sumField, registerParticipant, registerItem, unitCode, buildC100, TIPO_ITEM
+} from './arquivo.js';
+
+/**
+ * EFD ICMS/IPI (Guia Prático da EFD ICMS/IPI) gerada dos documentos do período:
+ *
+ * - Bloco 0: abertura, dados complementares, participantes (0150), unidades (0190) e itens (0200)
+ * - Bloco C: NF-e/NFC-e (C100); itens (C170) só nas entradas, pois NF-e de emissão
+ *   própria não detalha itens; registro analítico por CST/CFOP/alíquota (C190)
+ * - Bloco E: apuração do ICMS (E100/E110/E111) e, na indústria, do IPI (E500/E510/E520)
+ * - Blocos B, D, G, H, K e 1 sem movimento (1010 com os indicadores "N") e bloco 9
+ *
+ * O arquivo sai pronto para importação no PVA; o contabilista (0100), as obrigações a
+ * recolher (E116) e os códigos de ajuste da UF precisam ser completados lá.
+ */
+
+// Versão do leiaute por ano do período (COD_VER do 0000)
+const VERSAO_LEIAUTE = { 2020: '014', 2021: '015', 2022: '016', 2023: '017', 2024: '018', 2025: '019', 2026: '020' };
+
+export const LAYOUT = {
+  '0000': ['COD_VER', 'COD_FIN', 'DT_INI', 'DT_FIN', 'NOME', 'CNPJ', 'CPF', 'UF', 'IE', 'COD_MUN', 'IM', 'SUFRAMA', 'IND_PERFIL', 'IND_ATIV'],
+  '0001': ['IND_MOV'],
+  '0005': ['FANTASIA', 'CEP', 'END', 'NUM', 'COMPL', 'BAIRRO', 'FONE', 'FAX', 'EMAIL'],
+  '0150': ['COD_PART', 'NOME', 'COD_PAIS', 'CNPJ', 'CPF', 'IE', 'COD_MUN', 'SUFRAMA', 'END', 'NUM', 'COMPL', 'BAIRRO'],
+  '0190': ['UNID', 'DESCR'],
+  '0200': ['COD_ITEM', 'DESCR_ITEM', 'COD_BARRA', 'COD_ANT_ITEM', 'UNID_INV', 'TIPO_ITEM', 'COD_NCM', 'EX_IPI', 'COD_GEN', 'COD_LST', 'ALIQ_ICMS', 'CEST'],
+  '0990': ['QTD_LIN_0'],
+  'B001': ['IND_DAD'],
+  'B990': ['QTD_LIN_B'],
+  'C001': ['IND_MOV'],
+  'C100': ['IND_OPER', 'IND_EMIT', 'COD_PART', 'COD_MOD', 'COD_SIT', 'SER', 'NUM_DOC', 'CHV_NFE', 'DT_DOC', 'DT_E_S', 'VL_DOC',
+    'IND_PGTO', 'VL_DESC', 'VL_ABAT_NT', 'VL_MERC', 'IND_FRT', 'VL_FRT', 'VL_SEG', 'VL_OUT_DA', 'VL_BC_ICMS', 'VL_ICMS',
+    'VL_BC_ICMS_ST', 'VL_ICMS_ST', 'VL_IPI', 'VL_PIS', 'VL_COFINS', 'VL_PIS_ST', 'VL_COFINS_ST'],
+  'C170': ['NUM_ITEM', 'COD_ITEM', 'DESCR_COMPL', 'QTD', 'UNID', 'VL_ITEM', 'VL_DESC', 'IND_MOV', 'CST_ICMS', 'CFOP', 'COD_NAT',
+    'VL_BC_ICMS', 'ALIQ_ICMS', 'VL_ICMS', 'VL_BC_ICMS_ST', 'ALIQ_ST', 'VL_ICMS_ST', 'IND_APUR', 'CST_IPI', 'COD_ENQ', 'VL_BC_IPI',
+    'ALIQ_IPI', 'VL_IPI', 'CST_PIS', 'VL_BC_PIS', 'ALIQ_PIS', 'QUANT_BC_PIS', 'ALIQ_PIS_QUANT', 'VL_PIS', 'CST_COFINS',
+    'VL_BC_COFINS', 'ALIQ_COFINS', 'QUANT_BC_COFINS', 'ALIQ_COFINS_QUANT', 'VL_COFINS', 'COD_CTA', 'VL_ABAT_NT'],
+  'C190': ['CST_ICMS', 'CFOP', 'ALIQ_ICMS', 'VL_OPR', 'VL_BC_ICMS', 'VL_ICMS', 'VL_BC_ICMS_ST', 'VL_ICMS_ST', 'VL_RED_BC', 'VL_IPI', 'COD_OBS'],
+  'C990': ['QTD_LIN_C'],
+  'D001': ['IND_MOV'],
+  'D990': ['QTD_LIN_D'],
+  'E001': ['IND_MOV'],
+  'E100': ['DT_INI', 'DT_FIN'],
+  'E110': ['VL_TOT_DEBITOS', 'VL_AJ_DEBITOS', 'VL_TOT_AJ_DEBITOS', 'VL_ESTORNOS_CRED', 'VL_TOT_CREDITOS', 'VL_AJ_CREDITOS',
+    'VL_TOT_AJ_CREDITOS', 'VL_ESTORNOS_DEB', 'VL_SLD_CREDOR_ANT', 'VL_SLD_APURADO', 'VL_TOT_DED', 'VL_ICMS_RECOLHER',
+    'VL_SLD_CREDOR_TRANSPORTAR', 'DEB_ESP'],
+  'E111': ['COD_AJ_APUR', 'DESCR_COMPL_AJ', 'VL_AJ_APUR'],
+  'E500': ['IND_APUR', 'DT_INI', 'DT_FIN'],
+  'E510': ['CFOP', 'CST_IPI', 'VL_CONT_IPI', 'VL_BC_IPI', 'VL_IPI'],
+  'E520': ['VL_SD_ANT_IPI', 'VL_DEB_IPI', 'VL_CRED_IPI', 'VL_OD_IPI', 'VL_OC_IPI', 'VL_SC_IPI', 'VL_SD_IPI'],
+  'E990': ['QTD_LIN_E'],
+  'G001': ['IND_MOV'],
+  'G990': ['QTD_LIN_G'],
+  'H001': ['IND_MOV'],
+  'H990': ['QTD_LIN_H'],
+  'K001': ['IND_MOV'],
+  'K990': ['QTD_LIN_K'],
+  '1001': ['IND_MOV'],
+  '1010': ['IND_EXP', 'IND_CCRF', 'IND_COMB', 'IND_USINA', 'IND_VA', 'IND_EE', 'IND_CART', 'IND_FORM', 'IND_AER', 'IND_GIAF1',
+    'IND_GIAF3', 'IND_GIAF4', 'IND_REST_RESSARC_COMPL_ICMS'],
+  '1990': ['QTD_LIN_1'],
+  '9001': ['IND_MOV'],
+  '9900': ['REG_BLC', 'QTD_REG_BLC'],
+  '9990': ['QTD_LIN_9'],
+  '9999': ['QTD_LIN']
+};
+
+const OBRIGATORIOS = {
+  '0000': ['COD_VER', 'COD_FIN', 'DT_INI', 'DT_FIN', 'NOME', 'UF', 'IE', 'COD_MUN', 'IND_PERFIL', 'IND_ATIV'],
+  '0005': ['FANTASIA', 'CEP', 'END', 'BAIRRO'],
+  '0150': ['COD_PART', 'NOME', 'COD_PAIS'],
+  '0190': ['UNID', 'DESCR'],
+  '0200': ['COD_ITEM', 'DESCR_ITEM', 'TIPO_ITEM'],
+  'C100': ['IND_OPER', 'IND_EMIT', 'COD_MOD', 'COD_SIT', 'NUM_DOC', 'CHV_NFE', 'DT_DOC', 'VL_DOC'],
+  'C170': ['NUM_ITEM', 'COD_ITEM', 'QTD', 'UNID', 'VL_ITEM', 'CST_ICMS', 'CFOP'],
+  'C190': ['CST_ICMS', 'CFOP', 'VL_OPR']
+};
+
+const HIERARQUIA = {
+  'C170': ['C100'],
+  'C190': ['C100'],
+  'E110': ['E100'],
+  'E111': ['E110'],
+  'E510': ['E500'],
+  'E520': ['E500']
+};
+
+const ORDEM_BLOCOS = ['0', 'B', 'C', 'D', 'E', 'G', 'H', 'K', '1', '9'];
+
+/**
+ * Gera a EFD ICMS/IPI do período.
+ * - `empresa`: { cnpj, nome, uf, ie, atividade }
+ * - `documentos`: [{ documentData, direcao }] emitidos no período
+ * - `apuracao`: ledger do período (ajustes e saldo credor anterior)
+ * Retorna { linhas, registros, validacao: { valido, erros, avisos }, resumo }
+ */
+export function generateEFDICMSIPI({ empresa, mes, ano, documentos, apuracao = {} }) {
+  const { inicio, fim } = periodBounds(mes, ano);
+  const avisos = [];
+  const industria = empresa.atividade === 'INDUSTRIA';
+
+  const participantes = new Map();
+  const unidades = new Map();
+  const itens = new Map();
+  const ipiPorCfop = new Map();
+  const registrosC = [];
+  // Cadastro da empresa: o da NF-e que ela emitiu ou, sem saídas, o de destinatária
+  let proprio = null;
+  let proprioDestinatario = null;
+
+  const notas = documentos
+    .filter(({ documentData }) => ['NFE', 'NFCE'].includes(documentData.documentType))
+    .sort((a, b) => String(a.documentData.dataEmissao).localeCompare(String(b.documentData.dataEmissao)));
+  const foraDoBloco = documentos.length - notas.length;
+  if (foraDoBloco > 0) {
+    avisos.push(`${foraDoBloco} documento(s) sem registro nos blocos gerados (CT-e no bloco D, NFS-e fora da EFD ICMS/IPI)`);
+  }
+
+  for (const { documentData, direcao } of notas) {
+    if (!documentData.chaveAcesso || !documentData.items?.length) {
+      avisos.push(`Documento ${documentData.numero || 'sem número'} sem chave ou itens (extraído de imagem/PDF): não escriturado`);
+      continue;
+    }
+    if (!direcao) {
+      avisos.push(`NF-e ${documentData.numero}: a empresa não é emitente nem destinatária, não escriturada`);
+      continue;
+    }
+
+    const emissaoPropria = formatTaxId(documentData.emitente?.cnpj) === formatTaxId(empresa.cnpj);
+    if (emissaoPropria) proprio = proprio || documentData.emitente;
+    if (formatTaxId(documentData.destinatario?.cnpj) === formatTaxId(empresa.cnpj)) {
+      proprioDestinatario = proprioDestinatario || documentData.destinatario;
+    }
+    const participante = emissaoPropria ? documentData.destinatario : documentData.emitente;
+    const codPart = participante && (participante.cnpj || participante.cpf)
+      ? registerParticipant(participantes, participante)
+      : '';
+
+    const analiticos = new Map();
+    const linhasItens = [];
+    for (const item of documentData.items) {
+      const valores = itemValues(item, { entrada: direcao === 'entrada', atividade: empresa.atividade });
+
+      // NF-e de emissão própria não detalha itens (C170)
+      if (!emissaoPropria) {
+        const codItem = registerItem(itens, unidades, item, { prefixo: codPart, tipo: TIPO_ITEM[valores.cfop.slice(1)], cest: true });
+        linhasItens.push(['C170', [
+          item.numeroItem, codItem, '', formatDecimal(item.quantidade, 5), unitCode(item.unidade),
+          formatDecimal(item.valorTotal), formatDecimal(item.valorDesconto), '0', valores.cst, valores.cfop, '',
+          formatDecimal(valores.baseICMS), formatDecimal(valores.aliquota), formatDecimal(valores.icms),
+          formatDecimal(item.icms?.vBCST || 0), formatDecimal(item.icms?.pICMSST || 0), formatDecimal(item.icms?.vICMSST || 0),
+          industria ? '0' : '', valores.cstIPI, '', formatDecimal(valores.baseIPI), formatDecimal(valores.aliquotaIPI),
+          formatDecimal(valores.ipi), '', '', '', '', '', '', '', '', '', '', '', '', '', ''
+        ]]);
+      }
+
+      const chave = `${valores.cst}|${valores.cfop}|${valores.aliquota}`;
+      const analitico = analiticos.get(chave) || {
+        cst: valores.cst, cfop: valores.cfop, aliquota: valores.aliquota,
+        operacao: 0, baseICMS: 0, icms: 0, baseST: 0, icmsST: 0, reducao: 0, ipi: 0
+      };
+      analitico.operacao = sumMoney(analitico.operacao, valores.operacao);
+      analitico.baseICMS = sumMoney(analitico.baseICMS, valores.baseICMS);
+      analitico.icms = sumMoney(analitico.icms, valores.icms);
+      analitico.baseST = sumMoney(analitico.baseST, item.icms?.vBCST);
+      analitico.icmsST = sumMoney(analitico.icmsST, item.icms?.vICMSST);
+      analitico.reducao = sumMoney(analitico.reducao, valores.reducao);
+      analitico.ipi = sumMoney(analitico.ipi, valores.ipi);
+      analiticos.set(chave, analitico);
+
+      const chaveIPI = `${valores.cfop}|${valores.cstIPI}`;
+      const ipi = ipiPorCfop.get(chaveIPI) || { cfop: valores.cfop, cstIPI: valores.cstIPI, operacao: 0, baseIPI: 0, ipi: 0 };
+      ipi.operacao = sumMoney(ipi.operacao, valores.operacao);
+      ipi.baseIPI = sumMoney(ipi.baseIPI, valores.baseIPI);
+      ipi.ipi = sumMoney(ipi.ipi, valores.ipi);
+      ipiPorCfop.set(chaveIPI, ipi);
+    }
+
+    const c190 = [...analiticos.values()];
+    const totais = documentData.totais || {};
+    registrosC.push(buildC100(documentData, {
+      direcao,
+      emissaoPropria,
+      // NFC-e não tem participante
+      codPart: documentData.documentType === 'NFCE' ? '' : codPart,
+      semPagamento: '2',
+      valores: {
+        baseICMS: sumMoney(c190.map(a => a.baseICMS)),
+        icms: sumMoney(c190.map(a => a.icms)),
+        baseST: sumMoney(c190.map(a => a.baseST)),
+        icmsST: sumMoney(c190.map(a => a.icmsST)),
+        ipi: sumMoney(c190.map(a => a.ipi)),
+        pis: totais.vPIS || 0,
+        cofins: totais.vCOFINS || 0
+      }
+    }));
+    registrosC.push(...linhasItens);
+    registrosC.push(...c190.map(a => ['C190', [
+      a.cst, a.cfop, formatDecimal(a.aliquota), formatDecimal(a.operacao), formatDecimal(a.baseICMS), formatDecimal(a.icms),
+      formatDecimal(a.baseST), formatDecimal(a.icmsST), formatDecimal(a.reducao), formatDecimal(a.ipi), ''
+    ]]));
+  }
+
+  // Bloco E: totais do bloco C + ajustes do contribuinte + saldo credor anterior do ledger
+  const c190 = registrosC.filter(([registro]) => registro === 'C190');
+  const totalC190 = (prefixos, campo) => sumMoney(c190
+    .filter(([, campos]) => prefixos.includes(campos[1][0]))
+    .map(([, campos]) => parseDecimal(campos[LAYOUT.C190.indexOf(campo)])));
+  const ajustes = apuracao.ajustes || [];
+  const icmsIpi = calculateICMSIPIApuracao({
+    debitos: { ICMS: totalC190(['5', '6', '7'], 'VL_ICMS'), IPI: totalC190(['5', '6', '7'], 'VL_IPI') },
+    creditos: { ICMS: totalC190(['1', '2', '3'], 'VL_ICMS'), IPI: totalC190(['1', '2', '3'], 'VL_IPI') },
+    ajustes,
+    saldoAnterior: { ICMS: apuracao.ICMS?.saldoAnterior || 0, IPI: apuracao.IPI?.saldoAnterior || 0 }
+  });
+  if (apuracao.ICMS && (apuracao.ICMS.debito !== icmsIpi.ICMS.debito || apuracao.ICMS.credito !== icmsIpi.ICMS.credito)) {
+    avisos.push('Apuração do arquivo difere da do relatório: CT-e (bloco D) ficam fora deste arquivo');
+  }
+
+  const icms = icmsIpi.ICMS;
+  const registrosE = [
+    ['E100', [formatDate(inicio), formatDate(fim)]],
+    ['E110', [
+      formatDecimal(icms.debito), formatDecimal(0), formatDecimal(icms.ajustesDebito), formatDecimal(0),
+      formatDecimal(icms.credito), formatDecimal(0), formatDecimal(icms.ajustesCredito), formatDecimal(0),
+      formatDecimal(icms.saldoAnterior),
+      formatDecimal(Math.max(subtractMoney(sumMoney(icms.debito, icms.ajustesDebito), icms.credito, icms.ajustesCredito, icms.saldoAnterior), 0)),
+      formatDecimal(0), formatDecimal(icms.aRecolher), formatDecimal(icms.saldoCredor), formatDecimal(0)
+    ]],
+    // Códigos genéricos da tabela 5.1.1 (UF + 0 + tipo + 9999): conferir o código específico da UF
+    ...ajustes.filter(ajuste => ajuste.tributo === 'ICMS').map(ajuste => ['E111', [
+      `${empresa.uf || ''}0${ajuste.tipo === 'DEBITO' ? '0' : '2'}9999`, ajuste.descricao, formatDecimal(ajuste.valor)
+    ]])
+  ];
+  if (ajustes.some(ajuste => ajuste.tributo === 'ICMS')) {
+    avisos.push('E111 com códigos de ajuste genéricos (xx009999/xx029999): substitua pelos códigos da tabela 5.1.1 da UF');
+  }
+  if (icms.aRecolher > 0) {
+    avisos.push('E116 (obrigações do ICMS a recolher) não gerado: informe código de receita e vencimento no PVA');
+  }
+
+  if (industria) {
+    const ipi = icmsIpi.IPI;
+    registrosE.push(['E500', ['0', formatDate(inicio), formatDate(fim)]]);
+    registrosE.push(...[...ipiPorCfop.values()].filter(a => a.cstIPI).map(a => ['E510', [
+      a.cfop, a.cstIPI, formatDecimal(a.operacao), formatDecimal(a.baseIPI), formatDecimal(a.ipi)
+    ]]));
+    registrosE.push(['E520', [
+      formatDecimal(ipi.saldoAnterior), formatDecimal(ipi.debito), formatDecimal(ipi.credito),
+      formatDecimal(ipi.ajustesDebito), formatDecimal(ipi.ajustesCredito), formatDecimal(ipi.saldoCredor), formatDecimal(ipi.aRecolher)
+    ]]);
+  }
+
+  proprio = proprio || proprioDestinatario;
+  const enderecoProprio = proprio?.endereco;
+  if (!proprio) {
+    avisos.push('Sem NF-e da empresa no período: endereço (0005) e município (0000) incompletos');
+  }
+  avisos.push('0100 (contabilista) não gerado: preencha no PVA antes de transmitir');
+  if (mes === 2) avisos.push('Fevereiro: informe o inventário de 31/12 (bloco H) no PVA');
+  if (industria) avisos.push('Indústria: confira a obrigatoriedade do bloco K (controle da produção e do estoque)');
+  if (itens.size > 0) avisos.push('Itens (0200) codificados pelo código do fornecedor: relacione com os códigos do seu cadastro se necessário');
+
+  const bloco0 = buildBlock('0', '0', [
+    ['0000', [
+      VERSAO_LEIAUTE[ano] || VERSAO_LEIAUTE[Math.max(...Object.keys(VERSAO_LEIAUTE).map(Number))],
+      '0', formatDate(inicio), formatDate(fim), empresa.nome || proprio?.nome, formatTaxId(empresa.cnpj), '',
+      empresa.uf || enderecoProprio?.UF, onlyDigits(empresa.ie || proprio?.ie), enderecoProprio?.codigoMunicipio,
+      '', '', 'A', industria ? '0' : '1'
+    ]],
+    ['0005', [
+      proprio?.fantasia || empresa.nome || proprio?.nome, onlyDigits(enderecoProprio?.cep), enderecoProprio?.logradouro,
+      enderecoProprio?.numero, '', enderecoProprio?.bairro, '', '', proprio?.email
+    ]],
+    ...[...participantes.values()].map(p => ['0150', p]),
+    ...[...unidades.entries()].map(([unidade, descricao]) => ['0190', [unidade, descricao]]),
+    ...[...itens.values()].map(i => ['0200', i])
+  ]);
+  const linhas = [
+    ...bloco0,
+    ...buildBlock('B', '1', []),
+    ...buildBlock('C', registrosC.length ? '0' : '1', registrosC),
+    ...buildBlock('D', '1', []),
+    ...buildBlock('E', '0', registrosE),
+    ...buildBlock('G', '1', []),
+    ...buildBlock('H', '1', []),
+    ...buildBlock('K', '1', []),
+    ...buildBlock('1', '0', [['1010', new Array(13).fill('N')]])
+  ];
+  linhas.push(...buildBlock9(linhas));
+
+  const erros = validateEFDICMSIPI(linhas);
+  return {
+    linhas,
+    registros: countRecords(linhas),
+    nomeArquivo: `EFD_ICMS_IPI_${formatTaxId(empresa.cnpj)}_${ano}${String(mes).padStart(2, '0')}.txt`,
+    validacao: { valido: erros.length === 0, erros, avisos },
+    resumo: {
+      documentos: registrosC.filter(([registro]) => registro === 'C100').length,
+      participantes: participantes.size,
+      itens: itens.size,
+      apuracao: icmsIpi
+    }
+  };
+}
+
+/**
+ * Validação estrutural (leiaute, hierarquia, totalizadores) e de consistência
+ * entre o bloco C e a apuração do bloco E
+ */
+export function validateEFDICMSIPI(linhas) {
+  const erros = validateStructure(linhas, { layout: LAYOUT, obrigatorios: OBRIGATORIOS, hierarquia: HIERARQUIA, ordemBlocos: ORDEM_BLOCOS });
+
+  const e110 = linhas.find(linha => linha.startsWith('|E110|'));
+  if (e110) {
+    const saidas = campos => ['5', '6', '7'].includes(campos[3][0]);
+    const entradas = campos => ['1', '2', '3'].includes(campos[3][0]);
+    const debitos = sumField(linhas, 'C190', LAYOUT, 'VL_ICMS', saidas);
+    const creditos = sumField(linhas, 'C190', LAYOUT, 'VL_ICMS', entradas);
+    const campos = e110.split('|');
+    if (parseDecimal(campos[LAYOUT.E110.indexOf('VL_TOT_DEBITOS') + 2]) !== debitos) {
+      erros.push(`E110.VL_TOT_DEBITOS difere da soma do ICMS dos C190 de saída (${formatDecimal(debitos)})`);
+    }
+    if (parseDecimal(campos[LAYOUT.E110.indexOf('VL_TOT_CREDITOS') + 2]) !== creditos) {
+      erros.push(`E110.VL_TOT_CREDITOS difere da soma do ICMS dos C190 de entrada (${formatDecimal(creditos)})`);
+    }
+  }
+  return erros;
+}
+
+/**
+ * Valores de um item para C170/C190. Nas entradas o crédito segue a apuração (CFOP de
+ * entrada, uso e consumo, CIAP, ST); CSOSN vira CST 90 com o crédito do Simples
+ */
+function itemValues(item, { entrada, atividade }) {
+  const icms = item.icms || {};
+  const ipi = item.ipi || {};
+  const valorItem = subtractMoney(sumMoney(item.valorTotal, item.valorFrete, item.valorSeguro, item.outrasDespesas), item.valorDesconto);
+  const cst = `${icms.origem ?? '0'}${icms.csosn ? '90' : (icms.cst || '90')}`;
+  const valores = {
+    cst,
+    cfop: String(item.cfop || ''),
+    operacao: sumMoney(valorItem, icms.vICMSST, icms.vFCPST, ipi.vIPI),
+    baseICMS: icms.vBC || 0,
+    aliquota: icms.pICMS || 0,
+    icms: icms.vICMS || 0,
+    reducao: 0,
+    cstIPI: ipi.cst || '',
+    baseIPI: ipi.vBC || 0,
+    aliquotaIPI: ipi.pIPI || 0,
+    ipi: ipi.vIPI || 0
+  };
+
+  if (entrada) {
+    const credito = classifyItemCredit(item, { atividade });
+    valores.cfop = credito.cfopEntrada;
+    if (credito.ICMS > 0 && icms.csosn) {
+      Object.assign(valores, { baseICMS: valorItem, aliquota: icms.pCredSN || 0, icms: credito.ICMS });
+    } else if (credito.ICMS === 0) {
+      Object.assign(valores, { baseICMS: 0, aliquota: 0, icms: 0 });
+    }
+    // CST do IPI na entrada: 00-49 (a da saída do fornecedor menos 50)
+    if (valores.cstIPI && Number(valores.cstIPI) >= 50) {
+      valores.cstIPI = String(Number(valores.cstIPI) - 50).padStart(2, '0');
+    }
+    if (credito.IPI === 0) {
+      Object.assign(valores, { baseIPI: 0, aliquotaIPI: 0, ipi: 0 });
+    }
+  }
+
+  if (['20', '70'].includes(cst.slice(1)) && valores.baseICMS > 0) {
+    valores.reducao = Math.max(subtractMoney(valorItem, valores.baseICMS), 0);
+  }
+  return valores;
+}
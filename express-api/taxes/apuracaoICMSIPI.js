@@ -0,0 +1,132 @@
+import { sumMoney, subtractMoney } from './money.js';
+import { toEntryCfop } from './cfop.js';
+
+/**
+ * Apuração mensal de ICMS e IPI (livro de apuração / EFD bloco E):
+ * - Débitos: imposto destacado nos documentos emitidos pela empresa (saídas)
+ * - Créditos: imposto destacado nas entradas (não cumulatividade, LC 87/96, art. 20),
+ *   exceto uso e consumo, ativo imobilizado (CIAP) e mercadorias com ICMS-ST
+ * - Ajustes a débito/crédito informados pelo contribuinte (estornos, créditos presumidos...)
+ * - Saldo credor transportado para o período seguinte
+ *
+ * ICMS-ST, DIFAL e FCP têm apurações próprias e ficam fora deste livro.
+ */
+
+export const TRIBUTOS_APURACAO = ['ICMS', 'IPI'];
+
+export const TIPOS_AJUSTE = ['DEBITO', 'CREDITO'];
+
+// CFOP de entrada (sem o 1º dígito) sem crédito do imposto, com o motivo
+const CFOP_SEM_CREDITO = [
+  { cfops: ['556', '407'], motivo: 'Uso e consumo: sem crédito (LC 87/96, art. 33, I)' },
+  { cfops: ['551', '406'], motivo: 'Ativo imobilizado: crédito em 1/48 pelo CIAP, fora desta apuração' },
+  { cfops: ['403', '411'], motivo: 'Mercadoria com ICMS-ST: saída sem débito, sem crédito do ICMS próprio' }
+];
+
+/**
+ * Crédito de ICMS/IPI de um item de entrada, pelo CFOP de entrada (o da NF-e do fornecedor
+ * é convertido). Simples Nacional credita o vCredICMSSN (LC 123, art. 23); IPI só é
+ * creditado por estabelecimento industrial
+ */
+export function classifyItemCredit(item, { atividade } = {}) {
+  const cfopEntrada = toEntryCfop(item.cfop, { atividade });
+  const icms = item.icms?.csosn ? (item.icms.vCredICMSSN || 0) : (item.icms?.vICMS || 0);
+  const ipi = item.ipi?.vIPI || 0;
+  const semCredito = CFOP_SEM_CREDITO.find(regra => regra.cfops.includes(cfopEntrada.slice(1)));
+
+  if (semCredito) {
+    return { cfopEntrada, ICMS: 0, IPI: 0, semCredito: { ICMS: icms, IPI: ipi }, motivo: semCredito.motivo };
+  }
+  return { cfopEntrada, ICMS: icms, IPI: atividade === 'INDUSTRIA' ? ipi : 0, semCredito: null, motivo: null };
+}
+
+/**
+ * Débitos e créditos de ICMS/IPI de um documento para a empresa de CNPJ `cnpj`.
+ * `direcao` vem da classificação entrada/saída; a `atividade` define o destino das compras
+ */
+export function documentLedgerEntries(documentData, { direcao, cnpj, atividade } = {}) {
+  const entries = {
+    ICMS: { debito: 0, credito: 0 },
+    IPI: { debito: 0, credito: 0 },
+    semCredito: [],
+    observacao: null
+  };
+  const proprio = sameCnpj(documentData.emitente?.cnpj || documentData.prestador?.cnpj, cnpj);
+
+  switch (documentData.documentType) {
+    case 'NFE':
+    case 'NFCE': {
+      if (!documentData.items?.length) {
+        entries.observacao = 'Documento sem itens: fora da apuração';
+      } else if (direcao === 'saida' && proprio) {
+        entries.ICMS.debito = documentData.totais?.vICMS ?? sumMoney(documentData.items.map(item => item.icms?.vICMS));
+        entries.IPI.debito = documentData.totais?.vIPI ?? sumMoney(documentData.items.map(item => item.ipi?.vIPI));
+      } else if (direcao === 'entrada') {
+        addItemCredits(entries, documentData.items, atividade);
+      } else if (direcao === 'saida') {
+        entries.observacao = 'Nota de entrada emitida pelo adquirente: o imposto é apurado por ele';
+      }
+      break;
+    }
+    case 'CTE': {
+      const icms = documentData.icms?.vICMS || 0;
+      if (direcao === 'saida' && proprio) {
+        entries.ICMS.debito = icms;
+      } else if (direcao === 'entrada' && sameCnpj(documentData.tomador?.cnpj, cnpj)) {
+        // O crédito do frete é do tomador do serviço, não de quem só recebe a carga
+        entries.ICMS.credito = icms;
+      } else if (direcao === 'entrada') {
+        entries.observacao = 'Frete tomado por outro participante: sem crédito';
+      }
+      break;
+    }
+    default:
+      entries.observacao = 'Documento sem ICMS/IPI';
+  }
+  return entries;
+}
+
+function addItemCredits(entries, items, atividade) {
+  for (const item of items) {
+    const credito = classifyItemCredit(item, { atividade });
+    if (credito.semCredito && (credito.semCredito.ICMS > 0 || credito.semCredito.IPI > 0)) {
+      entries.semCredito.push({ numeroItem: item.numeroItem, cfop: credito.cfopEntrada, ...credito.semCredito, motivo: credito.motivo });
+    }
+    entries.ICMS.credito = sumMoney(entries.ICMS.credito, credito.ICMS);
+    entries.IPI.credito = sumMoney(entries.IPI.credito, credito.IPI);
+  }
+}
+
+/**
+ * Apuração do período por tributo: débitos + ajustes a débito - créditos - ajustes a crédito
+ * - saldo credor anterior = saldo a recolher ou saldo credor a transportar
+ */
+export function calculateICMSIPIApuracao({ debitos = {}, creditos = {}, ajustes = [], saldoAnterior = {} }) {
+  const apuracao = {};
+
+  for (const tributo of TRIBUTOS_APURACAO) {
+    const doTributo = ajustes.filter(ajuste => ajuste.tributo === tributo);
+    const debito = debitos[tributo] || 0;
+    const credito = creditos[tributo] || 0;
+    const ajustesDebito = sumMoney(doTributo.filter(ajuste => ajuste.tipo === 'DEBITO').map(ajuste => ajuste.valor));
+    const ajustesCredito = sumMoney(doTributo.filter(ajuste => ajuste.tipo === 'CREDITO').map(ajuste => ajuste.valor));
+    const anterior = saldoAnterior[tributo] || 0;
+    const resultado = subtractMoney(sumMoney(debito, ajustesDebito), credito, ajustesCredito, anterior);
+
+    apuracao[tributo] = {
+      debito,
+      ajustesDebito,
+      credito,
+      ajustesCredito,
+      saldoAnterior: anterior,
+      aRecolher: Math.max(resultado, 0),
+      saldoCredor: Math.max(-resultado, 0)
+    };
+  }
+  return apuracao;
+}
+
+function sameCnpj(a, b) {
+  const normalize = value => String(value || '').replace(/[^0-9A-Za-z]/g, '').toUpperCase();
+  return Boolean(a && b) && normalize(a) === normalize(b);
+}
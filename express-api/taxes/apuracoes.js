@@ -0,0 +1,312 @@
+import { applyRate, roundingFor, sumMoney } from './money.js';
+import { getPisCofinsRates } from './regimes.js';
+import { calculatePisCofinsCredits, calculatePisCofinsDebitBase, calculateNonCumulativeApuracao } from './pisCofins.js';
+import { TRIBUTOS_APURACAO, documentLedgerEntries, calculateICMSIPIApuracao } from './apuracaoICMSIPI.js';
+import { emissionDate, monthIndexOf } from '../reports/periodo.js';
+import { generateEFDICMSIPI } from '../sped/efdIcmsIpi.js';
+import { generateEFDContribuicoes } from '../sped/efdContribuicoes.js';
+import { toFileBuffer } from '../sped/arquivo.js';
+
+/**
+ * Apurações mensais a partir dos documentos armazenados do usuário:
+ *
+ * - Documentos classificados como entrada/saída pelo CNPJ da empresa
+ * - PIS/COFINS não cumulativos (Lucro Real) e livro de ICMS/IPI, gravados por período
+ *   com o saldo credor transportado para o mês seguinte
+ * - Arquivos EFD ICMS/IPI e EFD-Contribuições do período
+ *
+ * Recebe a conexão do banco (`db`) como primeiro parâmetro.
+ */
+
+/**
+ * Direção do documento para a empresa de CNPJ `userCnpj`: 'saida' quando ela emitiu,
+ * 'entrada' quando é a destinatária; null sem CNPJ ou quando ela não está no documento.
+ * - NF-e com tpNF = 0 (nota de entrada) inverte: o emitente está trazendo a mercadoria
+ *   (importação, devolução, compra de produtor) e o destinatário é quem a vende
+ * - NFS-e: prestador/tomador; CT-e: emitente/tomador (o destinatário da carga não compra o frete)
+ */
+export function getDocumentDirection(documentData, userCnpj) {
+  const cnpj = userCnpj ? String(userCnpj).replace(/[^0-9A-Za-z]/g, '').toUpperCase() : null;
+  if (!cnpj) return null;
+
+  const notaDeEntrada = documentData.ide?.tpNF === '0';
+  const emitente = documentData.emitente || documentData.prestador;
+  const destinatario = documentData.documentType === 'CTE'
+    ? documentData.tomador
+    : documentData.destinatario || documentData.tomador;
+  if (emitente?.cnpj?.toUpperCase() === cnpj) return notaDeEntrada ? 'entrada' : 'saida';
+  if (destinatario?.cnpj?.toUpperCase() === cnpj) return notaDeEntrada ? 'saida' : 'entrada';
+  return null;
+}
+
+/**
+ * Todos os documentos do usuário, lidos e classificados uma vez, em ordem de emissão:
+ * { id, documentType, documentData, direcao, dataEmissao, monthIndex (ano * 12 + mês) }.
+ * A direção gravada vale; documentos gravados antes de o CNPJ ser conhecido são
+ * classificados aqui. Carregue uma vez por comando e repasse a lista (`documents`)
+ */
+export async function loadUserDocuments(db, user) {
+  const rows = await db.all('SELECT id, documentType, rawData, direcao, createdAt FROM documents WHERE userId = ? ORDER BY id ASC', [user.id]);
+  const documentos = [];
+
+  for (const row of rows) {
+    let documentData;
+    try {
+      documentData = JSON.parse(row.rawData);
+    } catch (error) {
+      continue;
+    }
+    const emissao = emissionDate(documentData, row.createdAt);
+    if (!emissao) continue;
+
+    documentos.push({
+      id: row.id,
+      documentType: row.documentType,
+      documentData,
+      direcao: row.direcao || getDocumentDirection(documentData, user.cnpj),
+      dataEmissao: emissao,
+      monthIndex: monthIndexOf(emissao)
+    });
+  }
+  return documentos.sort((a, b) => a.dataEmissao - b.dataEmissao);
+}
+
+/**
+ * Documentos emitidos no mês, nas duas direções, como { documentData, direcao }
+ */
+function periodDocuments(documents, month, year) {
+  const monthIndex = year * 12 + (month - 1);
+  const documentos = [];
+  for (const direcao of ['saida', 'entrada']) {
+    for (const doc of documents) {
+      if (doc.direcao === direcao && doc.monthIndex === monthIndex) documentos.push({ documentData: doc.documentData, direcao });
+    }
+  }
+  return documentos;
+}
+
+/**
+ * PIS/COFINS do mês no Lucro Real = débitos das vendas - créditos das NF-e recebidas -
+ * saldo credor do último período gravado. Grava (ou regera) o período em
+ * pis_cofins_apuracao; regerar um mês não atualiza o saldo dos meses seguintes já gravados
+ */
+export async function buildPisCofinsApuracao(db, user, month, year, documents = null) {
+  const monthIndex = year * 12 + (month - 1);
+  const documentosDoMes = (documents || await loadUserDocuments(db, user)).filter(doc => doc.monthIndex === monthIndex);
+
+  // Débitos sobre a base total do mês, como na apuração (bloco M da EFD)
+  let baseDebito = 0;
+  for (const { documentData } of documentosDoMes.filter(doc => doc.direcao === 'saida')) {
+    baseDebito = sumMoney(baseDebito, calculatePisCofinsDebitBase(documentData));
+  }
+  const aliquotas = getPisCofinsRates('REAL');
+  const debitos = {
+    PIS: applyRate(baseDebito, aliquotas.PIS, roundingFor('PIS')),
+    COFINS: applyRate(baseDebito, aliquotas.COFINS, roundingFor('COFINS'))
+  };
+
+  const creditos = { PIS: 0, COFINS: 0 };
+  const documentos = [];
+  for (const { documentData } of documentosDoMes.filter(doc => doc.direcao === 'entrada')) {
+    if (!documentData.items?.length) continue;
+    const credito = calculatePisCofinsCredits(documentData, { atividade: user.atividadePrincipal });
+    creditos.PIS = sumMoney(creditos.PIS, credito.PIS);
+    creditos.COFINS = sumMoney(creditos.COFINS, credito.COFINS);
+    documentos.push({
+      chaveAcesso: documentData.chaveAcesso,
+      numero: documentData.numero,
+      fornecedor: documentData.emitente?.nome,
+      dataEmissao: documentData.dataEmissao,
+      ...credito
+    });
+  }
+
+  const anterior = await db.get(`
+    SELECT saldoCredorPIS, saldoCredorCOFINS FROM pis_cofins_apuracao
+    WHERE userId = ? AND (year * 12 + month - 1) < ?
+    ORDER BY year DESC, month DESC
+    LIMIT 1
+  `, [user.id, monthIndex]);
+
+  const apuracao = {
+    ...calculateNonCumulativeApuracao({
+      debitos,
+      creditos,
+      saldoAnterior: { PIS: anterior?.saldoCredorPIS || 0, COFINS: anterior?.saldoCredorCOFINS || 0 }
+    }),
+    documentos
+  };
+  await storePisCofinsApuracao(db, user.id, month, year, apuracao);
+  return apuracao;
+}
+
+/**
+ * Grava o período (upsert) para o mês seguinte ler o saldo credor
+ */
+async function storePisCofinsApuracao(db, userId, month, year, apuracao) {
+  const { PIS, COFINS } = apuracao;
+  await db.run(`
+    INSERT INTO pis_cofins_apuracao (
+      userId, month, year, debitoPIS, debitoCOFINS, creditoPIS, creditoCOFINS,
+      saldoAnteriorPIS, saldoAnteriorCOFINS, pisAPagar, cofinsAPagar,
+      saldoCredorPIS, saldoCredorCOFINS, apuracaoData
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (userId, year, month) DO UPDATE SET
+      debitoPIS = excluded.debitoPIS,
+      debitoCOFINS = excluded.debitoCOFINS,
+      creditoPIS = excluded.creditoPIS,
+      creditoCOFINS = excluded.creditoCOFINS,
+      saldoAnteriorPIS = excluded.saldoAnteriorPIS,
+      saldoAnteriorCOFINS = excluded.saldoAnteriorCOFINS,
+      pisAPagar = excluded.pisAPagar,
+      cofinsAPagar = excluded.cofinsAPagar,
+      saldoCredorPIS = excluded.saldoCredorPIS,
+      saldoCredorCOFINS = excluded.saldoCredorCOFINS,
+      apuracaoData = excluded.apuracaoData,
+      updatedAt = CURRENT_TIMESTAMP
+  `, [
+    userId, month, year,
+    PIS.debito, COFINS.debito, PIS.credito, COFINS.credito,
+    PIS.saldoAnterior, COFINS.saldoAnterior, PIS.aPagar, COFINS.aPagar,
+    PIS.saldoCredor, COFINS.saldoCredor,
+    JSON.stringify(apuracao)
+  ]);
+}
+
+/**
+ * ICMS/IPI do mês = débitos das saídas + ajustes a débito - créditos das entradas -
+ * ajustes a crédito - saldo credor do último período gravado (IPI só credita na indústria).
+ * Grava (ou regera) o período em icms_ipi_apuracao
+ */
+export async function buildICMSIPIApuracao(db, user, month, year, documents = null) {
+  const monthIndex = year * 12 + (month - 1);
+  const opcoes = { cnpj: user.cnpj, atividade: user.atividadePrincipal };
+  const documentosDoMes = (documents || await loadUserDocuments(db, user)).filter(doc => doc.monthIndex === monthIndex);
+
+  const debitos = { ICMS: 0, IPI: 0 };
+  const creditos = { ICMS: 0, IPI: 0 };
+  const documentos = { saidas: 0, entradas: 0 };
+  const semCredito = [];
+  for (const direcao of ['saida', 'entrada']) {
+    for (const { documentData } of documentosDoMes.filter(doc => doc.direcao === direcao)) {
+      const lancamentos = documentLedgerEntries(documentData, { ...opcoes, direcao });
+      for (const tributo of TRIBUTOS_APURACAO) {
+        debitos[tributo] = sumMoney(debitos[tributo], lancamentos[tributo].debito);
+        creditos[tributo] = sumMoney(creditos[tributo], lancamentos[tributo].credito);
+      }
+      documentos[direcao === 'saida' ? 'saidas' : 'entradas'] += 1;
+      semCredito.push(...lancamentos.semCredito.map(item => ({ chaveAcesso: documentData.chaveAcesso, numero: documentData.numero, ...item })));
+    }
+  }
+
+  const ajustes = await db.all(
+    'SELECT tributo, tipo, valor, descricao FROM apuracao_ajustes WHERE userId = ? AND year = ? AND month = ? ORDER BY id',
+    [user.id, year, month]
+  );
+  const anterior = await db.get(`
+    SELECT saldoCredorICMS, saldoCredorIPI FROM icms_ipi_apuracao
+    WHERE userId = ? AND (year * 12 + month - 1) < ?
+    ORDER BY year DESC, month DESC
+    LIMIT 1
+  `, [user.id, monthIndex]);
+
+  const apuracao = {
+    ...calculateICMSIPIApuracao({
+      debitos,
+      creditos,
+      ajustes,
+      saldoAnterior: { ICMS: anterior?.saldoCredorICMS || 0, IPI: anterior?.saldoCredorIPI || 0 }
+    }),
+    documentos,
+    ajustes,
+    semCredito
+  };
+  await storeICMSIPIApuracao(db, user.id, month, year, apuracao);
+  return apuracao;
+}
+
+/**
+ * Grava o período (upsert) para o mês seguinte ler o saldo credor
+ */
+async function storeICMSIPIApuracao(db, userId, month, year, apuracao) {
+  const { ICMS, IPI } = apuracao;
+  await db.run(`
+    INSERT INTO icms_ipi_apuracao (
+      userId, month, year,
+      debitoICMS, creditoICMS, ajustesDebitoICMS, ajustesCreditoICMS, saldoAnteriorICMS, icmsARecolher, saldoCredorICMS,
+      debitoIPI, creditoIPI, ajustesDebitoIPI, ajustesCreditoIPI, saldoAnteriorIPI, ipiARecolher, saldoCredorIPI,
+      apuracaoData
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (userId, year, month) DO UPDATE SET
+      debitoICMS = excluded.debitoICMS,
+      creditoICMS = excluded.creditoICMS,
+      ajustesDebitoICMS = excluded.ajustesDebitoICMS,
+      ajustesCreditoICMS = excluded.ajustesCreditoICMS,
+      saldoAnteriorICMS = excluded.saldoAnteriorICMS,
+      icmsARecolher = excluded.icmsARecolher,
+      saldoCredorICMS = excluded.saldoCredorICMS,
+      debitoIPI = excluded.debitoIPI,
+      creditoIPI = excluded.creditoIPI,
+      ajustesDebitoIPI = excluded.ajustesDebitoIPI,
+      ajustesCreditoIPI = excluded.ajustesCreditoIPI,
+      saldoAnteriorIPI = excluded.saldoAnteriorIPI,
+      ipiARecolher = excluded.ipiARecolher,
+      saldoCredorIPI = excluded.saldoCredorIPI,
+      apuracaoData = excluded.apuracaoData,
+      updatedAt = CURRENT_TIMESTAMP
+  `, [
+    userId, month, year,
+    ICMS.debito, ICMS.credito, ICMS.ajustesDebito, ICMS.ajustesCredito, ICMS.saldoAnterior, ICMS.aRecolher, ICMS.saldoCredor,
+    IPI.debito, IPI.credito, IPI.ajustesDebito, IPI.ajustesCredito, IPI.saldoAnterior, IPI.aRecolher, IPI.saldoCredor,
+    JSON.stringify(apuracao)
+  ]);
+}
+
+/**
+ * EFD ICMS/IPI do período a partir dos documentos armazenados (pela data de emissão),
+ * com os ajustes e o saldo do bloco E vindos do livro de apuração.
+ * Retorna o resultado do gerador mais o buffer do arquivo (Latin-1, CRLF)
+ */
+export async function buildEFDICMSIPI(db, user, month, year) {
+  const documents = await loadUserDocuments(db, user);
+  const efd = generateEFDICMSIPI({
+    empresa: {
+      cnpj: user.cnpj,
+      nome: user.companyName,
+      uf: user.uf,
+      ie: user.inscricaoEstadual,
+      atividade: user.atividadePrincipal
+    },
+    mes: month,
+    ano: year,
+    documentos: periodDocuments(documents, month, year),
+    apuracao: await buildICMSIPIApuracao(db, user, month, year, documents)
+  });
+  return { ...efd, buffer: toFileBuffer(efd.linhas) };
+}
+
+/**
+ * EFD-Contribuições do período: NFS-e (bloco A) e NF-e/NFC-e (bloco C) com PIS/COFINS
+ * do regime do usuário; no Lucro Real o saldo de créditos vem da apuração não cumulativa.
+ * Retorna o resultado do gerador mais o buffer do arquivo (Latin-1, CRLF)
+ */
+export async function buildEFDContribuicoes(db, user, month, year) {
+  const documents = await loadUserDocuments(db, user);
+  const efd = generateEFDContribuicoes({
+    empresa: {
+      cnpj: user.cnpj,
+      nome: user.companyName,
+      uf: user.uf,
+      ie: user.inscricaoEstadual,
+      atividade: user.atividadePrincipal,
+      regime: user.regimeTributario
+    },
+    mes: month,
+    ano: year,
+    documentos: periodDocuments(documents, month, year),
+    apuracao: user.regimeTributario === 'REAL' ? await buildPisCofinsApuracao(db, user, month, year, documents) : {}
+  });
+  return { ...efd, buffer: toFileBuffer(efd.linhas) };
+}
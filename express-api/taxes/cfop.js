@@ -0,0 +1,42 @@
+/**
+ * Utilitários de CFOP (Código Fiscal de Operações e Prestações).
+ */
+
+// Vendas de produção do próprio estabelecimento (indústria); as demais vendas são revenda
+const PRODUCAO_PROPRIA = ['101', '103', '105', '109', '111', '113', '116', '118', '122', '124', '125', '401', '402'];
+
+/**
+ * Indica se o CFOP é de venda de produção própria (ex.: 5101, 6101, 5401)
+ */
+export function isOwnProductionSale(cfop) {
+  return PRODUCAO_PROPRIA.includes(String(cfop || '').slice(1));
+}
+
+// Vendas do fornecedor em que o destino da mercadoria (revenda ou industrialização) é do adquirente
+const VENDAS_MERCADORIA = ['101', '102', '103', '104', '105', '106', '109', '110', '111', '112', '113', '114', '115',
+  '116', '117', '118', '119', '120', '122', '123'];
+
+// Vendas com ICMS-ST retido pelo fornecedor
+const VENDAS_ST = ['401', '402', '403', '405'];
+
+/**
+ * CFOP de entrada equivalente ao CFOP de saída do fornecedor (5xxx/6xxx/7xxx -> 1xxx/2xxx/3xxx).
+ * Vendas viram compra para industrialização (indústria) ou comercialização; o uso e
+ * consumo e o ativo imobilizado dependem do destino dado pela empresa e devem ser revistos
+ */
+export function toEntryCfop(cfop, { atividade } = {}) {
+  const codigo = String(cfop || '');
+  const grupo = { 5: '1', 6: '2', 7: '3' }[codigo[0]];
+  if (!grupo || codigo.length !== 4) {
+    return codigo;
+  }
+
+  const sufixo = codigo.slice(1);
+  if (VENDAS_ST.includes(sufixo)) {
+    return `${grupo}${atividade === 'INDUSTRIA' ? '401' : '403'}`;
+  }
+  if (VENDAS_MERCADORIA.includes(sufixo)) {
+    return `${grupo}${atividade === 'INDUSTRIA' ? '101' : '102'}`;
+  }
+  return `${grupo}${sufixo}`;
+}
@@ -0,0 +1,422 @@
+import { applyRate, subtractMoney, sumMoney, roundingFor } from './money.js';
+
+/**
+ * Conciliação declarado x calculado.
+ *
+ * Confere os tributos destacados no documento (por item e nos totais) com o
+ * nosso cálculo e explica cada diferença:
+ *
+ * - CST: o código declarado não gera débito (isenção, ST, alíquota zero...) e o
+ *   cálculo tributa o item, ou vice-versa
+ * - REDUCAO: a base difere por redução de base de cálculo (pRedBC, CST 20/70)
+ * - BASE: a base difere (com a parcela que explica a diferença, quando houver)
+ * - ALIQUOTA: a alíquota declarada não é a das nossas tabelas
+ * - CALCULO: o valor declarado não confere com a própria base x alíquota declaradas
+ * - TOTAL: o total declarado não bate com a soma dos itens declarados
+ *
+ * O ICMS-ST tem conferência própria (checkICMSST) e fica fora daqui.
+ */
+
+// Diferença aceita por valor comparado (arredondamento do emissor)
+const TOLERANCIA = 0.01;
+
+// CSTs que não geram débito do próprio tributo na operação
+export const CST_SEM_DEBITO = {
+  ICMS: ['40', '41', '50', '51', '60'],
+  IPI: ['01', '02', '03', '04', '05', '51', '52', '53', '54', '55'],
+  PIS: ['04', '05', '06', '07', '08', '09'],
+  COFINS: ['04', '05', '06', '07', '08', '09']
+};
+
+// CSTs de ICMS com redução de base
+const CST_REDUCAO = ['20', '70'];
+
+// Totais declarados na NF-e (ICMSTot) por tributo
+const TOTAIS_NFE = {
+  ICMS: 'vICMS',
+  FCP: 'vFCP',
+  IPI: 'vIPI',
+  PIS: 'vPIS',
+  COFINS: 'vCOFINS',
+  DIFAL: 'vICMSUFDest',
+  FCP_DESTINO: 'vFCPUFDest'
+};
+
+/**
+ * Concilia os tributos declarados de um documento com o cálculo (calculateTaxesWithRules).
+ * PIS/COFINS só são conferidos quando o cálculo os traz (vendas da empresa no Presumido/Real);
+ * a nota de fornecedor depende do regime dele, não do regime da empresa.
+ * Retorna null para documentos sem valores declarados estruturados (extraídos por OCR)
+ */
+export function reconcileDeclaredTaxes(documentData, calculation) {
+  switch (documentData.documentType) {
+    case 'NFE':
+    case 'NFCE':
+      return documentData.items?.length && documentData.totais
+        ? reconcileNFe(documentData, calculation)
+        : null;
+    case 'CTE':
+      return documentData.icms ? reconcileCTe(documentData, calculation) : null;
+    case 'NFSE':
+      return documentData.valores ? reconcileNFSe(documentData, calculation) : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * NF-e/NFC-e: cada item e depois os totais do ICMSTot
+ */
+function reconcileNFe(documentData, calculation) {
+  const taxes = calculation.taxes || {};
+  const details = calculation.details || {};
+  const observacoes = [];
+
+  // Tributos fora do cálculo (DAS do Simples, crédito na compra do Lucro Real) não são conferidos
+  const tributos = [];
+  if (taxes.ICMS !== undefined) tributos.push('ICMS', 'FCP');
+  if (taxes.IPI !== undefined) tributos.push('IPI');
+  if (taxes.PIS !== undefined) {
+    tributos.push('PIS', 'COFINS');
+  } else if (details.pisCofins?.observacao) {
+    observacoes.push(details.pisCofins.observacao);
+  }
+  if (details.difal) tributos.push('DIFAL', 'FCP_DESTINO');
+
+  const calculados = {
+    ICMS: indexByItem(details.icms?.itens),
+    IPI: indexByItem(details.ipi?.itens),
+    DIFAL: indexByItem(details.difal?.itens)
+  };
+
+  const itens = documentData.items.map(item => ({
+    numeroItem: item.numeroItem,
+    descricao: item.descricao,
+    tributos: tributos
+      .map(tributo => compareItem(tributo, item, calculados, details))
+      .filter(Boolean)
+  }));
+
+  const totais = [];
+  for (const tributo of tributos) {
+    const comparacoes = itens.flatMap(item => item.tributos.filter(c => c.tributo === tributo));
+    const declarado = documentData.totais[TOTAIS_NFE[tributo]] || 0;
+    const calculado = taxes[tributo] || 0;
+    if (comparacoes.length === 0 && declarado === 0 && calculado === 0) continue;
+
+    const itensDivergentes = comparacoes.filter(c => c.divergente).map(c => c.numeroItem);
+    const somaItens = sumMoney(comparacoes.map(c => c.declarado.valor));
+
+    const total = buildTotal(tributo, declarado, calculado, Math.max(comparacoes.length, 1) * TOLERANCIA);
+    total.itensDivergentes = itensDivergentes;
+    if (total.divergente && itensDivergentes.length === 0) {
+      total.motivos = isDifferent(declarado, somaItens, TOLERANCIA)
+        ? [{ tipo: 'TOTAL', descricao: `total declarado ${formatMoney(declarado)} difere da soma dos itens ${formatMoney(somaItens)}` }]
+        : [{ tipo: 'CALCULO', descricao: 'diferença acumulada de arredondamento entre os itens' }];
+    }
+    totais.push(total);
+  }
+
+  return buildResult(documentData, itens, totais, observacoes);
+}
+
+/**
+ * CT-e: ICMS da prestação
+ */
+function reconcileCTe(documentData, calculation) {
+  const icms = documentData.icms;
+  const details = calculation.details || {};
+  const totais = [];
+
+  if (calculation.taxes?.ICMS !== undefined) {
+    totais.push(compareTax('ICMS', {
+      cst: icms.cst,
+      base: icms.vBC,
+      aliquota: icms.pICMS,
+      valor: icms.vICMS,
+      pRedBC: icms.pRedBC
+    }, {
+      base: details.baseCalculo,
+      aliquota: details.aliquota,
+      valor: calculation.taxes.ICMS,
+      pRedBC: icms.pRedBC,
+      observacao: details.observacao
+    }));
+  }
+  return buildResult(documentData, [], totais, []);
+}
+
+/**
+ * NFS-e: ISS do serviço (retenções federais são conferidas à parte)
+ */
+function reconcileNFSe(documentData, calculation) {
+  const valores = documentData.valores;
+  const details = calculation.details || {};
+  const totais = [];
+  const fontes = {
+    TABELA: `tabela de ${details.municipioIncidencia?.nome}`,
+    PADRAO_MUNICIPIO: `alíquota padrão de ${details.municipioIncidencia?.nome}`,
+    MAXIMA: 'máximo da LC 116, município sem tabela'
+  };
+
+  if (calculation.taxes?.ISS !== undefined) {
+    totais.push(compareTax('ISS', {
+      base: valores.baseCalculo,
+      aliquota: valores.aliquotaISS,
+      valor: valores.valorISS
+    }, {
+      base: calculation.baseValue,
+      aliquota: details.aliquotaISS,
+      valor: calculation.taxes.ISS,
+      fonteAliquota: fontes[details.fonteAliquotaISS],
+      observacao: details.observacaoISS
+    }, {
+      'deduções': valores.deducoes,
+      'desconto incondicionado': valores.descontoIncondicionado
+    }));
+  }
+  return buildResult(documentData, [], totais, []);
+}
+
+/**
+ * Declarado x calculado de um tributo em um item da NF-e (null quando não se aplica ao item)
+ */
+function compareItem(tributo, item, calculados, details) {
+  const icms = item.icms || {};
+  const valorItem = subtractMoney(
+    sumMoney(item.valorTotal, item.valorFrete, item.valorSeguro, item.outrasDespesas),
+    item.valorDesconto
+  );
+  const parcelasItem = {
+    IPI: item.ipi?.vIPI,
+    frete: item.valorFrete,
+    seguro: item.valorSeguro,
+    'outras despesas': item.outrasDespesas,
+    desconto: item.valorDesconto
+  };
+
+  switch (tributo) {
+    case 'ICMS': {
+      const calculado = calculados.ICMS.get(item.numeroItem);
+      if (!calculado) return null;
+      return compareTax('ICMS', {
+        cst: icms.cst,
+        base: icms.vBC,
+        aliquota: icms.pICMS,
+        valor: icms.vICMS,
+        pRedBC: icms.pRedBC
+      }, {
+        base: calculado.baseCalculo,
+        aliquota: calculado.aliquota,
+        valor: calculado.valorICMS,
+        pRedBC: icms.pRedBC,
+        observacao: calculado.observacao
+      }, parcelasItem, item.numeroItem);
+    }
+
+    case 'FCP': {
+      const calculado = calculados.ICMS.get(item.numeroItem);
+      if (!calculado || !(icms.vFCP > 0 || calculado.valorFCP > 0)) return null;
+      return compareTax('FCP', {
+        base: icms.vBCFCP,
+        aliquota: icms.pFCP,
+        valor: icms.vFCP
+      }, {
+        base: calculado.baseCalculo,
+        aliquota: calculado.fcp,
+        valor: calculado.valorFCP
+      }, parcelasItem, item.numeroItem);
+    }
+
+    case 'IPI': {
+      const calculado = calculados.IPI.get(item.numeroItem);
+      if (!calculado || !item.ipi) return null;
+      return compareTax('IPI', {
+        cst: item.ipi.cst,
+        base: item.ipi.vBC,
+        aliquota: item.ipi.pIPI,
+        valor: item.ipi.vIPI
+      }, {
+        base: calculado.baseCalculo,
+        aliquota: calculado.aliquota,
+        valor: calculado.valorIPI
+      }, parcelasItem, item.numeroItem);
+    }
+
+    case 'PIS':
+    case 'COFINS': {
+      const declarado = tributo === 'PIS' ? item.pis : item.cofins;
+      if (!declarado) return null;
+      // Mesma base do débito da nota (calculatePisCofinsDebitBase): sem o ICMS destacado
+      const base = Math.max(subtractMoney(valorItem, icms.vICMS), 0);
+      const aliquota = tributo === 'PIS' ? details.pisCofins.aliquotaPIS : details.pisCofins.aliquotaCOFINS;
+      return compareTax(tributo, {
+        cst: declarado.cst,
+        base: declarado.vBC,
+        aliquota: declarado.aliquota,
+        valor: declarado.valor
+      }, {
+        base,
+        aliquota,
+        valor: applyRate(base, aliquota, roundingFor(tributo)),
+        fonteAliquota: details.pisCofins.regime
+      }, { ...parcelasItem, 'ICMS destacado (STF, Tema 69)': icms.vICMS }, item.numeroItem);
+    }
+
+    case 'DIFAL':
+    case 'FCP_DESTINO': {
+      const calculado = calculados.DIFAL.get(item.numeroItem);
+      const declarado = item.icmsUFDest;
+      if (!calculado && !declarado) return null;
+      const difal = tributo === 'DIFAL';
+      return compareTax(tributo, {
+        base: difal ? declarado?.vBCUFDest : declarado?.vBCFCPUFDest,
+        aliquota: difal ? declarado?.pICMSUFDest : declarado?.pFCPUFDest,
+        valor: (difal ? declarado?.vICMSUFDest : declarado?.vFCPUFDest) || 0
+      }, {
+        base: calculado?.baseCalculo || 0,
+        aliquota: (difal ? calculado?.aliquotaInterna : calculado?.aliquotaFCP) || 0,
+        valor: (difal ? calculado?.difal : calculado?.fcp) || 0,
+        fonteAliquota: `tabela ${details.difal.ufDestino}`
+      }, parcelasItem, item.numeroItem);
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compara um tributo e, se divergir, explica por quê.
+ * `parcelas` são valores que podem explicar uma diferença de base (frete, IPI, ICMS...)
+ */
+function compareTax(tributo, declarado, calculado, parcelas = {}, numeroItem = null) {
+  const valorDeclarado = declarado.valor || 0;
+  const valorCalculado = calculado.valor || 0;
+  const comparacao = {
+    tributo,
+    numeroItem,
+    declarado: { ...declarado, valor: valorDeclarado },
+    calculado: { ...calculado, valor: valorCalculado },
+    diferenca: subtractMoney(valorDeclarado, valorCalculado),
+    divergente: isDifferent(valorDeclarado, valorCalculado, TOLERANCIA),
+    motivos: []
+  };
+
+  if (comparacao.divergente) {
+    comparacao.motivos = explainDifference(tributo, comparacao.declarado, comparacao.calculado, parcelas);
+  }
+  return comparacao;
+}
+
+/**
+ * Motivos de uma divergência, do mais para o menos determinante
+ */
+function explainDifference(tributo, declarado, calculado, parcelas) {
+  const semDebito = CST_SEM_DEBITO[tributo] || [];
+
+  // CST: o tratamento do item difere e base/alíquota deixam de ser comparáveis
+  if (declarado.cst && semDebito.includes(declarado.cst)) {
+    return [{
+      tipo: 'CST',
+      descricao: declarado.valor > 0
+        ? `CST ${declarado.cst} não gera débito, mas há ${formatMoney(declarado.valor)} destacado`
+        : `CST ${declarado.cst} declarada sem débito; o cálculo tributa o item`
+    }];
+  }
+  if (calculado.observacao && calculado.valor === 0) {
+    return [{ tipo: 'CST', descricao: `${calculado.observacao}, mas há ${formatMoney(declarado.valor)} destacado` }];
+  }
+
+  const motivos = [];
+  if (isDifferent(declarado.base || 0, calculado.base || 0, TOLERANCIA)) {
+    const reducao = declarado.pRedBC > 0 || calculado.pRedBC > 0 || CST_REDUCAO.includes(declarado.cst);
+    if (reducao) {
+      motivos.push({
+        tipo: 'REDUCAO',
+        descricao: declarado.pRedBC === calculado.pRedBC
+          ? `base declarada ${formatMoney(declarado.base || 0)} não corresponde à redução de ${declarado.pRedBC}% (esperada ${formatMoney(calculado.base)})`
+          : `redução de base declarada de ${declarado.pRedBC || 0}% x ${calculado.pRedBC || 0}% no cálculo`
+      });
+    } else {
+      const diferenca = subtractMoney(declarado.base || 0, calculado.base || 0);
+      const parcela = findExplainingPart(diferenca, parcelas);
+      motivos.push({
+        tipo: 'BASE',
+        descricao: `base declarada ${formatMoney(declarado.base || 0)} x calculada ${formatMoney(calculado.base || 0)}`
+          + (parcela ? ` (${diferenca > 0 ? 'a base declarada' : 'o cálculo'} inclui ${parcela})` : '')
+      });
+    }
+  }
+
+  if (Math.abs((declarado.aliquota || 0) - (calculado.aliquota || 0)) > 0.0001) {
+    motivos.push({
+      tipo: 'ALIQUOTA',
+      descricao: `alíquota declarada ${declarado.aliquota || 0}% x ${calculado.aliquota || 0}%`
+        + (calculado.fonteAliquota ? ` (${calculado.fonteAliquota})` : '')
+    });
+  }
+
+  if (motivos.length === 0) {
+    const esperado = applyRate(declarado.base || 0, declarado.aliquota || 0, roundingFor(tributo));
+    motivos.push({
+      tipo: 'CALCULO',
+      descricao: isDifferent(declarado.valor, esperado, TOLERANCIA)
+        ? `valor declarado ${formatMoney(declarado.valor)} não confere com base x alíquota declaradas (${formatMoney(esperado)})`
+        : 'diferença de arredondamento acima da tolerância'
+    });
+  }
+  return motivos;
+}
+
+/**
+ * Parcela (frete, IPI, ICMS...) cujo valor explica sozinha a diferença de base
+ */
+function findExplainingPart(diferenca, parcelas) {
+  const alvo = Math.abs(diferenca);
+  const encontrada = Object.entries(parcelas).find(([, valor]) => valor > 0 && !isDifferent(valor, alvo, TOLERANCIA));
+  return encontrada ? encontrada[0] : null;
+}
+
+function buildTotal(tributo, declarado, calculado, tolerancia) {
+  return {
+    tributo,
+    numeroItem: null,
+    declarado: { valor: declarado },
+    calculado: { valor: calculado },
+    diferenca: subtractMoney(declarado, calculado),
+    divergente: isDifferent(declarado, calculado, tolerancia),
+    motivos: []
+  };
+}
+
+function buildResult(documentData, itens, totais, observacoes) {
+  // Uma divergência de total já explicada pelos itens não é repetida
+  const divergencias = [
+    ...itens.flatMap(item => item.tributos.filter(c => c.divergente)),
+    ...totais.filter(total => total.divergente && !total.itensDivergentes?.length)
+  ];
+
+  return {
+    documentType: documentData.documentType,
+    chaveAcesso: documentData.chaveAcesso,
+    status: divergencias.length > 0 ? 'DIVERGENTE' : 'CONFERE',
+    diferencaTotal: sumMoney(totais.map(total => total.diferenca)),
+    totais,
+    itens,
+    divergencias,
+    observacoes
+  };
+}
+
+function indexByItem(itens = []) {
+  return new Map((itens || []).map(item => [item.numeroItem, item]));
+}
+
+function isDifferent(a, b, tolerancia) {
+  return Math.abs(subtractMoney(a || 0, b || 0)) > tolerancia;
+}
+
+function formatMoney(valor) {
+  return `R$ ${(valor || 0).toFixed(2)}`;
+}
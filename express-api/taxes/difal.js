@@ -0,0 +1,50 @@
+import { getICMSRates } from './icmsRates.js';
+import { applyRate, divideMoney, subtractMoney, roundingFor } from './money.js';
+
+/**
+ * DIFAL (EC 87/2015 e LC 190/2022) nas vendas interestaduais a consumidor
+ * final não contribuinte do ICMS.
+ *
+ * O remetente recolhe à UF de destino a diferença entre a alíquota interna
+ * do destino e a interestadual, além do FCP do destino. Algumas UFs calculam
+ * por "base dupla": o ICMS de origem sai da base e o DIFAL é calculado por
+ * dentro com a alíquota interna.
+ */
+
+/**
+ * Operação sujeita ao DIFAL: interestadual (idDest 2) para não contribuinte (indIEDest 9)
+ */
+export function isDIFALOperation(documentData) {
+  return documentData.ide?.idDest === '2' && documentData.destinatario?.indIEDest === '9';
+}
+
+/**
+ * Calcula DIFAL e FCP do destino de um item
+ */
+export function calculateDIFAL({ baseCalculo, aliquotaInterestadual, ufDestino, classe = 'PADRAO', data = new Date() }) {
+  const destino = getICMSRates(ufDestino, { data, classe });
+  const aliquotaInterna = destino.aliquota;
+  const arredondamento = roundingFor('DIFAL');
+  const icmsOrigem = applyRate(baseCalculo, aliquotaInterestadual, arredondamento);
+
+  let baseDestino = baseCalculo;
+  let difal;
+  if (destino.baseDIFAL === 'DUPLA') {
+    baseDestino = divideMoney(subtractMoney(baseCalculo, icmsOrigem), 1 - aliquotaInterna / 100, arredondamento);
+    difal = subtractMoney(applyRate(baseDestino, aliquotaInterna, arredondamento), icmsOrigem);
+  } else {
+    difal = applyRate(baseCalculo, aliquotaInterna - aliquotaInterestadual, arredondamento);
+  }
+
+  return {
+    metodo: destino.baseDIFAL,
+    ufDestino: destino.uf,
+    baseCalculo: baseDestino,
+    aliquotaInterna,
+    aliquotaInterestadual,
+    aliquotaFCP: destino.fcp,
+    // Alíquota interna abaixo da interestadual não gera DIFAL
+    difal: Math.max(difal, 0),
+    fcp: applyRate(baseDestino, destino.fcp, roundingFor('FCP_DESTINO'))
+  };
+}
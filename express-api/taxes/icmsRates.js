@@ -0,0 +1,221 @@
+/**
+ * Tabelas de alíquotas de ICMS com vigência.
+ *
+ * - Alíquota interna (modal) de cada uma das 27 UFs, por classe de produto
+ * - Adicional do Fundo de Combate à Pobreza (FCP, art. 82 do ADCT)
+ * - Alíquotas interestaduais de 4%, 7% e 12% (Res. SF 22/89, 95/96 e 13/2012)
+ * - Método de cálculo do DIFAL (base única ou dupla, LC 190/2022)
+ *
+ * Cada UF tem uma lista de vigências em ordem cronológica. Uma vigência só
+ * precisa trazer o que mudou: as anteriores são herdadas, de modo que o
+ * documento é calculado com as regras em vigor na data de emissão.
+ */
+
+// Classes de produto com tratamento próprio na legislação estadual
+export const PRODUCT_CLASSES = {
+  PADRAO: 'PADRAO',
+  CESTA_BASICA: 'CESTA_BASICA',   // alimentos básicos com carga reduzida
+  SUPERFLUO: 'SUPERFLUO',         // bebidas alcoólicas, fumo, perfumes, armas...
+  ESSENCIAL: 'ESSENCIAL',         // energia elétrica e comunicação: limitados à modal (LC 194/2022)
+  COMBUSTIVEL: 'COMBUSTIVEL',     // monofásico ad rem (LC 192/2022), sem alíquota ad valorem
+  TRANSPORTE: 'TRANSPORTE'        // prestação de serviço de transporte
+};
+
+// Alíquotas por classe válidas para todas as UFs, salvo vigência própria
+const DEFAULT_CLASS_RATES = {
+  CESTA_BASICA: 7,
+  SUPERFLUO: 25,
+  COMBUSTIVEL: 0
+};
+
+// Vigências por UF. `modal` é a alíquota interna geral; `classes` e `fcp` (em %) por classe;
+// `difal` é 'DUPLA' nas UFs que calculam o DIFAL por dentro (padrão: 'UNICA')
+const INTERNAL_RATES = {
+  AC: [{ inicio: '2000-01-01', modal: 17 }, { inicio: '2024-04-01', modal: 19 }],
+  AL: [{ inicio: '2000-01-01', modal: 18, fcp: { SUPERFLUO: 1 } }, { inicio: '2023-04-01', modal: 19 }],
+  AM: [{ inicio: '2000-01-01', modal: 18, fcp: { SUPERFLUO: 2 } }, { inicio: '2023-03-23', modal: 20 }],
+  AP: [{ inicio: '2000-01-01', modal: 18 }],
+  BA: [
+    { inicio: '2000-01-01', modal: 18, fcp: { SUPERFLUO: 2 } },
+    { inicio: '2022-04-05', difal: 'DUPLA' },
+    { inicio: '2023-03-20', modal: 19 },
+    { inicio: '2024-02-20', modal: 20.5 }
+  ],
+  CE: [{ inicio: '2000-01-01', modal: 18, fcp: { SUPERFLUO: 2 } }, { inicio: '2024-01-01', modal: 20 }],
+  DF: [{ inicio: '2000-01-01', modal: 18, fcp: { SUPERFLUO: 2 } }, { inicio: '2024-01-01', modal: 20 }],
+  ES: [{ inicio: '2000-01-01', modal: 17, fcp: { SUPERFLUO: 2 } }],
+  GO: [
+    { inicio: '2000-01-01', modal: 17, fcp: { SUPERFLUO: 2 } },
+    { inicio: '2022-04-05', difal: 'DUPLA' },
+    { inicio: '2023-04-01', modal: 19 }
+  ],
+  MA: [
+    { inicio: '2000-01-01', modal: 18, fcp: { SUPERFLUO: 2 } },
+    { inicio: '2023-04-01', modal: 20 },
+    { inicio: '2024-02-01', modal: 22 },
+    { inicio: '2025-02-23', modal: 23 }
+  ],
+  MG: [{ inicio: '2000-01-01', modal: 18, fcp: { SUPERFLUO: 2 } }, { inicio: '2022-04-05', difal: 'DUPLA' }],
+  MS: [{ inicio: '2000-01-01', modal: 17, fcp: { SUPERFLUO: 2 } }],
+  MT: [{ inicio: '2000-01-01', modal: 17, fcp: { SUPERFLUO: 2 } }],
+  PA: [{ inicio: '2000-01-01', modal: 17 }, { inicio: '2023-04-01', modal: 19 }],
+  PB: [{ inicio: '2000-01-01', modal: 18, fcp: { SUPERFLUO: 2 } }, { inicio: '2024-01-01', modal: 20 }],
+  PE: [
+    { inicio: '2000-01-01', modal: 18, fcp: { SUPERFLUO: 2 } },
+    { inicio: '2022-04-05', difal: 'DUPLA' },
+    { inicio: '2024-01-01', modal: 20.5 }
+  ],
+  PI: [
+    { inicio: '2000-01-01', modal: 18, fcp: { PADRAO: 1, SUPERFLUO: 2 } },
+    { inicio: '2022-04-05', difal: 'DUPLA' },
+    { inicio: '2023-04-01', modal: 21 },
+    { inicio: '2025-04-01', modal: 22.5 }
+  ],
+  PR: [
+    { inicio: '2000-01-01', modal: 18, fcp: { SUPERFLUO: 2 } },
+    { inicio: '2022-04-05', difal: 'DUPLA' },
+    { inicio: '2023-03-13', modal: 19.5 }
+  ],
+  RJ: [{ inicio: '2000-01-01', modal: 20, classes: { SUPERFLUO: 20 }, fcp: { PADRAO: 2, SUPERFLUO: 4 } }],
+  RN: [
+    { inicio: '2000-01-01', modal: 18, fcp: { SUPERFLUO: 2 } },
+    { inicio: '2023-04-01', modal: 20 },
+    { inicio: '2024-01-01', modal: 18 },
+    { inicio: '2025-03-20', modal: 20 }
+  ],
+  RO: [{ inicio: '2000-01-01', modal: 17.5, fcp: { SUPERFLUO: 2 } }, { inicio: '2023-04-01', modal: 19.5 }],
+  RR: [{ inicio: '2000-01-01', modal: 17 }, { inicio: '2023-04-01', modal: 20 }],
+  RS: [{ inicio: '2000-01-01', modal: 17, fcp: { SUPERFLUO: 2 } }, { inicio: '2022-04-05', difal: 'DUPLA' }],
+  SC: [{ inicio: '2000-01-01', modal: 17 }, { inicio: '2022-04-05', difal: 'DUPLA' }],
+  SE: [
+    { inicio: '2000-01-01', modal: 18, fcp: { PADRAO: 1, SUPERFLUO: 2 } },
+    { inicio: '2022-04-05', difal: 'DUPLA' },
+    { inicio: '2023-04-01', modal: 19 }
+  ],
+  SP: [{ inicio: '2000-01-01', modal: 18, classes: { TRANSPORTE: 12 }, fcp: { SUPERFLUO: 2 } }],
+  TO: [
+    { inicio: '2000-01-01', modal: 18, fcp: { SUPERFLUO: 2 } },
+    { inicio: '2022-04-05', difal: 'DUPLA' },
+    { inicio: '2024-01-01', modal: 20 }
+  ]
+};
+
+// Sul/Sudeste, exceto ES: origem das operações interestaduais a 7% para N/NE/CO e ES
+const SOUTH_SOUTHEAST_STATES = ['SP', 'RJ', 'MG', 'PR', 'SC', 'RS'];
+
+// Vigência dos 4% para importados (Res. SF 13/2012)
+const IMPORTED_RATE_START = '2013-01-01';
+
+// Origem da mercadoria (tabela A do CST) tratada como importada para a Res. SF 13/2012
+const IMPORTED_ORIGINS = ['1', '2', '3', '8'];
+
+// Prefixos de NCM por classe de produto (o prefixo mais longo vence)
+const NCM_CLASSES = [
+  { classe: 'COMBUSTIVEL', prefixos: ['2710', '2711'] },
+  { classe: 'ESSENCIAL', prefixos: ['2716'] },
+  { classe: 'SUPERFLUO', prefixos: ['2203', '2204', '2205', '2206', '2208', '2402', '2403', '3303', '9302', '9303', '8903'] },
+  {
+    classe: 'CESTA_BASICA',
+    prefixos: ['0201', '0202', '0207', '0401', '0407', '0713', '0901', '1006', '1101', '1106', '1507', '1701', '1902', '2501']
+  }
+];
+
+/**
+ * Lista de UFs com tabela de alíquotas
+ */
+export function listStates() {
+  return Object.keys(INTERNAL_RATES);
+}
+
+/**
+ * Resolve a vigência de uma UF numa data (herda o que não mudou nas anteriores)
+ */
+function resolveVigencia(uf, data) {
+  const vigencias = INTERNAL_RATES[uf];
+  if (!vigencias) {
+    throw new Error(`UF sem tabela de ICMS: ${uf}`);
+  }
+
+  const dia = toISODate(data);
+  return vigencias
+    .filter((vigencia, index) => index === 0 || vigencia.inicio <= dia)
+    .reduce((atual, vigencia) => ({
+      ...atual,
+      ...vigencia,
+      classes: { ...atual.classes, ...vigencia.classes },
+      fcp: { ...atual.fcp, ...vigencia.fcp }
+    }), { classes: {}, fcp: {} });
+}
+
+/**
+ * Alíquota interna de ICMS e FCP de uma UF para a classe de produto, na data informada
+ */
+export function getICMSRates(uf, { data = new Date(), classe = 'PADRAO' } = {}) {
+  const vigencia = resolveVigencia(String(uf || '').toUpperCase(), data);
+
+  let aliquota = vigencia.classes[classe] ?? DEFAULT_CLASS_RATES[classe] ?? vigencia.modal;
+  if (classe === 'ESSENCIAL' || classe === 'CESTA_BASICA') {
+    aliquota = Math.min(aliquota, vigencia.modal);
+  }
+
+  return {
+    uf: String(uf).toUpperCase(),
+    classe,
+    vigencia: vigencia.inicio,
+    modal: vigencia.modal,
+    aliquota,
+    fcp: vigencia.fcp[classe] ?? vigencia.fcp.PADRAO ?? 0,
+    baseDIFAL: vigencia.difal || 'UNICA'
+  };
+}
+
+/**
+ * Alíquota interestadual entre origem e destino:
+ * - 4% no transporte aéreo (Res. SF 95/96) e para importados a partir de 2013 (Res. SF 13/2012)
+ * - 7% do Sul/Sudeste (exceto ES) para Norte, Nordeste, Centro-Oeste e ES
+ * - 12% nas demais
+ */
+export function getInterstateICMSRate(origem, destino, { data = new Date(), importado = false, transporteAereo = false } = {}) {
+  const ufOrigem = String(origem || '').toUpperCase();
+  const ufDestino = String(destino || '').toUpperCase();
+  for (const uf of [ufOrigem, ufDestino]) {
+    if (!INTERNAL_RATES[uf]) throw new Error(`UF sem tabela de ICMS: ${uf}`);
+  }
+
+  if (transporteAereo) return 4;
+  if (importado && toISODate(data) >= IMPORTED_RATE_START) return 4;
+  if (SOUTH_SOUTHEAST_STATES.includes(ufOrigem) && !SOUTH_SOUTHEAST_STATES.includes(ufDestino)) return 7;
+  return 12;
+}
+
+/**
+ * Indica se a origem da mercadoria (CST tabela A) é tratada como importada
+ */
+export function isImportedOrigin(origem) {
+  return IMPORTED_ORIGINS.includes(String(origem));
+}
+
+/**
+ * Classe de produto a partir do NCM (PADRAO quando não há regra específica)
+ */
+export function classifyProduct(ncm) {
+  const codigo = String(ncm || '').replace(/\D/g, '');
+  let melhor = { classe: 'PADRAO', tamanho: 0 };
+
+  for (const { classe, prefixos } of NCM_CLASSES) {
+    for (const prefixo of prefixos) {
+      if (codigo.startsWith(prefixo) && prefixo.length > melhor.tamanho) {
+        melhor = { classe, tamanho: prefixo.length };
+      }
+    }
+  }
+  return melhor.classe;
+}
+
+function toISODate(data) {
+  if (typeof data === 'string' && /^\d{4}-\d{2}-\d{2}/.test(data)) {
+    return data.slice(0, 10);
+  }
+  const date = data instanceof Date ? data : new Date(data);
+  return Number.isNaN(date.getTime()) ? new Date().toISOString().slice(0, 10) : date.toISOString().slice(0, 10);
+}
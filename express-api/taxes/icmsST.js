@@ -0,0 +1,243 @@
+import { getICMSRates, getInterstateICMSRate, isImportedOrigin, classifyProduct } from './icmsRates.js';
+import { applyRate, sumMoney, subtractMoney, roundingFor } from './money.js';
+
+/**
+ * ICMS por substituição tributária (Convênio ICMS 142/2018).
+ *
+ * - Produto identificado pelo segmento do CEST (dois primeiros dígitos) e pelo NCM
+ * - MVA original nas operações internas; MVA ajustada nas interestaduais
+ *   quando a alíquota interna do destino é maior que a interestadual
+ * - Base ST = (produto + frete + seguro + outras - desconto + IPI) x (1 + MVA) x (1 - redução)
+ * - ICMS-ST = base ST x alíquota interna do destino - ICMS próprio
+ *
+ * As MVAs e UFs da tabela são as referências gerais dos convênios/protocolos;
+ * cada UF pode ter MVA própria por item, configurável em `ufs`/`mvaPorUF`.
+ */
+
+// Segmentos sujeitos a ST. `ufs` lista as UFs que adotam o regime para o segmento;
+// `convenio` indica acordo nacional (basta o destino adotar), senão é protocolo entre origem e destino
+const ST_SEGMENTS = [
+  {
+    segmento: '01', descricao: 'Autopeças', mva: 71.78, convenio: true,
+    ncm: ['4009', '4016', '7007', '8301', '8409', '8413', '8421', '8483', '8511', '8512', '8708'],
+    ufs: ['AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA', 'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO']
+  },
+  {
+    segmento: '02', descricao: 'Bebidas alcoólicas, exceto cerveja e chope', mva: 29.04, convenio: false,
+    ncm: ['2204', '2205', '2206', '2208'],
+    ufs: ['AL', 'AP', 'BA', 'ES', 'MG', 'MT', 'PR', 'RJ', 'RS', 'SC', 'SP']
+  },
+  {
+    segmento: '03', descricao: 'Cervejas, chopes, refrigerantes e águas', mva: 70, convenio: true,
+    ncm: ['2201', '2202', '2203'],
+    ufs: ['AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA', 'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO']
+  },
+  {
+    segmento: '05', descricao: 'Cimentos', mva: 20, convenio: true,
+    ncm: ['2523'],
+    ufs: ['AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA', 'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO']
+  },
+  {
+    segmento: '08', descricao: 'Lâmpadas, reatores e starters', mva: 37.3, convenio: false,
+    ncm: ['8504', '8536', '8539'],
+    ufs: ['AL', 'AP', 'BA', 'MG', 'PR', 'RJ', 'RS', 'SC', 'SP']
+  },
+  {
+    segmento: '10', descricao: 'Materiais de construção e congêneres', mva: 37, convenio: false,
+    ncm: ['3916', '3917', '3922', '3925', '6907', '6910', '7308', '7324'],
+    ufs: ['AL', 'AP', 'BA', 'MG', 'PR', 'RJ', 'RS', 'SC', 'SP']
+  },
+  {
+    segmento: '13', descricao: 'Medicamentos de uso humano', mva: 33.05, convenio: true,
+    ncm: ['3003', '3004'],
+    ufs: ['AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA', 'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO']
+  },
+  {
+    segmento: '16', descricao: 'Pneumáticos, câmaras de ar e protetores', mva: 42, convenio: true,
+    ncm: ['4011', '4013'],
+    ufs: ['AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA', 'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO']
+  },
+  {
+    segmento: '22', descricao: 'Rações para animais domésticos', mva: 46, convenio: false,
+    ncm: ['2309'],
+    ufs: ['AL', 'AP', 'BA', 'MG', 'PR', 'RJ', 'RS', 'SC', 'SP']
+  },
+  {
+    segmento: '23', descricao: 'Sorvetes e preparados para sorvete', mva: 70, convenio: false,
+    ncm: ['1806', '2105'],
+    ufs: ['AL', 'AP', 'BA', 'MG', 'PR', 'RJ', 'RS', 'SC', 'SP']
+  },
+  {
+    segmento: '24', descricao: 'Tintas e vernizes', mva: 35, convenio: false,
+    ncm: ['3208', '3209', '3210', '3214'],
+    ufs: ['AL', 'AP', 'BA', 'MG', 'PR', 'RJ', 'RS', 'SC', 'SP']
+  }
+];
+
+// CST/CSOSN que destacam ICMS-ST na própria operação
+const ST_CHARGED_CODES = ['10', '30', '70', '90', '201', '202', '203', '900'];
+
+// CST/CSOSN de ICMS-ST já retido anteriormente
+const ST_RETAINED_CODES = ['60', '500'];
+
+// CST/CSOSN em que o emitente da nota retém o ICMS-ST como substituto
+const ST_WITHHOLDING_CODES = ['10', '30', '70', '201', '202', '203'];
+
+// Diferença aceita entre declarado e calculado (arredondamentos por item)
+const TOLERANCE = { absoluta: 0.1, percentual: 1 };
+
+/**
+ * Localiza o segmento de ST pelo CEST (preferencial) ou pelo NCM
+ */
+export function findSTSegment(ncm, cest) {
+  const codigoNCM = String(ncm || '').replace(/\D/g, '');
+  const codigoCEST = String(cest || '').replace(/\D/g, '');
+
+  if (codigoCEST.length === 7) {
+    const segmento = ST_SEGMENTS.find(s => s.segmento === codigoCEST.slice(0, 2));
+    if (segmento) return segmento;
+  }
+  return ST_SEGMENTS.find(s => s.ncm.some(prefixo => codigoNCM.startsWith(prefixo))) || null;
+}
+
+/**
+ * MVA ajustada: [(1 + MVA original) x (1 - ALQ inter) / (1 - ALQ intra)] - 1, em %
+ */
+export function adjustMVA(mvaOriginal, aliquotaInterestadual, aliquotaInterna) {
+  if (aliquotaInterna <= aliquotaInterestadual) return mvaOriginal;
+  const ajustada = ((1 + mvaOriginal / 100) * (1 - aliquotaInterestadual / 100) / (1 - aliquotaInterna / 100)) - 1;
+  return Math.round(ajustada * 10000) / 100;
+}
+
+/**
+ * Calcula o ICMS-ST de cada item da NF-e (somente itens sujeitos à ST). Itens com o ST
+ * já retido anteriormente (CST 60, CSOSN 500) ficam de fora; `retidoNaNota` soma apenas
+ * os itens em que a própria nota retém o imposto (CST 10/30/70, CSOSN 201 a 203)
+ */
+export function calculateICMSST(documentData) {
+  const ufOrigem = documentData.emitente?.endereco?.UF;
+  const ufDestino = documentData.destinatario?.endereco?.UF || ufOrigem;
+  const data = documentData.dataEmissao || new Date();
+  const interestadual = ufOrigem !== ufDestino;
+
+  // Venda a não contribuinte não tem ST (interestadual cai no DIFAL)
+  const destinatarioContribuinte = documentData.destinatario?.indIEDest !== '9';
+  if (!ufOrigem || !destinatarioContribuinte || documentData.ide?.idDest === '3') {
+    return { aplicavel: false, icmsST: 0, fcpST: 0, retidoNaNota: { icmsST: 0, fcpST: 0 }, itens: [] };
+  }
+
+  const arredondamento = roundingFor('ICMS_ST');
+  const itens = [];
+
+  for (const item of documentData.items || []) {
+    if (ST_RETAINED_CODES.includes(item.icms?.cst)) continue;
+    const segmento = findSTSegment(item.ncm, item.cest);
+    if (!segmento || !segmento.ufs.includes(ufDestino)) continue;
+    if (interestadual && !segmento.convenio && !segmento.ufs.includes(ufOrigem)) continue;
+
+    const classe = classifyProduct(item.ncm);
+    const destino = getICMSRates(ufDestino, { data, classe });
+    const aliquotaPropria = interestadual
+      ? getInterstateICMSRate(ufOrigem, ufDestino, { data, importado: isImportedOrigin(item.icms?.origem) })
+      : getICMSRates(ufOrigem, { data, classe }).aliquota;
+
+    const mvaOriginal = segmento.mvaPorUF?.[ufDestino] ?? segmento.mva;
+    const mva = interestadual ? adjustMVA(mvaOriginal, aliquotaPropria, destino.aliquota) : mvaOriginal;
+
+    const valorOperacao = subtractMoney(
+      sumMoney(item.valorTotal, item.valorFrete, item.valorSeguro, item.outrasDespesas),
+      item.valorDesconto
+    );
+    const baseST = applyRate(
+      applyRate(sumMoney(valorOperacao, item.ipi?.vIPI), 100 + mva, arredondamento),
+      100 - (item.icms?.pRedBCST || 0),
+      arredondamento
+    );
+    const baseProprio = applyRate(valorOperacao, 100 - (item.icms?.pRedBC || 0), arredondamento);
+    const icmsProprio = applyRate(baseProprio, aliquotaPropria, arredondamento);
+    const valorST = Math.max(subtractMoney(applyRate(baseST, destino.aliquota, arredondamento), icmsProprio), 0);
+    const valorFCPST = applyRate(baseST, destino.fcp, roundingFor('FCP_ST'));
+
+    itens.push({
+      numeroItem: item.numeroItem,
+      ncm: item.ncm,
+      cest: item.cest,
+      segmento: segmento.descricao,
+      mvaOriginal,
+      mva,
+      baseST,
+      aliquotaInterna: destino.aliquota,
+      aliquotaPropria,
+      icmsProprio,
+      icmsST: valorST,
+      fcpST: valorFCPST,
+      retencaoNaNota: ST_WITHHOLDING_CODES.includes(item.icms?.cst)
+    });
+  }
+
+  const retidos = itens.filter(item => item.retencaoNaNota);
+  return {
+    aplicavel: itens.length > 0,
+    ufOrigem,
+    ufDestino,
+    icmsST: sumMoney(itens.map(item => item.icmsST)),
+    fcpST: sumMoney(itens.map(item => item.fcpST)),
+    retidoNaNota: {
+      icmsST: sumMoney(retidos.map(item => item.icmsST)),
+      fcpST: sumMoney(retidos.map(item => item.fcpST))
+    },
+    itens
+  };
+}
+
+/**
+ * Confere o ICMS-ST calculado com o declarado no XML (vBCST/vICMSST).
+ * `direcao` é 'saida' quando o usuário é o emitente e 'entrada' quando é o destinatário.
+ */
+export function checkICMSST(documentData, { direcao = null } = {}) {
+  const calculo = calculateICMSST(documentData);
+  const issues = [];
+  const itensCalculados = new Map(calculo.itens.map(item => [item.numeroItem, item]));
+
+  for (const item of documentData.items || []) {
+    const icms = item.icms || {};
+    const esperado = itensCalculados.get(item.numeroItem);
+    const destacado = ST_CHARGED_CODES.includes(icms.cst) && (icms.vICMSST > 0 || icms.vBCST > 0);
+    const retidoAnteriormente = ST_RETAINED_CODES.includes(icms.cst);
+    const rotulo = `Item ${item.numeroItem} (NCM ${item.ncm}${item.cest ? `, CEST ${item.cest}` : ''})`;
+
+    if (esperado && !destacado && !retidoAnteriormente) {
+      const valor = `R$ ${esperado.icmsST.toFixed(2)}`;
+      issues.push(direcao === 'entrada'
+        ? `${rotulo}: ICMS-ST não retido pelo fornecedor (${esperado.segmento}); o recolhimento por antecipação (${valor}) pode caber ao destinatário`
+        : `${rotulo}: operação sujeita a ICMS-ST (${esperado.segmento}, MVA ${esperado.mva}%) sem destaque; ICMS-ST estimado ${valor}`);
+      continue;
+    }
+
+    if (!esperado && destacado) {
+      issues.push(`${rotulo}: ICMS-ST destacado, mas o item não consta da tabela de ST para ${calculo.ufDestino || 'o destino'}`);
+      continue;
+    }
+
+    if (esperado && destacado) {
+      if (isDivergent(icms.vBCST, esperado.baseST)) {
+        issues.push(`${rotulo}: base do ICMS-ST divergente (declarada R$ ${icms.vBCST.toFixed(2)}, calculada R$ ${esperado.baseST.toFixed(2)}, MVA ${esperado.mva}%)`);
+      }
+      if (isDivergent(icms.vICMSST, esperado.icmsST)) {
+        issues.push(`${rotulo}: ICMS-ST divergente (declarado R$ ${icms.vICMSST.toFixed(2)}, calculado R$ ${esperado.icmsST.toFixed(2)})`);
+      }
+    }
+  }
+
+  return {
+    ...calculo,
+    direcao,
+    icmsSTDeclarado: documentData.totais?.vST || 0,
+    issues
+  };
+}
+
+function isDivergent(declarado, calculado) {
+  const diferenca = Math.abs(subtractMoney(declarado, calculado));
+  return diferenca > TOLERANCE.absoluta && diferenca > calculado * (TOLERANCE.percentual / 100);
+}
@@ -0,0 +1,373 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { applyRate, subtractMoney, roundingFor } from './money.js';
+import { normalizeServiceItem } from '../parsers/xmlUtils.js';
+
+/**
+ * ISS (LC 116/2003).
+ *
+ * - Alíquota por município e item da lista de serviços, entre o mínimo de 2%
+ *   (art. 8º-A, salvo os subitens 7.02, 7.05 e 16.01) e o máximo de 5% (art. 8º, II)
+ * - Local de incidência: estabelecimento do prestador, salvo as exceções do art. 3º
+ *   (local da execução, do tomador...). As mudanças da LC 157/2016 para planos de
+ *   saúde, cartões e leasing (incisos XXIII a XXV) não são aplicadas (STF, ADI 5835)
+ * - Retenção pelo tomador pessoa jurídica nos subitens do art. 6º, §2º, II e nos
+ *   casos previstos na legislação de cada município
+ *
+ * As tabelas municipais ficam em arquivos JSON (um por município, nome = código
+ * IBGE), no mesmo formato de vigências das tabelas de ICMS:
+ *
+ *   { "codigo": "3550308", "nome": "São Paulo", "uf": "SP",
+ *     "retencao": { "tomadorPJ": false, "itens": ["7.03"] },
+ *     "vigencias": [{ "inicio": "2000-01-01", "aliquotaPadrao": 5, "aliquotas": { "1.05": 2.9, "4": 2 } }] }
+ *
+ * Uma alíquota pode ser dada por subitem ("1.05") ou por item inteiro ("4").
+ */
+
+export const ALIQUOTA_MINIMA = 2;
+export const ALIQUOTA_MAXIMA = 5;
+
+// Subitens que podem ter alíquota abaixo do mínimo (LC 116, art. 8º-A, §1º)
+const SUBITENS_SEM_MINIMO = ['7.02', '7.05', '16.01'];
+
+// Itens da lista de serviços: descrição e quantidade de subitens (x.01 a x.nn)
+const LISTA_SERVICOS = {
+  1: { descricao: 'Serviços de informática e congêneres', subitens: 9 },
+  2: { descricao: 'Serviços de pesquisas e desenvolvimento de qualquer natureza', subitens: 1 },
+  3: { descricao: 'Serviços prestados mediante locação, cessão de direito de uso e congêneres', subitens: 5 },
+  4: { descricao: 'Serviços de saúde, assistência médica e congêneres', subitens: 23 },
+  5: { descricao: 'Serviços de medicina e assistência veterinária e congêneres', subitens: 9 },
+  6: { descricao: 'Serviços de cuidados pessoais, estética, atividades físicas e congêneres', subitens: 6 },
+  7: { descricao: 'Serviços relativos a engenharia, arquitetura, construção civil, manutenção, limpeza, meio ambiente, saneamento e congêneres', subitens: 22 },
+  8: { descricao: 'Serviços de educação, ensino, orientação pedagógica e educacional, instrução, treinamento e avaliação pessoal', subitens: 2 },
+  9: { descricao: 'Serviços relativos a hospedagem, turismo, viagens e congêneres', subitens: 3 },
+  10: { descricao: 'Serviços de intermediação e congêneres', subitens: 10 },
+  11: { descricao: 'Serviços de guarda, estacionamento, armazenamento, vigilância e congêneres', subitens: 5 },
+  12: { descricao: 'Serviços de diversões, lazer, entretenimento e congêneres', subitens: 17 },
+  13: { descricao: 'Serviços relativos a fonografia, fotografia, cinematografia e reprografia', subitens: 5 },
+  14: { descricao: 'Serviços relativos a bens de terceiros', subitens: 14 },
+  15: { descricao: 'Serviços relacionados ao setor bancário ou financeiro', subitens: 18 },
+  16: { descricao: 'Serviços de transporte de natureza municipal', subitens: 2 },
+  17: { descricao: 'Serviços de apoio técnico, administrativo, jurídico, contábil, comercial e congêneres', subitens: 25 },
+  18: { descricao: 'Serviços de regulação de sinistros, inspeção e avaliação de riscos para cobertura de seguros', subitens: 1 },
+  19: { descricao: 'Serviços de distribuição e venda de bilhetes e demais produtos de loteria', subitens: 1 },
+  20: { descricao: 'Serviços portuários, aeroportuários, ferroportuários, de terminais rodoviários, ferroviários e metroviários', subitens: 3 },
+  21: { descricao: 'Serviços de registros públicos, cartorários e notariais', subitens: 1 },
+  22: { descricao: 'Serviços de exploração de rodovia', subitens: 1 },
+  23: { descricao: 'Serviços de programação e comunicação visual, desenho industrial e congêneres', subitens: 1 },
+  24: { descricao: 'Serviços de chaveiros, confecção de carimbos, placas, sinalização visual, banners e congêneres', subitens: 1 },
+  25: { descricao: 'Serviços funerários', subitens: 5 },
+  26: { descricao: 'Serviços de coleta, remessa ou entrega de correspondências, documentos, objetos, bens ou valores', subitens: 1 },
+  27: { descricao: 'Serviços de assistência social', subitens: 1 },
+  28: { descricao: 'Serviços de avaliação de bens e serviços de qualquer natureza', subitens: 1 },
+  29: { descricao: 'Serviços de biblioteconomia', subitens: 1 },
+  30: { descricao: 'Serviços de biologia, biotecnologia e química', subitens: 1 },
+  31: { descricao: 'Serviços técnicos em edificações, eletrônica, eletrotécnica, mecânica, telecomunicações e congêneres', subitens: 1 },
+  32: { descricao: 'Serviços de desenhos técnicos', subitens: 1 },
+  33: { descricao: 'Serviços de desembaraço aduaneiro, comissários, despachantes e congêneres', subitens: 1 },
+  34: { descricao: 'Serviços de investigações particulares, detetives e congêneres', subitens: 1 },
+  35: { descricao: 'Serviços de reportagem, assessoria de imprensa, jornalismo e relações públicas', subitens: 1 },
+  36: { descricao: 'Serviços de meteorologia', subitens: 1 },
+  37: { descricao: 'Serviços de artistas, atletas, modelos e manequins', subitens: 1 },
+  38: { descricao: 'Serviços de museologia', subitens: 1 },
+  39: { descricao: 'Serviços de ourivesaria e lapidação', subitens: 1 },
+  40: { descricao: 'Serviços relativos a obras de arte sob encomenda', subitens: 1 }
+};
+
+// Exceções do art. 3º: ISS devido no local da execução ou no estabelecimento do tomador
+const INCIDENCIA_EXECUCAO = [
+  '3.04', '3.05', '7.02', '7.04', '7.05', '7.09', '7.10', '7.11', '7.12', '7.16', '7.17', '7.18', '7.19',
+  '11.01', '11.02', '11.04', '16.01', '16.02', '17.10', '20.01', '20.02', '20.03', '22.01'
+];
+const INCIDENCIA_TOMADOR = ['17.05'];
+
+// Retenção obrigatória pelo tomador pessoa jurídica (art. 6º, §2º, II)
+const RETENCAO_LC116 = [
+  '3.05', '7.02', '7.04', '7.05', '7.09', '7.10', '7.12', '7.16', '7.17', '7.19', '11.02', '17.05', '17.10'
+];
+
+// Exigibilidade do ISS não tributável: ABRASF (ExigibilidadeISS) e Padrão Nacional (tribISSQN)
+const NAO_EXIGIVEL = {
+  ABRASF: {
+    '2': 'Não incidência',
+    '3': 'Isenção',
+    '4': 'Exportação de serviço',
+    '5': 'Imunidade',
+    '6': 'Exigibilidade suspensa por decisão judicial',
+    '7': 'Exigibilidade suspensa por processo administrativo'
+  },
+  NACIONAL: {
+    '2': 'Imunidade',
+    '3': 'Exportação de serviço',
+    '4': 'Não incidência'
+  }
+};
+
+const TABELAS = new Map();
+
+/**
+ * Item da lista de serviços (descrição do item) ou null se o subitem não existe
+ */
+export function describeServiceItem(subitem) {
+  const [item, sub] = String(normalizeServiceItem(subitem) || '').split('.');
+  const servico = LISTA_SERVICOS[item];
+  const numero = parseInt(sub, 10);
+  if (!servico || !(numero >= 1 && numero <= servico.subitens)) return null;
+  return { item, subitem: `${item}.${sub}`, descricao: servico.descricao };
+}
+
+/**
+ * Carrega (ou substitui) a tabela de um município a partir de um arquivo JSON
+ */
+export function loadISSTable(arquivo) {
+  let tabela;
+  try {
+    tabela = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+  } catch (error) {
+    throw new Error(`Tabela de ISS ilegível (${arquivo}): ${error.message}`);
+  }
+  validateISSTable(tabela, arquivo);
+
+  const vigencias = [...tabela.vigencias].sort((a, b) => a.inicio.localeCompare(b.inicio));
+  TABELAS.set(String(tabela.codigo), { ...tabela, codigo: String(tabela.codigo), vigencias });
+  return TABELAS.get(String(tabela.codigo));
+}
+
+/**
+ * Carrega todas as tabelas (*.json) de um diretório; retorna os códigos carregados
+ */
+export function loadISSTables(diretorio) {
+  return fs.readdirSync(diretorio)
+    .filter(nome => nome.endsWith('.json'))
+    .map(nome => loadISSTable(path.join(diretorio, nome)).codigo);
+}
+
+function validateISSTable(tabela, arquivo) {
+  if (!/^\d{7}$/.test(String(tabela?.codigo || ''))) {
+    throw new Error(`Tabela de ISS sem código IBGE do município (${arquivo})`);
+  }
+  if (!Array.isArray(tabela.vigencias) || tabela.vigencias.length === 0 || tabela.vigencias[0].aliquotaPadrao === undefined) {
+    throw new Error(`Tabela de ISS de ${tabela.codigo} sem vigências ou sem alíquota padrão (${arquivo})`);
+  }
+
+  for (const vigencia of tabela.vigencias) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(vigencia.inicio || '')) {
+      throw new Error(`Tabela de ISS de ${tabela.codigo}: início de vigência inválido "${vigencia.inicio}"`);
+    }
+    const aliquotas = Object.entries(vigencia.aliquotas || {});
+    if (vigencia.aliquotaPadrao !== undefined) aliquotas.push(['padrão', vigencia.aliquotaPadrao]);
+
+    for (const [item, aliquota] of aliquotas) {
+      const minimo = SUBITENS_SEM_MINIMO.includes(item) ? 0 : ALIQUOTA_MINIMA;
+      if (typeof aliquota !== 'number' || aliquota < minimo || aliquota > ALIQUOTA_MAXIMA) {
+        throw new Error(`Tabela de ISS de ${tabela.codigo}: alíquota ${aliquota} do item ${item} fora do intervalo de ${minimo}% a ${ALIQUOTA_MAXIMA}%`);
+      }
+      if (item !== 'padrão' && !LISTA_SERVICOS[item] && !describeServiceItem(item)) {
+        throw new Error(`Tabela de ISS de ${tabela.codigo}: item ${item} não consta da lista da LC 116`);
+      }
+    }
+  }
+}
+
+/**
+ * Tabela do município pelo código IBGE ou pelo nome (sem acentos, opcionalmente com a UF)
+ */
+export function findMunicipality(municipio, uf = null) {
+  if (!municipio) return null;
+  const chave = String(municipio).trim();
+  if (TABELAS.has(chave)) return TABELAS.get(chave);
+
+  const nome = normalizeName(chave);
+  for (const tabela of TABELAS.values()) {
+    if (normalizeName(tabela.nome) === nome && (!uf || tabela.uf === String(uf).toUpperCase())) {
+      return tabela;
+    }
+  }
+  return null;
+}
+
+/**
+ * Alíquota de ISS do município para o subitem, na data informada.
+ * Sem tabela do município, usa a alíquota declarada (quando houver) ou o máximo de 5%
+ */
+export function getISSRate(municipio, itemListaServico, { data = new Date(), uf = null, aliquotaDeclarada = 0 } = {}) {
+  const tabela = findMunicipality(municipio, uf);
+  const subitem = normalizeServiceItem(itemListaServico);
+
+  if (!tabela) {
+    return aliquotaDeclarada > 0
+      ? { aliquota: aliquotaDeclarada, fonte: 'DECLARADA', municipio: null }
+      : { aliquota: ALIQUOTA_MAXIMA, fonte: 'MAXIMA', municipio: null };
+  }
+
+  const vigencia = resolveVigencia(tabela, data);
+  const item = subitem?.split('.')[0];
+  const aliquota = vigencia.aliquotas[subitem] ?? vigencia.aliquotas[item] ?? vigencia.aliquotaPadrao;
+  return {
+    aliquota,
+    fonte: vigencia.aliquotas[subitem] !== undefined || vigencia.aliquotas[item] !== undefined ? 'TABELA' : 'PADRAO_MUNICIPIO',
+    municipio: { codigo: tabela.codigo, nome: tabela.nome, uf: tabela.uf },
+    vigencia: vigencia.inicio
+  };
+}
+
+/**
+ * Município onde o ISS é devido (LC 116, art. 3º)
+ */
+export function resolveISSIncidence({ itemListaServico, municipioPrestador, municipioTomador, municipioExecucao }) {
+  const subitem = normalizeServiceItem(itemListaServico);
+
+  if (INCIDENCIA_TOMADOR.includes(subitem) && municipioTomador) {
+    return { municipio: municipioTomador, regra: 'TOMADOR', descricao: `Subitem ${subitem}: devido no estabelecimento do tomador (LC 116, art. 3º)` };
+  }
+  if (INCIDENCIA_EXECUCAO.includes(subitem) && municipioExecucao) {
+    return { municipio: municipioExecucao, regra: 'EXECUCAO', descricao: `Subitem ${subitem}: devido no local da execução (LC 116, art. 3º)` };
+  }
+  return { municipio: municipioPrestador || municipioExecucao || null, regra: 'PRESTADOR', descricao: 'Devido no estabelecimento do prestador (LC 116, art. 3º, caput)' };
+}
+
+/**
+ * Retenção do ISS pelo tomador: só tomador pessoa jurídica, pelos subitens da LC 116
+ * ou pela legislação do município de incidência
+ */
+export function resolveISSWithholding({ itemListaServico, tomador, municipioIncidencia }) {
+  const subitem = normalizeServiceItem(itemListaServico);
+  if (!tomador?.cnpj) {
+    return { devida: false, motivo: 'Tomador pessoa física ou sem CNPJ' };
+  }
+  if (RETENCAO_LC116.includes(subitem)) {
+    return { devida: true, motivo: `Subitem ${subitem}: retenção pelo tomador (LC 116, art. 6º, §2º, II)` };
+  }
+
+  const tabela = findMunicipality(municipioIncidencia);
+  const retencao = tabela?.retencao || {};
+  if ((retencao.itens || []).some(item => item === subitem || item === subitem?.split('.')[0])) {
+    return { devida: true, motivo: `Subitem ${subitem}: retenção pelo tomador prevista em ${tabela.nome}` };
+  }
+  if (retencao.tomadorPJ) {
+    return { devida: true, motivo: `${tabela.nome}: tomador pessoa jurídica retém o ISS` };
+  }
+  return { devida: false, motivo: null };
+}
+
+/**
+ * ISS de uma NFS-e (parser ABRASF/Nacional) ou de um documento extraído por OCR
+ * (só com município e código de serviço)
+ */
+export function calculateISS(documentData) {
+  const valores = documentData.valores || {};
+  const servico = documentData.servico || {};
+  const itemListaServico = normalizeServiceItem(servico.itemListaServico || documentData.taxInfo?.serviceCode);
+  const baseCalculo = valores.valorServicos !== undefined
+    ? Math.max(subtractMoney(valores.valorServicos, valores.deducoes, valores.descontoIncondicionado), 0)
+    : documentData.totalValue || 0;
+
+  const incidencia = resolveISSIncidence({
+    itemListaServico,
+    municipioPrestador: documentData.prestador?.endereco?.codigoMunicipio,
+    municipioTomador: documentData.tomador?.endereco?.codigoMunicipio,
+    municipioExecucao: servico.codigoMunicipioPrestacao
+  });
+  // Documentos sem códigos IBGE (OCR) só trazem o nome do município
+  const municipio = incidencia.municipio || documentData.municipioIncidencia?.codigo || documentData.municipality;
+
+  const aliquotaDeclarada = valores.aliquotaISS || documentData.taxInfo?.issRate || 0;
+  const taxa = documentData.prestador?.optanteSimplesNacional && aliquotaDeclarada > 0
+    // Optante do Simples destaca a alíquota do ISS da sua faixa no DAS (LC 123, art. 21, §4º)
+    ? { aliquota: aliquotaDeclarada, fonte: 'SIMPLES', municipio: findMunicipality(municipio) }
+    : getISSRate(municipio, itemListaServico, {
+      data: documentData.competencia || documentData.dataEmissao || new Date(),
+      uf: documentData.state,
+      aliquotaDeclarada
+    });
+
+  const naoExigivel = NAO_EXIGIVEL[documentData.layout]?.[servico.exigibilidadeISS];
+  const declarado = documentData.municipioIncidencia;
+  const mesmoMunicipio = !incidencia.municipio || String(incidencia.municipio) === String(declarado?.codigo);
+  const retencao = resolveISSWithholding({
+    itemListaServico,
+    tomador: documentData.tomador,
+    municipioIncidencia: taxa.municipio?.codigo || municipio
+  });
+
+  return {
+    itemListaServico,
+    servico: describeServiceItem(itemListaServico),
+    municipioIncidencia: {
+      codigo: taxa.municipio?.codigo || incidencia.municipio || null,
+      // Sem a estrutura da NFS-e (OCR), municipality traz o nome; na NFS-e pode ser só o código IBGE
+      nome: taxa.municipio?.nome || (mesmoMunicipio ? (declarado ? declarado.nome : documentData.municipality) : null) || null,
+      regra: incidencia.regra,
+      descricao: incidencia.descricao
+    },
+    aliquota: naoExigivel ? 0 : taxa.aliquota,
+    fonteAliquota: taxa.fonte,
+    baseCalculo,
+    valorISS: naoExigivel ? 0 : applyRate(baseCalculo, taxa.aliquota, roundingFor('ISS')),
+    observacao: naoExigivel || null,
+    retencao
+  };
+}
+
+/**
+ * Confere a NFS-e com as regras do ISS: limites de alíquota, local de incidência,
+ * retenção pelo tomador e item da lista de serviços
+ */
+export function checkISS(documentData) {
+  const calculo = calculateISS(documentData);
+  const valores = documentData.valores || {};
+  const issues = [];
+  const subitem = calculo.itemListaServico;
+
+  if (subitem && !calculo.servico) {
+    issues.push(`Item ${subitem} não consta da lista de serviços da LC 116`);
+  }
+
+  const aliquota = valores.aliquotaISS;
+  if (aliquota > 0 && !calculo.observacao) {
+    if (aliquota < ALIQUOTA_MINIMA && !SUBITENS_SEM_MINIMO.includes(subitem)) {
+      issues.push(`Alíquota de ISS declarada (${aliquota}%) abaixo do mínimo de ${ALIQUOTA_MINIMA}% (LC 116, art. 8º-A)`);
+    } else if (aliquota > ALIQUOTA_MAXIMA) {
+      issues.push(`Alíquota de ISS declarada (${aliquota}%) acima do máximo de ${ALIQUOTA_MAXIMA}% (LC 116, art. 8º, II)`);
+    }
+  }
+
+  const declarado = documentData.municipioIncidencia?.codigo;
+  const devido = calculo.municipioIncidencia.codigo;
+  if (declarado && devido && String(declarado) !== String(devido)) {
+    issues.push(`ISS informado como devido ao município ${declarado}, mas ${calculo.municipioIncidencia.descricao.toLowerCase()}: município ${calculo.municipioIncidencia.nome || devido}`);
+  }
+
+  if (calculo.retencao.devida && valores.issRetido === false && !calculo.observacao) {
+    issues.push(`${calculo.retencao.motivo}, mas a NFS-e não indica ISS retido`);
+  }
+
+  return { ...calculo, issues };
+}
+
+function resolveVigencia(tabela, data) {
+  const dia = toISODate(data);
+  return tabela.vigencias
+    .filter((vigencia, index) => index === 0 || vigencia.inicio <= dia)
+    .reduce((atual, vigencia) => ({
+      ...atual,
+      ...vigencia,
+      aliquotas: { ...atual.aliquotas, ...vigencia.aliquotas }
+    }), { aliquotas: {} });
+}
+
+function normalizeName(nome) {
+  return String(nome || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+function toISODate(data) {
+  if (typeof data === 'string' && /^\d{4}-\d{2}-\d{2}/.test(data)) {
+    return data.slice(0, 10);
+  }
+  const date = data instanceof Date ? data : new Date(data);
+  return Number.isNaN(date.getTime()) ? new Date().toISOString().slice(0, 10) : date.toISOString().slice(0, 10);
+}
+
+// Tabelas que acompanham o projeto; outras podem ser carregadas com loadISSTables
+loadISSTables(path.join(path.dirname(fileURLToPath(import.meta.url)), 'iss'));
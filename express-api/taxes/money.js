@@ -0,0 +1,156 @@
+/**
+ * Aritmética monetária exata.
+ *
+ * Valores em reais circulam como Number sempre com centavos inteiros (o que
+ * sai do parser, dos cálculos e vai para o banco/JSON). Toda conta é feita em
+ * centavos inteiros (BigInt) com a alíquota convertida de decimal para fração
+ * exata, e o arredondamento segue a regra do tributo:
+ *
+ * - Tributos destacados em NF-e/NFC-e/CT-e (ICMS, FCP, ST, DIFAL, IPI, PIS,
+ *   COFINS): ABNT NBR 5891 (metade exata vai para o par), como nos emissores
+ * - Demais (ISS, DAS, IRPJ/CSLL, CBS/IBS/IS): meio para cima
+ */
+
+export const ARREDONDAMENTO = {
+  MEIO_PARA_CIMA: 'MEIO_PARA_CIMA',
+  ABNT: 'ABNT',
+  TRUNCAR: 'TRUNCAR'
+};
+
+const REGRA_POR_TRIBUTO = {
+  ICMS: ARREDONDAMENTO.ABNT,
+  FCP: ARREDONDAMENTO.ABNT,
+  ICMS_ST: ARREDONDAMENTO.ABNT,
+  FCP_ST: ARREDONDAMENTO.ABNT,
+  DIFAL: ARREDONDAMENTO.ABNT,
+  FCP_DESTINO: ARREDONDAMENTO.ABNT,
+  IPI: ARREDONDAMENTO.ABNT,
+  PIS: ARREDONDAMENTO.ABNT,
+  COFINS: ARREDONDAMENTO.ABNT
+};
+
+/**
+ * Regra de arredondamento de um tributo
+ */
+export function roundingFor(tributo) {
+  return REGRA_POR_TRIBUTO[tributo] || ARREDONDAMENTO.MEIO_PARA_CIMA;
+}
+
+/**
+ * Converte decimal (string ou Number) em fração exata { numerador, escala } de BigInt
+ */
+function toFraction(value) {
+  // Number com 10 casas descarta o ruído binário (0.1 + 0.2, 100 + 84.35...)
+  let texto = typeof value === 'string' ? value.trim() : Number(value ?? 0).toFixed(10);
+  if (/e/i.test(texto)) {
+    texto = Number(texto).toFixed(10);
+  }
+  if (!/^[-+]?\d*(\.\d*)?$/.test(texto) || texto === '' || texto === '.') {
+    throw new Error(`Valor numérico inválido: ${value}`);
+  }
+
+  const negativo = texto.startsWith('-');
+  const [inteiro, decimais = ''] = texto.replace(/^[-+]/, '').split('.');
+  const numerador = BigInt((inteiro || '0') + decimais);
+  return { numerador: negativo ? -numerador : numerador, escala: 10n ** BigInt(decimais.length) };
+}
+
+/**
+ * Divisão inteira de BigInt com a regra de arredondamento
+ */
+function divideRounded(numerador, denominador, regra) {
+  const negativo = (numerador < 0n) !== (denominador < 0n);
+  const n = numerador < 0n ? -numerador : numerador;
+  const d = denominador < 0n ? -denominador : denominador;
+
+  let quociente = n / d;
+  const resto2 = (n % d) * 2n;
+  if (regra === ARREDONDAMENTO.ABNT) {
+    if (resto2 > d || (resto2 === d && quociente % 2n === 1n)) quociente += 1n;
+  } else if (regra !== ARREDONDAMENTO.TRUNCAR && resto2 >= d) {
+    quociente += 1n;
+  }
+  return negativo ? -quociente : quociente;
+}
+
+/**
+ * Valor em reais (string do XML ou Number) -> centavos inteiros
+ */
+export function toCentavos(value, regra = ARREDONDAMENTO.MEIO_PARA_CIMA) {
+  const { numerador, escala } = toFraction(value);
+  return Number(divideRounded(numerador * 100n, escala, regra));
+}
+
+export function fromCentavos(centavos) {
+  return Number(centavos) / 100;
+}
+
+/**
+ * Normaliza um valor em reais para centavos inteiros
+ */
+export function money(value, regra = ARREDONDAMENTO.MEIO_PARA_CIMA) {
+  return fromCentavos(toCentavos(value ?? 0, regra));
+}
+
+/**
+ * Soma exata de valores monetários
+ */
+export function sumMoney(...values) {
+  return fromCentavos(values.flat().reduce((soma, value) => soma + toCentavos(value || 0), 0));
+}
+
+export function subtractMoney(value, ...deducoes) {
+  return fromCentavos(toCentavos(value || 0) - toCentavos(sumMoney(...deducoes)));
+}
+
+/**
+ * base x fator (decimal exato), arredondado em centavos pela regra
+ */
+export function multiplyMoney(base, fator, regra = ARREDONDAMENTO.MEIO_PARA_CIMA) {
+  const { numerador, escala } = toFraction(fator);
+  return fromCentavos(divideRounded(BigInt(toCentavos(base || 0)) * numerador, escala, regra));
+}
+
+/**
+ * base x alíquota (%), arredondado pela regra (use roundingFor(tributo))
+ */
+export function applyRate(base, aliquota, regra = ARREDONDAMENTO.MEIO_PARA_CIMA) {
+  const { numerador, escala } = toFraction(aliquota);
+  return fromCentavos(divideRounded(BigInt(toCentavos(base || 0)) * numerador, escala * 100n, regra));
+}
+
+/**
+ * base / divisor (ex.: base "por dentro"), arredondado pela regra
+ */
+export function divideMoney(base, divisor, regra = ARREDONDAMENTO.MEIO_PARA_CIMA) {
+  const { numerador, escala } = toFraction(divisor);
+  if (numerador === 0n) {
+    throw new Error('Divisão monetária por zero');
+  }
+  return fromCentavos(divideRounded(BigInt(toCentavos(base || 0)) * escala, numerador, regra));
+}
+
+/**
+ * Rateia um total em centavos proporcionalmente aos pesos, sem sobra nem falta
+ * (a diferença de arredondamento vai para as maiores frações)
+ */
+export function allocateMoney(total, pesos) {
+  const totalCentavos = BigInt(toCentavos(total || 0));
+  const pesosCentavos = pesos.map(peso => BigInt(toCentavos(peso || 0)));
+  const somaPesos = pesosCentavos.reduce((soma, peso) => soma + peso, 0n);
+  if (somaPesos === 0n) {
+    return pesos.map(() => 0);
+  }
+
+  const partes = pesosCentavos.map(peso => totalCentavos * peso / somaPesos);
+  let sobra = totalCentavos - partes.reduce((soma, parte) => soma + parte, 0n);
+  const ordem = pesosCentavos
+    .map((peso, indice) => ({ indice, fracao: (totalCentavos * peso) % somaPesos }))
+    .sort((a, b) => (b.fracao > a.fracao ? 1 : b.fracao < a.fracao ? -1 : 0));
+  for (const { indice } of ordem) {
+    if (sobra <= 0n) break;
+    partes[indice] += 1n;
+    sobra -= 1n;
+  }
+  return partes.map(fromCentavos);
+}
@@ -0,0 +1,179 @@
+import { getPisCofinsRates } from './regimes.js';
+import { applyRate, subtractMoney, sumMoney, roundingFor } from './money.js';
+
+/**
+ * PIS/COFINS não cumulativos (Leis 10.637/2002 e 10.833/2003).
+ *
+ * - Débito sobre a receita das vendas, sem o ICMS destacado (STF, Tema 69)
+ * - Crédito por item das NF-e de entrada, classificado pela CST de entrada
+ *   (50 com crédito; 70-75 e 98 sem) e pela base de crédito da EFD-Contribuições
+ * - Aquisições não sujeitas ao pagamento (alíquota zero, isenção, monofásico
+ *   na revenda, ST) não geram crédito (Lei 10.833, art. 3º, §2º, II)
+ * - Desde 30/05/2023 o ICMS destacado sai da base do crédito (Lei 14.592/2023)
+ */
+
+const ALIQUOTAS_NAO_CUMULATIVAS = getPisCofinsRates('REAL');
+
+const ICMS_FORA_DA_BASE_CREDITO = '2023-05-30';
+
+// Bases de crédito (tabela 4.3.7 da EFD-Contribuições)
+const BASES_CREDITO = {
+  '01': 'Aquisição de bens para revenda',
+  '02': 'Aquisição de bens utilizados como insumo',
+  '03': 'Aquisição de serviços utilizados como insumo',
+  '04': 'Energia elétrica e térmica',
+  '09': 'Máquinas, equipamentos e outros bens do ativo imobilizado',
+  '12': 'Devolução de vendas sujeitas à incidência não cumulativa'
+};
+
+// CFOP de entrada (1xxx/2xxx/3xxx, NF-e emitida pela própria empresa), sem o 1º dígito
+const CFOP_ENTRADA = {
+  '101': '02', '111': '02', '116': '02', '120': '02', '122': '02', '401': '02',
+  '102': '01', '113': '01', '117': '01', '118': '01', '121': '01', '403': '01',
+  '124': '03', '125': '03',
+  '201': '12', '202': '12', '410': '12', '411': '12',
+  '252': '04', '253': '04', '254': '04', '255': '04', '256': '04', '257': '04',
+  '551': '09'
+};
+
+// CFOP de saída do fornecedor (5xxx/6xxx/7xxx) que não depende do uso do bem pelo adquirente
+const CFOP_SAIDA = {
+  '124': '03', '125': '03',
+  '201': '12', '202': '12', '410': '12', '411': '12',
+  '251': '04', '252': '04', '253': '04', '254': '04', '255': '04', '256': '04', '257': '04', '258': '04',
+  '551': '09'
+};
+
+// Vendas do fornecedor: revenda ou insumo conforme a atividade do adquirente
+const VENDAS = ['101', '102', '103', '104', '105', '106', '109', '110', '111', '112', '113', '114', '115',
+  '116', '117', '118', '119', '120', '122', '123', '401', '402', '403', '405'];
+
+// CST de saída do fornecedor que indica aquisição sem direito a crédito -> CST de entrada
+const CST_SEM_CREDITO = {
+  '04': { cst: '70', motivo: 'Produto monofásico: revenda com alíquota zero' },
+  '05': { cst: '75', motivo: 'Aquisição por substituição tributária' },
+  '06': { cst: '73', motivo: 'Aquisição a alíquota zero' },
+  '07': { cst: '71', motivo: 'Aquisição com isenção' },
+  '08': { cst: '74', motivo: 'Aquisição sem incidência da contribuição' },
+  '09': { cst: '72', motivo: 'Aquisição com suspensão' }
+};
+
+/**
+ * Base de crédito de um item pelo CFOP. Na NF-e do fornecedor o CFOP é de saída e a
+ * compra vira revenda (comércio) ou insumo (indústria) conforme a atividade da empresa
+ */
+export function resolveBaseCredito(cfop, atividade) {
+  const codigo = String(cfop || '');
+  const sufixo = codigo.slice(1);
+
+  if (['1', '2', '3'].includes(codigo[0])) {
+    return CFOP_ENTRADA[sufixo] || null;
+  }
+  if (CFOP_SAIDA[sufixo]) {
+    return CFOP_SAIDA[sufixo];
+  }
+  if (VENDAS.includes(sufixo)) {
+    return atividade === 'INDUSTRIA' ? '02' : '01';
+  }
+  return null;
+}
+
+/**
+ * Classifica o crédito de PIS/COFINS de um item de NF-e de entrada.
+ * O IPI integra a base só quando não é recuperável (adquirente fora da indústria)
+ */
+export function classifyPisCofinsCredit(item, { dataEmissao, atividade } = {}) {
+  const cfop = String(item.cfop || '');
+  const cstFornecedor = item.pis?.cst || item.cofins?.cst;
+  const baseCredito = resolveBaseCredito(cfop, atividade);
+
+  const ipi = atividade === 'INDUSTRIA' ? 0 : item.ipi?.vIPI;
+  const valorItem = subtractMoney(
+    sumMoney(item.valorTotal, item.valorFrete, item.valorSeguro, item.outrasDespesas, ipi),
+    item.valorDesconto
+  );
+  const excluiICMS = String(dataEmissao || '').slice(0, 10) >= ICMS_FORA_DA_BASE_CREDITO;
+  const baseCalculo = Math.max(subtractMoney(valorItem, excluiICMS ? item.icms?.vICMS : 0), 0);
+
+  const resultado = {
+    numeroItem: item.numeroItem,
+    descricao: item.descricao,
+    ncm: item.ncm,
+    cfop,
+    cstFornecedor,
+    cstEntrada: '50',
+    baseCredito,
+    descricaoBase: BASES_CREDITO[baseCredito] || null,
+    temCredito: false,
+    baseCalculo: 0,
+    PIS: 0,
+    COFINS: 0,
+    motivo: null
+  };
+
+  const semCredito = CST_SEM_CREDITO[cstFornecedor];
+  if (semCredito) {
+    return { ...resultado, cstEntrada: semCredito.cst, motivo: semCredito.motivo };
+  }
+  if (!baseCredito) {
+    return { ...resultado, cstEntrada: '98', motivo: `CFOP ${cfop} sem direito a crédito (remessa, bonificação, uso e consumo)` };
+  }
+
+  return {
+    ...resultado,
+    temCredito: true,
+    baseCalculo,
+    PIS: applyRate(baseCalculo, ALIQUOTAS_NAO_CUMULATIVAS.PIS, roundingFor('PIS')),
+    COFINS: applyRate(baseCalculo, ALIQUOTAS_NAO_CUMULATIVAS.COFINS, roundingFor('COFINS'))
+  };
+}
+
+/**
+ * Créditos de PIS/COFINS de uma NF-e de entrada, item a item
+ */
+export function calculatePisCofinsCredits(documentData, { atividade } = {}) {
+  const itens = (documentData.items || []).map(item =>
+    classifyPisCofinsCredit(item, { dataEmissao: documentData.dataEmissao, atividade })
+  );
+
+  return {
+    itens,
+    baseCalculo: sumMoney(itens.map(item => item.baseCalculo)),
+    PIS: sumMoney(itens.map(item => item.PIS)),
+    COFINS: sumMoney(itens.map(item => item.COFINS))
+  };
+}
+
+/**
+ * Base do débito de uma venda: receita sem IPI e ICMS-ST (não são receita) e sem o ICMS destacado
+ */
+export function calculatePisCofinsDebitBase(documentData) {
+  const totais = documentData.totais;
+  if (!totais) {
+    return documentData.totalValue || 0;
+  }
+  return Math.max(subtractMoney(totais.vNF || documentData.totalValue, totais.vIPI, totais.vST, totais.vICMS), 0);
+}
+
+/**
+ * Apuração mensal: débitos - créditos - saldo credor anterior, por contribuição
+ */
+export function calculateNonCumulativeApuracao({ debitos, creditos, saldoAnterior = {} }) {
+  const apuracao = {};
+
+  for (const contribuicao of ['PIS', 'COFINS']) {
+    const debito = debitos[contribuicao] || 0;
+    const credito = creditos[contribuicao] || 0;
+    const anterior = saldoAnterior[contribuicao] || 0;
+    const resultado = subtractMoney(debito, credito, anterior);
+
+    apuracao[contribuicao] = {
+      debito,
+      credito,
+      saldoAnterior: anterior,
+      aPagar: Math.max(resultado, 0),
+      saldoCredor: Math.max(-resultado, 0)
+    };
+  }
+  return apuracao;
+}
@@ -0,0 +1,236 @@
+import { allocateMoney, applyRate, multiplyMoney, subtractMoney, sumMoney } from './money.js';
+
+/**
+ * Simulação da Reforma Tributária (EC 132/2023 e LC 214/2025).
+ *
+ * - CBS (federal) substitui PIS/COFINS a partir de 2027; o IPI vai a zero
+ *   (exceto produtos da ZFM, não simulado)
+ * - IBS (estados e municípios) entra em 2029 e cresce enquanto ICMS e ISS
+ *   caem 10 pontos por ano até a extinção em 2033
+ * - 2026 é ano de teste: CBS 0,9% e IBS 0,1% compensáveis com PIS/COFINS,
+ *   sem aumento de carga
+ * - Imposto Seletivo (IS) a partir de 2027 sobre bens prejudiciais à saúde
+ *   ou ao meio ambiente; integra a base de CBS/IBS
+ * - Regimes diferenciados por NCM (bens) e NBS ou item da LC 116 (serviços):
+ *   alíquota zero (cesta básica nacional, hortícolas) e reduções de 60% e 30%
+ *
+ * As alíquotas de referência ainda serão fixadas pelo Senado; usamos a
+ * estimativa do Ministério da Fazenda. As do IS dependem de lei ordinária e
+ * são ilustrativas.
+ */
+
+export const ANO_INICIAL = 2026;
+export const ANO_FINAL = 2033;
+
+// Estimativa das alíquotas de referência (%)
+export const ALIQUOTAS_REFERENCIA = { CBS: 8.8, IBS: 17.7 };
+
+// Tributos atuais que caem gradualmente (ICMS e ISS) ou se extinguem em 2027
+const TRIBUTOS_ICMS = ['ICMS', 'FCP', 'DIFAL', 'FCP_DESTINO', 'ICMS_ST', 'FCP_ST'];
+const TRIBUTOS_EXTINTOS_2027 = ['PIS', 'COFINS', 'IPI'];
+
+/**
+ * Cronograma de transição: cbs/ibs em % fixo (teste) ou fração da alíquota de
+ * referência; fatorICMSISS = fração do ICMS/ISS atual que ainda é cobrada
+ */
+const TRANSICAO = {
+  2026: { fase: 'Teste (CBS/IBS compensáveis)', cbs: { fixa: 0.9 }, ibs: { fixa: 0.1 }, fatorICMSISS: 1, tributosFederaisAtuais: true, seletivo: false, compensavel: true },
+  2027: { fase: 'CBS integral, fim de PIS/COFINS', cbs: { reducaoPontos: 0.1 }, ibs: { fixa: 0.1 }, fatorICMSISS: 1, tributosFederaisAtuais: false, seletivo: true },
+  2028: { fase: 'CBS integral, fim de PIS/COFINS', cbs: { reducaoPontos: 0.1 }, ibs: { fixa: 0.1 }, fatorICMSISS: 1, tributosFederaisAtuais: false, seletivo: true },
+  2029: { fase: 'IBS 10% / ICMS e ISS 90%', cbs: {}, ibs: { fracao: 0.1 }, fatorICMSISS: 0.9, tributosFederaisAtuais: false, seletivo: true },
+  2030: { fase: 'IBS 20% / ICMS e ISS 80%', cbs: {}, ibs: { fracao: 0.2 }, fatorICMSISS: 0.8, tributosFederaisAtuais: false, seletivo: true },
+  2031: { fase: 'IBS 30% / ICMS e ISS 70%', cbs: {}, ibs: { fracao: 0.3 }, fatorICMSISS: 0.7, tributosFederaisAtuais: false, seletivo: true },
+  2032: { fase: 'IBS 40% / ICMS e ISS 60%', cbs: {}, ibs: { fracao: 0.4 }, fatorICMSISS: 0.6, tributosFederaisAtuais: false, seletivo: true },
+  2033: { fase: 'Modelo definitivo: ICMS e ISS extintos', cbs: {}, ibs: { fracao: 1 }, fatorICMSISS: 0, tributosFederaisAtuais: false, seletivo: true }
+};
+
+// Regimes diferenciados (LC 214/2025). Prefixos de NCM/NBS; itens da LC 116 como alternativa à NBS
+const REGIMES_DIFERENCIADOS = [
+  {
+    regime: 'ALIQUOTA_ZERO',
+    reducao: 100,
+    descricao: 'Cesta Básica Nacional e hortícolas, frutas e ovos',
+    ncm: ['0201', '0202', '0203', '0207', '0302', '0303', '0304', '0401', '0402', '0405', '0407',
+      '0701', '0702', '0703', '0704', '0705', '0706', '0707', '0708', '0709', '0710', '0713', '0714',
+      '0803', '0804', '0805', '0806', '0807', '0808', '0809', '0810',
+      '0901', '1006', '1101', '1102', '1106', '1507']
+  },
+  {
+    regime: 'REDUCAO_60',
+    reducao: 60,
+    descricao: 'Saúde, educação, medicamentos, dispositivos médicos, higiene e alimentos',
+    ncm: ['0403', '0406', '1902', '1905', '2009', '3003', '3004', '3306', '3401', '4818', '9018', '9019', '9021', '9022'],
+    nbs: ['1.22', '1.23'],
+    itensLC116: ['4.', '8.']
+  },
+  {
+    regime: 'REDUCAO_30',
+    reducao: 30,
+    descricao: 'Profissões intelectuais regulamentadas',
+    nbs: ['1.13', '1.1403'],
+    itensLC116: ['7.01', '17.14', '17.16', '17.19', '17.20']
+  }
+];
+
+// Imposto Seletivo por prefixo de NCM (alíquotas ilustrativas; extração limitada a 0,25%)
+const SELETIVO = [
+  { ncm: ['24'], aliquota: 20, descricao: 'Produtos fumígenos' },
+  { ncm: ['2203', '2204', '2205', '2206', '2208'], aliquota: 15, descricao: 'Bebidas alcoólicas' },
+  { ncm: ['220210'], aliquota: 10, descricao: 'Bebidas açucaradas' },
+  { ncm: ['8703', '8711'], aliquota: 5, descricao: 'Veículos' },
+  { ncm: ['8802', '8903'], aliquota: 5, descricao: 'Aeronaves e embarcações' },
+  { ncm: ['2601', '2709', '2711'], aliquota: 0.25, descricao: 'Bens minerais extraídos' }
+];
+
+/**
+ * Cronograma do ano (lança erro fora de 2026-2033)
+ */
+export function getTransitionYear(ano) {
+  const transicao = TRANSICAO[ano];
+  if (!transicao) {
+    throw new Error(`Ano fora da transição da reforma (${ANO_INICIAL}-${ANO_FINAL}): ${ano}`);
+  }
+  return transicao;
+}
+
+/**
+ * Alíquotas cheias de CBS e IBS no ano, antes de reduções por regime
+ */
+export function getReformRates(ano, referencia = ALIQUOTAS_REFERENCIA) {
+  const { cbs, ibs } = getTransitionYear(ano);
+  const aliquota = (regra, referenciaTributo) => {
+    if (regra.fixa !== undefined) return regra.fixa;
+    if (regra.fracao !== undefined) return referenciaTributo * regra.fracao;
+    return referenciaTributo - (regra.reducaoPontos || 0);
+  };
+  return { CBS: aliquota(cbs, referencia.CBS), IBS: aliquota(ibs, referencia.IBS) };
+}
+
+/**
+ * Regime diferenciado e Imposto Seletivo de um item
+ */
+export function classifyReformItem({ ncm, nbs, itemListaServico } = {}) {
+  const codigoNCM = String(ncm || '').replace(/\D/g, '');
+  const codigoNBS = String(nbs || '').replace(/[^\d.]/g, '');
+  const item = String(itemListaServico || '');
+
+  const regime = REGIMES_DIFERENCIADOS.find(r =>
+    (codigoNCM && r.ncm?.some(prefixo => codigoNCM.startsWith(prefixo)))
+    || (codigoNBS && r.nbs?.some(prefixo => codigoNBS.startsWith(prefixo)))
+    || (item && r.itensLC116?.some(prefixo => prefixo.endsWith('.') ? item.startsWith(prefixo) : item === prefixo))
+  );
+  const seletivo = codigoNCM ? SELETIVO.find(s => s.ncm.some(prefixo => codigoNCM.startsWith(prefixo))) : null;
+
+  return {
+    regime: regime?.regime || 'PADRAO',
+    reducao: regime?.reducao || 0,
+    descricao: regime?.descricao || 'Alíquota padrão',
+    seletivo: seletivo ? { aliquota: seletivo.aliquota, descricao: seletivo.descricao } : null
+  };
+}
+
+/**
+ * Simula os tributos de um documento no ano da transição.
+ * `tributosAtuais` é o cálculo pelas regras de hoje; `itens` traz valor e NCM/NBS
+ * de cada item. ICMS/ISS/PIS/COFINS cobrados no ano saem da base de CBS/IBS
+ */
+export function simulateReform({ ano, itens, tributosAtuais, referencia = ALIQUOTAS_REFERENCIA }) {
+  const transicao = getTransitionYear(ano);
+  const aliquotas = getReformRates(ano, referencia);
+
+  // Simples Nacional: CBS/IBS entram no DAS (salvo opção pelo regime regular)
+  if (tributosAtuais.DAS !== undefined) {
+    return {
+      ano,
+      fase: transicao.fase,
+      aliquotas,
+      taxes: { ...tributosAtuais },
+      total: sumMoney(Object.values(tributosAtuais)),
+      itens: [],
+      observacoes: ['Simples Nacional: CBS/IBS recolhidos dentro do DAS']
+    };
+  }
+
+  const taxes = {};
+  for (const [tributo, valor] of Object.entries(tributosAtuais)) {
+    if (TRIBUTOS_ICMS.includes(tributo) || tributo === 'ISS') {
+      if (transicao.fatorICMSISS > 0) taxes[tributo] = multiplyMoney(valor, transicao.fatorICMSISS);
+    } else if (TRIBUTOS_EXTINTOS_2027.includes(tributo)) {
+      if (transicao.tributosFederaisAtuais) taxes[tributo] = valor;
+    } else {
+      taxes[tributo] = valor;
+    }
+  }
+
+  // Tributos "por dentro" do valor da operação que saem da base, rateados pelo valor dos itens
+  const deducoes = allocateMoney(
+    sumMoney(taxes.ICMS, taxes.FCP, taxes.ISS, taxes.PIS, taxes.COFINS),
+    itens.map(item => item.valor)
+  );
+
+  const detalhes = itens.map((item, indice) => {
+    const classificacao = classifyReformItem(item);
+    const fatorRegime = 1 - classificacao.reducao / 100;
+    const IS = transicao.seletivo && classificacao.seletivo ? applyRate(item.valor, classificacao.seletivo.aliquota) : 0;
+    const baseCalculo = Math.max(sumMoney(subtractMoney(item.valor, deducoes[indice]), IS), 0);
+
+    return {
+      numeroItem: item.numeroItem,
+      descricao: item.descricao,
+      ncm: item.ncm,
+      nbs: item.nbs,
+      valor: item.valor || 0,
+      ...classificacao,
+      baseCalculo,
+      aliquotaCBS: aliquotas.CBS * fatorRegime,
+      aliquotaIBS: aliquotas.IBS * fatorRegime,
+      CBS: applyRate(baseCalculo, aliquotas.CBS * fatorRegime),
+      IBS: applyRate(baseCalculo, aliquotas.IBS * fatorRegime),
+      IS
+    };
+  });
+
+  taxes.CBS = sumMoney(detalhes.map(item => item.CBS));
+  taxes.IBS = sumMoney(detalhes.map(item => item.IBS));
+  const IS = sumMoney(detalhes.map(item => item.IS));
+  if (IS > 0) taxes.IS = IS;
+
+  const observacoes = [];
+  if (transicao.compensavel) {
+    observacoes.push('CBS/IBS de teste compensáveis com PIS/COFINS: não entram no total');
+  }
+  if (!transicao.tributosFederaisAtuais && tributosAtuais.IPI) {
+    observacoes.push('IPI reduzido a zero (mantido só para produtos da Zona Franca de Manaus)');
+  }
+  if (detalhes.some(item => item.seletivo)) {
+    observacoes.push('Alíquotas do Imposto Seletivo ilustrativas: dependem de lei ordinária');
+  }
+
+  const compensaveis = transicao.compensavel ? sumMoney(taxes.CBS, taxes.IBS) : 0;
+  return {
+    ano,
+    fase: transicao.fase,
+    aliquotas,
+    taxes,
+    total: subtractMoney(sumMoney(Object.values(taxes)), compensaveis),
+    itens: detalhes,
+    observacoes
+  };
+}
+
+/**
+ * Comparação "hoje x ano N" a partir do cálculo atual e da simulação
+ */
+export function compareWithReform(tributosAtuais, simulacao) {
+  const atual = sumMoney(Object.values(tributosAtuais));
+  const diferenca = subtractMoney(simulacao.total, atual);
+  return {
+    ano: simulacao.ano,
+    fase: simulacao.fase,
+    atual,
+    reforma: simulacao.total,
+    diferenca,
+    diferencaPercentual: atual > 0 ? diferenca / atual * 100 : null,
+    simulacao
+  };
+}
@@ -0,0 +1,131 @@
+import { isOwnProductionSale } from './cfop.js';
+import { applyRate, subtractMoney, sumMoney, roundingFor } from './money.js';
+
+/**
+ * Lucro Presumido e Lucro Real: IRPJ/CSLL estimados e PIS/COFINS por regime.
+ *
+ * - Presumido: base = receita bruta x percentual de presunção da atividade
+ *   (Lei 9.249/95, arts. 15 e 20), apuração trimestral
+ * - Real: estimativa mensal com os mesmos percentuais (Lei 9.430/96, art. 2º)
+ * - IRPJ 15% + adicional de 10% sobre a base que exceder R$ 20.000/mês
+ *   (R$ 60.000 no trimestre); CSLL 9%
+ * - PIS/COFINS cumulativos (0,65%/3%) no Presumido e não cumulativos (1,65%/7,6%) no Real
+ */
+
+export const REGIMES = {
+  SIMPLES: 'Simples Nacional',
+  PRESUMIDO: 'Lucro Presumido',
+  REAL: 'Lucro Real'
+};
+
+// Percentuais de presunção (IRPJ, CSLL) por atividade
+export const ATIVIDADES = {
+  COMERCIO: { descricao: 'Comércio', irpj: 8, csll: 12 },
+  INDUSTRIA: { descricao: 'Indústria', irpj: 8, csll: 12 },
+  SERVICOS: { descricao: 'Prestação de serviços em geral', irpj: 32, csll: 32 },
+  HOSPITALAR: { descricao: 'Serviços hospitalares', irpj: 8, csll: 12 },
+  TRANSPORTE_CARGAS: { descricao: 'Transporte de cargas', irpj: 8, csll: 12 },
+  TRANSPORTE_PASSAGEIROS: { descricao: 'Transporte de passageiros', irpj: 16, csll: 12 },
+  COMBUSTIVEIS: { descricao: 'Revenda de combustíveis', irpj: 1.6, csll: 12 }
+};
+
+// Alíquotas de PIS/COFINS (%) por regime
+const PIS_COFINS = {
+  PRESUMIDO: { PIS: 0.65, COFINS: 3, cumulativo: true },
+  REAL: { PIS: 1.65, COFINS: 7.6, cumulativo: false }
+};
+
+const IRPJ_ALIQUOTA = 15;
+const IRPJ_ADICIONAL = 10;
+const IRPJ_LIMITE_ADICIONAL_MENSAL = 20000;
+const CSLL_ALIQUOTA = 9;
+
+/**
+ * Alíquotas de PIS/COFINS do regime (null para o Simples, que recolhe no DAS)
+ */
+export function getPisCofinsRates(regime) {
+  return PIS_COFINS[regime] || null;
+}
+
+/**
+ * Segrega a receita de um documento emitido pela empresa por atividade de presunção
+ */
+export function splitRevenueByActivity(documentData, atividadeServicos = 'SERVICOS') {
+  if (documentData.documentType === 'NFSE') {
+    return { [atividadeServicos]: documentData.totalValue || 0 };
+  }
+  if (documentData.documentType === 'CTE') {
+    return { TRANSPORTE_CARGAS: documentData.totalValue || 0 };
+  }
+
+  const receitas = {};
+  const items = documentData.items?.length
+    ? documentData.items
+    : [{ valorTotal: documentData.totalValue || 0, cfop: documentData.cfop }];
+
+  for (const item of items) {
+    const atividade = isOwnProductionSale(item.cfop) ? 'INDUSTRIA' : 'COMERCIO';
+    receitas[atividade] = sumMoney(receitas[atividade], subtractMoney(item.valorTotal, item.valorDesconto));
+  }
+  return receitas;
+}
+
+/**
+ * IRPJ/CSLL sobre receitas por atividade em um período de `meses` meses
+ * (3 no trimestre do Presumido, 1 na estimativa mensal do Real)
+ */
+export function calculateIRPJCSLL(receitas, { meses = 3 } = {}) {
+  const atividades = [];
+
+  for (const [atividade, receita] of Object.entries(receitas)) {
+    const percentuais = ATIVIDADES[atividade];
+    if (!percentuais) {
+      throw new Error(`Atividade sem percentual de presunção: ${atividade}`);
+    }
+    const base = { irpj: applyRate(receita, percentuais.irpj), csll: applyRate(receita, percentuais.csll) };
+    atividades.push({ atividade, descricao: percentuais.descricao, receita, presuncaoIRPJ: percentuais.irpj, presuncaoCSLL: percentuais.csll, ...base });
+  }
+
+  const baseIRPJ = sumMoney(atividades.map(a => a.irpj));
+  const baseCSLL = sumMoney(atividades.map(a => a.csll));
+  const limiteAdicional = IRPJ_LIMITE_ADICIONAL_MENSAL * meses;
+  const IRPJ = applyRate(baseIRPJ, IRPJ_ALIQUOTA, roundingFor('IRPJ'));
+  const adicionalIRPJ = applyRate(Math.max(subtractMoney(baseIRPJ, limiteAdicional), 0), IRPJ_ADICIONAL, roundingFor('IRPJ'));
+  const CSLL = applyRate(baseCSLL, CSLL_ALIQUOTA, roundingFor('CSLL'));
+
+  return {
+    receitaBruta: sumMoney(atividades.map(a => a.receita)),
+    atividades,
+    baseIRPJ,
+    baseCSLL,
+    IRPJ,
+    adicionalIRPJ,
+    CSLL,
+    total: sumMoney(IRPJ, adicionalIRPJ, CSLL)
+  };
+}
+
+/**
+ * Estimativa do regime para o período: IRPJ/CSLL (trimestre no Presumido, mês no Real)
+ * e PIS/COFINS sobre a receita do mês
+ */
+export function estimateRegimeTaxes(regime, { receitasPeriodoIRPJ, receitaMes }) {
+  const pisCofins = getPisCofinsRates(regime);
+  if (!pisCofins) {
+    throw new Error(`Regime sem estimativa de IRPJ/CSLL: ${regime}`);
+  }
+
+  return {
+    regime,
+    descricao: REGIMES[regime],
+    periodicidadeIRPJ: regime === 'PRESUMIDO' ? 'trimestral' : 'mensal (estimativa)',
+    irpjCsll: calculateIRPJCSLL(receitasPeriodoIRPJ, { meses: regime === 'PRESUMIDO' ? 3 : 1 }),
+    pisCofins: {
+      cumulativo: pisCofins.cumulativo,
+      aliquotaPIS: pisCofins.PIS,
+      aliquotaCOFINS: pisCofins.COFINS,
+      PIS: applyRate(receitaMes, pisCofins.PIS, roundingFor('PIS')),
+      COFINS: applyRate(receitaMes, pisCofins.COFINS, roundingFor('COFINS'))
+    }
+  };
+}
@@ -0,0 +1,166 @@
+import { applyRate, subtractMoney, sumMoney } from './money.js';
+import { normalizeServiceItem } from '../parsers/xmlUtils.js';
+
+/**
+ * Retenções federais na fonte sobre serviços prestados a pessoa jurídica.
+ *
+ * - IRRF 1,5% sobre serviços profissionais, comissões e propaganda (RIR/2018, arts. 714,
+ *   718 e 719) e 1% sobre limpeza, conservação, segurança, vigilância e locação de mão
+ *   de obra (art. 716); dispensado até R$ 10,00 (Lei 9.430/96, art. 67)
+ * - PIS/COFINS/CSLL 4,65% (0,65% + 3% + 1%, Lei 10.833/2003, art. 30); dispensada a
+ *   retenção de valor igual ou inferior a R$ 10,00 (art. 31, §3º)
+ * - INSS 11% sobre cessão de mão de obra e empreitada (Lei 8.212/91, art. 31), 3,5% quando
+ *   o prestador contribui sobre a receita (CPRB, Lei 12.546/2011, art. 7º, §6º);
+ *   dispensado abaixo de R$ 10,00
+ * - Prestador do Simples Nacional não sofre IRRF nem PIS/COFINS/CSLL; o INSS só é retido
+ *   dos serviços tributados no Anexo IV (LC 123, art. 18, §5º-C)
+ *
+ * O enquadramento é feito pelo subitem da LC 116; confira o contrato quando o serviço
+ * não se encaixar claramente (ex.: manutenção com ou sem cessão de mão de obra).
+ */
+
+export const ALIQUOTAS_RETENCAO = { IRRF: 1.5, IRRF_MAO_DE_OBRA: 1, PIS: 0.65, COFINS: 3, CSLL: 1, INSS: 11, INSS_CPRB: 3.5 };
+
+const VALOR_MINIMO = 10;
+
+// Limpeza, conservação, segurança, vigilância e locação de mão de obra (IRRF 1%)
+const SERVICOS_MAO_DE_OBRA = ['7.10', '7.11', '11.02', '17.05'];
+
+// Serviços profissionais, comissões e propaganda (IRRF 1,5%), por item ou subitem
+const SERVICOS_PROFISSIONAIS = [
+  '1', '2.01', '4', '5.01', '7.01', '7.03', '8.02', '10', '17.01', '17.03', '17.06', '17.09', '17.11', '17.12',
+  '17.13', '17.14', '17.15', '17.16', '17.17', '17.18', '17.19', '17.20', '17.21', '23.01', '28.01', '31.01',
+  '32.01', '33.01', '35.01', '38.01'
+];
+
+// PIS/COFINS/CSLL: serviços profissionais, mão de obra, manutenção e assessoria creditícia
+const SERVICOS_CSRF = [...SERVICOS_PROFISSIONAIS, ...SERVICOS_MAO_DE_OBRA, '14.01', '14.02', '14.06', '17.23', '17.24'];
+
+// Cessão de mão de obra e empreitada sujeitas à retenção de INSS
+const SERVICOS_INSS = ['7.02', '7.04', '7.05', '7.10', '7.11', '7.12', '7.16', '7.17', '7.19', '11.02', '17.05'];
+
+// Serviços do Anexo IV do Simples (construção, vigilância, limpeza, advocacia)
+const ANEXO_IV = ['7.02', '7.04', '7.05', '7.17', '7.19', '7.10', '11.02', '17.14'];
+
+/**
+ * Retenções federais devidas em uma NFS-e, comparadas com as declaradas, e o valor
+ * líquido a receber. `iss` é o resultado de calculateISS (ISS retido pelo tomador)
+ */
+export function calculateFederalWithholdings(documentData, { iss = null } = {}) {
+  const valores = documentData.valores || {};
+  const declarado = valores.retencoes || {};
+  const subitem = normalizeServiceItem(documentData.servico?.itemListaServico || documentData.taxInfo?.serviceCode);
+  const simples = Boolean(documentData.prestador?.optanteSimplesNacional);
+  const valorServicos = valores.valorServicos ?? documentData.totalValue ?? 0;
+  const base = Math.max(subtractMoney(valorServicos, valores.descontoIncondicionado), 0);
+
+  const retencoes = {
+    IRRF: semRetencao(),
+    PIS: semRetencao(),
+    COFINS: semRetencao(),
+    CSLL: semRetencao(),
+    INSS: semRetencao()
+  };
+
+  let motivo = null;
+  if (!documentData.tomador?.cnpj) {
+    motivo = 'Tomador pessoa física ou sem CNPJ: sem retenções federais';
+  } else if (!subitem) {
+    motivo = 'Serviço sem item da LC 116: retenções não calculadas';
+  } else {
+    const maoDeObra = matches(subitem, SERVICOS_MAO_DE_OBRA);
+
+    if (simples) {
+      retencoes.IRRF.motivo = 'Prestador do Simples Nacional';
+    } else if (maoDeObra || matches(subitem, SERVICOS_PROFISSIONAIS)) {
+      const aliquota = maoDeObra ? ALIQUOTAS_RETENCAO.IRRF_MAO_DE_OBRA : ALIQUOTAS_RETENCAO.IRRF;
+      retencoes.IRRF = withMinimum(aliquota, applyRate(base, aliquota), 'IRRF até R$ 10,00');
+    }
+
+    if (simples) {
+      for (const tributo of ['PIS', 'COFINS', 'CSLL']) retencoes[tributo].motivo = 'Prestador do Simples Nacional';
+    } else if (matches(subitem, SERVICOS_CSRF)) {
+      const valores = Object.fromEntries(['PIS', 'COFINS', 'CSLL'].map(tributo =>
+        [tributo, applyRate(base, ALIQUOTAS_RETENCAO[tributo])]
+      ));
+      // O mínimo vale para a soma das três contribuições (recolhidas no mesmo DARF, código 5952)
+      const dispensada = sumMoney(Object.values(valores)) <= VALOR_MINIMO;
+      for (const tributo of ['PIS', 'COFINS', 'CSLL']) {
+        retencoes[tributo] = dispensada
+          ? { aliquota: ALIQUOTAS_RETENCAO[tributo], valor: 0, retido: false, motivo: 'PIS/COFINS/CSLL somados até R$ 10,00' }
+          : { aliquota: ALIQUOTAS_RETENCAO[tributo], valor: valores[tributo], retido: true, motivo: null };
+      }
+    }
+
+    if (matches(subitem, SERVICOS_INSS) && (!simples || matches(subitem, ANEXO_IV))) {
+      const baseINSS = Math.max(subtractMoney(base, valores.deducoes), 0);
+      // Sem cadastro da CPRB do prestador, 3,5% só quando é o que a nota declara
+      const cprb = declarado.inss > 0 && !isDifferent(declarado.inss, applyRate(baseINSS, ALIQUOTAS_RETENCAO.INSS_CPRB));
+      const aliquota = cprb ? ALIQUOTAS_RETENCAO.INSS_CPRB : ALIQUOTAS_RETENCAO.INSS;
+      retencoes.INSS = withMinimum(aliquota, applyRate(baseINSS, aliquota), 'INSS abaixo de R$ 10,00');
+      if (cprb && retencoes.INSS.retido) retencoes.INSS.motivo = 'Prestador na CPRB (desoneração da folha)';
+    } else if (simples && matches(subitem, SERVICOS_INSS)) {
+      retencoes.INSS.motivo = 'Prestador do Simples fora do Anexo IV';
+    }
+  }
+
+  const total = sumMoney(Object.values(retencoes).map(retencao => retencao.valor));
+  const issRetido = iss?.retencao?.devida ? iss.valorISS : 0;
+  const divergencias = [];
+  for (const [tributo, retencao] of Object.entries(retencoes)) {
+    const valorDeclarado = declarado[tributo.toLowerCase()] || 0;
+    if (isDifferent(valorDeclarado, retencao.valor)) {
+      divergencias.push(
+        `${tributo} retido: declarado R$ ${valorDeclarado.toFixed(2)} x devido R$ ${retencao.valor.toFixed(2)}` +
+        (retencao.motivo ? ` (${retencao.motivo})` : '')
+      );
+    }
+  }
+
+  // Valor líquido da NFS-e: serviços - descontos - retenções federais - outras retenções declaradas - ISS retido
+  const valorLiquido = subtractMoney(
+    valorServicos, valores.descontoIncondicionado, valores.descontoCondicionado, total, declarado.outras, issRetido
+  );
+  if (valores.valorLiquido && isDifferent(valores.valorLiquido, valorLiquido)) {
+    divergencias.push(`Valor líquido: declarado R$ ${valores.valorLiquido.toFixed(2)} x calculado R$ ${valorLiquido.toFixed(2)}`);
+  }
+
+  return {
+    aplicavel: total > 0,
+    motivo,
+    itemListaServico: subitem,
+    base,
+    ...retencoes,
+    total,
+    issRetido,
+    declarado: {
+      IRRF: declarado.irrf || 0,
+      PIS: declarado.pis || 0,
+      COFINS: declarado.cofins || 0,
+      CSLL: declarado.csll || 0,
+      INSS: declarado.inss || 0
+    },
+    divergencias,
+    valorLiquido,
+    valorLiquidoDeclarado: valores.valorLiquido || 0
+  };
+}
+
+function semRetencao() {
+  return { aliquota: 0, valor: 0, retido: false, motivo: null };
+}
+
+function withMinimum(aliquota, valor, motivo) {
+  return valor > 0 && valor <= VALOR_MINIMO
+    ? { aliquota, valor: 0, retido: false, motivo: `${motivo}: retenção dispensada` }
+    : { aliquota, valor, retido: valor > 0, motivo: null };
+}
+
+// Subitem listado diretamente ou pelo item inteiro ("17" cobre "17.01")
+function matches(subitem, lista) {
+  return lista.includes(subitem) || lista.includes(subitem.split('.')[0]);
+}
+
+function isDifferent(a, b) {
+  return Math.abs(subtractMoney(a || 0, b || 0)) > 0.01;
+}
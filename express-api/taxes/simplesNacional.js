@@ -0,0 +1,248 @@
+import { isOwnProductionSale } from './cfop.js';
+import { applyRate, divideMoney, multiplyMoney, subtractMoney, sumMoney, roundingFor } from './money.js';
+
+/**
+ * Cálculo do DAS do Simples Nacional (LC 123/2006, redação da LC 155/2016).
+ *
+ * - Alíquota efetiva = (RBT12 x alíquota nominal - parcela a deduzir) / RBT12
+ * - Anexo I comércio, II indústria, III/IV/V serviços
+ * - Fator R (folha 12 meses / RBT12) >= 28% leva as atividades do Anexo V para o III
+ * - Partilha do DAS entre IRPJ, CSLL, COFINS, PIS, CPP, IPI, ICMS e ISS por faixa
+ * - ISS limitado a 5% efetivos; o excedente é redistribuído aos demais tributos
+ * - Acima do sublimite (R$ 3,6 milhões) ICMS e ISS saem do DAS
+ */
+
+export const LIMITE_SIMPLES = 4800000;
+export const SUBLIMITE_ICMS_ISS = 3600000;
+export const FATOR_R_MINIMO = 0.28;
+
+const ISS_MAXIMO = 5;
+
+// Faixas: [limite RBT12, alíquota nominal %, parcela a deduzir R$]
+// Partilha: % de cada tributo dentro do DAS, por faixa
+const ANEXOS = {
+  I: {
+    descricao: 'Comércio',
+    faixas: [[180000, 4, 0], [360000, 7.3, 5940], [720000, 9.5, 13860], [1800000, 10.7, 22500], [3600000, 14.3, 87300], [4800000, 19, 378000]],
+    partilha: [
+      { IRPJ: 5.5, CSLL: 3.5, COFINS: 12.74, PIS: 2.76, CPP: 41.5, ICMS: 34 },
+      { IRPJ: 5.5, CSLL: 3.5, COFINS: 12.74, PIS: 2.76, CPP: 41.5, ICMS: 34 },
+      { IRPJ: 5.5, CSLL: 3.5, COFINS: 12.74, PIS: 2.76, CPP: 42, ICMS: 33.5 },
+      { IRPJ: 5.5, CSLL: 3.5, COFINS: 12.74, PIS: 2.76, CPP: 42, ICMS: 33.5 },
+      { IRPJ: 5.5, CSLL: 3.5, COFINS: 12.74, PIS: 2.76, CPP: 42, ICMS: 33.5 },
+      { IRPJ: 13.5, CSLL: 10, COFINS: 28.27, PIS: 6.13, CPP: 42.1, ICMS: 0 }
+    ]
+  },
+  II: {
+    descricao: 'Indústria',
+    faixas: [[180000, 4.5, 0], [360000, 7.8, 5940], [720000, 10, 13860], [1800000, 11.2, 22500], [3600000, 14.7, 85500], [4800000, 30, 720000]],
+    partilha: [
+      { IRPJ: 5.5, CSLL: 3.5, COFINS: 11.51, PIS: 2.49, CPP: 37.5, IPI: 7.5, ICMS: 32 },
+      { IRPJ: 5.5, CSLL: 3.5, COFINS: 11.51, PIS: 2.49, CPP: 37.5, IPI: 7.5, ICMS: 32 },
+      { IRPJ: 5.5, CSLL: 3.5, COFINS: 11.51, PIS: 2.49, CPP: 37.5, IPI: 7.5, ICMS: 32 },
+      { IRPJ: 5.5, CSLL: 3.5, COFINS: 11.51, PIS: 2.49, CPP: 37.5, IPI: 7.5, ICMS: 32 },
+      { IRPJ: 5.5, CSLL: 3.5, COFINS: 11.51, PIS: 2.49, CPP: 37.5, IPI: 7.5, ICMS: 32 },
+      { IRPJ: 8.5, CSLL: 7.5, COFINS: 20.96, PIS: 4.54, CPP: 23.5, IPI: 35, ICMS: 0 }
+    ]
+  },
+  III: {
+    descricao: 'Serviços (Anexo III)',
+    faixas: [[180000, 6, 0], [360000, 11.2, 9360], [720000, 13.5, 17640], [1800000, 16, 35640], [3600000, 21, 125640], [4800000, 33, 648000]],
+    partilha: [
+      { IRPJ: 4, CSLL: 3.5, COFINS: 12.82, PIS: 2.78, CPP: 43.4, ISS: 33.5 },
+      { IRPJ: 4, CSLL: 3.5, COFINS: 14.05, PIS: 3.05, CPP: 43.4, ISS: 32 },
+      { IRPJ: 4, CSLL: 3.5, COFINS: 13.64, PIS: 2.96, CPP: 43.4, ISS: 32.5 },
+      { IRPJ: 4, CSLL: 3.5, COFINS: 13.64, PIS: 2.96, CPP: 43.4, ISS: 32.5 },
+      { IRPJ: 4, CSLL: 3.5, COFINS: 12.82, PIS: 2.78, CPP: 43.4, ISS: 33.5 },
+      { IRPJ: 35, CSLL: 15, COFINS: 16.03, PIS: 3.47, CPP: 30.5, ISS: 0 }
+    ]
+  },
+  IV: {
+    descricao: 'Serviços (Anexo IV, CPP fora do DAS)',
+    faixas: [[180000, 4.5, 0], [360000, 9, 8100], [720000, 10.2, 12420], [1800000, 14, 39780], [3600000, 22, 183780], [4800000, 33, 828000]],
+    partilha: [
+      { IRPJ: 18.8, CSLL: 15.2, COFINS: 17.67, PIS: 3.83, ISS: 44.5 },
+      { IRPJ: 19.8, CSLL: 15.2, COFINS: 20.55, PIS: 4.45, ISS: 40 },
+      { IRPJ: 20.8, CSLL: 15.2, COFINS: 19.73, PIS: 4.27, ISS: 40 },
+      { IRPJ: 17.8, CSLL: 19.2, COFINS: 18.9, PIS: 4.1, ISS: 40 },
+      { IRPJ: 18.8, CSLL: 19.2, COFINS: 18.08, PIS: 3.92, ISS: 40 },
+      { IRPJ: 53.5, CSLL: 21.5, COFINS: 20.55, PIS: 4.45, ISS: 0 }
+    ]
+  },
+  V: {
+    descricao: 'Serviços (Anexo V)',
+    faixas: [[180000, 15.5, 0], [360000, 18, 4500], [720000, 19.5, 9900], [1800000, 20.5, 17100], [3600000, 23, 62100], [4800000, 30.5, 540000]],
+    partilha: [
+      { IRPJ: 25, CSLL: 15, COFINS: 14.1, PIS: 3.05, CPP: 28.85, ISS: 14 },
+      { IRPJ: 23, CSLL: 15, COFINS: 14.1, PIS: 3.05, CPP: 27.85, ISS: 17 },
+      { IRPJ: 24, CSLL: 15, COFINS: 14.92, PIS: 3.23, CPP: 23.85, ISS: 19 },
+      { IRPJ: 21, CSLL: 15, COFINS: 15.74, PIS: 3.41, CPP: 23.85, ISS: 21 },
+      { IRPJ: 23, CSLL: 12.5, COFINS: 14.1, PIS: 3.05, CPP: 23.85, ISS: 23.5 },
+      { IRPJ: 35, CSLL: 15.5, COFINS: 16.44, PIS: 3.56, CPP: 29.5, ISS: 0 }
+    ]
+  }
+};
+
+
+/**
+ * Faixa e alíquota efetiva de um anexo para o RBT12 informado
+ */
+export function calculateEffectiveRate(anexo, rbt12) {
+  const tabela = ANEXOS[anexo];
+  if (!tabela) {
+    throw new Error(`Anexo do Simples Nacional inválido: ${anexo}`);
+  }
+  if (rbt12 > LIMITE_SIMPLES) {
+    throw new Error(`RBT12 de R$ ${rbt12.toFixed(2)} acima do limite do Simples Nacional (R$ 4.800.000,00)`);
+  }
+
+  const indice = tabela.faixas.findIndex(([limite]) => rbt12 <= limite);
+  const [, aliquotaNominal, parcelaDeduzir] = tabela.faixas[indice];
+
+  // Sem receita nos 12 meses anteriores (início de atividade) vale a alíquota nominal da 1ª faixa
+  const aliquotaEfetiva = rbt12 > 0
+    ? ((rbt12 * aliquotaNominal / 100) - parcelaDeduzir) / rbt12 * 100
+    : aliquotaNominal;
+
+  return { anexo, faixa: indice + 1, aliquotaNominal, parcelaDeduzir, aliquotaEfetiva };
+}
+
+/**
+ * Fator R: folha de salários dos últimos 12 meses (com encargos e pró-labore) / RBT12
+ */
+export function calculateFatorR(folhaSalarios12, rbt12) {
+  if (!rbt12) return null;
+  return (folhaSalarios12 || 0) / rbt12;
+}
+
+/**
+ * Anexo efetivo das atividades de serviço: as do Anexo V vão para o III com Fator R >= 28%
+ */
+export function resolveAnexoServicos(anexoConfigurado = 'III', fatorR = null) {
+  if (anexoConfigurado === 'V' && fatorR !== null && fatorR >= FATOR_R_MINIMO) {
+    return 'III';
+  }
+  return anexoConfigurado;
+}
+
+/**
+ * Segrega a receita de um documento emitido pela empresa por anexo
+ */
+export function splitRevenueByAnexo(documentData, anexoServicos = 'III') {
+  if (documentData.documentType === 'NFSE' || documentData.documentType === 'CTE') {
+    // Transporte de cargas (CT-e) vai para o Anexo III; a troca da parcela do ISS
+    // pela do ICMS do Anexo I (art. 18, §5º-E) não é modelada
+    const anexo = documentData.documentType === 'CTE' ? 'III' : anexoServicos;
+    return { [anexo]: documentData.totalValue || 0 };
+  }
+
+  const receitas = {};
+  const items = documentData.items?.length
+    ? documentData.items
+    : [{ valorTotal: documentData.totalValue || 0, cfop: documentData.cfop }];
+
+  for (const item of items) {
+    const anexo = isOwnProductionSale(item.cfop) ? 'II' : 'I';
+    receitas[anexo] = sumMoney(receitas[anexo], subtractMoney(item.valorTotal, item.valorDesconto));
+  }
+  return receitas;
+}
+
+/**
+ * Receita bruta de um documento emitido pela empresa: a mesma base da segregação por anexo
+ * (itens menos descontos), usada tanto no mês de apuração quanto no RBT12
+ */
+export function documentRevenue(documentData) {
+  return sumMoney(Object.values(splitRevenueByAnexo(documentData)));
+}
+
+/**
+ * RBT12 a partir das receitas mensais dos 12 meses anteriores ao período de apuração.
+ * Com menos de 12 meses de histórico, usa a média dos meses existentes x 12 (LC 123, art. 18, §2º).
+ */
+export function calculateRBT12(receitasMensais, { mesesComHistorico = 12 } = {}) {
+  const total = sumMoney(receitasMensais);
+  if (mesesComHistorico >= 12 || mesesComHistorico <= 0) {
+    return { rbt12: total, proporcional: false };
+  }
+  return { rbt12: divideMoney(multiplyMoney(total, 12), mesesComHistorico), proporcional: true };
+}
+
+/**
+ * Calcula o DAS do período.
+ * `receitas` é a receita do mês por anexo, ex.: { I: 50000, III: 12000 }.
+ */
+export function calculateDAS({ receitas, rbt12, folhaSalarios12 = 0, anexoServicos = 'III' }) {
+  const fatorR = calculateFatorR(folhaSalarios12, rbt12);
+  const sublimiteExcedido = rbt12 > SUBLIMITE_ICMS_ISS;
+
+  const anexos = [];
+  const partilhaTotal = {};
+  const foraDoDAS = new Set();
+
+  for (const [anexoInformado, receita] of Object.entries(receitas)) {
+    if (!receita) continue;
+
+    const anexo = anexoInformado === 'V' || anexoInformado === anexoServicos
+      ? resolveAnexoServicos(anexoInformado, fatorR)
+      : anexoInformado;
+    const aliquota = calculateEffectiveRate(anexo, rbt12);
+    const percentuais = partilhaPercentuais(anexo, aliquota);
+
+    const partilha = {};
+    for (const [tributo, percentual] of Object.entries(percentuais)) {
+      if (sublimiteExcedido && (tributo === 'ICMS' || tributo === 'ISS')) {
+        foraDoDAS.add(tributo);
+        continue;
+      }
+      const valor = applyRate(receita, aliquota.aliquotaEfetiva * percentual / 100, roundingFor('DAS'));
+      partilha[tributo] = valor;
+      partilhaTotal[tributo] = sumMoney(partilhaTotal[tributo], valor);
+    }
+
+    const valorDAS = sumMoney(Object.values(partilha));
+    anexos.push({
+      anexo,
+      anexoInformado,
+      descricao: ANEXOS[anexo].descricao,
+      receita,
+      ...aliquota,
+      valor: valorDAS,
+      partilha
+    });
+  }
+
+  return {
+    rbt12,
+    fatorR,
+    sublimiteExcedido,
+    anexos,
+    total: sumMoney(anexos.map(anexo => anexo.valor)),
+    partilha: partilhaTotal,
+    // Acima do sublimite ICMS/ISS são apurados pelo regime normal, fora do DAS
+    foraDoDAS: sublimiteExcedido ? [...foraDoDAS] : []
+  };
+}
+
+/**
+ * Percentuais da partilha na faixa, com o ISS limitado a 5% efetivos
+ */
+function partilhaPercentuais(anexo, { faixa, aliquotaEfetiva }) {
+  const percentuais = { ...ANEXOS[anexo].partilha[faixa - 1] };
+  if (!percentuais.ISS) return percentuais;
+
+  const issEfetivo = aliquotaEfetiva * percentuais.ISS / 100;
+  if (issEfetivo <= ISS_MAXIMO) return percentuais;
+
+  // Excedente do ISS é transferido proporcionalmente aos demais tributos
+  const issLimitado = ISS_MAXIMO / aliquotaEfetiva * 100;
+  const excedente = percentuais.ISS - issLimitado;
+  const demais = Object.keys(percentuais).filter(tributo => tributo !== 'ISS');
+  const somaDemais = demais.reduce((soma, tributo) => soma + percentuais[tributo], 0);
+
+  for (const tributo of demais) {
+    percentuais[tributo] += excedente * (percentuais[tributo] / somaDemais);
+  }
+  percentuais.ISS = issLimitado;
+  return percentuais;
+}
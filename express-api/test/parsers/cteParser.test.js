@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseCTeXML } from '../../parsers/cteParser.js';
+
+const cte = readFileSync(new URL('../fixtures/cte.xml', import.meta.url), 'utf8');
+
+describe('parseCTeXML', () => {
+  it('identificação, CFOP e valor da prestação', async () => {
+    const documento = await parseCTeXML(cte);
+    assert.equal(documento.documentType, 'CTE');
+    assert.equal(documento.chaveAcesso, '35240511222333000181570010000000011000000010');
+    assert.equal(documento.modelo, '57');
+    assert.equal(documento.cfop, '6353');
+    assert.equal(documento.totalValue, 1000);
+    assert.deepEqual(documento.prestacao.componentes, [{ nome: 'FRETE PESO', valor: 1000 }]);
+    assert.equal(documento.valorCarga, 50000);
+  });
+
+  it('ICMS devido à UF de início da prestação', async () => {
+    const documento = await parseCTeXML(cte);
+    assert.equal(documento.state, 'SP');
+    assert.equal(documento.origem.UF, 'SP');
+    assert.equal(documento.destino.UF, 'BA');
+    assert.deepEqual(
+      { cst: documento.icms.cst, vBC: documento.icms.vBC, pICMS: documento.icms.pICMS, vICMS: documento.icms.vICMS },
+      { cst: '00', vBC: 1000, pICMS: 7, vICMS: 70 }
+    );
+  });
+
+  it('toma3 aponta o tomador entre os participantes', async () => {
+    assert.equal((await parseCTeXML(cte)).tomador.papel, 'remetente');
+    assert.equal((await parseCTeXML(cte)).tomador.cnpj, '12345678000195');
+
+    const destinatario = await parseCTeXML(cte.replace('<toma>0</toma>', '<toma>3</toma>'));
+    assert.equal(destinatario.tomador.papel, 'destinatario');
+    assert.equal(destinatario.tomador.cnpj, '99888777000166');
+  });
+
+  it('toma4 traz os dados do tomador', async () => {
+    const documento = await parseCTeXML(cte.replace(
+      '<toma3><toma>0</toma></toma3>',
+      '<toma4><toma>4</toma><CNPJ>55666777000188</CNPJ><xNome>PAGADOR</xNome><enderToma><UF>MG</UF></enderToma></toma4>'
+    ));
+    assert.equal(documento.tomador.papel, 'outros');
+    assert.equal(documento.tomador.cnpj, '55666777000188');
+  });
+
+  it('ICMSOutraUF com as tags de sufixo próprio', async () => {
+    const documento = await parseCTeXML(cte.replace(
+      /<ICMS00>.*<\/ICMS00>/,
+      '<ICMSOutraUF><CST>90</CST><vBCOutraUF>1000.00</vBCOutraUF><pICMSOutraUF>12.00</pICMSOutraUF><vICMSOutraUF>120.00</vICMSOutraUF></ICMSOutraUF>'
+    ));
+    assert.equal(documento.icms.grupo, 'ICMSOutraUF');
+    assert.equal(documento.icms.pICMS, 12);
+    assert.equal(documento.icms.vICMS, 120);
+  });
+});
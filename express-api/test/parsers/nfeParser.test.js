@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseNFeXML, parseNFCeXML } from '../../parsers/nfeParser.js';
+
+const nfe = readFileSync(new URL('../fixtures/nfe.xml', import.meta.url), 'utf8');
+
+describe('parseNFeXML', () => {
+  it('identificação, emitente e destinatário da nota', async () => {
+    const documento = await parseNFeXML(nfe);
+    assert.equal(documento.documentType, 'NFE');
+    assert.equal(documento.chaveAcesso, '35240512345678000195550010000012341000012344');
+    assert.equal(documento.modelo, '55');
+    assert.equal(documento.emitente.cnpj, '12345678000195');
+    assert.equal(documento.destinatario.cpf, '12345678909');
+    assert.equal(documento.state, 'RJ');
+    assert.equal(documento.totalValue, 1090);
+  });
+
+  it('códigos do item como texto, preservando zeros à esquerda', async () => {
+    const [item] = (await parseNFeXML(nfe)).items;
+    assert.equal(item.codigo, '001');
+    assert.equal(item.ncm, '84713012');
+    assert.equal(item.cfop, '6108');
+    assert.equal(item.icms.origem, '0');
+    assert.equal(item.icms.cst, '00');
+    assert.equal(item.quantidade, 2);
+  });
+
+  it('tributos de cada item: ICMS, IPI, PIS, COFINS e partilha', async () => {
+    const [item] = (await parseNFeXML(nfe)).items;
+    assert.deepEqual(
+      { grupo: item.icms.grupo, vBC: item.icms.vBC, pICMS: item.icms.pICMS, vICMS: item.icms.vICMS },
+      { grupo: 'ICMS00', vBC: 1040, pICMS: 12, vICMS: 124.8 }
+    );
+    assert.deepEqual(item.ipi, { cEnq: '999', cst: '50', vBC: 1000, pIPI: 5, vIPI: 50 });
+    assert.equal(item.pis.grupo, 'PISAliq');
+    assert.equal(item.pis.valor, 17.16);
+    assert.equal(item.cofins.aliquota, 7.6);
+    assert.equal(item.icmsUFDest.vICMSUFDest, 83.2);
+  });
+
+  it('totais, pagamentos e transporte', async () => {
+    const documento = await parseNFeXML(nfe);
+    assert.equal(documento.totais.vNF, 1090);
+    assert.equal(documento.totais.vIPI, 50);
+    assert.deepEqual(documento.pagamentos, [{ forma: '01', valor: 1090 }]);
+    assert.equal(documento.transporte.modFrete, '0');
+  });
+
+  it('CSOSN do Simples Nacional no lugar do CST', async () => {
+    const simples = nfe.replace(
+      /<ICMS00>.*<\/ICMS00>/,
+      '<ICMSSN101><orig>0</orig><CSOSN>101</CSOSN><pCredSN>1.25</pCredSN><vCredICMSSN>12.50</vCredICMSSN></ICMSSN101>'
+    );
+    const [item] = (await parseNFeXML(simples)).items;
+    assert.equal(item.icms.grupo, 'ICMSSN101');
+    assert.equal(item.icms.csosn, '101');
+    assert.equal(item.icms.cst, '101');
+    assert.equal(item.icms.vCredICMSSN, 12.5);
+  });
+});
+
+describe('parseNFCeXML', () => {
+  it('UF e município do estabelecimento emitente', async () => {
+    const documento = await parseNFCeXML(nfe.replace('<mod>55</mod>', '<mod>65</mod>'));
+    assert.equal(documento.documentType, 'NFCE');
+    assert.equal(documento.state, 'SP');
+    assert.equal(documento.municipality, 'Sao Paulo');
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseNFSeXML } from '../../parsers/nfseParser.js';
+
+const abrasf = readFileSync(new URL('../fixtures/nfse-abrasf.xml', import.meta.url), 'utf8');
+const nacional = readFileSync(new URL('../fixtures/nfse-nacional.xml', import.meta.url), 'utf8');
+
+describe('parseNFSeXML: ABRASF 2.x', () => {
+  it('prestador, tomador e serviço da declaração', async () => {
+    const documento = await parseNFSeXML(abrasf, 'ABRASF');
+    assert.equal(documento.numero, '123');
+    assert.equal(documento.competencia, '2024-05-01');
+    assert.equal(documento.prestador.cnpj, '12345678000195');
+    assert.equal(documento.prestador.optanteSimplesNacional, false);
+    assert.equal(documento.tomador.cnpj, '99888777000166');
+    assert.equal(documento.servico.itemListaServico, '17.01');
+  });
+
+  it('alíquota decimal (0,05) vira percentual e as retenções federais são lidas', async () => {
+    const { valores } = await parseNFSeXML(abrasf, 'ABRASF');
+    assert.equal(valores.baseCalculo, 10000);
+    assert.equal(valores.aliquotaISS, 5);
+    assert.equal(valores.valorISS, 500);
+    assert.equal(valores.issRetido, false);
+    assert.deepEqual(valores.retencoes, { pis: 65, cofins: 300, inss: 0, irrf: 150, csll: 100, outras: 0 });
+    assert.equal(valores.valorLiquido, 8885);
+  });
+
+  it('sem o nome do município, municipality traz o código IBGE da incidência', async () => {
+    const documento = await parseNFSeXML(abrasf, 'ABRASF');
+    assert.equal(documento.municipioIncidencia.codigo, '3550308');
+    assert.equal(documento.municipality, '3550308');
+    assert.equal(documento.state, 'SP');
+  });
+
+  it('ISS retido pelo tomador (IssRetido 1)', async () => {
+    const documento = await parseNFSeXML(abrasf.replace('<IssRetido>2</IssRetido>', '<IssRetido>1</IssRetido>'), 'ABRASF');
+    assert.equal(documento.valores.issRetido, true);
+    assert.equal(documento.taxInfo.issWithheld, true);
+  });
+});
+
+describe('parseNFSeXML: Padrão Nacional', () => {
+  it('chave, DPS e valores da NFS-e', async () => {
+    const documento = await parseNFSeXML(nacional, 'NACIONAL');
+    assert.equal(documento.layout, 'NACIONAL');
+    assert.equal(documento.chaveAcesso, '35503082212345678000195000000000000124050000000001');
+    assert.deepEqual(documento.rps, { numero: '10', serie: '1' });
+    assert.equal(documento.servico.codigoTributacaoNacional, '010101');
+    assert.equal(documento.valores.aliquotaISS, 2);
+    assert.equal(documento.valores.valorISS, 40);
+    assert.equal(documento.valores.retencoes.irrf, 30);
+  });
+
+  it('município de incidência com código e nome', async () => {
+    const documento = await parseNFSeXML(nacional, 'NACIONAL');
+    assert.deepEqual(documento.municipioIncidencia, { codigo: '3550308', nome: 'São Paulo' });
+    assert.equal(documento.municipality, 'São Paulo');
+  });
+});
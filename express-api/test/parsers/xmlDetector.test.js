@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { detectFiscalXML, UnsupportedDocumentError } from '../../parsers/xmlDetector.js';
+import { parseNFeXML } from '../../parsers/nfeParser.js';
+
+const nfe = readFileSync(new URL('../fixtures/nfe.xml', import.meta.url), 'utf8');
+const abrasf = readFileSync(new URL('../fixtures/nfse-abrasf.xml', import.meta.url), 'utf8');
+const nacional = readFileSync(new URL('../fixtures/nfse-nacional.xml', import.meta.url), 'utf8');
+
+// NFe sem o protocolo de autorização (sem nfeProc)
+const nfeSemProtocolo = nfe.match(/<NFe[\s>].*<\/NFe>/s)[0];
+
+describe('detectFiscalXML', () => {
+  it('NF-e autorizada pela raiz nfeProc e modelo 55', async () => {
+    const tipo = await detectFiscalXML(nfe);
+    assert.equal(tipo.documentType, 'NFE');
+    assert.equal(tipo.layout, 'nfeProc');
+    assert.equal(tipo.modelo, '55');
+    assert.equal(tipo.autorizado, true);
+    assert.equal(tipo.namespace, 'http://www.portalfiscal.inf.br/nfe');
+  });
+
+  it('NFe sem protocolo e NFC-e pelo modelo 65', async () => {
+    const semProtocolo = await detectFiscalXML(nfeSemProtocolo);
+    assert.equal(semProtocolo.layout, 'NFe');
+    assert.equal(semProtocolo.autorizado, false);
+    assert.equal((await detectFiscalXML(nfe.replace('<mod>55</mod>', '<mod>65</mod>'))).documentType, 'NFCE');
+  });
+
+  it('NFS-e ABRASF e Padrão Nacional', async () => {
+    assert.equal((await detectFiscalXML(abrasf)).layout, 'ABRASF');
+    const tipo = await detectFiscalXML(nacional);
+    assert.equal(tipo.documentType, 'NFSE');
+    assert.equal(tipo.layout, 'NACIONAL');
+  });
+
+  it('evento de cancelamento com a chave da nota', async () => {
+    const tipo = await detectFiscalXML(
+      '<procEventoNFe xmlns="http://www.portalfiscal.inf.br/nfe"><evento><infEvento>' +
+      '<chNFe>35240512345678000195550010000012341000012344</chNFe><tpEvento>110111</tpEvento>' +
+      '<detEvento><descEvento>Cancelamento</descEvento></detEvento></infEvento></evento></procEventoNFe>'
+    );
+    assert.equal(tipo.documentType, 'EVENTO');
+    assert.equal(tipo.evento.tipo, '110111');
+    assert.equal(tipo.evento.chave, '35240512345678000195550010000012341000012344');
+  });
+
+  it('recusa XML malformado, não fiscal ou de modelo desconhecido', async () => {
+    await assert.rejects(detectFiscalXML('<nfeProc><NFe>'), UnsupportedDocumentError);
+    await assert.rejects(detectFiscalXML('<retConsSitNFe/>'), /não é um documento fiscal/);
+    await assert.rejects(detectFiscalXML('<pedido><id>1</id></pedido>'), /Formato de XML não reconhecido/);
+    await assert.rejects(detectFiscalXML(nfe.replace('<mod>55</mod>', '<mod>59</mod>')), /Modelo de documento fiscal não suportado: 59/);
+  });
+
+  it('a árvore lida na detecção serve ao parser sem ler o XML de novo', async () => {
+    const tipo = await detectFiscalXML(nfe);
+    assert.deepEqual(await parseNFeXML(tipo.parsed), await parseNFeXML(nfe));
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseReportPeriod,
+  buildPeriod,
+  periodMonths,
+  periodDateRange,
+  emissionDate,
+  monthIndexOf
+} from '../../reports/periodo.js';
+
+describe('parseReportPeriod', () => {
+  it('mês, trimestre e ano a partir do texto do usuário', () => {
+    assert.equal(parseReportPeriod('3/2025').chave, '2025-03');
+    assert.equal(parseReportPeriod('t1 2025').chave, '2025-T1');
+    assert.equal(parseReportPeriod('T4/2024').mesInicial, 10);
+    assert.equal(parseReportPeriod('2025').tipo, 'ANUAL');
+  });
+
+  it('sem texto vale o mês da referência', () => {
+    assert.equal(parseReportPeriod('', new Date(2025, 6, 15)).chave, '2025-07');
+  });
+
+  it('null para textos que não são período', () => {
+    assert.equal(parseReportPeriod('13/2025'), null);
+    assert.equal(parseReportPeriod('T5 2025'), null);
+    assert.equal(parseReportPeriod('março'), null);
+  });
+});
+
+describe('buildPeriod, periodMonths e periodDateRange', () => {
+  it('trimestre cobre três meses com o fim exclusivo no mês seguinte', () => {
+    const trimestre = buildPeriod('TRIMESTRAL', 2025, 2);
+    assert.equal(trimestre.descricao, '2º trimestre/2025');
+    assert.deepEqual(periodMonths(trimestre), [{ mes: 4, ano: 2025 }, { mes: 5, ano: 2025 }, { mes: 6, ano: 2025 }]);
+    assert.deepEqual(periodDateRange(trimestre), { inicio: '2025-04-01', fim: '2025-07-01' });
+  });
+
+  it('dezembro termina no 1º de janeiro do ano seguinte', () => {
+    assert.deepEqual(periodDateRange(buildPeriod('MENSAL', 2024, 12)), { inicio: '2024-12-01', fim: '2025-01-01' });
+  });
+
+  it('recusa tipo desconhecido', () => {
+    assert.throws(() => buildPeriod('SEMESTRAL', 2025, 1), /Tipo de período inválido/);
+  });
+});
+
+describe('emissionDate', () => {
+  it('o dia vem do texto de dhEmi, sem converter o fuso', () => {
+    // 23h de 31/03 em Brasília já é 01/04 em UTC
+    const data = emissionDate({ dataEmissao: '2025-03-31T23:30:00-03:00' }, '2025-04-02 10:00:00');
+    assert.equal(data.toISOString(), '2025-03-31T00:00:00.000Z');
+    assert.equal(monthIndexOf(data), 2025 * 12 + 2);
+  });
+
+  it('sem emissão vale a competência; sem as duas, a data de envio', () => {
+    assert.equal(emissionDate({ competencia: '2025-02' }).toISOString(), '2025-02-01T00:00:00.000Z');
+    assert.equal(emissionDate({}, '2025-04-02 10:00:00').toISOString(), '2025-04-02T00:00:00.000Z');
+  });
+
+  it('null sem nenhuma data válida', () => {
+    assert.equal(emissionDate({ dataEmissao: 'ontem' }), null);
+    assert.equal(emissionDate({}, 'sem data'), null);
+  });
+});
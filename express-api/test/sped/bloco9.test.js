@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildBlock, buildBlock9, countRecords } from '../../sped/arquivo.js';
+import { generateEFDICMSIPI, validateEFDICMSIPI } from '../../sped/efdIcmsIpi.js';
+
+describe('buildBlock9', () => {
+  const linhas = buildBlock('0', '0', [['0000', ['019', '0']]]);
+
+  it('um 9900 por tipo de registro, inclusive os do próprio bloco 9', () => {
+    const bloco9 = buildBlock9(linhas);
+    assert.deepEqual(bloco9.filter(linha => linha.startsWith('|9900|')), [
+      '|9900|0000|1|',
+      '|9900|0001|1|',
+      '|9900|0990|1|',
+      '|9900|9001|1|',
+      '|9900|9900|7|',
+      '|9900|9990|1|',
+      '|9900|9999|1|'
+    ]);
+  });
+
+  it('9990 conta as linhas do bloco 9 e 9999 as do arquivo', () => {
+    const bloco9 = buildBlock9(linhas);
+    assert.equal(bloco9.at(-2), `|9990|${bloco9.length}|`);
+    assert.equal(bloco9.at(-1), `|9999|${linhas.length + bloco9.length}|`);
+  });
+});
+
+describe('EFD ICMS/IPI: totalizadores do bloco 9', () => {
+  const empresa = { cnpj: '11222333000181', nome: 'Empresa Teste', uf: 'SP', ie: '110042490114', atividade: 'COMERCIO' };
+  const { linhas } = generateEFDICMSIPI({ empresa, mes: 3, ano: 2025, documentos: [] });
+
+  it('9900 confere com a contagem real de cada registro', () => {
+    const contagem = countRecords(linhas);
+    const declarados = linhas
+      .filter(linha => linha.startsWith('|9900|'))
+      .map(linha => linha.split('|'));
+    assert.equal(declarados.length, Object.keys(contagem).length);
+    for (const [, , registro, quantidade] of declarados) {
+      assert.equal(Number(quantidade), contagem[registro], `9900 do registro ${registro}`);
+    }
+  });
+
+  it('9999 informa o total de linhas do arquivo', () => {
+    assert.equal(linhas.at(-1), `|9999|${linhas.length}|`);
+    assert.deepEqual(validateEFDICMSIPI(linhas).filter(erro => /99(00|90|99)/.test(erro)), []);
+  });
+
+  it('a validação acusa totalizadores que não fecham', () => {
+    const semLinha = linhas.filter(linha => !linha.startsWith('|E110|'));
+    const erros = validateEFDICMSIPI(semLinha);
+    assert.ok(erros.some(erro => erro.startsWith('9900 do registro E110')));
+    assert.ok(erros.some(erro => erro.startsWith('9999 deve informar')));
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseNFeXML } from '../../parsers/nfeParser.js';
+import { parseNFSeXML } from '../../parsers/nfseParser.js';
+import { generateEFDContribuicoes, validateEFDContribuicoes } from '../../sped/efdContribuicoes.js';
+
+const fixture = nome => readFileSync(new URL(`../fixtures/${nome}`, import.meta.url), 'utf8');
+
+const EMPRESA = '12345678000195';
+
+// Campos de um registro (sem o REG)
+function registro(linhas, reg) {
+  return linhas.filter(linha => linha.startsWith(`|${reg}|`)).map(linha => linha.slice(1, -1).split('|').slice(1));
+}
+
+describe('generateEFDContribuicoes', () => {
+  let documentos;
+
+  before(async () => {
+    // Maio/2024: venda (NF-e), serviço prestado (NFS-e) e a mesma NF-e como compra de um fornecedor
+    const venda = await parseNFeXML(fixture('nfe.xml'));
+    const servico = await parseNFSeXML(fixture('nfse-abrasf.xml'), 'ABRASF');
+    const compra = {
+      ...venda,
+      chaveAcesso: '35240511222333000181550010000000011000000019',
+      emitente: { ...venda.emitente, cnpj: '11222333000181', nome: 'FORNECEDOR' },
+      destinatario: { cnpj: EMPRESA, nome: 'EMPRESA TESTE LTDA' },
+      items: venda.items.map(item => ({ ...item, cfop: '6102' }))
+    };
+    documentos = [
+      { documentData: venda, direcao: 'saida' },
+      { documentData: servico, direcao: 'saida' },
+      { documentData: compra, direcao: 'entrada' }
+    ];
+  });
+
+  function gerar(regime, atividade = 'COMERCIO') {
+    const empresa = { cnpj: EMPRESA, nome: 'Empresa Teste', uf: 'SP', ie: '110042490114', atividade, regime };
+    return generateEFDContribuicoes({ empresa, mes: 5, ano: 2024, documentos });
+  }
+
+  it('Lucro Real: receitas sem o ICMS, créditos das compras e arquivo válido', () => {
+    const efd = gerar('REAL');
+    assert.deepEqual(efd.validacao.erros, []);
+    assert.equal(efd.resumo.documentos.servicos, 1);
+    assert.equal(efd.resumo.documentos.notas, 2);
+    // (1.040 - 124,80) da NF-e + 10.000 da NFS-e
+    assert.equal(efd.resumo.baseCalculo, 10915.2);
+    assert.deepEqual(registro(efd.linhas, '0110')[0], ['1', '1', '1', '']);
+    // Crédito sobre 965,20: 1.000 + 50 - 10 + IPI 50 - ICMS 124,80
+    assert.equal(registro(efd.linhas, 'M105')[0][2], '965,20');
+  });
+
+  it('retenções na fonte descontam a contribuição devida', () => {
+    const { PIS, COFINS } = gerar('REAL').resumo.apuracao;
+    // PIS: 10.915,20 x 1,65% = 180,10 - crédito 15,93 - retido 65,00
+    assert.equal(PIS.contribuicao, 180.1);
+    assert.equal(PIS.credito, 15.93);
+    assert.equal(PIS.retencao, 65);
+    assert.equal(PIS.aRecolher, 99.17);
+    assert.equal(COFINS.retencao, 300);
+  });
+
+  it('0200 sem a coluna CEST e IND_PGTO 9 para nota sem pagamento', () => {
+    const efd = gerar('REAL');
+    for (const campos of registro(efd.linhas, '0200')) assert.equal(campos.length, 11);
+    const [venda] = registro(efd.linhas, 'C100');
+    assert.equal(venda[11], '0');
+
+    documentos[0].documentData = { ...documentos[0].documentData, pagamentos: [] };
+    assert.equal(registro(gerar('REAL').linhas, 'C100')[0][11], '9');
+  });
+
+  it('Lucro Presumido: cumulativo, sem as notas de entrada', () => {
+    const efd = gerar('PRESUMIDO');
+    assert.deepEqual(efd.validacao.erros, []);
+    assert.deepEqual(registro(efd.linhas, '0110')[0], ['2', '', '1', '9']);
+    assert.equal(registro(efd.linhas, 'M105').length, 0);
+    assert.ok(efd.validacao.avisos.includes('1 nota(s) de entrada fora do arquivo: o regime cumulativo não tem créditos'));
+  });
+
+  it('Simples Nacional não entrega EFD-Contribuições', () => {
+    assert.throws(() => gerar('SIMPLES'), /Regime sem EFD-Contribuições: SIMPLES/);
+  });
+
+  it('a validação acusa base do bloco M diferente da dos documentos', () => {
+    const { linhas } = gerar('REAL');
+    const alteradas = linhas.map(linha => linha.startsWith('|M210|') ? linha.replace('|10915,20|', '|10000,00|') : linha);
+    assert.ok(validateEFDContribuicoes(alteradas).some(erro => erro.startsWith('M210.VL_BC_CONT')));
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyItemCredit, documentLedgerEntries, calculateICMSIPIApuracao } from '../../taxes/apuracaoICMSIPI.js';
+import { getDocumentDirection } from '../../taxes/apuracoes.js';
+
+const EMPRESA = '12345678000195';
+const FORNECEDOR = '11222333000181';
+
+function item(cfop, overrides = {}) {
+  return { numeroItem: '1', cfop, icms: { cst: '00', vICMS: 120 }, ipi: { vIPI: 50 }, ...overrides };
+}
+
+function nfe(emitente, destinatario, items, overrides = {}) {
+  return {
+    documentType: 'NFE',
+    ide: { tpNF: '1' },
+    emitente: { cnpj: emitente },
+    destinatario: { cnpj: destinatario },
+    items,
+    ...overrides
+  };
+}
+
+describe('getDocumentDirection', () => {
+  it('saída quando a empresa emite, entrada quando é a destinatária', () => {
+    assert.equal(getDocumentDirection(nfe(EMPRESA, FORNECEDOR, []), EMPRESA), 'saida');
+    assert.equal(getDocumentDirection(nfe(FORNECEDOR, EMPRESA, []), '12.345.678/0001-95'), 'entrada');
+    assert.equal(getDocumentDirection(nfe(FORNECEDOR, '99888777000166', []), EMPRESA), null);
+    assert.equal(getDocumentDirection(nfe(EMPRESA, FORNECEDOR, []), null), null);
+  });
+
+  it('NF-e de entrada (tpNF 0) inverte a direção', () => {
+    assert.equal(getDocumentDirection(nfe(EMPRESA, FORNECEDOR, [], { ide: { tpNF: '0' } }), EMPRESA), 'entrada');
+  });
+
+  it('CT-e: entrada só para o tomador, não para o destinatário da carga', () => {
+    const cte = {
+      documentType: 'CTE',
+      emitente: { cnpj: '55666777000188' },
+      destinatario: { cnpj: EMPRESA },
+      tomador: { papel: 'remetente', cnpj: FORNECEDOR }
+    };
+    assert.equal(getDocumentDirection(cte, EMPRESA), null);
+    assert.equal(getDocumentDirection(cte, FORNECEDOR), 'entrada');
+  });
+});
+
+describe('classifyItemCredit', () => {
+  it('compra para revenda credita o ICMS; IPI só na indústria', () => {
+    assert.deepEqual(classifyItemCredit(item('5102')), { cfopEntrada: '1102', ICMS: 120, IPI: 0, semCredito: null, motivo: null });
+    assert.equal(classifyItemCredit(item('5101'), { atividade: 'INDUSTRIA' }).IPI, 50);
+  });
+
+  it('uso e consumo sem crédito, com o motivo', () => {
+    const credito = classifyItemCredit(item('1556'));
+    assert.equal(credito.ICMS, 0);
+    assert.deepEqual(credito.semCredito, { ICMS: 120, IPI: 50 });
+    assert.match(credito.motivo, /Uso e consumo/);
+  });
+
+  it('Simples Nacional credita o vCredICMSSN', () => {
+    assert.equal(classifyItemCredit(item('5102', { icms: { csosn: '101', vCredICMSSN: 15 } })).ICMS, 15);
+  });
+});
+
+describe('documentLedgerEntries', () => {
+  it('saída própria debita o ICMS/IPI dos totais', () => {
+    const saida = nfe(EMPRESA, FORNECEDOR, [item('5102')], { totais: { vICMS: 120, vIPI: 50 } });
+    const lancamentos = documentLedgerEntries(saida, { direcao: 'saida', cnpj: EMPRESA });
+    assert.deepEqual(lancamentos.ICMS, { debito: 120, credito: 0 });
+    assert.deepEqual(lancamentos.IPI, { debito: 50, credito: 0 });
+  });
+
+  it('entrada credita por item e lista o que ficou sem crédito', () => {
+    const entrada = nfe(FORNECEDOR, EMPRESA, [item('5102'), item('5556', { numeroItem: '2' })]);
+    const lancamentos = documentLedgerEntries(entrada, { direcao: 'entrada', cnpj: EMPRESA });
+    assert.equal(lancamentos.ICMS.credito, 120);
+    assert.deepEqual(lancamentos.semCredito.map(s => s.numeroItem), ['2']);
+  });
+
+  it('frete: crédito só para o tomador do CT-e', () => {
+    const cte = { documentType: 'CTE', emitente: { cnpj: '55666777000188' }, tomador: { cnpj: FORNECEDOR }, icms: { vICMS: 70 } };
+    assert.equal(documentLedgerEntries(cte, { direcao: 'entrada', cnpj: FORNECEDOR }).ICMS.credito, 70);
+    assert.equal(documentLedgerEntries(cte, { direcao: 'entrada', cnpj: EMPRESA }).observacao, 'Frete tomado por outro participante: sem crédito');
+  });
+});
+
+describe('calculateICMSIPIApuracao', () => {
+  it('débitos e ajustes menos créditos e saldo anterior; o excesso vira saldo credor', () => {
+    const apuracao = calculateICMSIPIApuracao({
+      debitos: { ICMS: 1000, IPI: 100 },
+      creditos: { ICMS: 400, IPI: 150 },
+      ajustes: [{ tributo: 'ICMS', tipo: 'CREDITO', valor: 100 }, { tributo: 'ICMS', tipo: 'DEBITO', valor: 20 }],
+      saldoAnterior: { ICMS: 50 }
+    });
+    assert.equal(apuracao.ICMS.aRecolher, 470);
+    assert.equal(apuracao.ICMS.saldoCredor, 0);
+    assert.equal(apuracao.IPI.aRecolher, 0);
+    assert.equal(apuracao.IPI.saldoCredor, 50);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileDeclaredTaxes } from '../../taxes/conciliacao.js';
+
+// NF-e com um item: 1.000 + 50 de frete, ICMS 12% sobre 1.050
+function nfe(icms = {}) {
+  return {
+    documentType: 'NFE',
+    chaveAcesso: '35240512345678000195550010000012341000012344',
+    items: [{
+      numeroItem: '1',
+      valorTotal: 1000,
+      valorFrete: 50,
+      icms: { cst: '00', vBC: 1050, pICMS: 12, vICMS: 126, ...icms },
+      pis: { cst: '01', vBC: 924, aliquota: 1.65, valor: 15.25 },
+      cofins: { cst: '01', vBC: 924, aliquota: 7.6, valor: 70.22 }
+    }],
+    totais: { vICMS: icms.vICMS ?? 126, vPIS: 15.25, vCOFINS: 70.22 }
+  };
+}
+
+// Resultado de calculateTaxesWithRules para o item acima
+function calculo({ baseCalculo = 1050, aliquota = 12, details = {} } = {}) {
+  const valorICMS = Math.round(baseCalculo * aliquota) / 100;
+  return {
+    taxes: { ICMS: valorICMS },
+    details: { icms: { itens: [{ numeroItem: '1', baseCalculo, aliquota, valorICMS, fcp: 0, valorFCP: 0 }] }, ...details }
+  };
+}
+
+describe('reconcileDeclaredTaxes: NF-e', () => {
+  it('confere quando declarado e calculado batem', () => {
+    const conciliacao = reconcileDeclaredTaxes(nfe(), calculo());
+    assert.equal(conciliacao.status, 'CONFERE');
+    assert.deepEqual(conciliacao.divergencias, []);
+    assert.equal(conciliacao.totais[0].tributo, 'ICMS');
+  });
+
+  it('alíquota diferente da tabela', () => {
+    const conciliacao = reconcileDeclaredTaxes(nfe(), calculo({ aliquota: 18 }));
+    assert.equal(conciliacao.status, 'DIVERGENTE');
+    const [divergencia] = conciliacao.divergencias;
+    assert.equal(divergencia.numeroItem, '1');
+    assert.deepEqual(divergencia.motivos.map(m => m.tipo), ['ALIQUOTA']);
+    assert.equal(divergencia.diferenca, -63);
+  });
+
+  it('diferença de base explicada pelo frete', () => {
+    const [divergencia] = reconcileDeclaredTaxes(nfe(), calculo({ baseCalculo: 1000 })).divergencias;
+    assert.equal(divergencia.motivos[0].tipo, 'BASE');
+    assert.match(divergencia.motivos[0].descricao, /a base declarada inclui frete/);
+  });
+
+  it('CST sem débito com ICMS destacado', () => {
+    const [divergencia] = reconcileDeclaredTaxes(nfe({ cst: '40' }), calculo({ baseCalculo: 0 })).divergencias;
+    assert.deepEqual(divergencia.motivos, [{ tipo: 'CST', descricao: 'CST 40 não gera débito, mas há R$ 126.00 destacado' }]);
+  });
+
+  it('total declarado que não fecha com a soma dos itens', () => {
+    const documento = nfe();
+    documento.totais.vICMS = 130;
+    const conciliacao = reconcileDeclaredTaxes(documento, calculo());
+    const [total] = conciliacao.divergencias;
+    assert.equal(total.numeroItem, null);
+    assert.equal(total.motivos[0].tipo, 'TOTAL');
+  });
+
+  it('sem PIS/COFINS no cálculo, não confere e repete o motivo', () => {
+    const observacao = 'PIS/COFINS não calculados: o CNPJ da empresa não é o emitente do documento';
+    const conciliacao = reconcileDeclaredTaxes(nfe(), calculo({ details: { pisCofins: { observacao } } }));
+    assert.deepEqual(conciliacao.totais.map(total => total.tributo), ['ICMS']);
+    assert.deepEqual(conciliacao.observacoes, [observacao]);
+  });
+
+  it('PIS/COFINS da venda no Lucro Real, sobre a receita sem o ICMS', () => {
+    // (1.050 - 126) x 1,65% = 15,25; x 7,6% = 70,22
+    const calculado = calculo({ details: { pisCofins: { regime: 'REAL', aliquotaPIS: 1.65, aliquotaCOFINS: 7.6 } } });
+    calculado.taxes.PIS = 15.25;
+    calculado.taxes.COFINS = 70.22;
+    const conciliacao = reconcileDeclaredTaxes(nfe(), calculado);
+    assert.equal(conciliacao.status, 'CONFERE');
+    assert.deepEqual(conciliacao.totais.map(total => total.tributo), ['ICMS', 'PIS', 'COFINS']);
+  });
+});
+
+describe('reconcileDeclaredTaxes: NFS-e e documentos sem valores declarados', () => {
+  it('ISS com a alíquota da tabela do município', () => {
+    const conciliacao = reconcileDeclaredTaxes(
+      { documentType: 'NFSE', valores: { baseCalculo: 1000, aliquotaISS: 2, valorISS: 20 } },
+      {
+        baseValue: 1000,
+        taxes: { ISS: 50 },
+        details: { aliquotaISS: 5, fonteAliquotaISS: 'TABELA', municipioIncidencia: { nome: 'São Paulo' } }
+      }
+    );
+    const [divergencia] = conciliacao.divergencias;
+    assert.equal(divergencia.tributo, 'ISS');
+    assert.equal(divergencia.motivos[0].descricao, 'alíquota declarada 2% x 5% (tabela de São Paulo)');
+  });
+
+  it('documento extraído por OCR não tem conciliação', () => {
+    assert.equal(reconcileDeclaredTaxes({ documentType: 'NFE', totalValue: 100 }, calculo()), null);
+    assert.equal(reconcileDeclaredTaxes({ documentType: 'NFSE' }, calculo()), null);
+  });
+});
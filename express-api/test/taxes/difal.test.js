@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateDIFAL, isDIFALOperation } from '../../taxes/difal.js';
+
+// Data fixa: as alíquotas internas mudam com o tempo
+const data = new Date('2025-05-01T12:00:00Z');
+
+describe('isDIFALOperation', () => {
+  it('interestadual para não contribuinte', () => {
+    assert.equal(isDIFALOperation({ ide: { idDest: '2' }, destinatario: { indIEDest: '9' } }), true);
+    assert.equal(isDIFALOperation({ ide: { idDest: '2' }, destinatario: { indIEDest: '1' } }), false);
+    assert.equal(isDIFALOperation({ ide: { idDest: '1' }, destinatario: { indIEDest: '9' } }), false);
+  });
+});
+
+describe('calculateDIFAL', () => {
+  it('base única: (interna - interestadual) x base, mais o FCP do destino', () => {
+    // RJ: 20% + FCP 2%
+    const resultado = calculateDIFAL({ baseCalculo: 1000, aliquotaInterestadual: 12, ufDestino: 'RJ', data });
+    assert.equal(resultado.metodo, 'UNICA');
+    assert.equal(resultado.baseCalculo, 1000);
+    assert.equal(resultado.difal, 80);
+    assert.equal(resultado.fcp, 20);
+  });
+
+  it('base dupla: ICMS de origem sai da base e o DIFAL é calculado por dentro', () => {
+    // MG 18%: base = (1000 - 120) / 0,82 = 1073,17; DIFAL = 1073,17 x 18% - 120
+    const resultado = calculateDIFAL({ baseCalculo: 1000, aliquotaInterestadual: 12, ufDestino: 'MG', data });
+    assert.equal(resultado.metodo, 'DUPLA');
+    assert.equal(resultado.baseCalculo, 1073.17);
+    assert.equal(resultado.difal, 73.17);
+    assert.equal(resultado.fcp, 0);
+  });
+
+  it('alíquota interna abaixo da interestadual não gera DIFAL', () => {
+    const resultado = calculateDIFAL({ baseCalculo: 1000, aliquotaInterestadual: 25, ufDestino: 'RJ', data });
+    assert.equal(resultado.difal, 0);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { adjustMVA, findSTSegment, calculateICMSST } from '../../taxes/icmsST.js';
+
+// NF-e de autopeças (segmento 01, MVA 71,78%) de SP para um contribuinte em `ufDestino`
+function autopecas(ufDestino, cst, valorTotal = 1000) {
+  return {
+    dataEmissao: '2025-05-10T10:00:00-03:00',
+    ide: { idDest: ufDestino === 'SP' ? '1' : '2' },
+    emitente: { endereco: { UF: 'SP' } },
+    destinatario: { indIEDest: '1', endereco: { UF: ufDestino } },
+    items: [{ numeroItem: '1', ncm: '87089990', cest: '0107500', valorTotal, icms: { cst, origem: '0' } }]
+  };
+}
+
+describe('adjustMVA', () => {
+  it('[(1 + MVA) x (1 - ALQ inter) / (1 - ALQ intra)] - 1', () => {
+    assert.equal(adjustMVA(71.78, 12, 18), 84.35);
+    assert.equal(adjustMVA(42, 7, 18), 61.05);
+  });
+
+  it('mantém a MVA original quando a interna não supera a interestadual', () => {
+    assert.equal(adjustMVA(40, 18, 18), 40);
+    assert.equal(adjustMVA(40, 12, 7), 40);
+  });
+});
+
+describe('findSTSegment', () => {
+  it('pelo CEST e, sem ele, pelo NCM', () => {
+    assert.equal(findSTSegment('87089990', '0107500').segmento, '01');
+    assert.equal(findSTSegment('40111000').segmento, '16');
+    assert.equal(findSTSegment('84713012'), null);
+  });
+});
+
+describe('calculateICMSST', () => {
+  it('interna: base ST com MVA original, menos o ICMS próprio', () => {
+    // 1000 x 1,7178 = 1717,80; 1717,80 x 18% - 180 = 129,20
+    const resultado = calculateICMSST(autopecas('SP', '10'));
+    assert.equal(resultado.aplicavel, true);
+    assert.equal(resultado.itens[0].mva, 71.78);
+    assert.equal(resultado.itens[0].baseST, 1717.8);
+    assert.equal(resultado.icmsST, 129.2);
+    assert.deepEqual(resultado.retidoNaNota, { icmsST: 129.2, fcpST: 0 });
+  });
+
+  it('interestadual: MVA ajustada e ICMS próprio pela alíquota interestadual', () => {
+    // 1000 x 1,8435 = 1843,50; 1843,50 x 18% - 120 = 211,83
+    const resultado = calculateICMSST(autopecas('MG', '10'));
+    assert.equal(resultado.itens[0].mva, 84.35);
+    assert.equal(resultado.itens[0].aliquotaPropria, 12);
+    assert.equal(resultado.itens[0].icmsProprio, 120);
+    assert.equal(resultado.icmsST, 211.83);
+  });
+
+  it('ST já retido anteriormente (CST 60, CSOSN 500) não é calculado de novo', () => {
+    assert.equal(calculateICMSST(autopecas('MG', '60')).aplicavel, false);
+    assert.equal(calculateICMSST(autopecas('MG', '500')).aplicavel, false);
+  });
+
+  it('só soma em retidoNaNota o ST retido pela própria nota', () => {
+    const resultado = calculateICMSST(autopecas('MG', '90'));
+    assert.equal(resultado.icmsST, 211.83);
+    assert.deepEqual(resultado.retidoNaNota, { icmsST: 0, fcpST: 0 });
+  });
+
+  it('venda a não contribuinte não tem ST', () => {
+    const documento = autopecas('MG', '10');
+    documento.destinatario.indIEDest = '9';
+    assert.equal(calculateICMSST(documento).aplicavel, false);
+  });
+});
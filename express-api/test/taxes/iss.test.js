@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  describeServiceItem,
+  findMunicipality,
+  getISSRate,
+  resolveISSIncidence,
+  resolveISSWithholding,
+  calculateISS,
+  checkISS
+} from '../../taxes/iss.js';
+
+const SAO_PAULO = '3550308';
+const BARUERI = '3505708';
+const RIO = '3304557';
+
+// NFS-e ABRASF de consultoria (17.01) prestada em São Paulo a uma empresa do Rio
+function nfse(overrides = {}) {
+  return {
+    documentType: 'NFSE',
+    layout: 'ABRASF',
+    competencia: '2024-05-01',
+    prestador: { cnpj: '12345678000195', endereco: { codigoMunicipio: SAO_PAULO }, optanteSimplesNacional: false },
+    tomador: { cnpj: '99888777000166', endereco: { codigoMunicipio: RIO } },
+    servico: { itemListaServico: '17.01', codigoMunicipioPrestacao: SAO_PAULO, exigibilidadeISS: '1' },
+    municipioIncidencia: { codigo: SAO_PAULO },
+    valores: { valorServicos: 10000, deducoes: 0, descontoIncondicionado: 0, aliquotaISS: 5, valorISS: 500, issRetido: false },
+    state: 'SP',
+    municipality: SAO_PAULO,
+    ...overrides
+  };
+}
+
+describe('lista de serviços e tabelas municipais', () => {
+  it('subitem da LC 116 com ou sem zero à esquerda', () => {
+    assert.equal(describeServiceItem('17.01').item, '17');
+    assert.equal(describeServiceItem('0107').subitem, '1.07');
+    assert.equal(describeServiceItem('1.99'), null);
+  });
+
+  it('município pelo código IBGE ou pelo nome sem acentos', () => {
+    assert.equal(findMunicipality(SAO_PAULO).nome, 'São Paulo');
+    assert.equal(findMunicipality('sao paulo', 'SP').codigo, SAO_PAULO);
+    assert.equal(findMunicipality('sao paulo', 'RJ'), null);
+  });
+});
+
+describe('getISSRate', () => {
+  it('alíquota do subitem pela vigência da data', () => {
+    assert.equal(getISSRate(SAO_PAULO, '1.01', { data: '2017-06-01' }).aliquota, 5);
+    const taxa = getISSRate(SAO_PAULO, '1.01', { data: '2024-05-01' });
+    assert.equal(taxa.aliquota, 2.9);
+    assert.equal(taxa.fonte, 'TABELA');
+    assert.equal(taxa.vigencia, '2018-01-01');
+  });
+
+  it('sem item na tabela vale a alíquota padrão do município', () => {
+    assert.equal(getISSRate(SAO_PAULO, '17.01', { data: '2024-05-01' }).fonte, 'PADRAO_MUNICIPIO');
+  });
+
+  it('município sem tabela: alíquota declarada ou o máximo de 5%', () => {
+    assert.deepEqual(getISSRate(RIO, '17.01', { aliquotaDeclarada: 3 }), { aliquota: 3, fonte: 'DECLARADA', municipio: null });
+    assert.equal(getISSRate(RIO, '17.01').fonte, 'MAXIMA');
+  });
+});
+
+describe('local de incidência e retenção', () => {
+  it('estabelecimento do prestador, salvo as exceções do art. 3º', () => {
+    const municipios = { municipioPrestador: SAO_PAULO, municipioTomador: RIO, municipioExecucao: BARUERI };
+    assert.equal(resolveISSIncidence({ itemListaServico: '17.01', ...municipios }).regra, 'PRESTADOR');
+    assert.equal(resolveISSIncidence({ itemListaServico: '7.02', ...municipios }).municipio, BARUERI);
+    assert.equal(resolveISSIncidence({ itemListaServico: '17.05', ...municipios }).municipio, RIO);
+  });
+
+  it('retenção pela LC 116 ou pela lei do município; nunca por pessoa física', () => {
+    assert.equal(resolveISSWithholding({ itemListaServico: '7.02', tomador: { cnpj: '1' } }).devida, true);
+    assert.match(resolveISSWithholding({ itemListaServico: '17.02', tomador: { cnpj: '1' }, municipioIncidencia: SAO_PAULO }).motivo, /prevista em São Paulo/);
+    assert.equal(resolveISSWithholding({ itemListaServico: '7.02', tomador: { cpf: '1' } }).devida, false);
+  });
+});
+
+describe('calculateISS e checkISS', () => {
+  it('ISS da NFS-e com o nome do município pela tabela, mesmo sem ele no XML', () => {
+    const calculo = calculateISS(nfse());
+    assert.equal(calculo.baseCalculo, 10000);
+    assert.equal(calculo.aliquota, 5);
+    assert.equal(calculo.valorISS, 500);
+    assert.deepEqual(
+      { codigo: calculo.municipioIncidencia.codigo, nome: calculo.municipioIncidencia.nome },
+      { codigo: SAO_PAULO, nome: 'São Paulo' }
+    );
+  });
+
+  it('município sem tabela e sem nome no XML fica sem nome, não com o código', () => {
+    const calculo = calculateISS(nfse({
+      prestador: { cnpj: '12345678000195', endereco: { codigoMunicipio: RIO } },
+      municipioIncidencia: { codigo: RIO },
+      municipality: RIO
+    }));
+    assert.equal(calculo.municipioIncidencia.codigo, RIO);
+    assert.equal(calculo.municipioIncidencia.nome, null);
+  });
+
+  it('ISS não exigível (exportação) fica zerado com o motivo', () => {
+    const documento = nfse();
+    documento.servico = { ...documento.servico, exigibilidadeISS: '4' };
+    const calculo = calculateISS(documento);
+    assert.equal(calculo.valorISS, 0);
+    assert.equal(calculo.observacao, 'Exportação de serviço');
+  });
+
+  it('aponta alíquota abaixo do mínimo', () => {
+    const { issues } = checkISS(nfse({ valores: { ...nfse().valores, aliquotaISS: 1.5 } }));
+    assert.deepEqual(issues, ['Alíquota de ISS declarada (1.5%) abaixo do mínimo de 2% (LC 116, art. 8º-A)']);
+  });
+
+  it('obra (7.02): devido no local da execução e retido pelo tomador', () => {
+    const documento = nfse({ municipioIncidencia: { codigo: RIO } });
+    documento.servico = { ...documento.servico, itemListaServico: '7.02', codigoMunicipioPrestacao: BARUERI };
+    const { issues } = checkISS(documento);
+    assert.ok(issues.some(issue => issue.startsWith(`ISS informado como devido ao município ${RIO}`)));
+    assert.ok(issues.some(issue => issue.endsWith('mas a NFS-e não indica ISS retido')));
+  });
+});
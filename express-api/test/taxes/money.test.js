@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ARREDONDAMENTO,
+  roundingFor,
+  toCentavos,
+  money,
+  sumMoney,
+  subtractMoney,
+  applyRate,
+  divideMoney,
+  allocateMoney
+} from '../../taxes/money.js';
+
+describe('applyRate', () => {
+  it('ABNT NBR 5891 leva a metade exata para o centavo par', () => {
+    // 0,25 x 10% = 2,5 centavos; 0,35 x 10% = 3,5 centavos
+    assert.equal(applyRate(0.25, 10, ARREDONDAMENTO.ABNT), 0.02);
+    assert.equal(applyRate(0.35, 10, ARREDONDAMENTO.ABNT), 0.04);
+  });
+
+  it('meio para cima arredonda a metade exata para cima', () => {
+    assert.equal(applyRate(0.25, 10, ARREDONDAMENTO.MEIO_PARA_CIMA), 0.03);
+    assert.equal(applyRate(0.35, 10, ARREDONDAMENTO.MEIO_PARA_CIMA), 0.04);
+  });
+
+  it('fora da metade exata as duas regras coincidem', () => {
+    assert.equal(applyRate(0.26, 10, ARREDONDAMENTO.ABNT), 0.03);
+    assert.equal(applyRate(0.26, 10, ARREDONDAMENTO.MEIO_PARA_CIMA), 0.03);
+    assert.equal(applyRate(0.24, 10, ARREDONDAMENTO.ABNT), 0.02);
+  });
+
+  it('truncar descarta a fração do centavo', () => {
+    assert.equal(applyRate(0.29, 10, ARREDONDAMENTO.TRUNCAR), 0.02);
+  });
+
+  it('usa a alíquota decimal exata, sem ruído binário', () => {
+    assert.equal(applyRate(1000, 7.6), 76);
+    assert.equal(applyRate(333.33, 18, ARREDONDAMENTO.ABNT), 60);
+  });
+});
+
+describe('roundingFor', () => {
+  it('ABNT para os tributos destacados em NF-e, meio para cima para os demais', () => {
+    for (const tributo of ['ICMS', 'FCP', 'ICMS_ST', 'DIFAL', 'IPI', 'PIS', 'COFINS']) {
+      assert.equal(roundingFor(tributo), ARREDONDAMENTO.ABNT);
+    }
+    for (const tributo of ['ISS', 'DAS', 'IRPJ', 'CBS']) {
+      assert.equal(roundingFor(tributo), ARREDONDAMENTO.MEIO_PARA_CIMA);
+    }
+  });
+});
+
+describe('conversão e soma em centavos', () => {
+  it('arredonda meio centavo pela regra informada', () => {
+    assert.equal(toCentavos('0.005', ARREDONDAMENTO.ABNT), 0);
+    assert.equal(toCentavos('0.015', ARREDONDAMENTO.ABNT), 2);
+    assert.equal(toCentavos('0.005'), 1);
+    assert.equal(money('10.125'), 10.13);
+  });
+
+  it('soma e subtrai sem erro de ponto flutuante', () => {
+    assert.equal(sumMoney(0.1, 0.2), 0.3);
+    assert.equal(sumMoney([100, 84.35], null), 184.35);
+    assert.equal(subtractMoney(1, 0.9), 0.1);
+  });
+
+  it('rejeita valores não numéricos', () => {
+    assert.throws(() => toCentavos('12,50'), /Valor numérico inválido/);
+  });
+});
+
+describe('divideMoney e allocateMoney', () => {
+  it('divide com arredondamento e rejeita divisor zero', () => {
+    assert.equal(divideMoney(100, 3), 33.33);
+    assert.equal(divideMoney(880, 0.82, ARREDONDAMENTO.ABNT), 1073.17);
+    assert.throws(() => divideMoney(100, 0), /Divisão monetária por zero/);
+  });
+
+  it('rateia sem sobra nem falta', () => {
+    const partes = allocateMoney(0.1, [1, 1, 1]);
+    assert.deepEqual(partes, [0.04, 0.03, 0.03]);
+    assert.equal(sumMoney(allocateMoney(100, [33.33, 33.33, 33.34])), 100);
+  });
+});
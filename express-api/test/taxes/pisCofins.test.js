@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolveBaseCredito,
+  classifyPisCofinsCredit,
+  calculatePisCofinsCredits,
+  calculatePisCofinsDebitBase,
+  calculateNonCumulativeApuracao
+} from '../../taxes/pisCofins.js';
+
+// Item de NF-e de fornecedor: 1.000 + 50 de frete - 10 de desconto, IPI 50 e ICMS 124,80
+const item = {
+  numeroItem: '1',
+  cfop: '6102',
+  valorTotal: 1000,
+  valorFrete: 50,
+  valorDesconto: 10,
+  ipi: { vIPI: 50 },
+  icms: { vICMS: 124.8 },
+  pis: { cst: '01' },
+  cofins: { cst: '01' }
+};
+
+describe('resolveBaseCredito', () => {
+  it('venda do fornecedor vira revenda no comércio e insumo na indústria', () => {
+    assert.equal(resolveBaseCredito('6102', 'COMERCIO'), '01');
+    assert.equal(resolveBaseCredito('5101', 'INDUSTRIA'), '02');
+  });
+
+  it('CFOP de entrada e de energia pela tabela; remessa sem base', () => {
+    assert.equal(resolveBaseCredito('1102'), '01');
+    assert.equal(resolveBaseCredito('5253'), '04');
+    assert.equal(resolveBaseCredito('5910'), null);
+  });
+});
+
+describe('classifyPisCofinsCredit', () => {
+  it('comércio: IPI na base e, desde 30/05/2023, sem o ICMS destacado', () => {
+    // 1.000 + 50 - 10 + 50 de IPI - 124,80 = 965,20
+    const credito = classifyPisCofinsCredit(item, { dataEmissao: '2024-05-10', atividade: 'COMERCIO' });
+    assert.equal(credito.temCredito, true);
+    assert.equal(credito.cstEntrada, '50');
+    assert.equal(credito.baseCalculo, 965.2);
+    assert.equal(credito.PIS, 15.93);
+    assert.equal(credito.COFINS, 73.36);
+  });
+
+  it('indústria recupera o IPI; antes de 30/05/2023 o ICMS fica na base', () => {
+    const credito = classifyPisCofinsCredit(item, { dataEmissao: '2023-01-10', atividade: 'INDUSTRIA' });
+    assert.equal(credito.baseCredito, '02');
+    assert.equal(credito.baseCalculo, 1040);
+    assert.equal(credito.PIS, 17.16);
+    assert.equal(credito.COFINS, 79.04);
+  });
+
+  it('monofásico e remessa não geram crédito, com a CST de entrada e o motivo', () => {
+    const monofasico = classifyPisCofinsCredit({ ...item, pis: { cst: '04' } }, { dataEmissao: '2024-05-10' });
+    assert.equal(monofasico.temCredito, false);
+    assert.equal(monofasico.cstEntrada, '70');
+    assert.equal(monofasico.PIS, 0);
+
+    const remessa = classifyPisCofinsCredit({ ...item, cfop: '5910' }, { dataEmissao: '2024-05-10' });
+    assert.equal(remessa.cstEntrada, '98');
+    assert.match(remessa.motivo, /CFOP 5910 sem direito a crédito/);
+  });
+
+  it('créditos da nota somam os itens', () => {
+    const creditos = calculatePisCofinsCredits(
+      { dataEmissao: '2024-05-10', items: [item, { ...item, numeroItem: '2', cfop: '5910' }] },
+      { atividade: 'COMERCIO' }
+    );
+    assert.equal(creditos.itens.length, 2);
+    assert.equal(creditos.baseCalculo, 965.2);
+    assert.equal(creditos.PIS, 15.93);
+  });
+});
+
+describe('calculatePisCofinsDebitBase', () => {
+  it('receita sem IPI, ICMS-ST e ICMS destacado', () => {
+    assert.equal(calculatePisCofinsDebitBase({ totalValue: 1090, totais: { vNF: 1090, vIPI: 50, vST: 0, vICMS: 124.8 } }), 915.2);
+  });
+
+  it('sem os totais da NF-e (NFS-e, OCR) vale o valor do documento', () => {
+    assert.equal(calculatePisCofinsDebitBase({ totalValue: 300 }), 300);
+  });
+});
+
+describe('calculateNonCumulativeApuracao', () => {
+  it('crédito maior que o débito vira saldo credor; o saldo anterior abate o débito', () => {
+    const apuracao = calculateNonCumulativeApuracao({
+      debitos: { PIS: 100, COFINS: 460 },
+      creditos: { PIS: 150, COFINS: 300 },
+      saldoAnterior: { COFINS: 10 }
+    });
+    assert.deepEqual(apuracao.PIS, { debito: 100, credito: 150, saldoAnterior: 0, aPagar: 0, saldoCredor: 50 });
+    assert.deepEqual(apuracao.COFINS, { debito: 460, credito: 300, saldoAnterior: 10, aPagar: 150, saldoCredor: 0 });
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateFederalWithholdings } from '../../taxes/retencoes.js';
+
+// NFS-e de R$ 10.000 a um tomador pessoa jurídica
+function nfse(itemListaServico, { retencoes = {}, prestador = {}, ...valores } = {}) {
+  return {
+    documentType: 'NFSE',
+    prestador: { cnpj: '12345678000195', optanteSimplesNacional: false, ...prestador },
+    tomador: { cnpj: '99888777000166' },
+    servico: { itemListaServico },
+    valores: { valorServicos: 10000, deducoes: 0, descontoIncondicionado: 0, retencoes, ...valores }
+  };
+}
+
+describe('calculateFederalWithholdings', () => {
+  it('serviço profissional: IRRF 1,5% e PIS/COFINS/CSLL 4,65%', () => {
+    const retencoes = calculateFederalWithholdings(nfse('17.01'));
+    assert.equal(retencoes.IRRF.valor, 150);
+    assert.equal(retencoes.PIS.valor, 65);
+    assert.equal(retencoes.COFINS.valor, 300);
+    assert.equal(retencoes.CSLL.valor, 100);
+    assert.equal(retencoes.INSS.valor, 0);
+    assert.equal(retencoes.total, 615);
+    assert.equal(retencoes.valorLiquido, 9385);
+  });
+
+  it('limpeza com cessão de mão de obra: IRRF 1% e INSS 11% sobre a base sem deduções', () => {
+    const retencoes = calculateFederalWithholdings(nfse('7.10', { deducoes: 2000 }));
+    assert.equal(retencoes.IRRF.aliquota, 1);
+    assert.equal(retencoes.IRRF.valor, 100);
+    assert.equal(retencoes.INSS.valor, 880);
+  });
+
+  it('INSS de 3,5% quando a nota declara a retenção da CPRB', () => {
+    const retencoes = calculateFederalWithholdings(nfse('7.02', { retencoes: { inss: 350 } }));
+    assert.equal(retencoes.INSS.aliquota, 3.5);
+    assert.equal(retencoes.INSS.motivo, 'Prestador na CPRB (desoneração da folha)');
+  });
+
+  it('prestador do Simples: sem IRRF e CSRF; INSS só no Anexo IV', () => {
+    const consultoria = calculateFederalWithholdings(nfse('17.01', { prestador: { optanteSimplesNacional: true } }));
+    assert.equal(consultoria.total, 0);
+    assert.equal(consultoria.IRRF.motivo, 'Prestador do Simples Nacional');
+
+    const obra = calculateFederalWithholdings(nfse('7.02', { prestador: { optanteSimplesNacional: true } }));
+    assert.equal(obra.INSS.valor, 1100);
+    const manutencao = calculateFederalWithholdings(nfse('7.12', { prestador: { optanteSimplesNacional: true } }));
+    assert.equal(manutencao.INSS.motivo, 'Prestador do Simples fora do Anexo IV');
+  });
+
+  it('dispensa de valores até R$ 10,00', () => {
+    const retencoes = calculateFederalWithholdings(nfse('17.01', { valorServicos: 200 }));
+    // IRRF 3,00; PIS/COFINS/CSLL somados 9,30
+    assert.equal(retencoes.IRRF.valor, 0);
+    assert.match(retencoes.IRRF.motivo, /retenção dispensada/);
+    assert.equal(retencoes.PIS.motivo, 'PIS/COFINS/CSLL somados até R$ 10,00');
+    assert.equal(retencoes.aplicavel, false);
+  });
+
+  it('tomador pessoa física não retém', () => {
+    const documento = nfse('17.01');
+    documento.tomador = { cpf: '12345678909' };
+    const retencoes = calculateFederalWithholdings(documento);
+    assert.equal(retencoes.total, 0);
+    assert.equal(retencoes.motivo, 'Tomador pessoa física ou sem CNPJ: sem retenções federais');
+  });
+
+  it('compara com as retenções declaradas e desconta o ISS retido do líquido', () => {
+    const documento = nfse('17.01', {
+      retencoes: { irrf: 100, pis: 65, cofins: 300, csll: 100 },
+      valorLiquido: 8885
+    });
+    const retencoes = calculateFederalWithholdings(documento, { iss: { valorISS: 500, retencao: { devida: true } } });
+    assert.equal(retencoes.issRetido, 500);
+    assert.equal(retencoes.valorLiquido, 8885);
+    assert.deepEqual(retencoes.divergencias, ['IRRF retido: declarado R$ 100.00 x devido R$ 150.00']);
+  });
+});
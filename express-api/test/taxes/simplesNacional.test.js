@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateEffectiveRate,
+  calculateRBT12,
+  calculateDAS,
+  splitRevenueByAnexo,
+  documentRevenue
+} from '../../taxes/simplesNacional.js';
+
+describe('calculateEffectiveRate', () => {
+  it('faixa pelo RBT12, com o limite superior incluído na faixa', () => {
+    assert.equal(calculateEffectiveRate('I', 180000).faixa, 1);
+    assert.equal(calculateEffectiveRate('I', 180000.01).faixa, 2);
+    assert.equal(calculateEffectiveRate('I', 4800000).faixa, 6);
+  });
+
+  it('alíquota efetiva = (RBT12 x nominal - parcela a deduzir) / RBT12', () => {
+    // Anexo I, 3ª faixa: (500.000 x 9,5% - 13.860) / 500.000 = 6,728%
+    assert.equal(Number(calculateEffectiveRate('I', 500000).aliquotaEfetiva.toFixed(4)), 6.728);
+    // Anexo III, 4ª faixa: (1.000.000 x 16% - 35.640) / 1.000.000 = 12,436%
+    assert.equal(Number(calculateEffectiveRate('III', 1000000).aliquotaEfetiva.toFixed(4)), 12.436);
+  });
+
+  it('sem receita nos 12 meses anteriores vale a nominal da 1ª faixa', () => {
+    assert.equal(calculateEffectiveRate('I', 0).aliquotaEfetiva, 4);
+    assert.equal(calculateEffectiveRate('V', 0).aliquotaEfetiva, 15.5);
+  });
+
+  it('rejeita RBT12 acima do limite e anexo inválido', () => {
+    assert.throws(() => calculateEffectiveRate('I', 4800000.01), /acima do limite do Simples Nacional/);
+    assert.throws(() => calculateEffectiveRate('VI', 100000), /Anexo do Simples Nacional inválido/);
+  });
+});
+
+describe('calculateRBT12', () => {
+  it('soma os 12 meses ou anualiza a média com menos histórico', () => {
+    assert.deepEqual(calculateRBT12(new Array(12).fill(10000)), { rbt12: 120000, proporcional: false });
+    assert.deepEqual(calculateRBT12([10000, 20000], { mesesComHistorico: 2 }), { rbt12: 180000, proporcional: true });
+  });
+});
+
+describe('calculateDAS', () => {
+  it('partilha por tributo fecha com o total do DAS', () => {
+    const das = calculateDAS({ receitas: { I: 10000 }, rbt12: 500000 });
+    assert.equal(das.total, 672.8);
+    assert.equal(das.anexos[0].faixa, 3);
+    assert.equal(das.partilha.ICMS, 225.39);
+  });
+
+  it('Anexo V vai para o III com Fator R a partir de 28%', () => {
+    const das = calculateDAS({ receitas: { V: 10000 }, rbt12: 100000, folhaSalarios12: 28000, anexoServicos: 'V' });
+    assert.equal(das.anexos[0].anexo, 'III');
+    assert.equal(das.total, 600);
+  });
+});
+
+describe('receita por anexo', () => {
+  const nfe = {
+    documentType: 'NFE',
+    totalValue: 1100,
+    items: [
+      { valorTotal: 1000, valorDesconto: 50, cfop: '5102' },
+      { valorTotal: 200, cfop: '5101' }
+    ]
+  };
+
+  it('revenda no Anexo I, produção própria no II, itens menos descontos', () => {
+    assert.deepEqual(splitRevenueByAnexo(nfe), { I: 950, II: 200 });
+    assert.equal(documentRevenue(nfe), 1150);
+  });
+
+  it('NFS-e no anexo de serviços configurado', () => {
+    assert.deepEqual(splitRevenueByAnexo({ documentType: 'NFSE', totalValue: 300 }, 'V'), { V: 300 });
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateDigitoVerificador, decodeChaveAcesso, validateChaveAcesso } from '../../validators/chaveAcesso.js';
+
+const CHAVE = '35240512345678000195550010000012341000012344';
+
+// Campos do XML que a chave acima codifica
+function documento(overrides = {}) {
+  return {
+    chaveAcesso: CHAVE,
+    chaveInfId: CHAVE,
+    modelo: '55',
+    serie: '1',
+    numero: '1234',
+    dataEmissao: '2024-05-10T10:00:00-03:00',
+    ide: { cUF: '35', tpEmis: '1', cNF: '00001234', cDV: '4' },
+    emitente: { cnpj: '12345678000195', endereco: { UF: 'SP' } },
+    ...overrides
+  };
+}
+
+describe('calculateDigitoVerificador', () => {
+  it('módulo 11 com pesos 2 a 9 sobre as 43 primeiras posições', () => {
+    assert.equal(calculateDigitoVerificador(CHAVE.slice(0, 43)), 4);
+  });
+});
+
+describe('decodeChaveAcesso', () => {
+  it('decompõe UF, emissão, CNPJ, modelo, série e número', () => {
+    const chave = decodeChaveAcesso(CHAVE);
+    assert.equal(chave.uf, 'SP');
+    assert.equal(chave.ano, 2024);
+    assert.equal(chave.mes, 5);
+    assert.equal(chave.cnpj, '12345678000195');
+    assert.equal(chave.modelo, '55');
+    assert.equal(chave.serie, '001');
+    assert.equal(chave.numero, '000001234');
+    assert.equal(chave.digitoVerificador, 4);
+  });
+
+  it('recusa chave com dígito verificador errado', () => {
+    assert.throws(() => decodeChaveAcesso(`${CHAVE.slice(0, 43)}5`));
+  });
+});
+
+describe('validateChaveAcesso', () => {
+  it('válida quando cada campo confere com o XML', () => {
+    assert.deepEqual(validateChaveAcesso(documento()).issues, []);
+    assert.equal(validateChaveAcesso(documento()).valida, true);
+  });
+
+  it('aponta o campo que diverge do XML', () => {
+    const resultado = validateChaveAcesso(documento({ numero: '1235', modelo: '65' }));
+    assert.equal(resultado.valida, false);
+    assert.deepEqual(resultado.issues, [
+      'Chave de acesso não confere com o XML: modelo (chave: 55, XML: 65)',
+      'Chave de acesso não confere com o XML: número (chave: 1234, XML: 1235)'
+    ]);
+  });
+
+  it('chave malformada vira issue, sem exceção', () => {
+    const resultado = validateChaveAcesso(documento({ chaveAcesso: '123' }));
+    assert.equal(resultado.valida, false);
+    assert.equal(resultado.chave, null);
+    assert.equal(resultado.issues.length, 1);
+  });
+});
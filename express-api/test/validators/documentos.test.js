@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  InvalidTaxIdError,
+  validateCNPJOffline,
+  validateCPFOffline,
+  validateCNPJOrCPFOffline,
+  validateInscricaoEstadual
+} from '../../validators/documentos.js';
+
+describe('validateCNPJOffline', () => {
+  it('aceita CNPJ numérico com pontuação e devolve o número normalizado', () => {
+    assert.equal(validateCNPJOffline('11.222.333/0001-81'), '11222333000181');
+  });
+
+  it('aceita o CNPJ alfanumérico (letras valem ASCII - 48)', () => {
+    assert.equal(validateCNPJOffline('12.abc.345/01de-35'), '12ABC34501DE35');
+  });
+
+  it('diz por que o CNPJ é inválido', () => {
+    assert.throws(() => validateCNPJOffline('11222333000182'), /dígito verificador inválido/);
+    assert.throws(() => validateCNPJOffline('1122233300018'), /14 caracteres \(informado com 13\)/);
+    assert.throws(() => validateCNPJOffline('11111111111111'), /sequência repetida/);
+    assert.throws(() => validateCNPJOffline('12ABC34501DEAB'), InvalidTaxIdError);
+  });
+});
+
+describe('validateCPFOffline', () => {
+  it('aceita CPF válido e recusa dígito errado ou sequência repetida', () => {
+    assert.equal(validateCPFOffline('123.456.789-09'), '12345678909');
+    assert.throws(() => validateCPFOffline('123.456.789-08'), /dígito verificador inválido/);
+    assert.throws(() => validateCPFOffline('111.111.111-11'), /sequência repetida/);
+  });
+
+  it('CNPJ ou CPF pelo tamanho', () => {
+    assert.equal(validateCNPJOrCPFOffline('12345678909'), '12345678909');
+    assert.equal(validateCNPJOrCPFOffline('11222333000181'), '11222333000181');
+  });
+});
+
+describe('validateInscricaoEstadual', () => {
+  it('IE de SP, inclusive de produtor rural, e de MG', () => {
+    assert.equal(validateInscricaoEstadual('110.042.490.114', 'SP'), '110042490114');
+    assert.equal(validateInscricaoEstadual('P-01100424.3/002', 'SP'), 'P011004243002');
+    assert.equal(validateInscricaoEstadual('062.307.904/0081', 'mg'), '0623079040081');
+  });
+
+  it('ISENTO é aceito em qualquer UF', () => {
+    assert.equal(validateInscricaoEstadual('isento', 'RJ'), 'ISENTO');
+  });
+
+  it('recusa dígito errado, formato da UF e UF desconhecida', () => {
+    assert.throws(() => validateInscricaoEstadual('110042490115', 'SP'), /de SP com dígito verificador inválido/);
+    assert.throws(() => validateInscricaoEstadual('12345', 'SP'), /de SP deve ter 12 dígitos/);
+    assert.throws(() => validateInscricaoEstadual('123', 'XX'), /UF desconhecida/);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Validação e decodificação offline da chave de acesso (NF-e, NFC-e, CT-e).
+ *
+ * Layout dos 44 caracteres:
+ *   cUF(2) AAMM(4) CNPJ(14) mod(2) serie(3) nNF(9) tpEmis(1) cNF(8) cDV(1)
+ *
+ * A partir de 2026 o CNPJ pode ser alfanumérico; nesse caso as posições do
+ * CNPJ aceitam letras e entram no cálculo do DV pelo valor ASCII - 48.
+ */
+
+// Códigos IBGE das UFs
+export const UF_CODES = {
+  '11': 'RO', '12': 'AC', '13': 'AM', '14': 'RR', '15': 'PA', '16': 'AP', '17': 'TO',
+  '21': 'MA', '22': 'PI', '23': 'CE', '24': 'RN', '25': 'PB', '26': 'PE', '27': 'AL', '28': 'SE', '29': 'BA',
+  '31': 'MG', '32': 'ES', '33': 'RJ', '35': 'SP',
+  '41': 'PR', '42': 'SC', '43': 'RS',
+  '50': 'MS', '51': 'MT', '52': 'GO', '53': 'DF'
+};
+
+const CHAVE_REGEX = /^\d{6}[0-9A-Z]{12}\d{2}\d{24}$/;
+
+/**
+ * Calcula o dígito verificador (módulo 11, pesos 2 a 9 da direita para a esquerda)
+ */
+export function calculateDigitoVerificador(chave43) {
+  let sum = 0;
+  let weight = 2;
+
+  for (let i = chave43.length - 1; i >= 0; i--) {
+    sum += (chave43.charCodeAt(i) - 48) * weight;
+    weight = weight === 9 ? 2 : weight + 1;
+  }
+
+  const remainder = sum % 11;
+  return remainder < 2 ? 0 : 11 - remainder;
+}
+
+/**
+ * Decodifica a chave. Lança erro se o formato ou o dígito verificador forem inválidos.
+ */
+export function decodeChaveAcesso(chaveAcesso) {
+  const chave = String(chaveAcesso || '').replace(/\s/g, '').toUpperCase();
+
+  if (chave.length !== 44) {
+    throw new Error(`Chave de acesso deve ter 44 caracteres (recebida com ${chave.length})`);
+  }
+  if (!CHAVE_REGEX.test(chave)) {
+    throw new Error('Chave de acesso com caracteres inválidos');
+  }
+
+  const decoded = {
+    chave,
+    cUF: chave.slice(0, 2),
+    uf: UF_CODES[chave.slice(0, 2)],
+    ano: 2000 + parseInt(chave.slice(2, 4), 10),
+    mes: parseInt(chave.slice(4, 6), 10),
+    cnpj: chave.slice(6, 20),
+    modelo: chave.slice(20, 22),
+    serie: chave.slice(22, 25),
+    numero: chave.slice(25, 34),
+    tpEmis: chave.slice(34, 35),
+    codigoNumerico: chave.slice(35, 43),
+    digitoVerificador: parseInt(chave.slice(43), 10)
+  };
+
+  if (!decoded.uf) {
+    throw new Error(`Código de UF inválido na chave de acesso: ${decoded.cUF}`);
+  }
+  if (decoded.mes < 1 || decoded.mes > 12) {
+    throw new Error(`Mês de emissão inválido na chave de acesso: ${chave.slice(4, 6)}`);
+  }
+
+  const expectedDV = calculateDigitoVerificador(chave.slice(0, 43));
+  if (expectedDV !== decoded.digitoVerificador) {
+    throw new Error(`Dígito verificador da chave de acesso inválido (esperado ${expectedDV}, informado ${decoded.digitoVerificador})`);
+  }
+
+  return decoded;
+}
+
+/**
+ * Valida a chave do documento e confere cada campo com os dados do XML
+ * (emitente, modelo, série, número, data de emissão...).
+ *
+ * Retorna { valida, chave, issues } — issues é vazio quando tudo confere.
+ */
+export function validateChaveAcesso(documentData) {
+  let chave;
+  try {
+    chave = decodeChaveAcesso(documentData.chaveAcesso);
+  } catch (error) {
+    return { valida: false, chave: null, issues: [error.message] };
+  }
+
+  const issues = [];
+  const ide = documentData.ide || {};
+  const mismatch = (campo, valorChave, valorXML) => {
+    issues.push(`Chave de acesso não confere com o XML: ${campo} (chave: ${valorChave}, XML: ${valorXML})`);
+  };
+
+  // UF do emitente
+  if (ide.cUF && ide.cUF !== chave.cUF) {
+    mismatch('código da UF', chave.cUF, ide.cUF);
+  }
+  const ufEmitente = documentData.emitente?.endereco?.UF;
+  if (ufEmitente && ufEmitente !== chave.uf) {
+    mismatch('UF do emitente', chave.uf, ufEmitente);
+  }
+
+  // Ano/mês de emissão
+  if (documentData.dataEmissao) {
+    const [ano, mes] = documentData.dataEmissao.slice(0, 7).split('-').map(Number);
+    if (ano !== chave.ano || mes !== chave.mes) {
+      mismatch('ano/mês de emissão', `${String(chave.mes).padStart(2, '0')}/${chave.ano}`, `${String(mes).padStart(2, '0')}/${ano}`);
+    }
+  }
+
+  // CNPJ (ou CPF completado com zeros à esquerda)
+  const documentoEmitente = documentData.emitente?.cnpj || documentData.emitente?.cpf;
+  if (documentoEmitente && documentoEmitente.toUpperCase().padStart(14, '0') !== chave.cnpj) {
+    mismatch('CNPJ do emitente', chave.cnpj, documentoEmitente);
+  }
+
+  if (documentData.modelo && documentData.modelo !== chave.modelo) {
+    mismatch('modelo', chave.modelo, documentData.modelo);
+  }
+  if (documentData.serie !== undefined && parseInt(documentData.serie, 10) !== parseInt(chave.serie, 10)) {
+    mismatch('série', parseInt(chave.serie, 10), documentData.serie);
+  }
+  if (documentData.numero !== undefined && parseInt(documentData.numero, 10) !== parseInt(chave.numero, 10)) {
+    mismatch('número', parseInt(chave.numero, 10), documentData.numero);
+  }
+  if (ide.tpEmis && ide.tpEmis !== chave.tpEmis) {
+    mismatch('tipo de emissão', chave.tpEmis, ide.tpEmis);
+  }
+
+  const codigoNumerico = ide.cNF || ide.cCT;
+  if (codigoNumerico && codigoNumerico.padStart(8, '0') !== chave.codigoNumerico) {
+    mismatch('código numérico', chave.codigoNumerico, codigoNumerico);
+  }
+  if (ide.cDV !== undefined && parseInt(ide.cDV, 10) !== chave.digitoVerificador) {
+    mismatch('dígito verificador', chave.digitoVerificador, ide.cDV);
+  }
+
+  // Id do infNFe/infCte deve ser a mesma chave do protocolo
+  if (documentData.chaveInfId && documentData.chaveInfId !== chave.chave) {
+    mismatch('atributo Id', chave.chave, documentData.chaveInfId);
+  }
+
+  return { valida: issues.length === 0, chave, issues };
+}
@@ -0,0 +1,372 @@
+/**
+ * Validação offline de CNPJ, CPF e Inscrição Estadual.
+ *
+ * As funções validate* normalizam o valor (sem pontuação, maiúsculas),
+ * retornam o número normalizado e lançam InvalidTaxIdError com o motivo
+ * exato quando ele é inválido — sem nenhuma chamada remota.
+ */
+
+/**
+ * Erro de cadastro inválido; a mensagem é voltada ao usuário
+ */
+export class InvalidTaxIdError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidTaxIdError';
+  }
+}
+
+/**
+ * Remove pontuação e espaços (mantém letras, usadas no CNPJ alfanumérico e na IE de produtor rural de SP)
+ */
+export function normalizeTaxId(value) {
+  return String(value || '').replace(/[\s.\-/]/g, '').toUpperCase();
+}
+
+/***************************************************************************/
+/**  CNPJ / CPF                                                           **/
+/***************************************************************************/
+
+/**
+ * Valida CNPJ numérico ou alfanumérico (IN RFB 2.229/2024, a partir de 07/2026).
+ * No formato alfanumérico as 12 primeiras posições aceitam letras, que valem
+ * (código ASCII - 48) no cálculo; os 2 dígitos verificadores continuam numéricos.
+ */
+export function validateCNPJOffline(value) {
+  const cnpj = normalizeTaxId(value);
+
+  if (cnpj.length !== 14) {
+    throw new InvalidTaxIdError(`CNPJ deve ter 14 caracteres (informado com ${cnpj.length})`);
+  }
+  if (!/^[0-9A-Z]{12}\d{2}$/.test(cnpj)) {
+    throw new InvalidTaxIdError('CNPJ contém caracteres inválidos');
+  }
+  if (/^(\d)\1{13}$/.test(cnpj)) {
+    throw new InvalidTaxIdError('CNPJ inválido (sequência repetida)');
+  }
+
+  const values = [...cnpj].map(char => char.charCodeAt(0) - 48);
+  const dv1 = cnpjDigit(values.slice(0, 12));
+  const dv2 = cnpjDigit([...values.slice(0, 12), dv1]);
+
+  if (dv1 !== values[12] || dv2 !== values[13]) {
+    throw new InvalidTaxIdError('CNPJ com dígito verificador inválido');
+  }
+  return cnpj;
+}
+
+// Pesos 2 a 9 da direita para a esquerda, módulo 11
+function cnpjDigit(values) {
+  let sum = 0;
+  let weight = 2;
+  for (let i = values.length - 1; i >= 0; i--) {
+    sum += values[i] * weight;
+    weight = weight === 9 ? 2 : weight + 1;
+  }
+  const remainder = sum % 11;
+  return remainder < 2 ? 0 : 11 - remainder;
+}
+
+export function validateCPFOffline(value) {
+  const cpf = normalizeTaxId(value);
+
+  if (!/^\d{11}$/.test(cpf)) {
+    throw new InvalidTaxIdError('CPF deve ter 11 dígitos');
+  }
+  if (/^(\d)\1{10}$/.test(cpf)) {
+    throw new InvalidTaxIdError('CPF inválido (sequência repetida)');
+  }
+
+  const digits = [...cpf].map(Number);
+  const cpfDigit = (length) => {
+    const sum = digits.slice(0, length).reduce((acc, digit, i) => acc + digit * (length + 1 - i), 0);
+    const remainder = (sum * 10) % 11;
+    return remainder === 10 ? 0 : remainder;
+  };
+
+  if (cpfDigit(9) !== digits[9] || cpfDigit(10) !== digits[10]) {
+    throw new InvalidTaxIdError('CPF com dígito verificador inválido');
+  }
+  return cpf;
+}
+
+/**
+ * Valida CNPJ ou CPF conforme o tamanho
+ */
+export function validateCNPJOrCPFOffline(value) {
+  return normalizeTaxId(value).length === 11 ? validateCPFOffline(value) : validateCNPJOffline(value);
+}
+
+/***************************************************************************/
+/**  INSCRIÇÃO ESTADUAL (regras do SINTEGRA por UF)                        **/
+/***************************************************************************/
+
+const digitsOf = (ie) => [...ie].map(Number);
+
+const weightedSum = (digits, weights) =>
+  weights.reduce((sum, weight, i) => sum + digits[i] * weight, 0);
+
+// Pesos decrescentes de `from` até 2 (ex.: 9,8,...,2)
+const descending = (from) => Array.from({ length: from - 1 }, (_, i) => from - i);
+
+// Regra mais comum: 11 - resto, e 0 quando o resultado for 10 ou 11
+const mod11 = (sum) => {
+  const dv = 11 - (sum % 11);
+  return dv >= 10 ? 0 : dv;
+};
+
+// Variante: resto 0 ou 1 resulta em 0
+const mod11Rest = (sum) => {
+  const remainder = sum % 11;
+  return remainder <= 1 ? 0 : 11 - remainder;
+};
+
+// Verifica um dígito: calcula sobre as `length` primeiras posições e compara com a posição `length`
+const checkDigit = (digits, weights, rule) => rule(weightedSum(digits, weights)) === digits[weights.length];
+
+const IE_RULES = {
+  AC: (ie) => {
+    if (!/^01\d{11}$/.test(ie)) return 'deve ter 13 dígitos iniciando com 01';
+    const d = digitsOf(ie);
+    return checkDigit(d, [4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2], mod11) &&
+      checkDigit(d, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2], mod11);
+  },
+
+  AL: (ie) => {
+    if (!/^24[03578]\d{6}$/.test(ie)) return 'deve ter 9 dígitos iniciando com 24';
+    const d = digitsOf(ie);
+    const dv = (weightedSum(d, descending(9)) * 10) % 11;
+    return (dv === 10 ? 0 : dv) === d[8];
+  },
+
+  AP: (ie) => {
+    if (!/^03\d{7}$/.test(ie)) return 'deve ter 9 dígitos iniciando com 03';
+    const d = digitsOf(ie);
+    const number = parseInt(ie.slice(0, 8), 10);
+    let p = 0;
+    let dFallback = 0;
+    if (number <= 3017000) {
+      p = 5;
+    } else if (number <= 3019022) {
+      p = 9;
+      dFallback = 1;
+    }
+    let dv = 11 - ((p + weightedSum(d, descending(9))) % 11);
+    if (dv === 10) dv = 0;
+    if (dv === 11) dv = dFallback;
+    return dv === d[8];
+  },
+
+  AM: (ie) => {
+    if (!/^\d{9}$/.test(ie)) return 'deve ter 9 dígitos';
+    const d = digitsOf(ie);
+    const sum = weightedSum(d, descending(9));
+    const dv = sum < 11 ? 11 - sum : mod11Rest(sum);
+    return dv === d[8];
+  },
+
+  BA: (ie) => {
+    if (!/^\d{8,9}$/.test(ie)) return 'deve ter 8 ou 9 dígitos';
+    const d = digitsOf(ie);
+    const size = ie.length;
+    // O módulo depende do 1º dígito (8 posições) ou do 2º dígito (9 posições)
+    const reference = size === 8 ? d[0] : d[1];
+    const rule = [6, 7, 9].includes(reference)
+      ? mod11Rest
+      : (sum) => (sum % 10 === 0 ? 0 : 10 - (sum % 10));
+    const base = d.slice(0, size - 2);
+
+    // O segundo dígito é calculado primeiro e entra no cálculo do primeiro
+    const dv2 = rule(weightedSum(base, descending(size - 1)));
+    const dv1 = rule(weightedSum([...base, dv2], descending(size)));
+    return dv1 === d[size - 2] && dv2 === d[size - 1];
+  },
+
+  CE: (ie) => simpleMod11(ie, 9),
+
+  DF: (ie) => {
+    if (!/^07\d{11}$/.test(ie)) return 'deve ter 13 dígitos iniciando com 07';
+    const d = digitsOf(ie);
+    return checkDigit(d, [4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2], mod11) &&
+      checkDigit(d, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2], mod11);
+  },
+
+  ES: (ie) => {
+    if (!/^\d{9}$/.test(ie)) return 'deve ter 9 dígitos';
+    return checkDigit(digitsOf(ie), descending(9), mod11Rest);
+  },
+
+  GO: (ie) => {
+    if (!/^(1[015]|2\d)\d{7}$/.test(ie)) return 'deve ter 9 dígitos iniciando com 10, 11, 15 ou 20 a 29';
+    const d = digitsOf(ie);
+    const remainder = weightedSum(d, descending(9)) % 11;
+    const number = parseInt(ie.slice(0, 8), 10);
+    let dv = 11 - remainder;
+    if (remainder === 0) dv = 0;
+    if (remainder === 1) dv = number >= 10103105 && number <= 10119997 ? 1 : 0;
+    return dv === d[8];
+  },
+
+  MA: (ie) => {
+    if (!/^12\d{7}$/.test(ie)) return 'deve ter 9 dígitos iniciando com 12';
+    return checkDigit(digitsOf(ie), descending(9), mod11Rest);
+  },
+
+  MT: (ie) => {
+    if (!/^\d{9,11}$/.test(ie)) return 'deve ter até 11 dígitos';
+    const d = digitsOf(ie.padStart(11, '0'));
+    return checkDigit(d, [3, 2, 9, 8, 7, 6, 5, 4, 3, 2], mod11Rest);
+  },
+
+  MS: (ie) => {
+    if (!/^(28|50)\d{7}$/.test(ie)) return 'deve ter 9 dígitos iniciando com 28 ou 50';
+    const d = digitsOf(ie);
+    const remainder = weightedSum(d, descending(9)) % 11;
+    const dv = remainder === 0 || 11 - remainder > 9 ? 0 : 11 - remainder;
+    return dv === d[8];
+  },
+
+  MG: (ie) => {
+    if (!/^\d{13}$/.test(ie)) return 'deve ter 13 dígitos';
+    const d = digitsOf(ie);
+
+    // 1º dígito: insere 0 após o código do município, pesos 1 e 2 alternados,
+    // soma os algarismos dos produtos e subtrai da dezena seguinte
+    const expanded = [...d.slice(0, 3), 0, ...d.slice(3, 11)];
+    const algarismos = expanded
+      .map((digit, i) => String(digit * (i % 2 === 0 ? 1 : 2)))
+      .join('');
+    const sum1 = [...algarismos].reduce((acc, char) => acc + Number(char), 0);
+    const dv1 = (10 - (sum1 % 10)) % 10;
+
+    const dv2 = mod11Rest(weightedSum([...d.slice(0, 11), dv1], [3, 2, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2]));
+    return dv1 === d[11] && dv2 === d[12];
+  },
+
+  PA: (ie) => {
+    if (!/^15\d{7}$/.test(ie)) return 'deve ter 9 dígitos iniciando com 15';
+    return checkDigit(digitsOf(ie), descending(9), mod11Rest);
+  },
+
+  PB: (ie) => simpleMod11(ie, 9),
+
+  PR: (ie) => {
+    if (!/^\d{10}$/.test(ie)) return 'deve ter 10 dígitos';
+    const d = digitsOf(ie);
+    return checkDigit(d, [3, 2, 7, 6, 5, 4, 3, 2], mod11Rest) &&
+      checkDigit(d, [4, 3, 2, 7, 6, 5, 4, 3, 2], mod11Rest);
+  },
+
+  PE: (ie) => {
+    // eFisco (9 dígitos) ou formato antigo (14 dígitos)
+    if (/^\d{9}$/.test(ie)) {
+      const d = digitsOf(ie);
+      return checkDigit(d, descending(8), mod11Rest) && checkDigit(d, descending(9), mod11Rest);
+    }
+    if (/^\d{14}$/.test(ie)) {
+      const d = digitsOf(ie);
+      let dv = 11 - (weightedSum(d, [5, 4, 3, 2, 1, 9, 8, 7, 6, 5, 4, 3, 2]) % 11);
+      if (dv > 9) dv -= 10;
+      return dv === d[13];
+    }
+    return 'deve ter 9 dígitos (eFisco) ou 14 dígitos';
+  },
+
+  PI: (ie) => simpleMod11(ie, 9),
+
+  RJ: (ie) => {
+    if (!/^\d{8}$/.test(ie)) return 'deve ter 8 dígitos';
+    return checkDigit(digitsOf(ie), [2, 7, 6, 5, 4, 3, 2], mod11Rest);
+  },
+
+  RN: (ie) => {
+    if (!/^20\d{7,8}$/.test(ie)) return 'deve ter 9 ou 10 dígitos iniciando com 20';
+    const d = digitsOf(ie);
+    const dv = (weightedSum(d, descending(ie.length)) * 10) % 11;
+    return (dv === 10 ? 0 : dv) === d[ie.length - 1];
+  },
+
+  RS: (ie) => {
+    if (!/^\d{10}$/.test(ie)) return 'deve ter 10 dígitos';
+    return checkDigit(digitsOf(ie), [2, 9, 8, 7, 6, 5, 4, 3, 2], mod11);
+  },
+
+  RO: (ie) => {
+    if (!/^\d{14}$/.test(ie)) return 'deve ter 14 dígitos';
+    const d = digitsOf(ie);
+    let dv = 11 - (weightedSum(d, [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]) % 11);
+    if (dv >= 10) dv -= 10;
+    return dv === d[13];
+  },
+
+  RR: (ie) => {
+    if (!/^24\d{7}$/.test(ie)) return 'deve ter 9 dígitos iniciando com 24';
+    const d = digitsOf(ie);
+    return weightedSum(d, [1, 2, 3, 4, 5, 6, 7, 8]) % 9 === d[8];
+  },
+
+  SC: (ie) => {
+    if (!/^\d{9}$/.test(ie)) return 'deve ter 9 dígitos';
+    return checkDigit(digitsOf(ie), descending(9), mod11Rest);
+  },
+
+  SP: (ie) => {
+    // Dígito = algarismo mais à direita do resto da divisão por 11
+    const spRule = (sum) => (sum % 11) % 10;
+
+    // Produtor rural: P + 8 dígitos + dígito + 3 dígitos
+    if (/^P\d{12}$/.test(ie)) {
+      const d = digitsOf(ie.slice(1));
+      return checkDigit(d, [1, 3, 4, 5, 6, 7, 8, 10], spRule);
+    }
+    if (!/^\d{12}$/.test(ie)) return 'deve ter 12 dígitos (ou P + 12 dígitos para produtor rural)';
+    const d = digitsOf(ie);
+    return checkDigit(d, [1, 3, 4, 5, 6, 7, 8, 10], spRule) &&
+      checkDigit(d, [3, 2, 10, 9, 8, 7, 6, 5, 4, 3, 2], spRule);
+  },
+
+  SE: (ie) => simpleMod11(ie, 9),
+
+  TO: (ie) => {
+    // Formato atual com 9 dígitos ou antigo com 11 (posições 3-4 = tipo de empresa, fora do cálculo)
+    if (/^\d{9}$/.test(ie)) {
+      return checkDigit(digitsOf(ie), descending(9), mod11Rest);
+    }
+    if (/^\d{2}(01|02|03|99)\d{7}$/.test(ie)) {
+      const d = digitsOf(ie.slice(0, 2) + ie.slice(4));
+      return checkDigit(d, descending(9), mod11Rest);
+    }
+    return 'deve ter 9 ou 11 dígitos';
+  }
+};
+
+// 9 dígitos, pesos 9 a 2, 11 - resto (10 e 11 viram 0)
+function simpleMod11(ie, length) {
+  if (!new RegExp(`^\\d{${length}}$`).test(ie)) return `deve ter ${length} dígitos`;
+  return checkDigit(digitsOf(ie), descending(length), mod11);
+}
+
+/**
+ * Valida a Inscrição Estadual pelo algoritmo da UF.
+ * "ISENTO" é aceito (contribuinte dispensado de inscrição).
+ */
+export function validateInscricaoEstadual(value, uf) {
+  const ie = normalizeTaxId(value);
+  const state = String(uf || '').toUpperCase();
+
+  if (ie === 'ISENTO') return ie;
+
+  const rule = IE_RULES[state];
+  if (!rule) {
+    throw new InvalidTaxIdError(`UF desconhecida para validar a Inscrição Estadual: ${uf || '(não informada)'}`);
+  }
+
+  const result = rule(ie);
+  if (typeof result === 'string') {
+    throw new InvalidTaxIdError(`Inscrição Estadual de ${state} ${result}`);
+  }
+  if (!result) {
+    throw new InvalidTaxIdError(`Inscrição Estadual de ${state} com dígito verificador inválido`);
+  }
+  return ie;
+}
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import { DOMParser } from '@xmldom/xmldom';
+import { SignedXml } from 'xml-crypto';
+
+/**
+ * Verificação da assinatura digital (XMLDSig) de NF-e, NFC-e e CT-e.
+ *
+ * Confere:
+ * - se a assinatura referencia o infNFe/infCte do documento (evita "signature wrapping")
+ * - o digest do elemento assinado, após as transformações (enveloped + C14N)
+ * - o SignatureValue contra a chave pública do certificado embutido em KeyInfo
+ * - a validade do certificado na data de emissão e o CNPJ do titular x emitente
+ * - se o certificado é um e-CNPJ ICP-Brasil: com CNPJ, não autoassinado e com política ICP-Brasil
+ *
+ * A cadeia ICP-Brasil não é verificada (exigiria as ACs raiz instaladas): uma assinatura
+ * `valida` é íntegra e feita com certificado de aparência ICP-Brasil, não uma cadeia confirmada.
+ */
+
+// OID ICP-Brasil que guarda o CNPJ do titular no SubjectAltName (otherName)
+const ICP_BRASIL_CNPJ_OID = Buffer.from([0x06, 0x05, 0x60, 0x4c, 0x01, 0x03, 0x03]);
+
+// Prefixo das políticas de certificado ICP-Brasil (2.16.76.1.2.x, ex.: A1 = 2.16.76.1.2.1.x)
+const ICP_BRASIL_POLICY_PREFIX = Buffer.from([0x60, 0x4c, 0x01, 0x02]);
+
+// Elemento assinado por tipo de documento
+const SIGNED_ELEMENTS = {
+  NFE: 'infNFe',
+  NFCE: 'infNFe',
+  CTE: 'infCte'
+};
+
+/**
+ * Verifica a assinatura do XML. Nunca lança erro: problemas viram `issues`.
+ */
+export function verifyXMLSignature(xmlString, documentData) {
+  const result = {
+    presente: false,
+    valida: false,
+    referencia: null,
+    digestValido: false,
+    assinaturaValida: false,
+    certificado: null,
+    cnpjConfere: null,
+    cadeiaVerificada: false,
+    issues: []
+  };
+
+  let doc;
+  try {
+    doc = new DOMParser().parseFromString(xmlString, 'text/xml');
+  } catch (error) {
+    result.issues.push(`Não foi possível ler o XML para verificar a assinatura: ${error.message}`);
+    return result;
+  }
+
+  const signedElementName = SIGNED_ELEMENTS[documentData.documentType] || 'infNFe';
+  const signedElement = doc.getElementsByTagNameNS('*', signedElementName)[0];
+  const expectedUri = signedElement ? `#${signedElement.getAttribute('Id')}` : null;
+
+  // Procura a assinatura que referencia o elemento do documento (o protocolo pode ter outra)
+  const signedXml = new SignedXml();
+  const signatureNode = signedXml.findSignatures(doc).find(node => {
+    const reference = node.getElementsByTagNameNS('*', 'Reference')[0];
+    return reference && reference.getAttribute('URI') === expectedUri;
+  });
+
+  if (!signatureNode) {
+    result.issues.push(`XML sem assinatura digital do ${signedElementName}`);
+    return result;
+  }
+  result.presente = true;
+  result.referencia = expectedUri;
+
+  // Certificado embutido
+  const keyInfo = signatureNode.getElementsByTagNameNS('*', 'KeyInfo')[0];
+  const pem = SignedXml.getCertFromKeyInfo(keyInfo);
+  if (!pem) {
+    result.issues.push('Assinatura sem certificado X509 embutido');
+    return result;
+  }
+
+  try {
+    result.certificado = describeCertificate(new crypto.X509Certificate(pem));
+  } catch (error) {
+    result.issues.push(`Certificado da assinatura ilegível: ${error.message}`);
+    return result;
+  }
+
+  // Digest + SignatureValue
+  try {
+    signedXml.publicCert = pem;
+    signedXml.loadSignature(signatureNode);
+    result.digestValido = signedXml.checkSignature(xmlString);
+    result.assinaturaValida = result.digestValido;
+    if (!result.digestValido) {
+      result.issues.push('Assinatura digital inválida: o conteúdo do XML foi alterado após a assinatura (digest não confere)');
+    }
+  } catch (error) {
+    // checkSignature lança erro quando o digest confere mas o SignatureValue não
+    if (error.message.startsWith('invalid signature: the signature value')) {
+      result.digestValido = true;
+      result.issues.push('Assinatura digital inválida: o valor da assinatura não confere com o certificado');
+    } else {
+      result.issues.push(`Não foi possível verificar a assinatura digital: ${error.message}`);
+    }
+  }
+
+  // Validade do certificado na data de emissão
+  const dataEmissao = documentData.dataEmissao ? new Date(documentData.dataEmissao) : null;
+  if (dataEmissao && !Number.isNaN(dataEmissao.getTime())) {
+    if (dataEmissao < new Date(result.certificado.validoDe) || dataEmissao > new Date(result.certificado.validoAte)) {
+      result.issues.push('Certificado digital fora da validade na data de emissão do documento');
+    }
+  }
+
+  // Certificado de origem conhecida: autoassinado ou fora da ICP-Brasil não identifica o emitente
+  if (result.certificado.autoassinado) {
+    result.issues.push('Certificado digital autoassinado: não identifica o emitente');
+  } else if (!result.certificado.icpBrasil) {
+    result.issues.push(`Certificado digital não emitido pela ICP-Brasil (emissor: ${result.certificado.emissor || 'desconhecido'})`);
+  }
+
+  // CNPJ do titular do certificado x emitente (basta a raiz, certificados podem ser da matriz)
+  const cnpjEmitente = documentData.emitente?.cnpj;
+  if (!result.certificado.cnpj) {
+    result.issues.push('Certificado digital sem CNPJ do titular (não é um e-CNPJ)');
+  } else if (cnpjEmitente) {
+    result.cnpjConfere = result.certificado.cnpj.slice(0, 8) === cnpjEmitente.toUpperCase().slice(0, 8);
+    if (!result.cnpjConfere) {
+      result.issues.push(`CNPJ do certificado (${result.certificado.cnpj}) não pertence ao emitente (${cnpjEmitente})`);
+    }
+  }
+
+  result.valida = result.issues.length === 0;
+  return result;
+}
+
+/**
+ * Extrai titular, CNPJ, emissor, validade e origem (autoassinado, política ICP-Brasil) do certificado
+ */
+function describeCertificate(certificate) {
+  const commonName = (certificate.subject.match(/CN=([^\n]+)/) || [])[1] || '';
+
+  return {
+    titular: commonName.split(':')[0],
+    cnpj: extractCNPJ(certificate, commonName),
+    emissor: (certificate.issuer.match(/CN=([^\n]+)/) || [])[1],
+    serial: certificate.serialNumber,
+    autoassinado: certificate.issuer === certificate.subject,
+    icpBrasil: hasICPBrasilPolicy(certificate),
+    validoDe: new Date(certificate.validFrom).toISOString(),
+    validoAte: new Date(certificate.validTo).toISOString()
+  };
+}
+
+/**
+ * e-CNPJ ICP-Brasil: o CN termina em ":<CNPJ>"; como garantia, procura o OID 2.16.76.1.3.3
+ */
+function extractCNPJ(certificate, commonName) {
+  const fromCN = commonName.match(/:([0-9A-Z]{12}\d{2})$/);
+  if (fromCN) return fromCN[1];
+
+  const oidIndex = certificate.raw.indexOf(ICP_BRASIL_CNPJ_OID);
+  if (oidIndex >= 0) {
+    const tail = certificate.raw.subarray(oidIndex, oidIndex + 40).toString('latin1');
+    const match = tail.match(/[0-9A-Z]{12}\d{2}/);
+    if (match) return match[0];
+  }
+  return null;
+}
+
+/**
+ * Procura o OID de política ICP-Brasil (tag 0x06) na extensão certificatePolicies
+ */
+function hasICPBrasilPolicy(certificate) {
+  const raw = certificate.raw;
+  for (let index = raw.indexOf(ICP_BRASIL_POLICY_PREFIX); index >= 0; index = raw.indexOf(ICP_BRASIL_POLICY_PREFIX, index + 1)) {
+    if (index >= 2 && raw[index - 2] === 0x06) return true;
+  }
+  return false;
+}